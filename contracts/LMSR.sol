@@ -1,34 +1,135 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import {IResolver} from "./interfaces/IResolver.sol";
+import {LMSRPricing} from "./libraries/LMSRPricing.sol";
+import {OutcomeToken} from "./OutcomeToken.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
 /**
  * @title LSLMSRMarket
  * @notice Liquidity-Sensitive Logarithmic Market Scoring Rule prediction market
- * @dev Implements LS-LMSR with exponential liquidity scaling: b = b0 * exp(α * Q)
+ * @dev Implements LS-LMSR with exponential liquidity scaling: b = b0 * exp(α * Q), or with
+ *      Othman et al.'s proportional rule b = α * Σq (see `pricingMode` and LMSRPricing).
+ *      Deployable directly, or as a minimal-proxy clone of a template deployed with
+ *      `_numOutcomes == 0` and set up through `initialize` (see MarketFactory).
+ *      Shares are ERC-1155 tokens on a shared OutcomeToken; clones inherit the
+ *      template's token, since it is immutable.
+ *
+ *      Collateral is native ETH or an ERC-20 token chosen at creation. Either way every
+ *      amount the market takes or reports (costs, fees, b0, bonds, deposits) is in 18-decimal
+ *      units of the collateral, so one winning share always pays 1e18 = one whole token.
+ *      Token transfers convert to the token's own decimals, rounding up what is collected
+ *      and down what is paid out, so rounding dust stays in the market.
  */
 contract LSLMSRMarket {
+    using SafeERC20 for IERC20;
     
     uint256 public constant DECIMALS = 1e18;
+    uint256 public constant MAX_OUTCOMES = 64;
+    uint256 public constant BPS = 10_000;
+    uint256 public constant MAX_FEE_BPS = 1_000;    // 10%
+    
+    enum MarketState { Open, Closed, Proposed, Disputed, Resolved, Cancelled }
+    
+    struct MarketMetadata {
+        string question;                   // Question text or a content hash (e.g. ipfs://...)
+        string[] outcomeLabels;            // One label per outcome, or empty for unlabeled
+        string category;
+        string resolutionSource;           // Where the outcome will be looked up
+    }
+    
+    struct ResolutionConfig {
+        address resolver;                  // IResolver consulted for the outcome; zero = owner resolves
+        address arbitrator;                // Settles disputes; zero = owner
+        uint256 disputePeriod;             // Seconds a proposed outcome can be disputed
+        uint256 disputeBond;               // Collateral a disputer must post; non-zero with a dispute period
+    }
+    
+    struct FeeConfig {
+        uint256 feeBps;                    // Trading fee in basis points of the trade's cost
+        address feeRecipient;              // Withdraws accrued fees; zero = owner
+    }
+    
+    struct LiquidityConfig {
+        LMSRPricing.PricingMode pricingMode;  // VolumeScaled or Proportional
+        uint128 bMax;                      // Cap on a volume-scaled b, at least b0; zero = uncapped
+        uint64 volumeHalfLife;             // Seconds for the volume driving b to halve; zero = never decays
+    }
     
    
-    uint256 public immutable numOutcomes;
-    uint256 public immutable b0;           // Base liquidity parameter 
-    uint256 public immutable alpha;        // Sensitivity parameter 
+    OutcomeToken public immutable outcomeToken;  // Holds every trader's shares
+    uint256 public numOutcomes;
+    uint256 public b0;                     // Base liquidity parameter 
+    uint256 public alpha;                  // Sensitivity parameter 
+    uint128 internal bMax;                 // Cap on a volume-scaled b; zero = uncapped
+    uint64 internal volumeHalfLife;        // Seconds for the volume driving b to halve; zero = never decays
+    uint64 internal volumeUpdatedAt;       // When recentVolume was last decayed
+    uint256 public closeTime;              // Trading stops at this timestamp
+    IERC20 public collateralToken;         // ERC-20 collateral; zero = native ETH
+    LMSRPricing.PricingMode public pricingMode;  // How b follows the market; packs with collateralToken
+    uint256 public collateralScale;        // 10^(18 - token decimals); 1 for ETH
+    address public resolver;               // IResolver consulted for the outcome; zero = owner resolves
+    address public arbitrator;             // Settles disputes; zero = owner
+    uint256 public disputePeriod;
+    uint256 public disputeBond;
+    uint256 public feeBps;                 // Charged on top of buys and out of sell payouts
+    address public feeRecipient;           // Withdraws accrued fees; zero = owner
     
  
-    uint256[] public quantities;           // Outstanding shares for each outcome
+    uint256[] public quantities;           // Quantity vector q the prices are computed from
+    uint256[] public outstandingShares;    // Shares held by traders for each outcome
     uint256 public totalVolume;            // Cumulative |delta| across all trades
+    uint256 internal recentVolume;         // Volume driving b when it decays, as of volumeUpdatedAt
     uint256 public collateral;             // Total collateral in the pool
+    uint256 public accruedFees;            // Fees not yet withdrawn, held apart from collateral
+    
+    uint256 public creatorShares;          // LP shares backing the creator's initial funding
+    uint256 public totalLpShares;          // LP shares issued to depositors
+    mapping(address => uint256) public lpShares;
+    uint256 public lpFeePerShare;          // Cumulative fee income per LP share, scaled by 1e18
+    mapping(address => uint256) internal lpFeeCheckpoint;
+    mapping(address => uint256) internal lpFeesOwed;
     
-    mapping(address => uint256[]) public shareBalances;  // User share holdings
+    bool public proposed;                  // An outcome awaits finalization
+    uint256 public proposedOutcome;
+    uint256 public disputeDeadline;        // Disputes are accepted until this timestamp
+    address public disputer;
     
-    bool public resolved;
+    bool public resolved;                  // Final: claims are open
+    bool public cancelled;                 // Packs with resolved: trades check both
     uint256 public winningOutcome;
+    uint256[] public refundPrices;         // Per-share refund for each outcome once cancelled
     address public owner;
+    address public pendingOwner;           // Becomes owner on acceptOwnership
+    address public guardian;               // Pauses and unpauses trading; zero = owner
+    bool public paused;                    // Trading halted; claims and refunds stay open
+    bool public initialized;
+    bytes internal metadata;               // abi.encode(MarketMetadata), decoded by getMetadata
 
     event SharesTransferred(address indexed user, uint256 indexed outcome, int256 amount);
     event MarketFunded(uint256 initialCollateral);
-    event MarketResolved(uint256 indexed winningOutcome);
+    event ResolutionProposed(uint256 indexed outcome, uint256 disputeDeadline);
+    event ResolutionDisputed(address indexed disputer, uint256 indexed outcome);
+    event ResolutionFinalized(uint256 indexed winningOutcome);
+    event MarketCancelled(uint256[] refundPrices);
+    event RefundClaimed(address indexed user, uint256 amount);
+    event FeesWithdrawn(address indexed recipient, uint256 amount);
+    event FeeRecipientUpdated(address indexed feeRecipient);
+    event LiquidityAdded(address indexed provider, uint256 amount, uint256 shares);
+    event LiquidityRemoved(address indexed provider, uint256 shares, uint256 amount);
+    event LpSharesTransferred(address indexed from, address indexed to, uint256 shares);
+    event LpFeesClaimed(address indexed provider, uint256 amount);
+    event CompleteSetsMinted(address indexed account, uint256 amount);
+    event CompleteSetsRedeemed(address indexed account, uint256 amount);
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
+    event GuardianUpdated(address indexed guardian);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
     
 
     error InvalidOutcome();
@@ -36,240 +137,1100 @@ contract LSLMSRMarket {
     error InsufficientPayment();
     error InsufficientShares();
     error InvalidNumOutcomes();
+    error InvalidLiquidity();
     error InvalidInitialFunding();
     error MarketAlreadyResolved();
     error OnlyOwner();
     error NotResolved();
+    error MarketAlreadyCancelled();
+    error NotCancelled();
+    error MaxCostExceeded();
+    error MinPayoutNotMet();
+    error DeadlineExpired();
+    error MinSharesNotMet();
+    error InvalidTargetPrice();
+    error TargetPriceUnreachable();
+    error PriceTooLow();
+    error AlreadyInitialized();
+    error InvalidOutcomeLabels();
+    error InvalidCloseTime();
+    error MarketClosed();
+    error MarketNotClosed();
+    error OnlyResolver();
+    error NoResolver();
+    error OutcomeNotReported();
+    error ResolutionAlreadyProposed();
+    error NoProposedResolution();
+    error AlreadyDisputed();
+    error NotDisputed();
+    error DisputePeriodOver();
+    error DisputePeriodActive();
+    error InvalidDisputeBond();
+    error OnlyArbitrator();
+    error InvalidFee();
+    error InvalidCollateral();
+    error InvalidPayment();
+    error OnlyFeeRecipient();
+    error NoFeesAccrued();
+    error InvalidDeposit();
+    error LiquidityLocked();
+    error NoLiquidity();
+    error InvalidAmount();
+    error OnlyGuardian();
+    error OnlyPendingOwner();
+    error MarketPaused();
+    error NotPaused();
+    error Insolvent();
+    error InvalidAlpha();
+    error UnsupportedPricingMode();
+    error InvalidGrowth();
+    error InsufficientGas();
  
-    constructor(uint256 _numOutcomes, uint256 _b0, uint256 _alpha) payable {
-        if (_numOutcomes < 2 || _numOutcomes > 5) revert InvalidNumOutcomes();
+    /**
+     * @param _outcomeToken ERC-1155 contract the market mints its shares on
+     * @param _numOutcomes Number of outcomes (2-MAX_OUTCOMES), or 0 for a locked clone template
+     * @param _b0 Base liquidity parameter (scaled by 1e18, non-zero)
+     * @param _alpha Sensitivity parameter (scaled by 1e18): the volume growth rate of b, or
+     *        b per unit of outstanding quantity in proportional mode (must be non-zero there)
+     * @param _liquidityConfig Pricing mode, VolumeScaled (b = b0 * exp(alpha * volume)) or
+     *        Proportional (b = alpha * sum(q), Othman et al.), funded with b0 * ln(n) either way;
+     *        and for a volume-scaled b an optional cap and half-life of the volume driving it
+     *        (both zero for the plain b0 * exp(alpha * totalVolume))
+     * @param _closeTime Timestamp after which trading stops and the market can be resolved
+     * @param _collateralToken ERC-20 collateral with at most 18 decimals, or zero for ETH
+     * @param _fees Trading fee (at most MAX_FEE_BPS) and the address that collects it
+     * @param _resolution Resolver, dispute arbitrator, dispute period and dispute bond
+     * @param _metadata Question, outcome labels, category and resolution source
+     */
+    constructor(
+        OutcomeToken _outcomeToken,
+        uint256 _numOutcomes,
+        uint256 _b0,
+        uint256 _alpha,
+        LiquidityConfig memory _liquidityConfig,
+        uint256 _closeTime,
+        IERC20 _collateralToken,
+        FeeConfig memory _fees,
+        ResolutionConfig memory _resolution,
+        MarketMetadata memory _metadata
+    ) payable {
+        outcomeToken = _outcomeToken;
+        if (_numOutcomes == 0) {
+            // Template for clones: never tradeable, never initializable
+            initialized = true;
+            return;
+        }
+        _initialize(msg.sender, _numOutcomes, _b0, _alpha, _liquidityConfig, _closeTime, _collateralToken, _fees, _resolution, _metadata);
+    }
+    
+    /**
+     * @notice Set up a clone funded with `initialFunding(_numOutcomes, _b0)`: sent as
+     *         `msg.value` in ETH markets, or pulled from the caller in token markets
+     * @param _owner Market owner (resolves the market unless a resolver is set)
+     */
+    function initialize(
+        address _owner,
+        uint256 _numOutcomes,
+        uint256 _b0,
+        uint256 _alpha,
+        LiquidityConfig memory _liquidityConfig,
+        uint256 _closeTime,
+        IERC20 _collateralToken,
+        FeeConfig memory _fees,
+        ResolutionConfig memory _resolution,
+        MarketMetadata memory _metadata
+    ) external payable {
+        if (initialized) revert AlreadyInitialized();
+        _initialize(_owner, _numOutcomes, _b0, _alpha, _liquidityConfig, _closeTime, _collateralToken, _fees, _resolution, _metadata);
+    }
+    
+    function _initialize(
+        address _owner,
+        uint256 _numOutcomes,
+        uint256 _b0,
+        uint256 _alpha,
+        LiquidityConfig memory _liquidityConfig,
+        uint256 _closeTime,
+        IERC20 _collateralToken,
+        FeeConfig memory _fees,
+        ResolutionConfig memory _resolution,
+        MarketMetadata memory _metadata
+    ) internal virtual {
+        if (_numOutcomes < 2 || _numOutcomes > MAX_OUTCOMES) revert InvalidNumOutcomes();
+        if (_b0 == 0) revert InvalidLiquidity();
+        if (_closeTime <= block.timestamp) revert InvalidCloseTime();
+        if (_fees.feeBps > MAX_FEE_BPS) revert InvalidFee();
+        // A free dispute would let anyone stall resolution at no cost
+        if (_resolution.disputePeriod != 0 && _resolution.disputeBond == 0) revert InvalidDisputeBond();
+        uint256 numLabels = _metadata.outcomeLabels.length;
+        if (numLabels != 0 && numLabels != _numOutcomes) revert InvalidOutcomeLabels();
+        bool proportional = _liquidityConfig.pricingMode == LMSRPricing.PricingMode.Proportional;
+        // A proportional b ignores volume, so it takes neither a cap nor a half-life
+        if (_liquidityConfig.bMax != 0 && (_liquidityConfig.bMax < _b0 || proportional)) revert InvalidGrowth();
+        if (proportional && _liquidityConfig.volumeHalfLife != 0) revert InvalidGrowth();
         
+        initialized = true;
         numOutcomes = _numOutcomes;
         b0 = _b0;
         alpha = _alpha;
-        owner = msg.sender;
+        pricingMode = _liquidityConfig.pricingMode;
+        bMax = _liquidityConfig.bMax;
+        volumeHalfLife = _liquidityConfig.volumeHalfLife;
+        closeTime = _closeTime;
+        collateralToken = _collateralToken;
+        collateralScale = 1;
+        if (address(_collateralToken) != address(0)) {
+            uint8 decimals = IERC20Metadata(address(_collateralToken)).decimals();
+            if (decimals > 18) revert InvalidCollateral();
+            collateralScale = 10 ** (18 - decimals);
+        }
+        resolver = _resolution.resolver;
+        arbitrator = _resolution.arbitrator;
+        disputePeriod = _resolution.disputePeriod;
+        disputeBond = _resolution.disputeBond;
+        feeBps = _fees.feeBps;
+        feeRecipient = _fees.feeRecipient;
+        owner = _owner;
+        metadata = abi.encode(_metadata);
         
         quantities = new uint256[](_numOutcomes);
-        shareBalances[msg.sender] = new uint256[](_numOutcomes);
-        
-        // Calculate initial cost: C(0) = b * ln(n)
-        uint256 initialB = getB();
-        uint256 lnN = ln(_numOutcomes * DECIMALS);
-        uint256 initialC = (initialB * lnN) / DECIMALS;
-        
-        if (msg.value != initialC) revert InvalidInitialFunding();
+        outstandingShares = new uint256[](_numOutcomes);
+        if (proportional) LMSRPricing.seed(quantities, _b0, _alpha);
         
+        uint256 initialC = initialFunding(_numOutcomes, _b0);
         collateral = initialC;
+        creatorShares = initialC;
         emit MarketFunded(initialC);
+        
+        if (!_receive(initialC)) revert InvalidInitialFunding();
+    }
+    
+    /**
+     * @notice Collateral a new market must be funded with
+     * @dev Initial cost C(0) = b * ln(n), with b = b0 at zero volume. Proportional markets
+     *      seed their quantities so that they open at the same cost.
+     */
+    function initialFunding(uint256 _numOutcomes, uint256 _b0) public pure returns (uint256) {
+        return LMSRPricing.initialFunding(_numOutcomes, _b0);
     }
     
     function getB() public view returns (uint256) {
-        // k = α * Q
-        uint256 k = (alpha * totalVolume) / DECIMALS;
-        
-        // b = b0 * exp(k)
-        uint256 expK = exp(k);
-        return (b0 * expK) / DECIMALS;
+        return LMSRPricing.bOf(quantities, _liquidity());
     }
     
-  
-  function computeC(uint256[] memory _quantities) internal view returns (uint256) {
-    uint256 b = getB();
+    // Everything the library derives b from
+    function _liquidity() internal view returns (LMSRPricing.Liquidity memory) {
+        return LMSRPricing.Liquidity(b0, alpha, bMax, _volume(), pricingMode);
+    }
     
-    // Find maxQ
-    uint256 maxQ = _quantities[0];
-    for (uint256 i = 1; i < numOutcomes; i++) {
-        if (_quantities[i] > maxQ) maxQ = _quantities[i];
+    // Volume b grows with: all of it, or what is left of it after decay
+    function _volume() internal view returns (uint256) {
+        if (volumeHalfLife == 0) return totalVolume;
+        return LMSRPricing.decayVolume(recentVolume, block.timestamp - volumeUpdatedAt, volumeHalfLife);
     }
     
-    // sum_rel = sum exp( (q_i - maxQ)/b ) * DECIMALS
-    uint256 sumRel = 0;
-    for (uint256 i = 0; i < numOutcomes; i++) {
-        uint256 delta = maxQ > _quantities[i] ? maxQ - _quantities[i] : 0;
-        uint256 argRel = (delta * DECIMALS) / b;
-        
-        uint256 expRel;
-        if (argRel == 0) {
-            expRel = DECIMALS;
-        } else {
-            uint256 expPos = exp(argRel);
-            expRel = expPos == 0 ? 0 : (DECIMALS * DECIMALS) / expPos;
-        }
-        
-        sumRel += expRel;
+    function _addVolume(uint256 amount) internal {
+        totalVolume += amount;
+        if (volumeHalfLife == 0) return;
+        recentVolume = _volume() + amount;
+        volumeUpdatedAt = uint64(block.timestamp);
     }
     
-    // C = maxQ + b * ln(sum_rel / DECIMALS) * DECIMALS, but scaled
-    uint256 lnSumRel = ln(sumRel);
-    uint256 cAdd = (b * lnSumRel) / DECIMALS;
-    return maxQ + cAdd;
-}
-  function getPrices() public view returns (uint256[] memory) {
-    return _computePrices(quantities);
-}
-
-
+    
+    function getPrices() public view returns (uint256[] memory) {
+        return LMSRPricing.prices(quantities, _liquidity());
+    }
+    
+    /**
+     * @notice Cost function C(q) at the current b
+     * @dev This is what trades are priced against, not `collateral`: the pool holds what
+     *      trades, deposits and complete sets paid in, and since C rises with b the two
+     *      drift apart as volume grows (see `_checkSolvency`). With a proportional b the
+     *      cost is path-independent and the pool tracks C(q) up to rounding.
+     */
+    function getCost() external view returns (uint256) {
+        return LMSRPricing.costAt(quantities, _liquidity());
+    }
+    
+    /**
+     * @notice Quote a trade without executing it
+     * @return cost C(q') - C(q) at the current b (negative for sells)
+     * @return newPrices Prices after the trade, at the same b
+     * @return fee Trading fee on top: a buy costs `cost + fee`, a sell pays `-cost - fee`
+     */
     function getTradeCost(uint256 outcome, int256 delta) 
     public 
     view 
-    returns (int256 cost, uint256[] memory newPrices) 
+    returns (int256 cost, uint256[] memory newPrices, uint256 fee) 
 {
-    if (outcome >= numOutcomes) revert InvalidOutcome();
-    if (delta == 0) revert InvalidDelta();
+    LMSRPricing.Quote memory quote = quoteTrade(outcome, delta);
+    return (quote.cost, quote.newPrices, quote.fee);
+}
+
+    /**
+     * @notice Quote a multi-outcome trade without executing it
+     * @param deltas Signed share amount for every outcome (zero to leave it untouched)
+     * @return cost C(q') - C(q) for the whole vector at the current b (negative for net sells)
+     * @return newPrices Prices after the trade, at the same b
+     * @return fee Trading fee on the net cost, charged like `getTradeCost`'s
+     */
+    function getTradeCostMany(int256[] calldata deltas) 
+        external 
+        view 
+        returns (int256 cost, uint256[] memory newPrices, uint256 fee) 
+    {
+        LMSRPricing.Quote memory quote = quoteTradeMany(deltas);
+        return (quote.cost, quote.newPrices, quote.fee);
+    }
     
-    uint256 absDelta = uint256(delta > 0 ? delta : -delta);
+    /**
+     * @notice `getTradeCost` with both cost-function terms, for auditing the price
+     * @dev Trades are priced as C(q', b) - C(q, b), with b = `getB()` before the trade for
+     *      both terms; the trade's own volume only moves b for later trades.
+     * @return quote b, C(q, b), C(q', b), their difference, the fee and the new prices
+     */
+    function quoteTrade(uint256 outcome, int256 delta) public view returns (LMSRPricing.Quote memory quote) {
+        quote = LMSRPricing.quote(quantities, _liquidity(), outcome, delta);
+        quote.fee = _feeOn(quote.cost);
+    }
     
-    // Calculate new quantities
-    uint256[] memory newQ = new uint256[](numOutcomes);
-    for (uint256 i = 0; i < numOutcomes; i++) {
-        newQ[i] = quantities[i];
+    /**
+     * @notice `getTradeCostMany` with both cost-function terms, priced like `quoteTrade`
+     */
+    function quoteTradeMany(int256[] calldata deltas) public view returns (LMSRPricing.Quote memory quote) {
+        quote = LMSRPricing.quoteMany(quantities, _liquidity(), deltas);
+        quote.fee = _feeOn(quote.cost);
+    }
+
+    /**
+     * @notice Buy (delta > 0) or sell (delta < 0) shares of an outcome
+     * @dev Buys pay the quoted cost plus fee: in ETH markets by sending at least that much
+     *      (any excess is refunded), in token markets through an allowance. Sells receive
+     *      the payout (negative cost) less the fee, plus any ETH sent along.
+     * @param outcome Outcome index
+     * @param delta Signed share amount (scaled by 1e18)
+     */
+    function trade(uint256 outcome, int256 delta) external payable {
+        _trade(outcome, delta, type(uint256).max, 0);
     }
     
-    if (delta > 0) {
-        newQ[outcome] += absDelta;
-    } else {
-        if (newQ[outcome] < absDelta) revert InsufficientShares();
-        newQ[outcome] -= absDelta;
+    /**
+     * @notice Buy and sell several outcomes in one atomic trade, e.g. sell outcome 1 and
+     *         buy outcome 3, reverting if the price moved beyond `maxCost` or `minPayout`
+     * @dev The whole vector is priced as a single trade, C(q') - C(q) at the current b, with
+     *      one fee on the net cost; its volume, the sum of |deltas[i]|, only moves b for
+     *      later trades. Settles like `trade`: a net cost is paid (excess ETH refunded),
+     *      a net payout received. The limits apply to whichever of the two the order nets to.
+     * @param deltas Signed share amount for every outcome, scaled by 1e18 (zero to leave it untouched)
+     * @param maxCost Maximum acceptable net cost, fee included
+     * @param minPayout Minimum acceptable net payout, after the fee
+     * @param deadline Timestamp after which the order is rejected
+     */
+    function tradeMany(int256[] calldata deltas, uint256 maxCost, uint256 minPayout, uint256 deadline) 
+        external 
+        payable 
+    {
+        _checkDeadline(deadline);
+        _checkTrading();
+        
+        LMSRPricing.Quote memory quote = quoteTradeMany(deltas);
+        _checkSlippage(quote.cost, quote.fee, maxCost, minPayout);
+        _tradeMany(deltas, quote.cost, quote.fee);
     }
     
-    // Cost
-    uint256 newC = computeC(newQ);
-    cost = int256(newC) - int256(collateral);
+    /**
+     * @dev Executes a multi-leg trade at its quoted cost and fee
+     */
+    function _tradeMany(int256[] calldata deltas, int256 cost, uint256 fee) internal {
+        (uint256[] memory bought, uint256[] memory sold, uint256 volume, bool buys, bool sells) = LMSRPricing.applyMany(
+            quantities, outstandingShares, deltas, getAllUserBalances(msg.sender)
+        );
+        
+        _book(cost, fee, volume, _maxOf(quantities));
+        
+        if (sells) outcomeToken.burnBatch(msg.sender, _outcomeIndices(), sold);
+        // Minted last: the receiver hook may call back into the market
+        if (buys) outcomeToken.mintBatch(msg.sender, _outcomeIndices(), bought);
+        _settle(cost + int256(fee));
+    }
     
-    // New prices (stable)
-    newPrices = _computePrices(newQ);
-}
-    function resolveMarket(uint256 _winningOutcome) external {
-        if (msg.sender != owner) revert OnlyOwner();
-        if (resolved) revert MarketAlreadyResolved();
-        if (_winningOutcome >= numOutcomes) revert InvalidOutcome();
+    /**
+     * @notice Buy shares, reverting if the cost moved above `maxCost`
+     * @param outcome Outcome index
+     * @param shares Shares to buy (scaled by 1e18)
+     * @param maxCost Maximum acceptable cost, fee included
+     * @param deadline Timestamp after which the order is rejected
+     */
+    function buy(uint256 outcome, uint256 shares, uint256 maxCost, uint256 deadline) public payable {
+        _checkDeadline(deadline);
+        if (shares > uint256(type(int256).max)) revert InvalidDelta();
+        _trade(outcome, int256(shares), maxCost, 0);
+    }
+    
+    /**
+     * @notice `buy` in a token market, approving the spend with an EIP-2612 permit signed
+     *         for `maxCost` (in token units, rounded up) and `deadline`
+     * @dev A failed permit is ignored so that a front-run permit cannot block the buy;
+     *      the transfer then simply needs the allowance to be in place.
+     */
+    function buyWithPermit(
+        uint256 outcome,
+        uint256 shares,
+        uint256 maxCost,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        try IERC20Permit(address(collateralToken)).permit(
+            msg.sender, address(this), _toTokenUnits(maxCost), deadline, v, r, s
+        ) {} catch {}
+        buy(outcome, shares, maxCost, deadline);
+    }
+    
+    /**
+     * @notice Sell shares, reverting if the payout moved below `minPayout`
+     * @param outcome Outcome index
+     * @param shares Shares to sell (scaled by 1e18)
+     * @param minPayout Minimum acceptable payout, after the fee
+     * @param deadline Timestamp after which the order is rejected
+     */
+    function sell(uint256 outcome, uint256 shares, uint256 minPayout, uint256 deadline) external payable {
+        _checkDeadline(deadline);
+        if (shares > uint256(type(int256).max)) revert InvalidDelta();
+        _trade(outcome, -int256(shares), type(uint256).max, minPayout);
+    }
+    
+    /**
+     * @notice Spend up to `budget` on as many shares of `outcome` as it buys
+     * @dev The fee comes out of the budget. ETH markets take the budget as `msg.value` and
+     *      refund any dust left over after rounding; token markets only pull what is spent.
+     * @param outcome Outcome index
+     * @param budget Amount to spend, fee included
+     * @param minShares Minimum acceptable number of shares
+     * @param deadline Timestamp after which the order is rejected
+     * @return shares Shares bought (scaled by 1e18)
+     */
+    function buyWithBudget(uint256 outcome, uint256 budget, uint256 minShares, uint256 deadline) 
+        external 
+        payable 
+        returns (uint256 shares) 
+    {
+        _checkDeadline(deadline);
         
-        resolved = true;
-        winningOutcome = _winningOutcome;
+        (shares, ) = _sharesForBudget(outcome, budget);
+        if (shares < minShares) revert MinSharesNotMet();
         
-        emit MarketResolved(_winningOutcome);
+        _trade(outcome, int256(shares), budget, 0);
     }
     
- 
-    function claimWinnings() external {
-        if (!resolved) revert NotResolved();
+    /**
+     * @notice Quote how many shares of `outcome` a budget buys
+     * @param outcome Outcome index
+     * @param budget Amount to spend
+     * @return shares Shares bought (scaled by 1e18)
+     * @return cost Actual cost
+     * @return fee Trading fee on top of `cost` (`cost + fee` never exceeds `budget`)
+     */
+    function quoteBuyWithBudget(uint256 outcome, uint256 budget) 
+        external 
+        view 
+        returns (uint256 shares, uint256 cost, uint256 fee) 
+    {
+        (shares, cost) = _sharesForBudget(outcome, budget);
+        fee = _feeOn(int256(cost));
+    }
+    
+    /**
+     * @dev Spends what is left of `budget` once the fee on it is set aside, so the returned
+     *      cost excludes that fee (see LMSRPricing.sharesForBudget)
+     */
+    function _sharesForBudget(uint256 outcome, uint256 budget) 
+        internal 
+        view 
+        returns (uint256 shares, uint256 cost) 
+    {
+        return LMSRPricing.sharesForBudget(quantities, _liquidity(), outcome, (budget * BPS) / (BPS + feeBps));
+    }
+    
+    /**
+     * @notice Buy or sell `outcome` until its price reaches `targetPrice`
+     * @dev Moving the price down sells, so the caller must hold enough shares. A price
+     *      already at the target trades nothing and refunds any ETH sent.
+     * @param outcome Outcome index
+     * @param targetPrice Target price (scaled by 1e18, strictly between 0 and 1)
+     * @param maxCost Maximum acceptable cost, fee included (ignored when selling)
+     * @param minPayout Minimum acceptable payout, after the fee (ignored when buying)
+     * @param deadline Timestamp after which the order is rejected
+     * @return delta Signed share amount traded (zero if already at target)
+     */
+    function tradeToPrice(uint256 outcome, uint256 targetPrice, uint256 maxCost, uint256 minPayout, uint256 deadline) 
+        external 
+        payable 
+        returns (int256 delta) 
+    {
+        _checkDeadline(deadline);
         
-        if (shareBalances[msg.sender].length == 0) {
-            revert InsufficientShares();
+        delta = _deltaForPrice(outcome, targetPrice);
+        if (delta == 0) {
+            _settle(0);
+            return 0;
+        }
+        _trade(outcome, delta, maxCost, delta > 0 ? 0 : minPayout);
+    }
+    
+    /**
+     * @notice Quote the trade that moves `outcome` to `targetPrice`
+     * @param outcome Outcome index
+     * @param targetPrice Target price (scaled by 1e18, strictly between 0 and 1)
+     * @return delta Signed share amount to trade (zero if already at target)
+     * @return cost Cost of that trade (negative for sells)
+     * @return fee Trading fee on top of `cost`
+     */
+    function quoteTradeToPrice(uint256 outcome, uint256 targetPrice) 
+        external 
+        view 
+        returns (int256 delta, int256 cost, uint256 fee) 
+    {
+        delta = _deltaForPrice(outcome, targetPrice);
+        if (delta != 0) {
+            LMSRPricing.Quote memory quote = quoteTrade(outcome, delta);
+            (cost, fee) = (quote.cost, quote.fee);
         }
+    }
+    
+    /**
+     * @notice Deposit `amount` of collateral for `amount` shares of every outcome
+     * @dev Sets bypass the cost function: adding the same amount to every quantity raises
+     *      C(q) by exactly that amount and leaves prices and b unchanged, so the pool stays
+     *      a consistent LS-LMSR state and `collateral` grows by what every outcome's
+     *      outstanding shares do. Not counted as volume and charged no fee. Allowed until
+     *      the market is resolved or cancelled; ETH markets take `amount` as `msg.value`.
+     *      Proportional markets have no sets, since there b grows with the quantities.
+     */
+    function mintCompleteSet(uint256 amount) external payable {
+        if (paused) revert MarketPaused();
+        _checkCompleteSet(amount);
         
-        uint256 shares = shareBalances[msg.sender][winningOutcome];
-        if (shares == 0) revert InsufficientShares();
+        uint256[] memory amounts = LMSRPricing.shift(quantities, outstandingShares, int256(amount), new uint256[](0));
+        collateral += amount;
         
-        shareBalances[msg.sender][winningOutcome] = 0;
+        emit CompleteSetsMinted(msg.sender, amount);
         
-        // Each winning share pays out 1 unit (1e18 wei)
-        payable(msg.sender).transfer(shares);
+        outcomeToken.mintBatch(msg.sender, _outcomeIndices(), amounts);
+        if (!_receive(amount)) revert InvalidPayment();
     }
-  
-    function getUserBalance(address user, uint256 outcome) external view returns (uint256) {
-        uint256[] storage bal = shareBalances[user];
-        return bal.length > 0 ? bal[outcome] : 0;
+    
+    /**
+     * @notice Burn `amount` shares of every outcome for `amount` of collateral
+     * @dev The reverse of `mintCompleteSet`, whichever way the shares were acquired
+     */
+    function redeemCompleteSet(uint256 amount) external {
+        _checkCompleteSet(amount);
+        
+        uint256[] memory amounts = LMSRPricing.shift(quantities, outstandingShares, -int256(amount), getAllUserBalances(msg.sender));
+        collateral -= amount;
+        outcomeToken.burnBatch(msg.sender, _outcomeIndices(), amounts);
+        
+        emit CompleteSetsRedeemed(msg.sender, amount);
+        _pay(msg.sender, amount);
     }
     
-
-    function getAllUserBalances(address user) external view returns (uint256[] memory) {
-        if (shareBalances[user].length == 0) {
-            return new uint256[](numOutcomes);
-        }
-        return shareBalances[user];
+    /**
+     * @dev Checks that `amount` of sets can move
+     */
+    function _checkCompleteSet(uint256 amount) internal view {
+        if (resolved) revert MarketAlreadyResolved();
+        if (cancelled) revert MarketAlreadyCancelled();
+        if (amount == 0 || amount > uint256(type(int256).max)) revert InvalidAmount();
+        // Raising every quantity raises a proportional b, moving prices for free
+        if (pricingMode == LMSRPricing.PricingMode.Proportional) revert UnsupportedPricingMode();
     }
-
     
     /**
-     * @notice Natural logarithm using Taylor series
-     * @dev Input must be positive and scaled by 1e18
-     * @param x Input value (scaled by 1e18)
-     * @return Natural log (scaled by 1e18)
+     * @dev Trade that moves `outcome` to `targetPrice`, accounting for the growth of b
+     *      with the trade's own volume (see LMSRPricing.deltaForPrice)
      */
-    function ln(uint256 x) internal pure returns (uint256) {
-        require(x > 0, "ln: x must be positive");
-        
-        // For x close to 1, use Taylor series
-        // Transform to range [1, 2) for better convergence
+    function _deltaForPrice(uint256 outcome, uint256 targetPrice) internal view returns (int256) {
+        return LMSRPricing.deltaForPrice(
+            quantities, _liquidity(), outcome, targetPrice
+        );
+    }
+    
+    function _trade(uint256 outcome, int256 delta, uint256 maxCost, uint256 minPayout) internal {
+        _checkTrading();
         
-        uint256 result = 0;
-        uint256 y = x;
+        LMSRPricing.Quote memory quote = quoteTrade(outcome, delta);
+        _checkSlippage(quote.cost, quote.fee, maxCost, minPayout);
+        _tradeOne(outcome, delta, quote.cost, quote.fee);
+    }
+    
+    /**
+     * @dev Executes a single-outcome trade at its quoted cost and fee
+     */
+    function _tradeOne(uint256 outcome, int256 delta, int256 cost, uint256 fee) internal {
+        uint256 absDelta = uint256(delta > 0 ? delta : -delta);
+        uint256 balance = delta > 0 ? 0 : outcomeToken.balanceOf(msg.sender, tokenId(outcome));
+        _book(cost, fee, absDelta, LMSRPricing.applyOne(quantities, outstandingShares, outcome, delta, balance));
         
-        // Scale to [1, 2) range
-        uint256 k = 0;
-        while (y >= 2 * DECIMALS) {
-            y = y / 2;
-            k++;
+        // Minted last: the receiver hook may call back into the market
+        if (delta > 0) {
+            outcomeToken.mint(msg.sender, outcome, absDelta);
+        } else {
+            outcomeToken.burn(msg.sender, outcome, absDelta);
         }
-        while (y < DECIMALS) {
-            y = y * 2;
-            k--;
+        _settle(cost + int256(fee));
+    }
+    
+    /**
+     * @dev A cost, fee included, above `maxCost` or a payout, after the fee, below `minPayout`
+     *      means the price moved against the order
+     */
+    function _checkSlippage(int256 cost, uint256 fee, uint256 maxCost, uint256 minPayout) internal pure {
+        if (cost > 0 && uint256(cost) + fee > maxCost) revert MaxCostExceeded();
+        if (cost >= 0 ? minPayout > 0 : uint256(-cost) - fee < minPayout) revert MinPayoutNotMet();
+    }
+    
+    /**
+     * @dev Records a trade's volume, cost and fee once quantities have moved
+     * @param maxQuantity Largest quantity after the trade, for the solvency check
+     */
+    function _book(int256 cost, uint256 fee, uint256 volume, uint256 maxQuantity) internal {
+        _addVolume(volume);
+        collateral = cost >= 0 ? collateral + uint256(cost) : collateral - uint256(-cost);
+        _checkSolvency(maxQuantity);
+        accruedFees += fee - _creditLpFees(fee);
+    }
+    
+    function _checkDeadline(uint256 deadline) internal view {
+        if (block.timestamp > deadline) revert DeadlineExpired();
+    }
+    
+    function _checkTrading() internal view {
+        if (paused) revert MarketPaused();
+        if (resolved) revert MarketAlreadyResolved();
+        if (cancelled) revert MarketAlreadyCancelled();
+        if (block.timestamp >= closeTime) revert MarketClosed();
+    }
+    
+    /**
+     * @dev The pool must hold enough to pay every quantity in full, whichever outcome wins.
+     *      With a fixed b this is automatic, since C(q) >= max q. But each trade is priced at
+     *      the b it starts with and b grows with volume, and C rises with b, so `collateral`
+     *      can drift below C(q) at the current b; a large enough alpha would then let cheap
+     *      trades push some quantity past the pool. Trades that would do so revert.
+     *      Quantities bound `outstandingShares` from above (LP deposits scale them, not
+     *      holdings) and complete sets and deposits move both sides alike, so this also
+     *      keeps `isSolvent()` true. A proportional b only moves with q, so there the pool
+     *      tracks C(q) and the check never binds.
+     * @param maxQuantity Largest quantity after the trade
+     */
+    function _checkSolvency(uint256 maxQuantity) internal view {
+        if (collateral < maxQuantity) revert Insolvent();
+    }
+    
+    function _maxOf(uint256[] storage values) internal view returns (uint256 max) {
+        for (uint256 i = 0; i < values.length; i++) {
+            if (values[i] > max) max = values[i];
         }
-        
-        // Taylor series: ln(1+z) = z - z²/2 + z³/3 - z⁴/4 + ...
-        uint256 z = y - DECIMALS;
-        uint256 zPower = z;
-        
-        for (uint256 i = 1; i <= 10; i++) {
-            if (i % 2 == 1) {
-                result += zPower / i;
+    }
+    
+    /**
+     * @notice Worst-case payout: what the pool owes if the outcome traders hold most of wins
+     * @dev Scalar payouts split one unit between Long and Short, so they never exceed this either
+     */
+    function maxLoss() public view returns (uint256) {
+        return _maxOf(outstandingShares);
+    }
+    
+    /**
+     * @notice Whether `collateral` covers every winning share in full, whatever the outcome
+     */
+    function isSolvent() external view returns (bool) {
+        return collateral >= maxLoss();
+    }
+    
+    /**
+     * @dev Settles a trade with the caller: collects `amount` if positive, pays out
+     *      `-amount` if negative. ETH markets net both against `msg.value` and refund the rest.
+     */
+    function _settle(int256 amount) internal {
+        if (address(collateralToken) == address(0)) {
+            int256 refund = int256(msg.value) - amount;
+            if (refund < 0) revert InsufficientPayment();
+            if (refund > 0) payable(msg.sender).transfer(uint256(refund));
+        } else {
+            if (msg.value != 0) revert InvalidPayment();
+            if (amount > 0) {
+                collateralToken.safeTransferFrom(msg.sender, address(this), _toTokenUnits(uint256(amount)));
             } else {
-                result -= zPower / i;
+                _pay(msg.sender, uint256(-amount));
             }
-            zPower = (zPower * z) / DECIMALS;
         }
+    }
+    
+    /**
+     * @dev Takes exactly `amount` from the caller: as `msg.value` in ETH markets, by
+     *      `transferFrom` in token markets (which must receive no ETH)
+     * @return ok Whether the ETH sent matched, for the caller to revert with its own error
+     */
+    function _receive(uint256 amount) internal returns (bool ok) {
+        if (address(collateralToken) == address(0)) return msg.value == amount;
         
-        // ln(2) ≈ 0.693147180559945309
-        uint256 LN2 = 693147180559945309;
-        
-        if (k >= 0) {
-            result = result + (k * LN2);
+        collateralToken.safeTransferFrom(msg.sender, address(this), _toTokenUnits(amount));
+        return msg.value == 0;
+    }
+    
+    /**
+     * @dev Sends `amount` of collateral, rounded down to the token's decimals
+     */
+    function _pay(address to, uint256 amount) internal {
+        if (address(collateralToken) == address(0)) {
+            payable(to).transfer(amount);
         } else {
-            result = result - (uint256(-int256(k)) * LN2);
+            collateralToken.safeTransfer(to, amount / collateralScale);
         }
+    }
+    
+    /**
+     * @dev `amount` in the token's own decimals, rounded up
+     */
+    function _toTokenUnits(uint256 amount) internal view returns (uint256) {
+        return (amount + collateralScale - 1) / collateralScale;
+    }
+    
+    /**
+     * @dev Fee on a trade of the given cost; never more than MAX_FEE_BPS of the payout on sells
+     */
+    function _feeOn(int256 cost) internal view returns (uint256) {
+        return (uint256(cost >= 0 ? cost : -cost) * feeBps) / BPS;
+    }
+    
+    /**
+     * @notice Send all accrued trading fees to the fee recipient (the owner if none is set)
+     * @dev Fees are kept out of `collateral`, so withdrawing never touches what winners,
+     *      refunds or sellers are owed, and is allowed at any stage of the market.
+     */
+    function withdrawFees() external {
+        address recipient = feeRecipient == address(0) ? owner : feeRecipient;
+        if (msg.sender != recipient) revert OnlyFeeRecipient();
+        
+        uint256 amount = accruedFees;
+        if (amount == 0) revert NoFeesAccrued();
+        accruedFees = 0;
+        
+        emit FeesWithdrawn(recipient, amount);
+        _pay(recipient, amount);
+    }
+    
+    /**
+     * @notice Redirect future fee withdrawals; zero sends them to the owner
+     */
+    function setFeeRecipient(address _feeRecipient) external {
+        _checkOwner();
+        feeRecipient = _feeRecipient;
+        
+        emit FeeRecipientUpdated(_feeRecipient);
+    }
+    
+    /**
+     * @notice Halt trading, e.g. when a pricing bug is discovered
+     * @dev Blocks trades, complete-set minting and LP deposits. Everything that lets
+     *      holders exit stays open: selling is a trade and stops, but redeeming complete
+     *      sets, resolution, claims, refunds and LP withdrawals never do.
+     */
+    function pause() external {
+        _checkGuardian();
+        if (paused) revert MarketPaused();
+        paused = true;
+        
+        emit Paused(msg.sender);
+    }
+    
+    function unpause() external {
+        _checkGuardian();
+        if (!paused) revert NotPaused();
+        paused = false;
         
-        return result;
+        emit Unpaused(msg.sender);
     }
     
     /**
-     * @notice Exponential function using Taylor series
-     * @dev Input scaled by 1e18
-     * @param x Input value (scaled by 1e18)
-     * @return e^x (scaled by 1e18)
+     * @notice Hand the pause switch to another address; zero gives it back to the owner
      */
-    function exp(uint256 x) internal pure returns (uint256) {
-       
-        if (x == 0) return DECIMALS;
-        if (x >= 50 * DECIMALS) return type(uint256).max; 
+    function setGuardian(address _guardian) external {
+        _checkOwner();
+        guardian = _guardian;
         
-        // Split into integer and fractional parts
-        uint256 intPart = x / DECIMALS;
-        uint256 fracPart = x % DECIMALS;
+        emit GuardianUpdated(_guardian);
+    }
+    
+    function _checkOwner() internal view {
+        if (msg.sender != owner) revert OnlyOwner();
+    }
+    
+    function _checkGuardian() internal view {
+        if (msg.sender != (guardian == address(0) ? owner : guardian)) revert OnlyGuardian();
+    }
+    
+    /**
+     * @notice Start handing the market to `newOwner`, who takes over once they call
+     *         `acceptOwnership`; zero cancels a pending transfer
+     * @dev Ownership carries everything the owner holds: resolution (without a resolver),
+     *      cancellation, `creatorShares`, and the fee recipient, arbitrator and guardian
+     *      roles wherever those are unset.
+     */
+    function transferOwnership(address newOwner) external {
+        _checkOwner();
+        pendingOwner = newOwner;
+        
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+    
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner) revert OnlyPendingOwner();
         
-        // Calculate e^intPart using repeated multiplication
-        // e ≈ 2.718281828459045235
-        uint256 E = 2718281828459045235;
-        uint256 intResult = DECIMALS;
+        emit OwnershipTransferred(owner, msg.sender);
+        owner = msg.sender;
+        pendingOwner = address(0);
+    }
+    
+    /**
+     * @notice Deposit `amount` of collateral that deepens the market, in exchange for LP shares
+     * @dev Scales b0, bMax and every quantity by k = (collateral + deposit) / collateral. Prices
+     *      depend only on q / b, so they do not move, while getB() and every later trade's
+     *      cost grow by k; the market is a k-times larger copy of itself whose worst-case
+     *      loss the enlarged pool covers. ETH markets take the deposit as `msg.value`, token
+     *      markets by `transferFrom`.
+     *
+     *      Shares are priced against the pool's net value, `collateral - maxLoss()`, which is
+     *      what LPs keep if the outcome traders hold most of wins, rather than against all of
+     *      `collateral`, part of which is owed to traders. A deposit raises that worst case by
+     *      exactly its amount, so it buys its own value and earlier LPs keep theirs, whichever
+     *      outcome wins. Holdings are not scaled: `outstandingShares` and `maxLoss()` stay put
+     *      beneath the grown quantities. Reverts with `InvalidDeposit` if no net value is left.
+     * @return shares LP shares minted to the caller
+     */
+    function addLiquidity(uint256 amount) external payable returns (uint256 shares) {
+        _checkTrading();
+        
+        uint256 pool = collateral;
+        uint256 liability = maxLoss();
+        if (pool <= liability) revert InvalidDeposit();
+        shares = (amount * (creatorShares + totalLpShares)) / (pool - liability);
+        if (shares == 0) revert InvalidDeposit();
         
-        for (uint256 i = 0; i < intPart; i++) {
-            intResult = (intResult * E) / DECIMALS;
+        uint256 newPool = pool + amount;
+        b0 = (b0 * newPool) / pool;
+        uint256 cap = (uint256(bMax) * newPool) / pool;
+        if (cap > type(uint128).max) revert InvalidDeposit();
+        bMax = uint128(cap);
+        LMSRPricing.scale(quantities, newPool, pool);
+        collateral = newPool;
+        
+        _settleLpFees(msg.sender);
+        lpShares[msg.sender] += shares;
+        totalLpShares += shares;
+        
+        emit LiquidityAdded(msg.sender, amount, shares);
+        
+        if (!_receive(amount)) revert InvalidDeposit();
+    }
+    
+    /**
+     * @notice Redeem the caller's LP shares for their part of the pool left over once
+     *         every winning share or refund is paid; the owner also redeems `creatorShares`
+     * @dev Only after resolution or cancellation. Unclaimed fee income is kept for `claimLpFees`.
+     * @return amount Collateral paid out
+     */
+    function withdrawLiquidity() external returns (uint256 amount) {
+        if (!resolved && !cancelled) revert LiquidityLocked();
+        
+        uint256 fromCreator = msg.sender == owner ? creatorShares : 0;
+        uint256 shares = lpShares[msg.sender] + fromCreator;
+        if (shares == 0) revert NoLiquidity();
+        
+        uint256 liability = _settledLiability();
+        uint256 residual = collateral > liability ? collateral - liability : 0;
+        amount = (residual * shares) / (creatorShares + totalLpShares);
+        
+        _settleLpFees(msg.sender);
+        totalLpShares -= lpShares[msg.sender];
+        lpShares[msg.sender] = 0;
+        creatorShares -= fromCreator;
+        collateral -= amount;
+        
+        emit LiquidityRemoved(msg.sender, shares, amount);
+        _pay(msg.sender, amount);
+    }
+    
+    /**
+     * @notice Move LP shares, along with their future fee income, to another address
+     */
+    function transferLpShares(address to, uint256 shares) external {
+        if (lpShares[msg.sender] < shares) revert InsufficientShares();
+        _settleLpFees(msg.sender);
+        _settleLpFees(to);
+        
+        lpShares[msg.sender] -= shares;
+        lpShares[to] += shares;
+        
+        emit LpSharesTransferred(msg.sender, to, shares);
+    }
+    
+    /**
+     * @notice Withdraw the caller's fee income as an LP; available at any time
+     */
+    function claimLpFees() external returns (uint256 amount) {
+        _settleLpFees(msg.sender);
+        amount = lpFeesOwed[msg.sender];
+        if (amount == 0) revert NoFeesAccrued();
+        lpFeesOwed[msg.sender] = 0;
+        
+        emit LpFeesClaimed(msg.sender, amount);
+        _pay(msg.sender, amount);
+    }
+    
+    function pendingLpFees(address provider) external view returns (uint256) {
+        return lpFeesOwed[provider] + (lpShares[provider] * (lpFeePerShare - lpFeeCheckpoint[provider])) / DECIMALS;
+    }
+    
+    /**
+     * @dev Splits a trading fee pro rata over all LP shares and credits the depositors'
+     *      part; the part on `creatorShares` stays with the fee recipient
+     * @return credited Amount set aside for depositors
+     */
+    function _creditLpFees(uint256 fee) internal returns (uint256 credited) {
+        uint256 lpTotal = totalLpShares;
+        if (lpTotal == 0) return 0;
+        
+        uint256 perShare = (fee * DECIMALS) / (creatorShares + lpTotal);
+        lpFeePerShare += perShare;
+        return (perShare * lpTotal) / DECIMALS;
+    }
+    
+    function _settleLpFees(address provider) internal {
+        uint256 perShare = lpFeePerShare;
+        lpFeesOwed[provider] += (lpShares[provider] * (perShare - lpFeeCheckpoint[provider])) / DECIMALS;
+        lpFeeCheckpoint[provider] = perShare;
+    }
+    
+    /**
+     * @dev Collateral still owed to share holders once the market is resolved or cancelled.
+     *      Claims do not reduce `outstandingShares`, so this stays fixed as they are paid.
+     */
+    function _settledLiability() internal view virtual returns (uint256 liability) {
+        if (!cancelled) return outstandingShares[winningOutcome];
+        
+        for (uint256 i = 0; i < numOutcomes; i++) {
+            liability += outstandingShares[i] * refundPrices[i];
         }
+        return liability / DECIMALS;
+    }
+    
+    /**
+     * @notice Owner proposes the outcome, for markets created without a resolver
+     * @dev Claims open only after `finalizeResolution` or a settled dispute
+     */
+    function resolveMarket(uint256 _winningOutcome) external {
+        _checkOwner();
+        if (resolver != address(0)) revert OnlyResolver();
+        _propose(_winningOutcome);
+    }
+    
+    /**
+     * @notice Propose the outcome reported by `resolver`; callable by anyone
+     */
+    function resolve() external {
+        if (resolver == address(0)) revert NoResolver();
         
-        // Calculate e^fracPart using Taylor series
-        // e^x = 1 + x + x²/2! + x³/3! + ...
-        uint256 fracResult = DECIMALS;
-        uint256 term = fracPart;
+        (bool reported, uint256 outcome) = IResolver(resolver).getOutcome(address(this));
+        if (!reported) revert OutcomeNotReported();
+        _propose(outcome);
+    }
+    
+    /**
+     * @notice Challenge the proposed outcome by posting `disputeBond` before `disputeDeadline`
+     * @dev The bond is paid in the market's collateral. It is returned if the arbitrator
+     *      overturns the proposal and added to the pool's collateral if it is upheld.
+     */
+    function dispute() external payable {
+        if (!proposed || resolved) revert NoProposedResolution();
+        if (disputer != address(0)) revert AlreadyDisputed();
+        if (block.timestamp >= disputeDeadline) revert DisputePeriodOver();
+        
+        disputer = msg.sender;
         
-        for (uint256 i = 1; i <= 20; i++) {
-            fracResult += term;
-            term = (term * fracPart) / (DECIMALS * (i + 1));
-            if (term == 0) break;
+        emit ResolutionDisputed(msg.sender, proposedOutcome);
+        
+        if (!_receive(disputeBond)) revert InvalidDisputeBond();
+    }
+    
+    /**
+     * @notice Arbitrator's final ruling on a disputed proposal
+     */
+    function settleDispute(uint256 _winningOutcome) external {
+        if (msg.sender != (arbitrator == address(0) ? owner : arbitrator)) revert OnlyArbitrator();
+        if (resolved) revert MarketAlreadyResolved();
+        if (cancelled) revert MarketAlreadyCancelled();
+        if (disputer == address(0)) revert NotDisputed();
+        
+        uint256 outcome = _checkOutcome(_winningOutcome);
+        _finalize(outcome);
+        
+        if (outcome == proposedOutcome) {
+            collateral += disputeBond;
+        } else {
+            _pay(disputer, disputeBond);
         }
+    }
+    
+    /**
+     * @notice Make an undisputed proposal final once the dispute period is over; callable by anyone
+     */
+    function finalizeResolution() external {
+        if (!proposed || resolved) revert NoProposedResolution();
+        if (cancelled) revert MarketAlreadyCancelled();
+        if (disputer != address(0)) revert AlreadyDisputed();
+        if (block.timestamp < disputeDeadline) revert DisputePeriodActive();
+        
+        _finalize(proposedOutcome);
+    }
+    
+    function _propose(uint256 _outcome) internal {
+        if (resolved) revert MarketAlreadyResolved();
+        if (cancelled) revert MarketAlreadyCancelled();
+        if (proposed) revert ResolutionAlreadyProposed();
+        if (block.timestamp < closeTime) revert MarketNotClosed();
+        
+        uint256 outcome = _checkOutcome(_outcome);
+        proposed = true;
+        proposedOutcome = outcome;
+        disputeDeadline = block.timestamp + disputePeriod;
+        
+        emit ResolutionProposed(outcome, disputeDeadline);
+    }
+    
+    /**
+     * @dev Validates a proposed or arbitrated outcome and returns the value to record
+     */
+    function _checkOutcome(uint256 _outcome) internal view virtual returns (uint256) {
+        if (_outcome >= numOutcomes) revert InvalidOutcome();
+        return _outcome;
+    }
+    
+    function _finalize(uint256 _winningOutcome) internal {
+        resolved = true;
+        winningOutcome = _winningOutcome;
+        
+        emit ResolutionFinalized(_winningOutcome);
+    }
+    
+    /**
+     * @notice Void the market, e.g. when the question turns out to be ambiguous
+     * @dev Every share becomes redeemable at its outcome's price when cancelled. Should
+     *      those prices owe more than the pool holds, all of them are scaled down pro rata
+     *      so that total refunds never exceed `collateral`. Should the prices fail to
+     *      compute, every outcome refunds at 1 / numOutcomes instead.
+     */
+    function cancelMarket() external {
+        _checkOwner();
+        if (resolved) revert MarketAlreadyResolved();
+        if (cancelled) revert MarketAlreadyCancelled();
+        
+        cancelled = true;
+        // Refunds split evenly should pricing ever revert, so the market can always be voided
+        uint256[] memory prices;
+        try this.getPrices() returns (uint256[] memory current) {
+            prices = current;
+        } catch (bytes memory reason) {
+            // Out of gas: retry with more rather than voiding at the fallback prices
+            if (reason.length == 0) revert InsufficientGas();
+        }
+        LMSRPricing.cancel(prices, outstandingShares, collateral, refundPrices);
+        
+        // A pending dispute is moot once the market is void
+        if (disputer != address(0)) {
+            _pay(disputer, disputeBond);
+        }
+    }
+    
+    /**
+     * @notice Redeem all of the caller's shares at the cancellation refund prices
+     */
+    function claimRefund() external {
+        if (!cancelled) revert NotCancelled();
+        
+        uint256[] memory outcomes = _outcomeIndices();
+        uint256[] memory balances = getAllUserBalances(msg.sender);
+        uint256 refund = 0;
+        for (uint256 i = 0; i < numOutcomes; i++) {
+            refund += balances[i] * refundPrices[i];
+        }
+        refund /= DECIMALS;
+        if (refund == 0) revert InsufficientShares();
+        
+        outcomeToken.burnBatch(msg.sender, outcomes, balances);
+
+        emit RefundClaimed(msg.sender, refund);
+        _pay(msg.sender, refund);
+    }
+    
+ 
+    function claimWinnings() external {
+        if (!resolved) revert NotResolved();
+        
+        uint256 payout = _redeemWinnings(msg.sender);
+        if (payout == 0) revert InsufficientShares();
         
-        return (intResult * fracResult) / DECIMALS;
+        _pay(msg.sender, payout);
+    }
+    
+    /**
+     * @dev Burns the holder's shares that pay out under the final outcome and returns their value
+     */
+    function _redeemWinnings(address holder) internal virtual returns (uint256 payout) {
+        // Each winning share pays out 1 unit of collateral (1e18)
+        payout = outcomeToken.balanceOf(holder, tokenId(winningOutcome));
+        if (payout > 0) outcomeToken.burn(holder, winningOutcome, payout);
+    }
+    
+    /**
+     * @notice ERC-1155 id of this market's shares in `outcome` on `outcomeToken`
+     */
+    function tokenId(uint256 outcome) public view returns (uint256) {
+        return outcomeToken.tokenId(address(this), outcome);
+    }
+  
+    function getUserBalance(address user, uint256 outcome) external view returns (uint256) {
+        return outcomeToken.balanceOf(user, tokenId(outcome));
+    }
+    
+    /**
+     * @notice The user's shares in every outcome, via one `balanceOfBatch` call
+     */
+    function getAllUserBalances(address user) public view returns (uint256[] memory) {
+        uint256[] memory ids = new uint256[](numOutcomes);
+        address[] memory accounts = new address[](numOutcomes);
+        for (uint256 i = 0; i < numOutcomes; i++) {
+            ids[i] = tokenId(i);
+            accounts[i] = user;
+        }
+        return outcomeToken.balanceOfBatch(accounts, ids);
     }
     
+    function _outcomeIndices() internal view returns (uint256[] memory indices) {
+        indices = new uint256[](numOutcomes);
+        for (uint256 i = 0; i < numOutcomes; i++) {
+            indices[i] = i;
+        }
+    }
+
+    
+    /**
+     * @dev `_currentVolume` is the volume b is derived from now: `totalVolume`, or with a
+     *      half-life `recentVolume` decayed to the current block
+     */
     function getMarketInfo() external view returns (
         uint256 _numOutcomes,
         uint256 _b0,
@@ -278,7 +1239,10 @@ contract LSLMSRMarket {
         uint256 _totalVolume,
         uint256 _collateral,
         bool _resolved,
-        uint256 _winningOutcome
+        uint256 _winningOutcome,
+        uint256 _bMax,
+        uint256 _volumeHalfLife,
+        uint256 _currentVolume
     ) {
         return (
             numOutcomes,
@@ -288,56 +1252,31 @@ contract LSLMSRMarket {
             totalVolume,
             collateral,
             resolved,
-            winningOutcome
+            winningOutcome,
+            bMax,
+            volumeHalfLife,
+            _volume()
         );
     }
 
-    function _computePrices(uint256[] memory _quantities) internal view returns (uint256[] memory) {
-    uint256[] memory prices = new uint256[](numOutcomes);
-    uint256 b = getB();
-    
-    if (numOutcomes == 0 || b == 0) {
-        // Fallback: equal if invalid
-        uint256 equal = DECIMALS / numOutcomes;
-        for (uint256 i = 0; i < numOutcomes; i++) prices[i] = equal;
-        return prices;
-    }
-    
-    // Find maxQ for relative exps
-    uint256 maxQ = _quantities[0];
-    for (uint256 i = 1; i < numOutcomes; i++) {
-        if (_quantities[i] > maxQ) maxQ = _quantities[i];
-    }
-    
-    uint256 sumRel = 0;
-    uint256[] memory relExps = new uint256[](numOutcomes);
-    
-    for (uint256 i = 0; i < numOutcomes; i++) {
-        uint256 delta = maxQ > _quantities[i] ? maxQ - _quantities[i] : 0;
-        uint256 argRel = (delta * DECIMALS) / b;
-        
-        uint256 expRel;
-        if (argRel == 0) {
-            expRel = DECIMALS;
-        } else {
-            uint256 expPos = exp(argRel);
-            expRel = expPos == 0 ? 0 : (DECIMALS * DECIMALS) / expPos;
-        }
-        
-        relExps[i] = expRel;
-        sumRel += expRel;
+    /**
+     * @notice Current lifecycle stage: Open until `closeTime`, then Closed until an outcome is
+     *         proposed, Proposed (or Disputed) until it is final, or Cancelled at any point
+     */
+    function getState() public view returns (MarketState) {
+        if (resolved) return MarketState.Resolved;
+        if (cancelled) return MarketState.Cancelled;
+        if (disputer != address(0)) return MarketState.Disputed;
+        if (proposed) return MarketState.Proposed;
+        if (block.timestamp >= closeTime) return MarketState.Closed;
+        return MarketState.Open;
     }
-    
-    if (sumRel == 0) {
-        // Extreme case: equal fallback
-        uint256 equal = DECIMALS / numOutcomes;
-        for (uint256 i = 0; i < numOutcomes; i++) prices[i] = equal;
-    } else {
-        for (uint256 i = 0; i < numOutcomes; i++) {
-            prices[i] = (relExps[i] * DECIMALS) / sumRel;
-        }
+
+    /**
+     * @notice Descriptive information about what the market predicts
+     */
+    function getMetadata() external view returns (MarketMetadata memory) {
+        return abi.decode(metadata, (MarketMetadata));
     }
-    
-    return prices;
+
 }
-}
\ No newline at end of file
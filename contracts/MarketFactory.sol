@@ -0,0 +1,248 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Clones} from "@openzeppelin/contracts/proxy/Clones.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {LSLMSRMarket} from "./LMSR.sol";
+import {ScalarMarket} from "./ScalarMarket.sol";
+import {OutcomeToken} from "./OutcomeToken.sol";
+
+/**
+ * @title MarketFactory
+ * @notice Deploys LSLMSRMarket instances as minimal-proxy clones and keeps a registry
+ * @dev Every market is a clone of one of two locked templates (categorical or scalar), so
+ *      creating a market costs a clone deployment plus initialization instead of a full
+ *      contract deployment. The templates are deployed separately and passed in, since
+ *      embedding both markets' creation code would exceed the initcode size limit.
+ *      Both templates share one OutcomeToken, which every clone mints its shares on.
+ */
+contract MarketFactory {
+    using SafeERC20 for IERC20;
+
+    struct MarketRecord {
+        address creator;
+        string question;
+        uint256 createdAt;
+        bool scalar;
+    }
+
+    address public immutable implementation;
+    address public immutable scalarImplementation;
+
+    address[] public markets;                               // All markets, in creation order
+    mapping(address => MarketRecord) internal records;
+    mapping(address => address[]) internal creatorMarkets;
+
+    event MarketCreated(
+        address indexed market,
+        address indexed creator,
+        uint256 indexed index,
+        uint256 numOutcomes,
+        uint256 b0,
+        uint256 alpha,
+        uint256 closeTime,
+        string question,
+        string category
+    );
+
+    error InsufficientFunding();
+    error UnknownMarket();
+    error InvalidTemplate();
+    error InvalidCollateral();
+
+    /**
+     * @param _implementation LSLMSRMarket deployed with `_numOutcomes == 0`
+     * @param _scalarImplementation ScalarMarket deployed with `_upperBound == 0`
+     */
+    constructor(address _implementation, address _scalarImplementation) {
+        _checkTemplate(_implementation);
+        _checkTemplate(_scalarImplementation);
+        // Both kinds of market must mint on the same OutcomeToken
+        if (LSLMSRMarket(_implementation).outcomeToken() != LSLMSRMarket(_scalarImplementation).outcomeToken()) {
+            revert InvalidTemplate();
+        }
+        implementation = _implementation;
+        scalarImplementation = _scalarImplementation;
+    }
+
+    /**
+     * @notice ERC-1155 contract holding the shares of every market this factory creates
+     */
+    function outcomeToken() external view returns (OutcomeToken) {
+        return LSLMSRMarket(implementation).outcomeToken();
+    }
+
+    /**
+     * @notice Exact funding a market with these parameters needs: b0 * ln(n)
+     */
+    function requiredFunding(uint256 numOutcomes, uint256 b0) public view returns (uint256) {
+        return LSLMSRMarket(implementation).initialFunding(numOutcomes, b0);
+    }
+
+    /**
+     * @notice Create and fund a new market owned by the caller
+     * @dev Forwards exactly `requiredFunding(numOutcomes, b0)` of ETH and refunds the rest,
+     *      or for a token market pulls that amount (in the token's decimals, rounded up)
+     *      from the caller, who must have approved this factory
+     * @param numOutcomes Number of outcomes (2-64)
+     * @param b0 Base liquidity parameter (scaled by 1e18, non-zero)
+     * @param alpha Sensitivity parameter (scaled by 1e18)
+     * @param liquidityConfig How b follows the market, VolumeScaled or Proportional (Othman et al.),
+     *        and for a volume-scaled b an optional cap and volume half-life (zero = none)
+     * @param closeTime Timestamp after which trading stops
+     * @param collateralToken ERC-20 collateral, or zero for ETH
+     * @param fees Trading fee in basis points and its recipient (zero = the creator)
+     * @param resolution Resolver (zero = the creator resolves), arbitrator, dispute period and bond
+     * @param metadata Question, outcome labels, category and resolution source
+     * @return market Address of the new market
+     */
+    function createMarket(
+        uint256 numOutcomes,
+        uint256 b0,
+        uint256 alpha,
+        LSLMSRMarket.LiquidityConfig calldata liquidityConfig,
+        uint256 closeTime,
+        IERC20 collateralToken,
+        LSLMSRMarket.FeeConfig calldata fees,
+        LSLMSRMarket.ResolutionConfig calldata resolution,
+        LSLMSRMarket.MarketMetadata calldata metadata
+    ) external payable returns (address market) {
+        market = Clones.clone(implementation);
+        uint256 value = _fund(market, collateralToken, requiredFunding(numOutcomes, b0));
+        LSLMSRMarket(market).initialize{value: value}(
+            msg.sender, numOutcomes, b0, alpha, liquidityConfig, closeTime, collateralToken, fees, resolution, metadata
+        );
+
+        _register(market, false, metadata);
+        emit MarketCreated(
+            market,
+            msg.sender,
+            markets.length - 1,
+            numOutcomes,
+            b0,
+            alpha,
+            closeTime,
+            metadata.question,
+            metadata.category
+        );
+
+        if (msg.value > value) {
+            payable(msg.sender).transfer(msg.value - value);
+        }
+    }
+
+    /**
+     * @notice Create and fund a new scalar market owned by the caller
+     * @dev Funded like a two-outcome market; emits `MarketCreated` with `numOutcomes` = 2
+     * @param lowerBound Value at which Long pays nothing
+     * @param upperBound Value at which Long pays in full
+     * @return market Address of the new market
+     */
+    function createScalarMarket(
+        uint256 lowerBound,
+        uint256 upperBound,
+        uint256 b0,
+        uint256 alpha,
+        LSLMSRMarket.LiquidityConfig calldata liquidityConfig,
+        uint256 closeTime,
+        IERC20 collateralToken,
+        LSLMSRMarket.FeeConfig calldata fees,
+        LSLMSRMarket.ResolutionConfig calldata resolution,
+        LSLMSRMarket.MarketMetadata calldata metadata
+    ) external payable returns (address market) {
+        market = Clones.clone(scalarImplementation);
+        uint256 value = _fund(market, collateralToken, requiredFunding(2, b0));
+        ScalarMarket(market).initializeScalar{value: value}(
+            msg.sender, lowerBound, upperBound, b0, alpha, liquidityConfig, closeTime, collateralToken, fees, resolution, metadata
+        );
+
+        _register(market, true, metadata);
+        emit MarketCreated(
+            market,
+            msg.sender,
+            markets.length - 1,
+            2,
+            b0,
+            alpha,
+            closeTime,
+            metadata.question,
+            metadata.category
+        );
+
+        if (msg.value > value) {
+            payable(msg.sender).transfer(msg.value - value);
+        }
+    }
+
+    /**
+     * @dev Readies `funding` for the new market to take: checks the ETH sent, or pulls the
+     *      tokens from the caller and approves the market to pull them in turn
+     * @return value ETH to forward to the market's initializer
+     */
+    function _fund(address market, IERC20 collateralToken, uint256 funding) internal returns (uint256 value) {
+        if (address(collateralToken) == address(0)) {
+            if (msg.value < funding) revert InsufficientFunding();
+            return funding;
+        }
+
+        uint8 decimals = IERC20Metadata(address(collateralToken)).decimals();
+        if (decimals > 18) revert InvalidCollateral();
+        uint256 scale = 10 ** (18 - decimals);
+        uint256 amount = (funding + scale - 1) / scale;
+        collateralToken.safeTransferFrom(msg.sender, address(this), amount);
+        collateralToken.forceApprove(market, amount);
+    }
+
+    // A locked template is initialized but was never set up as a market
+    function _checkTemplate(address template) internal view {
+        if (template.code.length == 0) revert InvalidTemplate();
+        LSLMSRMarket market = LSLMSRMarket(template);
+        if (!market.initialized() || market.numOutcomes() != 0) revert InvalidTemplate();
+    }
+
+    function _register(address market, bool scalar, LSLMSRMarket.MarketMetadata calldata metadata) internal {
+        records[market] = MarketRecord({
+            creator: msg.sender,
+            question: metadata.question,
+            createdAt: block.timestamp,
+            scalar: scalar
+        });
+        creatorMarkets[msg.sender].push(market);
+        markets.push(market);
+    }
+
+    function marketCount() external view returns (uint256) {
+        return markets.length;
+    }
+
+    function isMarket(address market) public view returns (bool) {
+        return records[market].creator != address(0);
+    }
+
+    function getMarketRecord(address market) external view returns (MarketRecord memory) {
+        if (!isMarket(market)) revert UnknownMarket();
+        return records[market];
+    }
+
+    function marketsByCreator(address creator) external view returns (address[] memory) {
+        return creatorMarkets[creator];
+    }
+
+    /**
+     * @notice Page through markets in creation order
+     * @param offset Index of the first market to return
+     * @param limit Maximum number of markets to return
+     */
+    function getMarkets(uint256 offset, uint256 limit) external view returns (address[] memory page) {
+        uint256 total = markets.length;
+        if (offset >= total) return new address[](0);
+
+        uint256 end = offset + limit > total ? total : offset + limit;
+        page = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = markets[i];
+        }
+    }
+}
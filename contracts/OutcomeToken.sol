@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ERC1155} from "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title OutcomeToken
+ * @notice ERC-1155 outcome shares for every market, one token id per (market, outcome)
+ * @dev A single deployment serves all markets. The id packs the market address above the
+ *      outcome index, and a market can only mint or burn ids carrying its own address, so
+ *      minting needs no registry: any other caller only ever touches its own id range.
+ *      Markets burn without an approval because holders redeem through the market itself.
+ */
+contract OutcomeToken is ERC1155 {
+
+    error InvalidOutcome();
+
+    /**
+     * @param uri_ Metadata URI template (`{id}` is replaced by the hex token id)
+     */
+    constructor(string memory uri_) ERC1155(uri_) {}
+
+    /**
+     * @notice Token id of `market`'s shares in `outcome`
+     * @dev Outcomes must fit below the address bits, or a caller could reach another market's ids
+     */
+    function tokenId(address market, uint256 outcome) public pure returns (uint256) {
+        if (outcome >> 96 != 0) revert InvalidOutcome();
+        return (uint256(uint160(market)) << 96) | outcome;
+    }
+
+    /**
+     * @notice Market a token id belongs to
+     */
+    function marketOf(uint256 id) external pure returns (address) {
+        return address(uint160(id >> 96));
+    }
+
+    function mint(address to, uint256 outcome, uint256 amount) external {
+        _mint(to, tokenId(msg.sender, outcome), amount, "");
+    }
+
+    function mintBatch(address to, uint256[] memory outcomes, uint256[] memory amounts) external {
+        for (uint256 i = 0; i < outcomes.length; i++) {
+            outcomes[i] = tokenId(msg.sender, outcomes[i]);
+        }
+        _mintBatch(to, outcomes, amounts, "");
+    }
+
+    function burn(address from, uint256 outcome, uint256 amount) external {
+        _burn(from, tokenId(msg.sender, outcome), amount);
+    }
+
+    function burnBatch(address from, uint256[] memory outcomes, uint256[] memory amounts) external {
+        for (uint256 i = 0; i < outcomes.length; i++) {
+            outcomes[i] = tokenId(msg.sender, outcomes[i]);
+        }
+        _burnBatch(from, outcomes, amounts);
+    }
+}
@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {LSLMSRMarket} from "./LMSR.sol";
+import {OutcomeToken} from "./OutcomeToken.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title ScalarMarket
+ * @notice LS-LMSR market on a number in [lowerBound, upperBound], traded as Long and Short
+ * @dev Outcome 0 is Long and outcome 1 is Short, priced by the same two-outcome cost function.
+ *      The market resolves to a value (clamped into range) instead of an outcome index, and
+ *      `winningOutcome` holds that value. Each Long share pays
+ *      (value - lowerBound) / (upperBound - lowerBound) and each Short share the remainder.
+ */
+contract ScalarMarket is LSLMSRMarket {
+
+    uint256 public constant LONG = 0;
+    uint256 public constant SHORT = 1;
+
+    uint256 public lowerBound;
+    uint256 public upperBound;
+
+    error InvalidBounds();
+
+    /**
+     * @param _outcomeToken ERC-1155 contract the market mints its shares on
+     * @param _lowerBound Value at which Long pays nothing
+     * @param _upperBound Value at which Long pays in full, or 0 for a locked clone template
+     */
+    constructor(
+        OutcomeToken _outcomeToken,
+        uint256 _lowerBound,
+        uint256 _upperBound,
+        uint256 _b0,
+        uint256 _alpha,
+        LiquidityConfig memory _liquidityConfig,
+        uint256 _closeTime,
+        IERC20 _collateralToken,
+        FeeConfig memory _fees,
+        ResolutionConfig memory _resolution,
+        MarketMetadata memory _metadata
+    ) payable LSLMSRMarket(_outcomeToken, 0, 0, 0, _liquidityConfig, 0, _collateralToken, _fees, _resolution, _metadata) {
+        // The base constructor has locked this contract as a template already
+        if (_upperBound == 0) return;
+
+        lowerBound = _lowerBound;
+        upperBound = _upperBound;
+        _initialize(msg.sender, 2, _b0, _alpha, _liquidityConfig, _closeTime, _collateralToken, _fees, _resolution, _metadata);
+    }
+
+    /**
+     * @notice Set up a clone funded with `initialFunding(2, _b0)`, like `initialize`
+     */
+    function initializeScalar(
+        address _owner,
+        uint256 _lowerBound,
+        uint256 _upperBound,
+        uint256 _b0,
+        uint256 _alpha,
+        LiquidityConfig memory _liquidityConfig,
+        uint256 _closeTime,
+        IERC20 _collateralToken,
+        FeeConfig memory _fees,
+        ResolutionConfig memory _resolution,
+        MarketMetadata memory _metadata
+    ) external payable {
+        if (initialized) revert AlreadyInitialized();
+
+        lowerBound = _lowerBound;
+        upperBound = _upperBound;
+        _initialize(_owner, 2, _b0, _alpha, _liquidityConfig, _closeTime, _collateralToken, _fees, _resolution, _metadata);
+    }
+
+    /**
+     * @notice Share of one unit of collateral (scaled by 1e18) a Long share pays if the market resolves to `value`
+     */
+    function longPayout(uint256 value) public view returns (uint256) {
+        value = _clamp(value);
+        return ((value - lowerBound) * DECIMALS) / (upperBound - lowerBound);
+    }
+
+    function _initialize(
+        address _owner,
+        uint256 _numOutcomes,
+        uint256 _b0,
+        uint256 _alpha,
+        LiquidityConfig memory _liquidityConfig,
+        uint256 _closeTime,
+        IERC20 _collateralToken,
+        FeeConfig memory _fees,
+        ResolutionConfig memory _resolution,
+        MarketMetadata memory _metadata
+    ) internal override {
+        // Also rejects the base `initialize`, which never sets bounds
+        if (upperBound <= lowerBound) revert InvalidBounds();
+        if (_numOutcomes != 2) revert InvalidNumOutcomes();
+        super._initialize(_owner, _numOutcomes, _b0, _alpha, _liquidityConfig, _closeTime, _collateralToken, _fees, _resolution, _metadata);
+    }
+
+    function _checkOutcome(uint256 _value) internal view override returns (uint256) {
+        return _clamp(_value);
+    }
+
+    function _redeemWinnings(address holder) internal override returns (uint256 payout) {
+        uint256[] memory balances = getAllUserBalances(holder);
+        payout = _valueAt(balances[LONG], balances[SHORT]);
+        if (balances[LONG] + balances[SHORT] > 0) outcomeToken.burnBatch(holder, _outcomeIndices(), balances);
+    }
+
+    function _settledLiability() internal view override returns (uint256) {
+        if (cancelled) return super._settledLiability();
+        return _valueAt(outstandingShares[LONG], outstandingShares[SHORT]);
+    }
+
+    // What Long and Short shares pay out at the resolved value
+    function _valueAt(uint256 longShares, uint256 shortShares) internal view returns (uint256) {
+        uint256 longShare = longPayout(winningOutcome);
+        return (longShares * longShare + shortShares * (DECIMALS - longShare)) / DECIMALS;
+    }
+
+    function _clamp(uint256 value) internal view returns (uint256) {
+        if (value < lowerBound) return lowerBound;
+        if (value > upperBound) return upperBound;
+        return value;
+    }
+}
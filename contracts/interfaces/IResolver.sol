@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IResolver
+ * @notice Oracle an LSLMSRMarket consults to learn its winning outcome
+ * @dev One resolver may serve many markets, so answers are keyed by market address.
+ */
+interface IResolver {
+    /**
+     * @param market Market asking for its result
+     * @return resolved Whether the outcome is final
+     * @return outcome Winning outcome index (meaningless while `resolved` is false)
+     */
+    function getOutcome(address market) external view returns (bool resolved, uint256 outcome);
+}
@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ud} from "@prb/math/src/UD60x18.sol";
+import {sd} from "@prb/math/src/SD59x18.sol";
+
+/**
+ * @title LMSRMath
+ * @notice The logarithms and exponentials behind LS-LMSR pricing, on PRBMath 60.18 fixed point
+ * @dev All values are scaled by 1e18. Error bounds, checked against 50-digit references
+ *      across each function's domain in test/LMSRMath.test.js:
+ *        ln, lnSigned   absolute error below 3e-17
+ *        exp            relative error below 1e-16 (absolute below 1e-17 for x < 2)
+ *        expNeg         absolute error at most 1e-18
+ *      A cost b * ln(S) is therefore within 3e-17 * b of exact, i.e. a few dozen wei
+ *      for b = 1 ETH.
+ */
+library LMSRMath {
+
+    uint256 internal constant UNIT = 1e18;
+
+    // Largest input whose exponential fits in 60.18 fixed point (PRBMath's bound)
+    uint256 internal constant MAX_EXP_INPUT = 133_084258667509499440;
+
+    // exp(-x) rounds to zero at 18 decimals beyond this
+    uint256 internal constant EXP_NEG_CUTOFF = 41_446531673892822322;
+
+    error LnInputTooSmall();
+    error LnInputTooLarge();
+    error ExpInputTooBig();
+
+    /**
+     * @notice ln(x) for x >= 1
+     */
+    function ln(uint256 x) internal pure returns (uint256) {
+        if (x < UNIT) revert LnInputTooSmall();
+        return ud(x).ln().unwrap();
+    }
+
+    /**
+     * @notice ln(x) for 0 < x <= type(int256).max, negative below 1
+     */
+    function lnSigned(uint256 x) internal pure returns (int256) {
+        if (x == 0) revert LnInputTooSmall();
+        if (x > uint256(type(int256).max)) revert LnInputTooLarge();
+        return sd(int256(x)).ln().unwrap();
+    }
+
+    /**
+     * @notice e^x for x <= MAX_EXP_INPUT
+     */
+    function exp(uint256 x) internal pure returns (uint256) {
+        if (x > MAX_EXP_INPUT) revert ExpInputTooBig();
+        return ud(x).exp().unwrap();
+    }
+
+    /**
+     * @notice e^-x, which is zero at 18 decimals from EXP_NEG_CUTOFF on
+     */
+    function expNeg(uint256 x) internal pure returns (uint256) {
+        if (x > EXP_NEG_CUTOFF) return 0;
+        return uint256(sd(-int256(x)).exp().unwrap());
+    }
+}
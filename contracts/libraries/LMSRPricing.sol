@@ -0,0 +1,748 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {LMSRMath} from "./LMSRMath.sol";
+
+/**
+ * @title LMSRPricing
+ * @notice LS-LMSR cost function, prices and trade solvers over a market's quantity vector
+ * @dev Deployed once and linked: markets delegatecall the public functions with their
+ *      `quantities` storage array, which keeps the pricing code out of every market's
+ *      bytecode. All values are scaled by 1e18. It was split out of LSLMSRMarket when
+ *      ERC-20 collateral took the market past the 24 KB contract size limit (EIP-170);
+ *      every market now needs its address linked at deployment.
+ *
+ *      Two rules for the liquidity parameter b (`PricingMode`):
+ *      - VolumeScaled: b = b0 * exp(alpha * volume), fixed between trades and growing
+ *        with each, optionally capped at bMax. The market may instead pass volume with
+ *        a half-life (`decayVolume`), so b follows recent activity and relaxes towards
+ *        b0 between trades. Prices are the softmax of q / b and sum to 1.
+ *      - Proportional: b(q) = alpha * sum(q), the LS-LMSR of Othman, Pennock, Reeves and
+ *        Sandholm ("A Practical Liquidity-Sensitive Automated Market Maker", 2013). C(q)
+ *        keeps its form with b re-evaluated at every q, so b can fall again as shares are
+ *        sold, and prices carry an extra term that makes them sum to slightly more than 1
+ *        (at most 1 + alpha * n * ln(n)): the market maker's spread.
+ */
+library LMSRPricing {
+
+    uint256 internal constant UNIT = 1e18;
+
+    /**
+     * @dev Relative exponentials of one quantity vector at one b: `exps[j]` is
+     *      exp((q_j - maxQ) / b) scaled by 1e18, so the leader's term is exactly 1e18
+     *      and C(q) = maxQ + b * ln(sum). Built in one pass and shared by the cost,
+     *      price and quote paths instead of re-running `exp` per outcome for each.
+     */
+    struct ExpCache {
+        uint256 b;
+        uint256 maxQ;
+        uint256 sum;
+        uint256[] exps;
+    }
+
+    /**
+     * @dev A trade's price and both cost-function terms it is the difference of. With a
+     *      volume-scaled b both are evaluated at the b the trade starts with: its own volume
+     *      only moves b for later trades, which keeps the price a path-independent
+     *      difference of C at one b and lets the budget and target-price solvers invert it.
+     *      With a proportional b each term is evaluated at its own b(q), so `bAfter` differs.
+     */
+    struct Quote {
+        uint256 b;                         // Liquidity C(q) is evaluated at
+        uint256 bAfter;                    // Liquidity C(q') is evaluated at
+        uint256 costBefore;                // C(q, b)
+        uint256 costAfter;                 // C(q', bAfter)
+        int256 cost;                       // costAfter - costBefore (negative for sells)
+        uint256 fee;                       // Trading fee on top; left zero here, set by the market
+        uint256[] newPrices;               // Prices after the trade, at bAfter
+    }
+
+    enum PricingMode {
+        VolumeScaled,                      // b = b0 * exp(alpha * volume)
+        Proportional                       // b = alpha * sum(q), Othman et al.
+    }
+
+    // What b is derived from
+    struct Liquidity {
+        uint256 b0;
+        uint256 alpha;
+        uint256 bMax;                      // Cap on a volume-scaled b; zero = uncapped
+        uint256 volume;                    // Volume driving b, already decayed if the market decays it
+        PricingMode mode;
+    }
+
+    // `skip` value for `_expCache` that keeps every outcome
+    uint256 private constant NO_SKIP = type(uint256).max;
+    // Below this an updated sum has lost too many digits to the cached terms' rounding
+    uint256 private constant MIN_CACHED_SUM = 1e12;
+    // Bound on the bracketing steps of the proportional-mode solvers
+    uint256 private constant MAX_DOUBLINGS = 96;
+    // ln(2), for half-lives
+    uint256 private constant LN2 = 693147180559945309;
+    // Where an uncapped volume-scaled b stops growing, so that b0 * exp(k) always fits
+    uint256 private constant UNCAPPED_B_MAX = type(uint128).max;
+
+    // Same selectors as the market's errors, so callers decode them against the market ABI
+    error InvalidOutcome();
+    error InvalidDelta();
+    error InsufficientPayment();
+    error InsufficientShares();
+    error InvalidTargetPrice();
+    error TargetPriceUnreachable();
+    error InvalidAlpha();
+    error PriceTooLow();
+
+    // The market's events, emitted from it through delegatecall
+    event SharesTransferred(address indexed user, uint256 indexed outcome, int256 amount);
+    event MarketCancelled(uint256[] refundPrices);
+
+    /**
+     * @notice Collateral that covers the worst-case loss of a fresh market: C(0) = b0 * ln(n)
+     */
+    function initialFunding(uint256 numOutcomes, uint256 b0) public pure returns (uint256) {
+        return (b0 * LMSRMath.ln(numOutcomes * UNIT)) / UNIT;
+    }
+
+    /**
+     * @notice `volume` traded `elapsed` seconds ago, halved every `halfLife` seconds
+     * @dev volume * 2^(-elapsed / halfLife), reaching zero once the factor rounds away
+     */
+    function decayVolume(uint256 volume, uint256 elapsed, uint256 halfLife) public pure returns (uint256) {
+        return (volume * LMSRMath.expNeg((LN2 * elapsed) / halfLife)) / UNIT;
+    }
+
+    /**
+     * @dev Volume-scaled b = min(b0 * exp(alpha * volume), bMax). exp(k) stops fitting in
+     *      60.18 fixed point past k = 133, beyond which it would exceed bMax / b0 for any
+     *      cap a market can store, so b saturates there instead; comparing exp(k) against
+     *      bMax / b0 before multiplying keeps b0 * exp(k) in range too. An uncapped b
+     *      saturates at UNCAPPED_B_MAX, the largest cap a market can store.
+     */
+    function _bAt(Liquidity memory liquidity, uint256 volume) private pure returns (uint256) {
+        // k = α * Q
+        uint256 k = (liquidity.alpha * volume) / UNIT;
+
+        uint256 bMax = liquidity.bMax;
+        if (bMax == 0) bMax = liquidity.b0 > UNCAPPED_B_MAX ? liquidity.b0 : UNCAPPED_B_MAX;
+        if (k > LMSRMath.MAX_EXP_INPUT) return bMax;
+
+        // b = b0 * exp(k)
+        uint256 expK = LMSRMath.exp(k);
+        if (expK >= (bMax * UNIT) / liquidity.b0) return bMax;
+        return (liquidity.b0 * expK) / UNIT;
+    }
+
+    /**
+     * @notice Quantities a proportional market starts from, so that C(q0) equals `initialFunding`
+     * @dev With every q_i = x, b = alpha * n * x and C = x + b * ln(n) = x * (1 + alpha * n * ln(n)),
+     *      so the same b0 * ln(n) funds a market in either mode. Proportional b is undefined
+     *      at q = 0, which is why the market cannot start empty.
+     */
+    function seed(uint256[] storage quantities, uint256 b0, uint256 alpha) public {
+        if (alpha == 0) revert InvalidAlpha();
+
+        uint256 n = quantities.length;
+        uint256 lnN = LMSRMath.ln(n * UNIT);
+        uint256 x = (b0 * lnN) / (UNIT + (alpha * n * lnN) / UNIT);
+        for (uint256 i = 0; i < n; i++) {
+            quantities[i] = x;
+        }
+    }
+
+    /**
+     * @notice Scales every quantity by `numerator / denominator`, rounding down
+     * @dev Prices depend only on q / b, so scaling b alike leaves them where they were.
+     *      Used for LP deposits, with `numerator >= denominator`: quantities only grow,
+     *      so each keeps bounding the shares traders hold of its outcome.
+     */
+    function scale(uint256[] storage quantities, uint256 numerator, uint256 denominator) public {
+        for (uint256 i = 0; i < quantities.length; i++) {
+            quantities[i] = (quantities[i] * numerator) / denominator;
+        }
+    }
+
+    /**
+     * @notice Current liquidity parameter under either rule
+     */
+    function bOf(uint256[] storage quantities, Liquidity memory liquidity) public view returns (uint256) {
+        return _bOf(quantities, liquidity);
+    }
+
+    /**
+     * @notice Cost function C(q) = b * ln(sum_j exp(q_j / b)) at the current b
+     */
+    function costAt(uint256[] storage quantities, Liquidity memory liquidity) public view returns (uint256) {
+        uint256[] memory q = quantities;
+        return _costOf(_expCache(q, _bOf(q, liquidity), NO_SKIP));
+    }
+
+    /**
+     * @notice Prices of every outcome; they sum to 1e18 up to rounding with a volume-scaled
+     *         b, and to slightly more with a proportional one
+     */
+    function prices(uint256[] storage quantities, Liquidity memory liquidity) public view returns (uint256[] memory) {
+        uint256[] memory q = quantities;
+        return _pricesOf(q, _expCache(q, _bOf(q, liquidity), NO_SKIP), liquidity);
+    }
+
+    /**
+     * @notice Records per-share refunds on cancellation in the empty `refunds`: every
+     *         outcome's price in `result`, all scaled down pro rata if paying `outstanding`
+     *         shares at them would exceed `pool`; emits the market's `MarketCancelled`
+     * @param result The market's current prices, or empty for an even split where they
+     *        cannot be read, so that cancelling never depends on pricing
+     */
+    function cancel(
+        uint256[] memory result,
+        uint256[] storage outstanding,
+        uint256 pool,
+        uint256[] storage refunds
+    ) public {
+        if (result.length == 0) {
+            result = new uint256[](outstanding.length);
+            for (uint256 i = 0; i < result.length; i++) {
+                result[i] = UNIT / result.length;
+            }
+        }
+
+        // Owed to all holders, scaled by 1e36
+        uint256 liability = 0;
+        for (uint256 i = 0; i < result.length; i++) {
+            liability += result[i] * outstanding[i];
+        }
+
+        for (uint256 i = 0; i < result.length; i++) {
+            if (liability > pool * UNIT) result[i] = (result[i] * pool * UNIT) / liability;
+            refunds.push(result[i]);
+        }
+        emit MarketCancelled(result);
+    }
+
+    /**
+     * @notice Prices moving `outcome` by `delta`
+     * @return C(q') - C(q) with both terms
+     */
+    function quote(uint256[] storage quantities, Liquidity memory liquidity, uint256 outcome, int256 delta)
+        public
+        view
+        returns (Quote memory)
+    {
+        if (outcome >= quantities.length) revert InvalidOutcome();
+        if (delta == 0) revert InvalidDelta();
+
+        if (liquidity.mode == PricingMode.VolumeScaled) {
+            uint256 b = _bAt(liquidity, liquidity.volume);
+            return _quoteFromCache(quantities, _expCache(quantities, b, NO_SKIP), outcome, delta);
+        }
+
+        // b moves with the trade itself, so every term changes and there is no cache to update
+        uint256[] memory newQ = quantities;
+        newQ[outcome] = _moved(newQ[outcome], delta);
+        return _quoteBetween(quantities, newQ, liquidity);
+    }
+
+    /**
+     * @notice Prices moving every outcome by its entry in `deltas`
+     * @dev Any number of quantities can change, so the incremental update of `quote` does
+     *      not apply; the cost is the difference of two full passes.
+     * @return C(q') - C(q) for the whole vector with both terms
+     */
+    function quoteMany(uint256[] storage quantities, Liquidity memory liquidity, int256[] memory deltas)
+        public
+        view
+        returns (Quote memory)
+    {
+        if (deltas.length != quantities.length) revert InvalidDelta();
+
+        uint256[] memory q = quantities;
+        uint256[] memory newQ = new uint256[](q.length);
+        bool moved = false;
+        for (uint256 i = 0; i < q.length; i++) {
+            newQ[i] = _moved(q[i], deltas[i]);
+            if (deltas[i] != 0) moved = true;
+        }
+        if (!moved) revert InvalidDelta();
+
+        return _quoteBetween(q, newQ, liquidity);
+    }
+
+    /**
+     * @notice Moves the quantity and `outstanding` shares of `outcome` by `delta`, emitting
+     *         the market's `SharesTransferred`
+     * @param balance The trader's holding of `outcome`, which a sale is checked against
+     * @return maxQuantity Largest quantity after the trade, for the market's solvency check
+     */
+    function applyOne(
+        uint256[] storage quantities,
+        uint256[] storage outstanding,
+        uint256 outcome,
+        int256 delta,
+        uint256 balance
+    ) public returns (uint256 maxQuantity) {
+        if (delta > 0) {
+            quantities[outcome] += uint256(delta);
+            outstanding[outcome] += uint256(delta);
+            // A buy raises only its own quantity
+            maxQuantity = quantities[outcome];
+        } else {
+            if (balance < uint256(-delta)) revert InsufficientShares();
+            quantities[outcome] -= uint256(-delta);
+            outstanding[outcome] -= uint256(-delta);
+            maxQuantity = _maxOf(quantities);
+        }
+        emit SharesTransferred(msg.sender, outcome, delta);
+    }
+
+    /**
+     * @notice Moves `quantities` and the `outstanding` shares by every entry in `deltas`,
+     *         emitting the market's `SharesTransferred` for each leg traded
+     * @param balances The trader's holdings, which every sale is checked against
+     * @return bought Shares bought of each outcome
+     * @return sold Shares sold of each outcome
+     * @return volume Sum of |deltas[i]|
+     * @return buys Whether any outcome is bought
+     * @return sells Whether any outcome is sold
+     */
+    function applyMany(
+        uint256[] storage quantities,
+        uint256[] storage outstanding,
+        int256[] memory deltas,
+        uint256[] memory balances
+    ) public returns (uint256[] memory bought, uint256[] memory sold, uint256 volume, bool buys, bool sells) {
+        bought = new uint256[](deltas.length);
+        sold = new uint256[](deltas.length);
+        for (uint256 i = 0; i < deltas.length; i++) {
+            if (deltas[i] > 0) {
+                bought[i] = uint256(deltas[i]);
+                quantities[i] += bought[i];
+                outstanding[i] += bought[i];
+                buys = true;
+            } else if (deltas[i] < 0) {
+                sold[i] = uint256(-deltas[i]);
+                if (balances[i] < sold[i]) revert InsufficientShares();
+                quantities[i] -= sold[i];
+                outstanding[i] -= sold[i];
+                sells = true;
+            } else {
+                continue;
+            }
+            volume += bought[i] + sold[i];
+            emit SharesTransferred(msg.sender, i, deltas[i]);
+        }
+    }
+
+    /**
+     * @notice Moves every quantity and every outcome's `outstanding` shares by `amount`:
+     *         complete sets minted (positive) or redeemed (negative)
+     * @dev Raising every quantity by x raises C(q) by exactly x at a fixed b and leaves
+     *      prices where they were, so sets bypass the cost function.
+     * @param balances The redeemer's holdings, which must cover `-amount` of every outcome;
+     *        unused when minting
+     * @return amounts |amount| of every outcome, for the token batch
+     */
+    function shift(
+        uint256[] storage quantities,
+        uint256[] storage outstanding,
+        int256 amount,
+        uint256[] memory balances
+    ) public returns (uint256[] memory amounts) {
+        uint256 size = uint256(amount > 0 ? amount : -amount);
+        amounts = new uint256[](quantities.length);
+        for (uint256 i = 0; i < quantities.length; i++) {
+            amounts[i] = size;
+            if (amount > 0) {
+                quantities[i] += size;
+                outstanding[i] += size;
+            } else {
+                if (balances[i] < size) revert InsufficientShares();
+                quantities[i] -= size;
+                outstanding[i] -= size;
+            }
+        }
+    }
+
+    /**
+     * @notice Largest buy of `outcome` whose cost fits in `budget`
+     * @dev Inverts the cost function for a single-outcome buy. With a volume-scaled b
+     *      trades are priced at the pre-trade b (the trade's own volume only moves b for
+     *      later trades), so with p the current price of `outcome` and X the budget:
+     *        X = b * ln(1 - p + p * exp(delta / b))
+     *        delta = b * ln(1 + (exp(X / b) - 1) / p)
+     *              = X + b * ln(exp(-X / b) + (1 - exp(-X / b)) / p)
+     *      The last form is the one evaluated: exp(X / b) leaves fixed-point range once the
+     *      budget passes about 133 * b, while exp(-X / b) only rounds to zero, and the ln
+     *      argument stays between 1 and 1 / p. Fixed-point rounding can push the cost of that delta a few wei over budget,
+     *      so it is trimmed by the excess at the starting price, which is a lower bound
+     *      on every marginal price along the buy. A proportional b moves with the buy
+     *      itself, leaving no closed form, so that mode bisects instead. Reverts with
+     *      `PriceTooLow` when the outcome's price rounds to zero.
+     * @return shares Shares bought
+     * @return cost Their cost, at most `budget`
+     */
+    function sharesForBudget(uint256[] storage quantities, Liquidity memory liquidity, uint256 outcome, uint256 budget)
+        public
+        view
+        returns (uint256 shares, uint256 cost)
+    {
+        if (outcome >= quantities.length) revert InvalidOutcome();
+        if (budget == 0) revert InsufficientPayment();
+        if (liquidity.mode == PricingMode.Proportional) return _sharesForBudget(quantities, liquidity, outcome, budget);
+
+        uint256 b = _bAt(liquidity, liquidity.volume);
+        ExpCache memory cache = _expCache(quantities, b, NO_SKIP);
+        uint256 price = (cache.exps[outcome] * UNIT) / cache.sum;
+        // A long shot priced below 1 wei per share leaves nothing to invert against
+        if (price == 0) revert PriceTooLow();
+
+        uint256 decay = LMSRMath.expNeg((budget * UNIT) / b);
+        shares = budget + (b * LMSRMath.ln(decay + ((UNIT - decay) * UNIT) / price)) / UNIT;
+
+        for (uint256 i = 0; i < 4; i++) {
+            if (shares == 0) revert InsufficientPayment();
+            cost = uint256(_quoteFromCache(quantities, cache, outcome, int256(shares)).cost);
+            if (cost <= budget) return (shares, cost);
+
+            uint256 excess = ((cost - budget) * UNIT) / price + 1;
+            shares = excess < shares ? shares - excess : 0;
+        }
+        revert InsufficientPayment();
+    }
+
+    /**
+     * @dev Budget buy under a proportional b. The cost is increasing in the shares bought,
+     *      and the outcome's price tends to 1 as they grow, so doubling from `budget` soon
+     *      brackets the answer; bisection then narrows it to 1e-12 of the shares, always
+     *      keeping the lower end, which fits the budget.
+     */
+    function _sharesForBudget(uint256[] storage quantities, Liquidity memory liquidity, uint256 outcome, uint256 budget)
+        private
+        view
+        returns (uint256 shares, uint256 cost)
+    {
+        uint256[] memory q = quantities;
+        uint256 qi = q[outcome];
+        uint256 costBefore = _costOf(_expCache(q, _bOf(q, liquidity), NO_SKIP));
+
+        uint256 hi = budget;
+        for (uint256 i = 0; _costWith(q, outcome, qi + hi, liquidity) - costBefore <= budget; i++) {
+            if (i == MAX_DOUBLINGS) revert InsufficientPayment();
+            shares = hi;
+            hi *= 2;
+        }
+        while (hi - shares > 1 + shares / 1e12) {
+            uint256 mid = (shares + hi) / 2;
+            if (_costWith(q, outcome, qi + mid, liquidity) - costBefore <= budget) shares = mid;
+            else hi = mid;
+        }
+
+        if (shares == 0) revert InsufficientPayment();
+        cost = _costWith(q, outcome, qi + shares, liquidity) - costBefore;
+    }
+
+    /**
+     * @notice Trade after which the price of `outcome` equals `targetPrice`
+     * @dev With a proportional b the price of `outcome` rises with its own quantity, so
+     *      q_i' is bisected directly, to within 1e9 like the volume-scaled solver below.
+     *      Selling can only take q_i' down to zero, which puts low targets out of reach.
+     *
+     *      With a volume-scaled b the trade's own volume moves b to b', and at b' the target price requires
+     *        q_i' = b' * logit(t) + b' * ln(sum_{j != i} exp(q_j / b'))
+     *      Since b' depends on |delta|, delta = q_i'(delta) - q_i is a fixed point,
+     *      found with the secant method starting from the fixed-b solution. With a
+     *      single trade q_i / b' is bounded by 1 / (e * alpha * b) so high targets
+     *      may have no solution.
+     * @param liquidity b0, alpha, bMax and the volume before the trade, from which b' is derived
+     * @return delta Signed share amount to trade (zero if already at target)
+     */
+    function deltaForPrice(
+        uint256[] storage quantities,
+        Liquidity memory liquidity,
+        uint256 outcome,
+        uint256 targetPrice
+    ) public view returns (int256 delta) {
+        if (outcome >= quantities.length) revert InvalidOutcome();
+        if (targetPrice == 0 || targetPrice >= UNIT) revert InvalidTargetPrice();
+        if (liquidity.mode == PricingMode.Proportional) return _deltaForPrice(quantities, liquidity, outcome, targetPrice);
+
+        // logit(t) = ln(t / (1 - t))
+        int256 logitT = LMSRMath.lnSigned((targetPrice * UNIT) / (UNIT - targetPrice));
+
+        int256 q = int256(quantities[outcome]);
+
+        // g(delta) = q_i'(delta) - q_i - delta; the first step from 0 is the fixed-b answer
+        int256 prev = 0;
+        int256 gPrev = _targetQuantity(quantities, liquidity, outcome, logitT, 0) - q;
+        delta = gPrev;
+
+        for (uint256 i = 0; i < 16; i++) {
+            int256 g = _targetQuantity(quantities, liquidity, outcome, logitT, delta) - q - delta;
+            if (g == 0 || g == gPrev) break;
+
+            int256 next = delta - (g * (delta - prev)) / (g - gPrev);
+            prev = delta;
+            gPrev = g;
+            delta = next;
+
+            int256 step = delta - prev;
+            if (step < 1e9 && step > -1e9) break;
+        }
+
+        // b can grow faster than the price moves, putting some targets out of reach
+        int256 residual = _targetQuantity(quantities, liquidity, outcome, logitT, delta) - q - delta;
+        if (residual > 1e9 || residual < -1e9) revert TargetPriceUnreachable();
+    }
+
+    function _deltaForPrice(
+        uint256[] storage quantities,
+        Liquidity memory liquidity,
+        uint256 outcome,
+        uint256 targetPrice
+    ) private view returns (int256) {
+        uint256[] memory q = quantities;
+        uint256 qi = q[outcome];
+        if (_priceWith(q, outcome, 0, liquidity) > targetPrice) revert TargetPriceUnreachable();
+
+        uint256 lo = 0;
+        uint256 hi = qi > UNIT ? qi : UNIT;
+        for (uint256 i = 0; _priceWith(q, outcome, hi, liquidity) < targetPrice; i++) {
+            if (i == MAX_DOUBLINGS) revert TargetPriceUnreachable();
+            lo = hi;
+            hi *= 2;
+        }
+        while (hi - lo > 1e9) {
+            uint256 mid = (lo + hi) / 2;
+            if (_priceWith(q, outcome, mid, liquidity) < targetPrice) lo = mid;
+            else hi = mid;
+        }
+        return int256((lo + hi) / 2) - int256(qi);
+    }
+
+    /**
+     * @dev Quantity of `outcome` at which its price is exp(logitT) / (1 + exp(logitT)),
+     *      holding the other quantities fixed, with b evaluated after trading `delta`
+     */
+    function _targetQuantity(
+        uint256[] storage quantities,
+        Liquidity memory liquidity,
+        uint256 outcome,
+        int256 logitT,
+        int256 delta
+    ) private view returns (int256) {
+        uint256 b = _bAt(liquidity, liquidity.volume + uint256(delta > 0 ? delta : -delta));
+
+        // ln(sum exp(q_j / b)) = maxQ / b + ln(sum exp((q_j - maxQ) / b)) over j != outcome
+        ExpCache memory others = _expCache(quantities, b, outcome);
+        int256 lnOthers = int256(others.maxQ + (b * LMSRMath.ln(others.sum)) / UNIT);
+        return lnOthers + (int256(b) * logitT) / int256(UNIT);
+    }
+
+    /**
+     * @dev One pass over the outcomes computing each relative exponential once. Outcomes
+     *      so far behind the leader that their term rounds to zero skip `exp`, and runs of
+     *      equal quantities (typically the untraded outcomes) reuse the previous term, so a
+     *      large market costs one `exp` per distinct live quantity rather than per outcome.
+     * @param skip Outcome left out of the sum (and of maxQ), or NO_SKIP
+     */
+    function _expCache(uint256[] memory quantities, uint256 b, uint256 skip)
+        private
+        pure
+        returns (ExpCache memory cache)
+    {
+        uint256 n = quantities.length;
+        cache.b = b;
+        cache.exps = new uint256[](n);
+
+        for (uint256 i = 0; i < n; i++) {
+            if (i != skip && quantities[i] > cache.maxQ) cache.maxQ = quantities[i];
+        }
+
+        uint256 lastQ = cache.maxQ;
+        uint256 lastExp = UNIT;
+        for (uint256 i = 0; i < n; i++) {
+            if (i == skip) continue;
+            uint256 q = quantities[i];
+            if (q != lastQ) {
+                lastExp = _relExp(cache.maxQ - q, b);
+                lastQ = q;
+            }
+            cache.exps[i] = lastExp;
+            cache.sum += lastExp;
+        }
+    }
+
+    /**
+     * @dev A trade changes a single term of the exponential sum, so the post-trade sum is
+     *      an incremental update of the cached one rather than a second full pass:
+     *        S' = S - e_i + exp((q_i' - maxQ) / b)
+     *      If q_i' overtakes maxQ by d the sum is rebased onto q_i' instead:
+     *        S' = (S - e_i) * exp(-d / b) + 1
+     *      Only the leader selling can take S' below 1; if it falls below MIN_CACHED_SUM
+     *      the trade is priced with a second pass over the new quantities instead.
+     */
+    function _quoteFromCache(uint256[] storage quantities, ExpCache memory cache, uint256 outcome, int256 delta)
+        private
+        view
+        returns (Quote memory result)
+    {
+        uint256 newQi = _moved(quantities[outcome], delta);
+
+        uint256 shift = UNIT;              // Rescales the other terms when the reference moves
+        uint256 newExp = UNIT;
+        uint256 newMaxQ = cache.maxQ;
+        if (newQi > cache.maxQ) {
+            shift = _relExp(newQi - cache.maxQ, cache.b);
+            newMaxQ = newQi;
+        } else if (newQi < cache.maxQ) {
+            newExp = _relExp(cache.maxQ - newQi, cache.b);
+        }
+
+        uint256 newSum = ((cache.sum - cache.exps[outcome]) * shift) / UNIT + newExp;
+        if (newSum < MIN_CACHED_SUM) return _requote(quantities, cache, outcome, newQi);
+
+        // ln(S') is negative when the leader sold below the old reference, but C(q') >= max q'
+        int256 lnSum = LMSRMath.lnSigned(newSum);
+        result.b = cache.b;
+        result.bAfter = cache.b;
+        result.costBefore = _costOf(cache);
+        result.costAfter = uint256(int256(newMaxQ) + (int256(cache.b) * lnSum) / int256(UNIT));
+        result.cost = int256(result.costAfter) - int256(result.costBefore);
+
+        result.newPrices = new uint256[](cache.exps.length);
+        for (uint256 i = 0; i < result.newPrices.length; i++) {
+            uint256 e = i == outcome ? newExp : (cache.exps[i] * shift) / UNIT;
+            result.newPrices[i] = (e * UNIT) / newSum;
+        }
+    }
+
+    /**
+     * @dev Full second pass, rebased onto the new leader
+     */
+    function _requote(uint256[] storage quantities, ExpCache memory cache, uint256 outcome, uint256 newQi)
+        private
+        view
+        returns (Quote memory)
+    {
+        uint256[] memory newQ = quantities;
+        newQ[outcome] = newQi;
+        ExpCache memory next = _expCache(newQ, cache.b, NO_SKIP);
+        return _quoteOf(cache, next, _pricesFromCache(next));
+    }
+
+    // Full passes over the quantities before and after, each at its own b
+    function _quoteBetween(uint256[] memory q, uint256[] memory newQ, Liquidity memory liquidity)
+        private
+        pure
+        returns (Quote memory)
+    {
+        ExpCache memory next = _expCache(newQ, _bOf(newQ, liquidity), NO_SKIP);
+        return _quoteOf(_expCache(q, _bOf(q, liquidity), NO_SKIP), next, _pricesOf(newQ, next, liquidity));
+    }
+
+    function _quoteOf(ExpCache memory current, ExpCache memory next, uint256[] memory newPrices)
+        private
+        pure
+        returns (Quote memory result)
+    {
+        result.b = current.b;
+        result.bAfter = next.b;
+        result.costBefore = _costOf(current);
+        result.costAfter = _costOf(next);
+        result.cost = int256(result.costAfter) - int256(result.costBefore);
+        result.newPrices = newPrices;
+    }
+
+    function _maxOf(uint256[] storage values) private view returns (uint256 max) {
+        uint256 n = values.length;
+        for (uint256 i = 0; i < n; i++) {
+            uint256 value = values[i];
+            if (value > max) max = value;
+        }
+    }
+
+    function _moved(uint256 quantity, int256 delta) private pure returns (uint256) {
+        if (delta >= 0) return quantity + uint256(delta);
+        if (quantity < uint256(-delta)) revert InsufficientShares();
+        return quantity - uint256(-delta);
+    }
+
+    function _bOf(uint256[] memory quantities, Liquidity memory liquidity) private pure returns (uint256) {
+        if (liquidity.mode == PricingMode.VolumeScaled) return _bAt(liquidity, liquidity.volume);
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < quantities.length; i++) {
+            total += quantities[i];
+        }
+        return (liquidity.alpha * total) / UNIT;
+    }
+
+    // C(q) with q_outcome set to `quantity`; `q` is left as it was
+    function _costWith(uint256[] memory q, uint256 outcome, uint256 quantity, Liquidity memory liquidity)
+        private
+        pure
+        returns (uint256 cost)
+    {
+        uint256 saved = q[outcome];
+        q[outcome] = quantity;
+        cost = _costOf(_expCache(q, _bOf(q, liquidity), NO_SKIP));
+        q[outcome] = saved;
+    }
+
+    // Price of `outcome` with its quantity set to `quantity`; `q` is left as it was
+    function _priceWith(uint256[] memory q, uint256 outcome, uint256 quantity, Liquidity memory liquidity)
+        private
+        pure
+        returns (uint256 price)
+    {
+        uint256 saved = q[outcome];
+        q[outcome] = quantity;
+        price = _pricesOf(q, _expCache(q, _bOf(q, liquidity), NO_SKIP), liquidity)[outcome];
+        q[outcome] = saved;
+    }
+
+    /**
+     * @dev Proportional prices (Othman et al.) differentiate C through b(q) as well:
+     *        p_i = alpha * ln(sum_j exp(q_j / b)) + (sum_j q_j * e_i - sum_j q_j * e_j) / (sum_j q_j * sum_j e_j)
+     *      In terms of the cache, with pi the softmax, S the relative sum and E[q] the
+     *      pi-weighted mean quantity, that is
+     *        p_i = pi_i + alpha * ln(S) + (maxQ - E[q]) / sum(q)
+     *      The added term is the same for every outcome and never negative.
+     */
+    function _pricesOf(uint256[] memory q, ExpCache memory cache, Liquidity memory liquidity)
+        private
+        pure
+        returns (uint256[] memory result)
+    {
+        result = _pricesFromCache(cache);
+        if (liquidity.mode == PricingMode.VolumeScaled) return result;
+
+        uint256 total = 0;
+        uint256 weighted = 0;
+        for (uint256 j = 0; j < q.length; j++) {
+            total += q[j];
+            weighted += q[j] * cache.exps[j];
+        }
+        uint256 spread = (liquidity.alpha * LMSRMath.ln(cache.sum)) / UNIT
+            + ((cache.maxQ - weighted / cache.sum) * UNIT) / total;
+        for (uint256 i = 0; i < result.length; i++) {
+            result[i] += spread;
+        }
+    }
+
+    // C(q) = maxQ + b * ln(sum)
+    function _costOf(ExpCache memory cache) private pure returns (uint256) {
+        return cache.maxQ + (cache.b * LMSRMath.ln(cache.sum)) / UNIT;
+    }
+
+    // exp(-gap / b), scaled by 1e18
+    function _relExp(uint256 gap, uint256 b) private pure returns (uint256) {
+        return LMSRMath.expNeg((gap * UNIT) / b);
+    }
+
+    function _pricesFromCache(ExpCache memory cache) private pure returns (uint256[] memory result) {
+        // The leader's term is exactly 1e18, so sum >= 1e18
+        result = new uint256[](cache.exps.length);
+        for (uint256 i = 0; i < result.length; i++) {
+            result[i] = (cache.exps[i] * UNIT) / cache.sum;
+        }
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {LMSRMath} from "../libraries/LMSRMath.sol";
+
+/**
+ * @title MathHarness
+ * @notice Exposes LMSRMath for precision tests
+ */
+contract MathHarness {
+    function ln(uint256 x) external pure returns (uint256) {
+        return LMSRMath.ln(x);
+    }
+
+    function lnSigned(uint256 x) external pure returns (int256) {
+        return LMSRMath.lnSigned(x);
+    }
+
+    function exp(uint256 x) external pure returns (uint256) {
+        return LMSRMath.exp(x);
+    }
+
+    function expNeg(uint256 x) external pure returns (uint256) {
+        return LMSRMath.expNeg(x);
+    }
+}
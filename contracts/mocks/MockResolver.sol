@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IResolver} from "../interfaces/IResolver.sol";
+
+/**
+ * @title MockResolver
+ * @notice Resolver for local testing: anyone can report any outcome for any market
+ */
+contract MockResolver is IResolver {
+
+    mapping(address => bool) public isResolved;
+    mapping(address => uint256) public outcomes;
+
+    function setOutcome(address market, uint256 outcome) external {
+        isResolved[market] = true;
+        outcomes[market] = outcome;
+    }
+
+    function clearOutcome(address market) external {
+        isResolved[market] = false;
+        outcomes[market] = 0;
+    }
+
+    function getOutcome(address market) external view returns (bool resolved, uint256 outcome) {
+        return (isResolved[market], outcomes[market]);
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {LMSRPricing} from "../libraries/LMSRPricing.sol";
+
+/**
+ * @title PricingHarness
+ * @notice Holds a market's pricing state directly so tests can reach LMSRPricing
+ *         branches the market's own invariants keep it out of
+ */
+contract PricingHarness {
+    uint256[] public quantities;
+    uint256[] public outstandingShares;
+    uint256[] public refundPrices;
+
+    function setState(uint256[] calldata _quantities, uint256[] calldata _outstanding) external {
+        quantities = _quantities;
+        outstandingShares = _outstanding;
+    }
+
+    function cancel(LMSRPricing.Liquidity calldata liquidity, uint256 pool) external returns (uint256[] memory) {
+        delete refundPrices;
+        LMSRPricing.cancel(LMSRPricing.prices(quantities, liquidity), outstandingShares, pool, refundPrices);
+        return refundPrices;
+    }
+
+    function cancelUnpriced(uint256 pool) external returns (uint256[] memory) {
+        delete refundPrices;
+        LMSRPricing.cancel(new uint256[](0), outstandingShares, pool, refundPrices);
+        return refundPrices;
+    }
+}
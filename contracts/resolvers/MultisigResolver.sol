@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IResolver} from "../interfaces/IResolver.sol";
+
+/**
+ * @title MultisigResolver
+ * @notice M-of-N committee resolver: an outcome is final once `threshold` signers vote for it
+ * @dev Each signer gets one vote per market. If votes split so that no outcome can reach
+ *      the threshold, the market stays unresolved and its owner can cancel it instead.
+ */
+contract MultisigResolver is IResolver {
+
+    address[] internal signers;
+    mapping(address => bool) public isSigner;
+    uint256 public immutable threshold;
+
+    mapping(address => mapping(address => bool)) public hasVoted;     // market => signer => voted
+    mapping(address => mapping(uint256 => uint256)) public votes;      // market => outcome => votes
+    mapping(address => bool) internal isResolved;
+    mapping(address => uint256) internal outcomes;
+
+    event VoteCast(address indexed market, address indexed signer, uint256 outcome);
+    event OutcomeResolved(address indexed market, uint256 outcome);
+
+    error InvalidThreshold();
+    error InvalidSigner();
+    error NotSigner();
+    error AlreadyVoted();
+    error AlreadyResolved();
+
+    /**
+     * @param _signers Committee members
+     * @param _threshold Votes an outcome needs (1 to number of signers)
+     */
+    constructor(address[] memory _signers, uint256 _threshold) {
+        if (_threshold == 0 || _threshold > _signers.length) revert InvalidThreshold();
+
+        for (uint256 i = 0; i < _signers.length; i++) {
+            address signer = _signers[i];
+            if (signer == address(0) || isSigner[signer]) revert InvalidSigner();
+            isSigner[signer] = true;
+        }
+        signers = _signers;
+        threshold = _threshold;
+    }
+
+    /**
+     * @notice Vote for the winning outcome of `market`
+     */
+    function vote(address market, uint256 outcome) external {
+        if (!isSigner[msg.sender]) revert NotSigner();
+        if (isResolved[market]) revert AlreadyResolved();
+        if (hasVoted[market][msg.sender]) revert AlreadyVoted();
+
+        hasVoted[market][msg.sender] = true;
+        uint256 count = ++votes[market][outcome];
+        emit VoteCast(market, msg.sender, outcome);
+
+        if (count >= threshold) {
+            isResolved[market] = true;
+            outcomes[market] = outcome;
+            emit OutcomeResolved(market, outcome);
+        }
+    }
+
+    function getOutcome(address market) external view returns (bool resolved, uint256 outcome) {
+        return (isResolved[market], outcomes[market]);
+    }
+
+    function getSigners() external view returns (address[] memory) {
+        return signers;
+    }
+}
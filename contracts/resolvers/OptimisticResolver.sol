@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IResolver} from "../interfaces/IResolver.sol";
+
+/**
+ * @title OptimisticResolver
+ * @notice Anyone may propose an outcome by posting a bond; it becomes final unless
+ *         challenged (with an equal bond) within the challenge window
+ * @dev A challenged proposal is settled by `arbitrator`, and whichever side it agrees with
+ *      receives both bonds. An unchallenged proposer reclaims their bond through `settle`.
+ */
+contract OptimisticResolver is IResolver {
+
+    struct Proposal {
+        address proposer;
+        uint256 outcome;
+        uint256 proposedAt;
+        address challenger;
+        uint256 finalOutcome;              // Set by the arbitrator
+        bool settled;                      // Bonds paid out
+    }
+
+    uint256 public immutable bond;
+    uint256 public immutable challengeWindow;
+    address public immutable arbitrator;
+
+    mapping(address => Proposal) internal proposals;
+
+    event OutcomeProposed(address indexed market, address indexed proposer, uint256 outcome);
+    event ProposalChallenged(address indexed market, address indexed challenger);
+    event DisputeSettled(address indexed market, uint256 outcome, address indexed winner);
+    event BondReturned(address indexed market, address indexed proposer);
+
+    error InvalidBond();
+    error AlreadyProposed();
+    error NoProposal();
+    error AlreadyChallenged();
+    error NotChallenged();
+    error ChallengeWindowClosed();
+    error ChallengeWindowOpen();
+    error AlreadySettled();
+    error OnlyArbitrator();
+
+    /**
+     * @param _bond Wei a proposer, and likewise a challenger, must post
+     * @param _challengeWindow Seconds a proposal stays open to challenges
+     * @param _arbitrator Account that settles challenged proposals, e.g. a multisig wallet
+     */
+    constructor(uint256 _bond, uint256 _challengeWindow, address _arbitrator) {
+        bond = _bond;
+        challengeWindow = _challengeWindow;
+        arbitrator = _arbitrator;
+    }
+
+    function propose(address market, uint256 outcome) external payable {
+        if (msg.value != bond) revert InvalidBond();
+        if (proposals[market].proposer != address(0)) revert AlreadyProposed();
+
+        proposals[market] = Proposal({
+            proposer: msg.sender,
+            outcome: outcome,
+            proposedAt: block.timestamp,
+            challenger: address(0),
+            finalOutcome: 0,
+            settled: false
+        });
+
+        emit OutcomeProposed(market, msg.sender, outcome);
+    }
+
+    function challenge(address market) external payable {
+        Proposal storage p = proposals[market];
+        if (p.proposer == address(0)) revert NoProposal();
+        if (p.challenger != address(0)) revert AlreadyChallenged();
+        if (block.timestamp >= p.proposedAt + challengeWindow) revert ChallengeWindowClosed();
+        if (msg.value != bond) revert InvalidBond();
+
+        p.challenger = msg.sender;
+
+        emit ProposalChallenged(market, msg.sender);
+    }
+
+    /**
+     * @notice Settle a challenged proposal; the side that was right receives both bonds
+     */
+    function arbitrate(address market, uint256 outcome) external {
+        if (msg.sender != arbitrator) revert OnlyArbitrator();
+        Proposal storage p = proposals[market];
+        if (p.challenger == address(0)) revert NotChallenged();
+        if (p.settled) revert AlreadySettled();
+
+        p.settled = true;
+        p.finalOutcome = outcome;
+        address winner = outcome == p.outcome ? p.proposer : p.challenger;
+
+        emit DisputeSettled(market, outcome, winner);
+        payable(winner).transfer(2 * bond);
+    }
+
+    /**
+     * @notice Return an unchallenged proposer's bond once the window has passed
+     */
+    function settle(address market) external {
+        Proposal storage p = proposals[market];
+        if (p.proposer == address(0)) revert NoProposal();
+        if (p.challenger != address(0)) revert AlreadyChallenged();
+        if (block.timestamp < p.proposedAt + challengeWindow) revert ChallengeWindowOpen();
+        if (p.settled) revert AlreadySettled();
+
+        p.settled = true;
+
+        emit BondReturned(market, p.proposer);
+        payable(p.proposer).transfer(bond);
+    }
+
+    function getProposal(address market) external view returns (Proposal memory) {
+        return proposals[market];
+    }
+
+    function getOutcome(address market) external view returns (bool resolved, uint256 outcome) {
+        Proposal storage p = proposals[market];
+        if (p.proposer == address(0)) return (false, 0);
+
+        if (p.challenger == address(0)) {
+            return (block.timestamp >= p.proposedAt + challengeWindow, p.outcome);
+        }
+        return (p.settled, p.finalOutcome);
+    }
+}
@@ -1,10 +1,27 @@
 import React, { useState, useEffect } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { TrendingUp, Settings, BarChart3, RefreshCw } from 'lucide-react';
+import { TrendingUp, Settings, BarChart3, RefreshCw, List, Droplet, Shield } from 'lucide-react';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
 import { useAccount, useWalletClient, usePublicClient } from 'wagmi';
 import { ethers } from 'ethers';
-import { CONTRACT_ABI, CONTRACT_ADDRESS } from './config.js';
+import { readMarket, quoteBudget, quoteToPrice, quoteTrade, quoteTradeMany } from 'lslmsr-sdk';
+import { CONTRACT_ABI, CONTRACT_ADDRESS, ERC20_ABI, FACTORY_ABI, FACTORY_ADDRESS, SCALAR_ABI } from './config.js';
+
+const SLIPPAGE_PRESETS = ['0.5', '1', '2'];
+const TRADE_DEADLINE_SECONDS = 20 * 60;
+// Headroom over the node's gas estimate, for state that moves before the trade lands
+const GAS_MARGIN_PERCENT = 20n;
+const MARKETS_PAGE_SIZE = 50n;
+const MARKET_STATES = ['Open', 'Closed', 'Proposed', 'Disputed', 'Resolved', 'Cancelled'];
+
+// "2d 03:04:05" until the given number of seconds has elapsed
+const formatCountdown = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hh = String(Math.floor((seconds % 86400) / 3600)).padStart(2, '0');
+  const mm = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+  const ss = String(seconds % 60).padStart(2, '0');
+  return days > 0 ? `${days}d ${hh}:${mm}:${ss}` : `${hh}:${mm}:${ss}`;
+};
 
 const LSLMSRApp = () => {
   const { address, isConnected } = useAccount();
@@ -12,29 +29,47 @@ const LSLMSRApp = () => {
   const publicClient = usePublicClient();
   
   const [contract, setContract] = useState(null);
+  const [marketAddress, setMarketAddress] = useState(CONTRACT_ADDRESS);
+  const [factoryMarkets, setFactoryMarkets] = useState([]);
   const [numOutcomes, setNumOutcomes] = useState(2);
   const [prices, setPrices] = useState([]);
   const [quantities, setQuantities] = useState([]);
+  // Raw state the SDK quotes against, refreshed with the rest of the market data
+  const [pricingState, setPricingState] = useState(null);
   const [userShares, setUserShares] = useState([]);
+  const [liquidity, setLiquidity] = useState(null);
+  const [depositAmount, setDepositAmount] = useState('1');
+  const [adminAddress, setAdminAddress] = useState('');
   const [marketInfo, setMarketInfo] = useState(null);
+  const [metadata, setMetadata] = useState(null);
   
   const [selectedOutcome, setSelectedOutcome] = useState(0);
   const [shareAmount, setShareAmount] = useState('10');
+  // Multi-leg order: signed shares per outcome, negative to sell
+  const [legs, setLegs] = useState([]);
   const [tradeType, setTradeType] = useState('buy');
   const [tradeCost, setTradeCost] = useState('0');
+  const [tradeFee, setTradeFee] = useState('0');
+  const [budgetShares, setBudgetShares] = useState('0');
+  const [costTerms, setCostTerms] = useState(null);
   const [newPricesPreview, setNewPricesPreview] = useState([]);
   const [loading, setLoading] = useState(false);
   const [priceHistory, setPriceHistory] = useState([]);
   const [txStatus, setTxStatus] = useState('');
+  const [slippage, setSlippage] = useState('1');
+  const [targetPrice, setTargetPrice] = useState('50');
+  const [targetQuote, setTargetQuote] = useState(null);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
 
-  // Initialize contract when wallet is connected
+  // Initialize contract when wallet is connected or another market is selected
   useEffect(() => {
     if (isConnected && walletClient) {
       initializeContract();
     } else {
       setContract(null);
+      setPricingState(null);
     }
-  }, [isConnected, walletClient]);
+  }, [isConnected, walletClient, marketAddress]);
 
   const initializeContract = async () => {
     try {
@@ -42,9 +77,14 @@ const LSLMSRApp = () => {
       const provider = new ethers.BrowserProvider(walletClient);
       const signer = await provider.getSigner();
       
-      const marketContract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
+      const marketContract = new ethers.Contract(marketAddress, CONTRACT_ABI, signer);
       setContract(marketContract);
+      setPriceHistory([]);
+      setSelectedOutcome(0);
       
+      if (FACTORY_ADDRESS) {
+        await loadFactoryMarkets(new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer));
+      }
       await loadMarketData(marketContract, address);
     } catch (error) {
       console.error('Error initializing contract:', error);
@@ -52,6 +92,25 @@ const LSLMSRApp = () => {
     }
   };
 
+  // List every market the factory has created, page by page
+  const loadFactoryMarkets = async (factory) => {
+    try {
+      const count = await factory.marketCount();
+      const listed = [];
+      for (let offset = 0n; offset < count; offset += MARKETS_PAGE_SIZE) {
+        const page = await factory.getMarkets(offset, MARKETS_PAGE_SIZE);
+        for (const market of page) {
+          const record = await factory.getMarketRecord(market);
+          listed.push({ address: market, question: record.question, creator: record.creator });
+        }
+      }
+      setFactoryMarkets(listed);
+    } catch (error) {
+      console.error('Error loading factory markets:', error);
+      setFactoryMarkets([]);
+    }
+  };
+
   // Load market data
   const loadMarketData = async (marketContract, userAddress) => {
     try {
@@ -60,8 +119,26 @@ const LSLMSRApp = () => {
       // Get market info
       const info = await marketContract.getMarketInfo();
       const outcomes = Number(info[0]);
+
+      // Scalar markets expose their range; categorical markets revert on these calls
+      let scalarRange = null;
+      try {
+        const scalar = new ethers.Contract(marketContract.target, SCALAR_ABI, marketContract.runner);
+        scalarRange = [Number(await scalar.lowerBound()), Number(await scalar.upperBound())];
+      } catch {
+        scalarRange = null;
+      }
+
+      // Token markets settle in an ERC-20; amounts stay 18-decimal whatever its decimals
+      const collateralAddress = await marketContract.collateralToken();
+      let collateralToken = null;
+      if (collateralAddress !== ethers.ZeroAddress) {
+        const token = new ethers.Contract(collateralAddress, ERC20_ABI, marketContract.runner);
+        collateralToken = { token, symbol: await token.symbol(), scale: 10n ** (18n - BigInt(await token.decimals())) };
+      }
       
       setNumOutcomes(outcomes);
+      setLegs((current) => current.length === outcomes ? current : Array(outcomes).fill(''));
       setMarketInfo({
         numOutcomes: outcomes,
         b0: ethers.formatEther(info[1]),
@@ -70,25 +147,66 @@ const LSLMSRApp = () => {
         totalVolume: ethers.formatEther(info[4]),
         collateral: ethers.formatEther(info[5]),
         resolved: info[6],
-        winningOutcome: Number(info[7])
+        winningOutcome: Number(info[7]),
+        // Zero when b is uncapped or its volume never decays
+        bMax: info[8] > 0n ? ethers.formatEther(info[8]) : null,
+        volumeHalfLife: Number(info[9]),
+        currentVolume: ethers.formatEther(info[10]),
+        closeTime: Number(await marketContract.closeTime()),
+        cancelled: await marketContract.cancelled(),
+        resolver: await marketContract.resolver(),
+        proposed: await marketContract.proposed(),
+        proposedOutcome: Number(await marketContract.proposedOutcome()),
+        disputeDeadline: Number(await marketContract.disputeDeadline()),
+        disputed: (await marketContract.disputer()) !== ethers.ZeroAddress,
+        feeBps: Number(await marketContract.feeBps()),
+        owner: await marketContract.owner(),
+        pendingOwner: await marketContract.pendingOwner(),
+        guardian: await marketContract.guardian(),
+        paused: await marketContract.paused(),
+        // LMSRPricing.PricingMode: 0 = VolumeScaled, 1 = Proportional
+        proportional: Number(await marketContract.pricingMode()) === 1,
+        scalarRange,
+        collateralToken
+      });
+
+      const meta = await marketContract.getMetadata();
+      setMetadata({
+        question: meta.question,
+        outcomeLabels: [...meta.outcomeLabels],
+        category: meta.category,
+        resolutionSource: meta.resolutionSource
       });
 
       // Get prices
       const allPrices = await marketContract.getPrices();
       setPrices(allPrices.map(p => Number(ethers.formatEther(p))));
 
-      // Get quantities for each outcome
-      const allQuantities = [];
-      for (let i = 0; i < outcomes; i++) {
-        const qty = await marketContract.quantities(i);
-        allQuantities.push(Number(ethers.formatEther(qty)));
-      }
-      setQuantities(allQuantities);
+      // Quantities, b's inputs and the fee, for quoting trades without a call per preview
+      const state = await readMarket(marketContract);
+      setPricingState(state);
+      setQuantities(state.quantities.map(q => Number(ethers.formatEther(q))));
 
       // Get user shares
       const allUserShares = await marketContract.getAllUserBalances(userAddress);
       setUserShares(allUserShares.map(s => Number(ethers.formatEther(s))));
 
+      // LP position: the owner also holds the creator's shares
+      const [lpShares, creatorShares, totalLpShares, pendingFees, marketOwner] = await Promise.all([
+        marketContract.lpShares(userAddress),
+        marketContract.creatorShares(),
+        marketContract.totalLpShares(),
+        marketContract.pendingLpFees(userAddress),
+        marketContract.owner()
+      ]);
+      const ownShares = lpShares + (marketOwner.toLowerCase() === userAddress.toLowerCase() ? creatorShares : 0n);
+      const totalShares = creatorShares + totalLpShares;
+      setLiquidity({
+        shares: Number(ethers.formatEther(ownShares)),
+        poolShare: totalShares > 0n ? Number(ownShares * 10000n / totalShares) / 100 : 0,
+        pendingFees: Number(ethers.formatEther(pendingFees))
+      });
+
       setTxStatus('');
     } catch (error) {
       console.error('Error loading market data:', error);
@@ -97,32 +215,74 @@ const LSLMSRApp = () => {
     }
   };
 
-  // Calculate trade cost
-  const calculateTrade = async () => {
-    if (!contract || !shareAmount || Number(shareAmount) <= 0) {
+  // Multi-leg order as the delta vector tradeMany takes
+  const legDeltas = () => legs.map((leg) => (leg && Number(leg) !== 0 ? ethers.parseEther(leg) : 0n));
+
+  // Calculate trade cost locally with the SDK, which reproduces the market's quotes exactly
+  const calculateTrade = () => {
+    if (!pricingState || orderEmpty) {
       setTradeCost('0');
+      setTradeFee('0');
+      setBudgetShares('0');
+      setCostTerms(null);
       setNewPricesPreview([]);
       return;
     }
 
+    // Every quote is C(q') - C(q), at the pre-trade b unless b is proportional to q;
+    // keep both terms to show the pricing
+    const showTerms = (quote) => setCostTerms({
+      b: Number(ethers.formatEther(quote.b)),
+      bAfter: Number(ethers.formatEther(quote.bAfter)),
+      before: Number(ethers.formatEther(quote.costBefore)),
+      after: Number(ethers.formatEther(quote.costAfter))
+    });
+
     try {
+      if (tradeType === 'multi') {
+        // One quote for every leg: the signed net cost, priced at the current b
+        const quote = quoteTradeMany(pricingState, legDeltas());
+
+        setTradeCost(ethers.formatEther(quote.cost));
+        setTradeFee(ethers.formatEther(quote.fee));
+        showTerms(quote);
+        setNewPricesPreview(quote.newPrices.map(p => Number(ethers.formatEther(p))));
+        return;
+      }
+
+      if (tradeType === 'spend') {
+        // Input is the budget; quote the shares it buys
+        const { shares, cost, fee } = quoteBudget(pricingState, selectedOutcome, ethers.parseEther(shareAmount));
+        const quote = quoteTrade(pricingState, selectedOutcome, shares);
+
+        setTradeCost(ethers.formatEther(cost));
+        setTradeFee(ethers.formatEther(fee));
+        setBudgetShares(ethers.formatEther(shares));
+        showTerms(quote);
+        setNewPricesPreview(quote.newPrices.map(p => Number(ethers.formatEther(p))));
+        return;
+      }
+
       const shares = ethers.parseEther(shareAmount);
       const delta = tradeType === 'buy' ? shares : -shares;
       
-      const result = await contract.getTradeCost(selectedOutcome, delta);
-      const cost = result[0];
-      const newPrices = result[1];
+      const quote = quoteTrade(pricingState, selectedOutcome, delta);
 
       if (tradeType === 'buy') {
-        setTradeCost(ethers.formatEther(cost));
+        setTradeCost(ethers.formatEther(quote.cost));
       } else {
-        setTradeCost(ethers.formatEther(-cost));
+        setTradeCost(ethers.formatEther(-quote.cost));
       }
+      setTradeFee(ethers.formatEther(quote.fee));
+      showTerms(quote);
 
-      setNewPricesPreview(newPrices.map(p => Number(ethers.formatEther(p))));
+      setNewPricesPreview(quote.newPrices.map(p => Number(ethers.formatEther(p))));
     } catch (error) {
       console.error('Error calculating trade:', error);
       setTradeCost('0');
+      setTradeFee('0');
+      setBudgetShares('0');
+      setCostTerms(null);
       setNewPricesPreview([]);
     }
   };
@@ -135,20 +295,50 @@ const LSLMSRApp = () => {
     setTxStatus('Preparing transaction...');
 
     try {
-      const shares = ethers.parseEther(shareAmount);
-      const delta = tradeType === 'buy' ? shares : -shares;
-
-      // Get the cost first
-      const result = await contract.getTradeCost(selectedOutcome, delta);
-      const cost = result[0];
+      // Bound the previewed cost/payout, fee included, by the slippage tolerance (in basis points)
+      const fee = ethers.parseEther(tradeFee);
+      const previewed = tradeType === 'sell'
+        ? ethers.parseEther(tradeCost) - fee
+        : ethers.parseEther(tradeCost) + fee;
+      const toleranceBps = BigInt(Math.round(Number(slippage) * 100));
+      const deadline = Math.floor(Date.now() / 1000) + TRADE_DEADLINE_SECONDS;
 
       let tx;
-      if (tradeType === 'buy') {
+      if (tradeType === 'spend') {
+        const budget = ethers.parseEther(shareAmount);
+        const quotedShares = ethers.parseEther(budgetShares);
+        const minShares = toleranceBps >= 10000n ? 0n : quotedShares * (10000n - toleranceBps) / 10000n;
+        const value = await authorizePayment(budget);
         setTxStatus('Confirm transaction in wallet...');
-        tx = await contract.trade(selectedOutcome, delta, { 
-          value: cost,
-          gasLimit: 500000 
-        });
+        tx = await sendWithGasMargin('buyWithBudget', [selectedOutcome, budget, minShares, deadline], { value });
+      } else if (tradeType === 'multi') {
+        const deltas = legDeltas();
+        if (deltas.some((delta, idx) => delta < 0n && userShares[idx] < Number(ethers.formatEther(-delta)))) {
+          alert('Insufficient shares to sell');
+          setLoading(false);
+          setTxStatus('');
+          return;
+        }
+        // A net cost is bounded by maxCost, a net payout by minPayout; excess sent is refunded
+        const maxCost = previewed > 0n ? previewed * (10000n + toleranceBps) / 10000n : 0n;
+        const minPayout = previewed < 0n && toleranceBps < 10000n ? -previewed * (10000n - toleranceBps) / 10000n : 0n;
+        const value = await authorizePayment(maxCost);
+        setTxStatus('Confirm transaction in wallet...');
+        tx = await sendWithGasMargin('tradeMany', [deltas, maxCost, minPayout, deadline], { value });
+      } else if (tradeType === 'buy') {
+        const shares = ethers.parseEther(shareAmount);
+        const maxCost = previewed * (10000n + toleranceBps) / 10000n;
+        if (marketInfo.collateralToken) {
+          // One signature approves the spend, so the buy is a single transaction
+          setTxStatus('Sign the permit in wallet...');
+          const { v, r, s } = await signPermit(maxCost, deadline);
+          setTxStatus('Confirm transaction in wallet...');
+          tx = await sendWithGasMargin('buyWithPermit', [selectedOutcome, shares, maxCost, deadline, v, r, s]);
+        } else {
+          setTxStatus('Confirm transaction in wallet...');
+          // Excess over the actual cost is refunded by the contract
+          tx = await sendWithGasMargin('buy', [selectedOutcome, shares, maxCost, deadline], { value: maxCost });
+        }
       } else {
         if (userShares[selectedOutcome] < Number(shareAmount)) {
           alert('Insufficient shares to sell');
@@ -156,41 +346,225 @@ const LSLMSRApp = () => {
           setTxStatus('');
           return;
         }
+        const shares = ethers.parseEther(shareAmount);
+        const minPayout = toleranceBps >= 10000n ? 0n : previewed * (10000n - toleranceBps) / 10000n;
         setTxStatus('Confirm transaction in wallet...');
-        tx = await contract.trade(selectedOutcome, delta, {
-          gasLimit: 500000
-        });
+        tx = await sendWithGasMargin('sell', [selectedOutcome, shares, minPayout, deadline]);
       }
 
+      await confirmTrade(tx);
+    } catch (error) {
+      reportTradeError(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Quote the trade that moves the selected outcome to the target price
+  const calculateTargetTrade = () => {
+    if (!pricingState || !targetPrice || Number(targetPrice) <= 0 || Number(targetPrice) >= 100) {
+      setTargetQuote(null);
+      return;
+    }
+
+    try {
+      const { delta, cost, fee } = quoteToPrice(pricingState, selectedOutcome, ethers.parseUnits(targetPrice, 16));
+      setTargetQuote({ delta: ethers.formatEther(delta), cost: ethers.formatEther(cost), fee: ethers.formatEther(fee) });
+    } catch (error) {
+      if (error.reason === 'TargetPriceUnreachable') {
+        setTargetQuote({ unreachable: true });
+      } else {
+        console.error('Error quoting target trade:', error);
+        setTargetQuote(null);
+      }
+    }
+  };
+
+  // Execute trade to target price
+  const executeTargetTrade = async () => {
+    if (!contract || !targetQuote || targetQuote.unreachable) return;
+
+    setLoading(true);
+    setTxStatus('Preparing transaction...');
+
+    try {
+      const cost = ethers.parseEther(targetQuote.cost) + ethers.parseEther(targetQuote.fee);
+      const toleranceBps = BigInt(Math.round(Number(slippage) * 100));
+      const maxCost = cost > 0n ? cost * (10000n + toleranceBps) / 10000n : 0n;
+      const minPayout = cost < 0n && toleranceBps < 10000n ? -cost * (10000n - toleranceBps) / 10000n : 0n;
+      const deadline = Math.floor(Date.now() / 1000) + TRADE_DEADLINE_SECONDS;
+
+      const value = await authorizePayment(maxCost);
+      setTxStatus('Confirm transaction in wallet...');
+      const tx = await sendWithGasMargin(
+        'tradeToPrice',
+        [selectedOutcome, ethers.parseUnits(targetPrice, 16), maxCost, minPayout, deadline],
+        { value }
+      );
+
+      await confirmTrade(tx);
+    } catch (error) {
+      reportTradeError(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Markets created without labels fall back to their index
+  const outcomeLabel = (idx) => metadata?.outcomeLabels[idx] || `Outcome ${idx + 1}`;
+
+  // Unit every amount is shown in
+  const symbol = marketInfo?.collateralToken?.symbol ?? 'ETH';
+
+  // Token amount a market pulls for an 18-decimal `amount`, rounded up like the contract
+  const toTokenUnits = (amount) => (amount + marketInfo.collateralToken.scale - 1n) / marketInfo.collateralToken.scale;
+
+  // ETH markets take `amount` as the transaction value; token markets need an allowance,
+  // approved here first if the current one falls short
+  const authorizePayment = async (amount) => {
+    if (!marketInfo.collateralToken) return amount;
+
+    const { token } = marketInfo.collateralToken;
+    const units = toTokenUnits(amount);
+    if ((await token.allowance(address, contract.target)) < units) {
+      setTxStatus(`Approve ${symbol} in wallet...`);
+      await (await token.approve(contract.target, units)).wait();
+    }
+    return 0n;
+  };
+
+  // Trade gas grows with the number of outcomes (about 530k at 64), so no fixed limit
+  // fits every market: send with the node's estimate plus GAS_MARGIN_PERCENT
+  const sendWithGasMargin = async (method, args, overrides = {}) => {
+    const estimate = await contract[method].estimateGas(...args, overrides);
+    return contract[method](...args, { ...overrides, gasLimit: estimate * (100n + GAS_MARGIN_PERCENT) / 100n });
+  };
+
+  // EIP-2612 permit letting the market pull up to `maxCost` until `deadline`
+  const signPermit = async (maxCost, deadline) => {
+    const { token } = marketInfo.collateralToken;
+    const [name, nonce, { chainId }] = await Promise.all([
+      token.name(),
+      token.nonces(address),
+      contract.runner.provider.getNetwork()
+    ]);
+    const signature = await contract.runner.signTypedData(
+      { name, version: '1', chainId, verifyingContract: token.target },
+      {
+        Permit: [
+          { name: 'owner', type: 'address' },
+          { name: 'spender', type: 'address' },
+          { name: 'value', type: 'uint256' },
+          { name: 'nonce', type: 'uint256' },
+          { name: 'deadline', type: 'uint256' }
+        ]
+      },
+      { owner: address, spender: contract.target, value: toTokenUnits(maxCost), nonce, deadline }
+    );
+    return ethers.Signature.from(signature);
+  };
+
+  // Share of 1 unit of collateral a Long share pays if a scalar market resolves to `value`
+  const longPayout = (value) => {
+    const [lower, upper] = marketInfo.scalarRange;
+    return (Math.min(Math.max(value, lower), upper) - lower) / (upper - lower);
+  };
+
+  // Wait for a trade, record the new prices and reload market data
+  const confirmTrade = async (tx) => {
+    setTxStatus('Waiting for confirmation...');
+    await tx.wait();
+    
+    setTxStatus('Transaction confirmed! Updating data...');
+    
+    // Update price history
+    const newPrices = await contract.getPrices();
+    const historyEntry = {
+      time: priceHistory.length,
+      ...newPrices.map((p, idx) => ({
+        [outcomeLabel(idx)]: (Number(ethers.formatEther(p)) * 100).toFixed(2)
+      })).reduce((acc, curr) => ({ ...acc, ...curr }), {})
+    };
+    setPriceHistory([...priceHistory, historyEntry]);
+
+    await loadMarketData(contract, address);
+    
+    setTxStatus('✅ Trade successful!');
+    setTimeout(() => setTxStatus(''), 3000);
+  };
+
+  const reportTradeError = (error) => {
+    console.error('Trade error:', error);
+    let errorMsg = error.message;
+    if (error.reason) errorMsg = error.reason;
+    if (error.data?.message) errorMsg = error.data.message;
+    if (error.code === 'ACTION_REJECTED') errorMsg = 'Transaction rejected by user';
+    if (['MaxCostExceeded', 'MinPayoutNotMet', 'MinSharesNotMet'].includes(error.revert?.name)) {
+      errorMsg = 'Price moved beyond your slippage tolerance';
+    }
+    
+    setTxStatus('❌ Trade failed: ' + errorMsg);
+    setTimeout(() => setTxStatus(''), 5000);
+  };
+
+  // Deposit liquidity, claim LP fees or withdraw liquidity after settlement
+  const executeLiquidity = async (action) => {
+    if (!contract) return;
+
+    setLoading(true);
+    try {
+      const amount = ethers.parseEther(depositAmount);
+      const value = action === 'add' ? await authorizePayment(amount) : 0n;
+      setTxStatus('Confirm transaction in wallet...');
+      const tx = action === 'add'
+        ? await contract.addLiquidity(amount, { value })
+        : action === 'claim'
+          ? await contract.claimLpFees()
+          : await contract.withdrawLiquidity();
+
       setTxStatus('Waiting for confirmation...');
-      const receipt = await tx.wait();
-      
-      setTxStatus('Transaction confirmed! Updating data...');
-      
-      // Update price history
-      const newPrices = await contract.getPrices();
-      const historyEntry = {
-        time: priceHistory.length,
-        ...newPrices.map((p, idx) => ({
-          [`Outcome ${idx + 1}`]: (Number(ethers.formatEther(p)) * 100).toFixed(2)
-        })).reduce((acc, curr) => ({ ...acc, ...curr }), {})
-      };
-      setPriceHistory([...priceHistory, historyEntry]);
+      await tx.wait();
+      await loadMarketData(contract, address);
 
+      setTxStatus('✅ Liquidity updated!');
+      setTimeout(() => setTxStatus(''), 3000);
+    } catch (error) {
+      reportTradeError(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Owner and guardian controls: emergency pause, guardian and the two-step ownership handover
+  const executeAdmin = async (action) => {
+    if (!contract) return;
+
+    setLoading(true);
+    try {
+      if (['guardian', 'transfer'].includes(action) && adminAddress && !ethers.isAddress(adminAddress)) {
+        throw new Error('Invalid address');
+      }
+      const target = adminAddress || ethers.ZeroAddress;
+      setTxStatus('Confirm transaction in wallet...');
+      const tx = action === 'pause'
+        ? await contract.pause()
+        : action === 'unpause'
+          ? await contract.unpause()
+          : action === 'guardian'
+            ? await contract.setGuardian(target)
+            : action === 'transfer'
+              ? await contract.transferOwnership(target)
+              : await contract.acceptOwnership();
+
+      setTxStatus('Waiting for confirmation...');
+      await tx.wait();
       await loadMarketData(contract, address);
-      
-      setTxStatus('✅ Trade successful!');
+
+      setAdminAddress('');
+      setTxStatus('✅ Market updated!');
       setTimeout(() => setTxStatus(''), 3000);
-      
     } catch (error) {
-      console.error('Trade error:', error);
-      let errorMsg = error.message;
-      if (error.reason) errorMsg = error.reason;
-      if (error.data?.message) errorMsg = error.data.message;
-      if (error.code === 'ACTION_REJECTED') errorMsg = 'Transaction rejected by user';
-      
-      setTxStatus('❌ Trade failed: ' + errorMsg);
-      setTimeout(() => setTxStatus(''), 5000);
+      reportTradeError(error);
     } finally {
       setLoading(false);
     }
@@ -203,14 +577,58 @@ const LSLMSRApp = () => {
     }
   };
 
+  // Tick once a second so the countdown and trading lock follow the clock
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Mirrors getState() on-chain, derived locally so the panel locks the moment the market closes
+  const marketState = !marketInfo ? 0
+    : marketInfo.resolved ? 4
+    : marketInfo.cancelled ? 5
+    : marketInfo.disputed ? 3
+    : marketInfo.proposed ? 2
+    : now >= marketInfo.closeTime ? 1 : 0;
+  // A guardian pause blocks trading on top of the lifecycle; claims and refunds stay open
+  const tradingClosed = marketState !== 0 || Boolean(marketInfo?.paused);
+
+  const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+  const isOwner = sameAddress(address, marketInfo?.owner);
+  const canPause = marketInfo?.guardian === ethers.ZeroAddress ? isOwner : sameAddress(address, marketInfo?.guardian);
+
+  // Multi-leg quotes are signed: the market pays out when the sells outweigh the buys
+  const multiNet = Number(tradeCost) + Number(tradeFee);
+  const marketPays = tradeType === 'sell' || (tradeType === 'multi' && Number(tradeCost) < 0);
+  const receives = tradeType === 'sell' || (tradeType === 'multi' && multiNet < 0);
+
+  // What the trader actually pays (buys) or receives (sells) once the fee is applied
+  const tradeTotal = tradeType === 'multi'
+    ? Math.abs(multiNet)
+    : tradeType === 'sell'
+      ? Number(tradeCost) - Number(tradeFee)
+      : Number(tradeCost) + Number(tradeFee);
+
+  const orderEmpty = tradeType === 'multi'
+    ? legs.every((leg) => !Number(leg))
+    : !shareAmount || Number(shareAmount) <= 0;
+
   // Calculate trade when inputs change
   useEffect(() => {
-    if (isConnected && contract) {
+    if (isConnected) {
       calculateTrade();
     }
-  }, [shareAmount, selectedOutcome, tradeType, isConnected, contract]);
+  }, [shareAmount, legs, selectedOutcome, tradeType, isConnected, pricingState]);
+
+  useEffect(() => {
+    if (isConnected) {
+      calculateTargetTrade();
+    }
+  }, [targetPrice, selectedOutcome, isConnected, pricingState]);
 
   const outcomeColors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6'];
+  // Markets can have up to 64 outcomes; past the palette, spread hues by the golden angle
+  const outcomeColor = (idx) => outcomeColors[idx] || `hsl(${(idx * 137.5) % 360}, 70%, 60%)`;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900 text-white p-6">
@@ -261,45 +679,317 @@ const LSLMSRApp = () => {
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
             {/* Market Info */}
             <div className="lg:col-span-1 space-y-6">
+              {factoryMarkets.length > 0 && (
+                <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-6 border border-slate-700">
+                  <div className="flex items-center mb-4">
+                    <List className="w-5 h-5 mr-2 text-purple-400" />
+                    <h2 className="text-xl font-bold">Markets</h2>
+                  </div>
+                  <select
+                    value={marketAddress}
+                    onChange={(e) => setMarketAddress(e.target.value)}
+                    className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {!factoryMarkets.some((m) => m.address === marketAddress) && (
+                      <option value={marketAddress}>{marketAddress}</option>
+                    )}
+                    {factoryMarkets.map((m, idx) => (
+                      <option key={m.address} value={m.address}>
+                        #{idx} {m.question || m.address}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="text-xs text-slate-500 mt-2 break-all">{marketAddress}</div>
+                </div>
+              )}
+
               {marketInfo && (
                 <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-6 border border-slate-700">
                   <div className="flex items-center mb-4">
                     <Settings className="w-5 h-5 mr-2 text-blue-400" />
                     <h2 className="text-xl font-bold">Market Parameters</h2>
                   </div>
+                  {metadata?.question && (
+                    <div className="mb-4">
+                      <div className="font-semibold">{metadata.question}</div>
+                      <div className="text-xs text-slate-400 mt-1">
+                        {metadata.category}
+                        {metadata.resolutionSource && <> · Resolves via {metadata.resolutionSource}</>}
+                      </div>
+                    </div>
+                  )}
                   <div className="space-y-2 text-sm">
                     <div className="flex justify-between">
-                      <span className="text-slate-400">Outcomes:</span>
-                      <span className="font-semibold">{marketInfo.numOutcomes}</span>
+                      <span className="text-slate-400">Status:</span>
+                      <span className="font-semibold">{MARKET_STATES[marketState]}</span>
                     </div>
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Closes:</span>
+                      <span className="font-semibold">{new Date(marketInfo.closeTime * 1000).toLocaleString()}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Resolver:</span>
+                      <span className="font-semibold">
+                        {marketInfo.resolver === ethers.ZeroAddress
+                          ? 'Owner'
+                          : `${marketInfo.resolver.slice(0, 6)}…${marketInfo.resolver.slice(-4)}`}
+                      </span>
+                    </div>
+                    {marketInfo.scalarRange ? (
+                      <div className="flex justify-between">
+                        <span className="text-slate-400">Range:</span>
+                        <span className="font-semibold">
+                          {marketInfo.scalarRange[0]} – {marketInfo.scalarRange[1]}
+                        </span>
+                      </div>
+                    ) : (
+                      <div className="flex justify-between">
+                        <span className="text-slate-400">Outcomes:</span>
+                        <span className="font-semibold">{marketInfo.numOutcomes}</span>
+                      </div>
+                    )}
                     <div className="flex justify-between">
                       <span className="text-slate-400">Base b₀:</span>
-                      <span className="font-semibold">{Number(marketInfo.b0).toFixed(4)} ETH</span>
+                      <span className="font-semibold">{Number(marketInfo.b0).toFixed(4)} {symbol}</span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-slate-400">Current b:</span>
-                      <span className="font-semibold">{Number(marketInfo.currentB).toFixed(4)} ETH</span>
+                      <span className="font-semibold">{Number(marketInfo.currentB).toFixed(4)} {symbol}</span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-slate-400">Alpha (α):</span>
                       <span className="font-semibold">{Number(marketInfo.alpha).toFixed(4)}</span>
                     </div>
                     <div className="flex justify-between">
-                      <span className="text-slate-400">Volume (Q):</span>
+                      <span className="text-slate-400">Liquidity rule:</span>
+                      <span className="font-semibold">
+                        {marketInfo.proportional
+                          ? 'b = α · Σq'
+                          : marketInfo.bMax ? 'b = min(b₀ · e^(α·Q), bMax)' : 'b = b₀ · e^(α·Q)'}
+                      </span>
+                    </div>
+                    <div className="text-xs text-slate-400">
+                      {marketInfo.proportional
+                        ? `Proportional (Othman et al.): b follows the shares outstanding and prices sum to ${prices.reduce((sum, p) => sum + p, 0).toFixed(4)}, at most 1 + α·n·ln n; the excess is the market maker's spread`
+                        : `Volume-scaled: b grows with the volume traded${marketInfo.volumeHalfLife > 0 ? ' recently, relaxing towards b₀ as it decays,' : ''} and prices sum to 1`}
+                    </div>
+                    {marketInfo.bMax && (
+                      <div className="flex justify-between">
+                        <span className="text-slate-400">Cap (bMax):</span>
+                        <span className="font-semibold">{Number(marketInfo.bMax).toFixed(4)} {symbol}</span>
+                      </div>
+                    )}
+                    {marketInfo.volumeHalfLife > 0 && (
+                      <>
+                        <div className="flex justify-between">
+                          <span className="text-slate-400">Volume half-life:</span>
+                          <span className="font-semibold">{formatCountdown(marketInfo.volumeHalfLife)}</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-slate-400">Recent volume (Q):</span>
+                          <span className="font-semibold">{Number(marketInfo.currentVolume).toFixed(2)}</span>
+                        </div>
+                      </>
+                    )}
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">{marketInfo.volumeHalfLife > 0 ? 'Total volume:' : 'Volume (Q):'}</span>
                       <span className="font-semibold">{Number(marketInfo.totalVolume).toFixed(2)}</span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-slate-400">Pool:</span>
-                      <span className="font-semibold">{Number(marketInfo.collateral).toFixed(4)} ETH</span>
+                      <span className="font-semibold">{Number(marketInfo.collateral).toFixed(4)} {symbol}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Trading fee:</span>
+                      <span className="font-semibold">{(marketInfo.feeBps / 100).toFixed(2)}%</span>
                     </div>
+                    {marketInfo.cancelled && (
+                      <div className="mt-4 p-2 bg-amber-500/20 border border-amber-500 rounded">
+                        <div className="text-center text-amber-400 font-bold">
+                          Cancelled: shares refund at their last prices
+                        </div>
+                      </div>
+                    )}
+                    {(marketState === 2 || marketState === 3) && (
+                      <div className="mt-4 p-2 bg-blue-500/20 border border-blue-500 rounded">
+                        <div className="text-center text-blue-400 font-bold">
+                          {marketInfo.scalarRange
+                            ? `Proposed value: ${marketInfo.proposedOutcome}`
+                            : `Proposed winner: ${outcomeLabel(marketInfo.proposedOutcome)}`}
+                        </div>
+                        <div className="text-center text-xs text-slate-400 mt-1">
+                          {marketInfo.disputed
+                            ? 'Disputed: awaiting the arbitrator'
+                            : now < marketInfo.disputeDeadline
+                              ? `Open to disputes for ${formatCountdown(marketInfo.disputeDeadline - now)}`
+                              : 'Dispute period over: ready to finalize'}
+                        </div>
+                      </div>
+                    )}
                     {marketInfo.resolved && (
                       <div className="mt-4 p-2 bg-green-500/20 border border-green-500 rounded">
                         <div className="text-center text-green-400 font-bold">
-                          Winner: Outcome {marketInfo.winningOutcome + 1}
+                          {marketInfo.scalarRange
+                            ? `Resolved value: ${marketInfo.winningOutcome}`
+                            : `Winner: ${outcomeLabel(marketInfo.winningOutcome)}`}
                         </div>
+                        {marketInfo.scalarRange && (
+                          <div className="text-center text-xs text-slate-400 mt-1">
+                            {outcomeLabel(0)} pays {longPayout(marketInfo.winningOutcome).toFixed(4)} {symbol},{' '}
+                            {outcomeLabel(1)} pays {(1 - longPayout(marketInfo.winningOutcome)).toFixed(4)} {symbol} per share
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {liquidity && (
+                <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-6 border border-slate-700">
+                  <div className="flex items-center mb-4">
+                    <Droplet className="w-5 h-5 mr-2 text-cyan-400" />
+                    <h2 className="text-xl font-bold">Liquidity</h2>
+                  </div>
+                  <div className="space-y-2 text-sm">
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Your LP shares:</span>
+                      <span className="font-semibold">{liquidity.shares.toFixed(4)} ({liquidity.poolShare.toFixed(2)}%)</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Unclaimed fees:</span>
+                      <span className="font-semibold">{liquidity.pendingFees.toFixed(6)} {symbol}</span>
+                    </div>
+                  </div>
+                  {!tradingClosed && (
+                    <div className="flex gap-2 mt-4">
+                      <input
+                        type="number"
+                        value={depositAmount}
+                        onChange={(e) => setDepositAmount(e.target.value)}
+                        min="0"
+                        step="0.1"
+                        className="flex-1 min-w-0 bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <button
+                        onClick={() => executeLiquidity('add')}
+                        disabled={loading || !depositAmount || Number(depositAmount) <= 0}
+                        className="px-4 py-2 rounded-lg text-sm font-semibold bg-cyan-600 hover:bg-cyan-700 disabled:bg-slate-700 disabled:text-slate-500"
+                      >
+                        Add {symbol}
+                      </button>
+                    </div>
+                  )}
+                  <div className="text-xs text-slate-400 mt-2">
+                    Deposits deepen b without moving prices and earn a pro-rata cut of trading fees
+                  </div>
+                  <div className="flex gap-2 mt-4">
+                    {liquidity.pendingFees > 0 && (
+                      <button
+                        onClick={() => executeLiquidity('claim')}
+                        disabled={loading}
+                        className="flex-1 py-2 rounded-lg text-sm font-semibold bg-slate-700 hover:bg-slate-600"
+                      >
+                        Claim fees
+                      </button>
+                    )}
+                    {(marketInfo?.resolved || marketInfo?.cancelled) && liquidity.shares > 0 && (
+                      <button
+                        onClick={() => executeLiquidity('withdraw')}
+                        disabled={loading}
+                        className="flex-1 py-2 rounded-lg text-sm font-semibold bg-slate-700 hover:bg-slate-600"
+                      >
+                        Withdraw liquidity
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {marketInfo && sameAddress(address, marketInfo.pendingOwner) && (
+                <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-6 border border-slate-700">
+                  <div className="text-sm text-slate-300 mb-3">The owner has offered you ownership of this market.</div>
+                  <button
+                    onClick={() => executeAdmin('accept')}
+                    disabled={loading}
+                    className="w-full py-2 rounded-lg text-sm font-semibold bg-cyan-600 hover:bg-cyan-700 disabled:bg-slate-700 disabled:text-slate-500"
+                  >
+                    Accept ownership
+                  </button>
+                </div>
+              )}
+
+              {/* A guardian other than the owner gets the pause switch alone */}
+              {marketInfo && (isOwner || canPause) && (
+                <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-6 border border-slate-700">
+                  <div className="flex items-center mb-4">
+                    <Shield className="w-5 h-5 mr-2 text-rose-400" />
+                    <h2 className="text-xl font-bold">Admin</h2>
+                  </div>
+                  <div className="space-y-2 text-sm">
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Trading:</span>
+                      <span className={`font-semibold ${marketInfo.paused ? 'text-amber-400' : ''}`}>
+                        {marketInfo.paused ? 'Paused' : 'Live'}
+                      </span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Guardian:</span>
+                      <span className="font-mono text-xs">
+                        {marketInfo.guardian === ethers.ZeroAddress ? 'Owner' : `${marketInfo.guardian.slice(0, 6)}...${marketInfo.guardian.slice(-4)}`}
+                      </span>
+                    </div>
+                    {marketInfo.pendingOwner !== ethers.ZeroAddress && (
+                      <div className="flex justify-between">
+                        <span className="text-slate-400">Pending owner:</span>
+                        <span className="font-mono text-xs">
+                          {marketInfo.pendingOwner.slice(0, 6)}...{marketInfo.pendingOwner.slice(-4)}
+                        </span>
                       </div>
                     )}
                   </div>
+                  {canPause && (
+                    <button
+                      onClick={() => executeAdmin(marketInfo.paused ? 'unpause' : 'pause')}
+                      disabled={loading}
+                      className={`w-full mt-4 py-2 rounded-lg text-sm font-semibold disabled:bg-slate-700 disabled:text-slate-500 ${
+                        marketInfo.paused ? 'bg-green-600 hover:bg-green-700' : 'bg-rose-600 hover:bg-rose-700'
+                      }`}
+                    >
+                      {marketInfo.paused ? 'Resume trading' : 'Pause trading'}
+                    </button>
+                  )}
+                  {isOwner && (
+                    <>
+                      <input
+                        type="text"
+                        value={adminAddress}
+                        onChange={(e) => setAdminAddress(e.target.value.trim())}
+                        placeholder="0x... (empty clears)"
+                        className="w-full mt-4 bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <div className="flex gap-2 mt-2">
+                        <button
+                          onClick={() => executeAdmin('guardian')}
+                          disabled={loading}
+                          className="flex-1 py-2 rounded-lg text-sm font-semibold bg-slate-700 hover:bg-slate-600"
+                        >
+                          Set guardian
+                        </button>
+                        <button
+                          onClick={() => executeAdmin('transfer')}
+                          disabled={loading}
+                          className="flex-1 py-2 rounded-lg text-sm font-semibold bg-slate-700 hover:bg-slate-600"
+                        >
+                          Transfer ownership
+                        </button>
+                      </div>
+                    </>
+                  )}
+                  <div className="text-xs text-slate-400 mt-2">
+                    Pausing blocks trading, minting and deposits; claims, refunds and withdrawals stay open.
+                    {isOwner && ' A new owner must accept before the transfer takes effect.'}
+                  </div>
                 </div>
               )}
 
@@ -312,10 +1002,14 @@ const LSLMSRApp = () => {
                 
                 <div className="space-y-3">
                   {prices.map((price, idx) => (
-                    <div key={idx} className="bg-slate-700/50 rounded-lg p-3">
+                    <div
+                      key={idx}
+                      onClick={() => setSelectedOutcome(idx)}
+                      className={`bg-slate-700/50 rounded-lg p-3 cursor-pointer ${idx === selectedOutcome ? 'ring-1 ring-slate-500' : ''}`}
+                    >
                       <div className="flex justify-between items-center mb-2">
-                        <span className="font-medium" style={{ color: outcomeColors[idx] }}>
-                          Outcome {idx + 1}
+                        <span className="font-medium" style={{ color: outcomeColor(idx) }}>
+                          {outcomeLabel(idx)}
                         </span>
                         <span className="text-lg font-bold">{(price * 100).toFixed(2)}%</span>
                       </div>
@@ -324,7 +1018,7 @@ const LSLMSRApp = () => {
                           className="h-2 rounded-full transition-all duration-300"
                           style={{
                             width: `${price * 100}%`,
-                            backgroundColor: outcomeColors[idx]
+                            backgroundColor: outcomeColor(idx)
                           }}
                         />
                       </div>
@@ -332,6 +1026,50 @@ const LSLMSRApp = () => {
                         <span>Qty: {quantities[idx]?.toFixed(2) || '0'}</span>
                         <span>Yours: {userShares[idx]?.toFixed(2) || '0'}</span>
                       </div>
+                      {idx === selectedOutcome && (
+                        <div className="mt-3 pt-3 border-t border-slate-600" onClick={(e) => e.stopPropagation()}>
+                          <div className="flex justify-between text-xs text-slate-400 mb-1">
+                            <span>Move to target:</span>
+                            <span className="font-semibold text-white">{Number(targetPrice).toFixed(1)}%</span>
+                          </div>
+                          <input
+                            type="range"
+                            min="1"
+                            max="99"
+                            step="0.5"
+                            value={targetPrice}
+                            onChange={(e) => setTargetPrice(e.target.value)}
+                            className="w-full"
+                            style={{ accentColor: outcomeColor(idx) }}
+                          />
+                          {targetQuote?.unreachable ? (
+                            <div className="text-xs text-amber-400 mt-1">
+                              Not reachable in one trade (b grows with volume)
+                            </div>
+                          ) : targetQuote && (
+                            <div className="flex justify-between text-xs text-slate-400 mt-1">
+                              <span>
+                                {Number(targetQuote.delta) >= 0 ? 'Buy' : 'Sell'} {Math.abs(Number(targetQuote.delta)).toFixed(2)} shares
+                              </span>
+                              <span>
+                                {Number(targetQuote.cost) >= 0 ? 'Cost' : 'Payout'} {Math.abs(Number(targetQuote.cost)).toFixed(6)} {symbol}
+                                {Number(targetQuote.fee) > 0 && ` (${Number(targetQuote.cost) >= 0 ? '+' : '−'}${Number(targetQuote.fee).toFixed(6)} fee)`}
+                              </span>
+                            </div>
+                          )}
+                          <button
+                            onClick={executeTargetTrade}
+                            disabled={tradingClosed || loading || !targetQuote || targetQuote.unreachable || Number(targetQuote.delta) === 0}
+                            className={`w-full mt-2 py-2 rounded-lg text-sm font-semibold transition-all ${
+                              tradingClosed || loading || !targetQuote || targetQuote.unreachable || Number(targetQuote.delta) === 0
+                                ? 'bg-slate-700 text-slate-500 cursor-not-allowed'
+                                : 'bg-slate-600 hover:bg-slate-500'
+                            }`}
+                          >
+                            Move to {Number(targetPrice).toFixed(1)}%
+                          </button>
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -345,112 +1083,244 @@ const LSLMSRApp = () => {
                 <div className="flex items-center mb-4">
                   <TrendingUp className="w-5 h-5 mr-2 text-cyan-400" />
                   <h2 className="text-xl font-bold">Trade Shares</h2>
+                  {marketInfo && (
+                    <span className={`ml-auto text-sm font-semibold ${tradingClosed ? 'text-amber-400' : 'text-slate-400'}`}>
+                      {marketInfo.paused && marketState === 0
+                        ? 'Trading paused'
+                        : tradingClosed ? 'Trading closed' : `Closes in ${formatCountdown(marketInfo.closeTime - now)}`}
+                    </span>
+                  )}
                 </div>
 
-                <div className="grid grid-cols-2 gap-4 mb-4">
-                  <button
-                    onClick={() => setTradeType('buy')}
-                    className={`py-3 rounded-lg font-semibold transition-all ${
-                      tradeType === 'buy'
-                        ? 'bg-green-500 text-white'
-                        : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
-                    }`}
-                  >
-                    Buy Shares
-                  </button>
-                  <button
-                    onClick={() => setTradeType('sell')}
-                    className={`py-3 rounded-lg font-semibold transition-all ${
-                      tradeType === 'sell'
-                        ? 'bg-red-500 text-white'
-                        : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
-                    }`}
-                  >
-                    Sell Shares
-                  </button>
-                </div>
-
-                <div className="space-y-4">
-                  <div>
-                    <label className="block text-sm font-medium mb-2">Select Outcome</label>
-                    <select
-                      value={selectedOutcome}
-                      onChange={(e) => setSelectedOutcome(Number(e.target.value))}
-                      className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                <fieldset disabled={tradingClosed} className={tradingClosed ? 'opacity-50' : ''}>
+                  <div className="grid grid-cols-4 gap-4 mb-4">
+                    <button
+                      onClick={() => setTradeType('buy')}
+                      className={`py-3 rounded-lg font-semibold transition-all ${
+                        tradeType === 'buy'
+                          ? 'bg-green-500 text-white'
+                          : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                      }`}
                     >
-                      {prices.map((price, idx) => (
-                        <option key={idx} value={idx}>
-                          Outcome {idx + 1} ({(price * 100).toFixed(2)}%)
-                        </option>
-                      ))}
-                    </select>
-                  </div>
-
-                  <div>
-                    <label className="block text-sm font-medium mb-2">
-                      Number of Shares
-                    </label>
-                    <input
-                      type="number"
-                      value={shareAmount}
-                      onChange={(e) => setShareAmount(e.target.value)}
-                      min="0.01"
-                      step="1"
-                      className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    />
+                      Buy Shares
+                    </button>
+                    <button
+                      onClick={() => setTradeType('sell')}
+                      className={`py-3 rounded-lg font-semibold transition-all ${
+                        tradeType === 'sell'
+                          ? 'bg-red-500 text-white'
+                          : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                      }`}
+                    >
+                      Sell Shares
+                    </button>
+                    <button
+                      onClick={() => setTradeType('spend')}
+                      className={`py-3 rounded-lg font-semibold transition-all ${
+                        tradeType === 'spend'
+                          ? 'bg-cyan-500 text-white'
+                          : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                      }`}
+                    >
+                      Spend {symbol}
+                    </button>
+                    <button
+                      onClick={() => setTradeType('multi')}
+                      className={`py-3 rounded-lg font-semibold transition-all ${
+                        tradeType === 'multi'
+                          ? 'bg-purple-500 text-white'
+                          : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                      }`}
+                    >
+                      Multi-Leg
+                    </button>
                   </div>
 
-                  <div className="bg-slate-700/50 rounded-lg p-4">
-                    <div className="flex items-center justify-between mb-2">
-                      <span className="text-slate-400">
-                        {tradeType === 'buy' ? 'Cost:' : 'Payout:'}
-                      </span>
-                      <span className={`text-2xl font-bold ${tradeType === 'buy' ? 'text-red-400' : 'text-green-400'}`}>
-                        {Number(tradeCost).toFixed(6)} ETH
-                      </span>
-                    </div>
-                    {newPricesPreview.length > 0 && (
-                      <div className="mt-3 pt-3 border-t border-slate-600">
-                        <div className="text-xs text-slate-400 mb-2">Price impact:</div>
-                        <div className="grid grid-cols-2 gap-2 text-xs">
-                          {newPricesPreview.map((newPrice, idx) => {
-                            const change = ((newPrice - prices[idx]) / prices[idx] * 100);
-                            return (
-                              <div key={idx} className="flex justify-between">
-                                <span className="text-slate-400">Out. {idx + 1}:</span>
-                                <span className={change > 0 ? 'text-green-400' : change < 0 ? 'text-red-400' : ''}>
-                                  {change > 0 ? '+' : ''}{change.toFixed(2)}%
-                                </span>
-                              </div>
-                            );
-                          })}
+                  <div className="space-y-4">
+                    {tradeType === 'multi' ? (
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Shares per Outcome (negative to sell)</label>
+                        <div className="grid grid-cols-2 gap-2">
+                          {prices.map((price, idx) => (
+                            <div key={idx} className="flex items-center gap-2">
+                              <span className="w-28 text-sm truncate" style={{ color: outcomeColor(idx) }}>
+                                {outcomeLabel(idx)} ({(price * 100).toFixed(1)}%)
+                              </span>
+                              <input
+                                type="number"
+                                value={legs[idx] ?? ''}
+                                onChange={(e) => setLegs(legs.map((leg, i) => (i === idx ? e.target.value : leg)))}
+                                placeholder="0"
+                                step="1"
+                                className="flex-1 min-w-0 bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                              />
+                            </div>
+                          ))}
                         </div>
+                        <p className="text-xs text-slate-400 mt-2">
+                          Every leg executes in one transaction at the current b, paying or receiving the net cost once.
+                        </p>
                       </div>
+                    ) : (
+                      <>
+                        <div>
+                          <label className="block text-sm font-medium mb-2">Select Outcome</label>
+                          <select
+                            value={selectedOutcome}
+                            onChange={(e) => setSelectedOutcome(Number(e.target.value))}
+                            className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            {prices.map((price, idx) => (
+                              <option key={idx} value={idx}>
+                                {outcomeLabel(idx)} ({(price * 100).toFixed(2)}%)
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+
+                        <div>
+                          <label className="block text-sm font-medium mb-2">
+                            {tradeType === 'spend' ? `Amount to Spend (${symbol})` : 'Number of Shares'}
+                          </label>
+                          <input
+                            type="number"
+                            value={shareAmount}
+                            onChange={(e) => setShareAmount(e.target.value)}
+                            min="0.01"
+                            step="1"
+                            className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                        </div>
+                      </>
                     )}
-                  </div>
 
-                  {txStatus && (
-                    <div className={`rounded-lg p-3 text-center ${
-                      txStatus.includes('✅') ? 'bg-green-500/20 border border-green-500 text-green-400' :
-                      txStatus.includes('❌') ? 'bg-red-500/20 border border-red-500 text-red-400' :
-                      'bg-blue-500/20 border border-blue-500 text-blue-400'
-                    }`}>
-                      {txStatus}
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Slippage Tolerance</label>
+                      <div className="flex gap-2">
+                        {SLIPPAGE_PRESETS.map((preset) => (
+                          <button
+                            key={preset}
+                            onClick={() => setSlippage(preset)}
+                            className={`px-3 py-2 rounded-lg text-sm font-semibold transition-all ${
+                              slippage === preset
+                                ? 'bg-blue-500 text-white'
+                                : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                            }`}
+                          >
+                            {preset}%
+                          </button>
+                        ))}
+                        <input
+                          type="number"
+                          value={slippage}
+                          onChange={(e) => setSlippage(e.target.value)}
+                          min="0"
+                          max="50"
+                          step="0.1"
+                          className="flex-1 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      </div>
                     </div>
-                  )}
 
-                  <button
-                    onClick={executeTrade}
-                    disabled={loading || !shareAmount || Number(shareAmount) <= 0}
-                    className={`w-full py-4 rounded-lg font-bold text-lg transition-all ${
-                      loading || !shareAmount || Number(shareAmount) <= 0
-                        ? 'bg-slate-700 text-slate-500 cursor-not-allowed'
-                        : 'bg-gradient-to-r from-blue-500 to-cyan-500 hover:from-blue-600 hover:to-cyan-600 shadow-lg shadow-blue-500/50'
-                    }`}
-                  >
-                    {loading ? 'Processing...' : `Execute ${tradeType === 'buy' ? 'Buy' : 'Sell'} Order`}
-                  </button>
-                </div>
+                    <div className="bg-slate-700/50 rounded-lg p-4">
+                      <div className="flex items-center justify-between mb-1 text-sm">
+                        <span className="text-slate-400">
+                          {marketPays ? 'Market payout:' : 'Market cost:'}
+                        </span>
+                        <span>{Math.abs(Number(tradeCost)).toFixed(6)} {symbol}</span>
+                      </div>
+                      {costTerms && (
+                        <div className="flex items-center justify-between mb-1 text-xs text-slate-500">
+                          <span>
+                            at b = {costTerms.b.toFixed(2)}
+                            {costTerms.bAfter !== costTerms.b && <> → {costTerms.bAfter.toFixed(2)}</>}:
+                          </span>
+                          <span>C(q) {costTerms.before.toFixed(4)} → C(q′) {costTerms.after.toFixed(4)}</span>
+                        </div>
+                      )}
+                      <div className="flex items-center justify-between mb-2 text-sm">
+                        <span className="text-slate-400">
+                          Fee ({((marketInfo?.feeBps ?? 0) / 100).toFixed(2)}%):
+                        </span>
+                        <span>{marketPays ? '−' : '+'}{Number(tradeFee).toFixed(6)} {symbol}</span>
+                      </div>
+                      <div className="flex items-center justify-between mb-2 pt-2 border-t border-slate-600">
+                        <span className="text-slate-400">
+                          {receives ? 'You receive:' : 'You pay:'}
+                        </span>
+                        <span className={`text-2xl font-bold ${receives ? 'text-green-400' : 'text-red-400'}`}>
+                          {tradeTotal.toFixed(6)} {symbol}
+                        </span>
+                      </div>
+                      {tradeType === 'spend' ? (
+                        <>
+                          <div className="flex items-center justify-between mb-1">
+                            <span className="text-slate-400">Shares received:</span>
+                            <span className="font-semibold">{Number(budgetShares).toFixed(6)}</span>
+                          </div>
+                          <div className="flex items-center justify-between text-xs text-slate-400">
+                            <span>Min shares:</span>
+                            <span>{(Number(budgetShares) * Math.max(0, 1 - Number(slippage) / 100)).toFixed(6)}</span>
+                          </div>
+                        </>
+                      ) : tradeType === 'multi' ? (
+                        !receives && (
+                          <div className="flex items-center justify-between text-xs text-slate-400">
+                            <span>Max cost:</span>
+                            <span>{(tradeTotal * (1 + Number(slippage) / 100)).toFixed(6)} {symbol}</span>
+                          </div>
+                        )
+                      ) : (
+                        <div className="flex items-center justify-between text-xs text-slate-400">
+                          <span>{tradeType === 'buy' ? 'Max cost:' : 'Min payout:'}</span>
+                          <span>
+                            {(tradeTotal * (tradeType === 'buy' ? 1 + Number(slippage) / 100 : Math.max(0, 1 - Number(slippage) / 100))).toFixed(6)} {symbol}
+                          </span>
+                        </div>
+                      )}
+                      {newPricesPreview.length > 0 && (
+                        <div className="mt-3 pt-3 border-t border-slate-600">
+                          <div className="text-xs text-slate-400 mb-2">Price impact:</div>
+                          <div className="grid grid-cols-2 gap-2 text-xs">
+                            {newPricesPreview.map((newPrice, idx) => {
+                              const change = ((newPrice - prices[idx]) / prices[idx] * 100);
+                              return (
+                                <div key={idx} className="flex justify-between">
+                                  <span className="text-slate-400">{outcomeLabel(idx)}:</span>
+                                  <span className={change > 0 ? 'text-green-400' : change < 0 ? 'text-red-400' : ''}>
+                                    {change > 0 ? '+' : ''}{change.toFixed(2)}%
+                                  </span>
+                                </div>
+                              );
+                            })}
+                          </div>
+                        </div>
+                      )}
+                    </div>
+
+                    {txStatus && (
+                      <div className={`rounded-lg p-3 text-center ${
+                        txStatus.includes('✅') ? 'bg-green-500/20 border border-green-500 text-green-400' :
+                        txStatus.includes('❌') ? 'bg-red-500/20 border border-red-500 text-red-400' :
+                        'bg-blue-500/20 border border-blue-500 text-blue-400'
+                      }`}>
+                        {txStatus}
+                      </div>
+                    )}
+
+                    <button
+                      onClick={executeTrade}
+                      disabled={tradingClosed || loading || orderEmpty || Number(slippage) < 0}
+                      className={`w-full py-4 rounded-lg font-bold text-lg transition-all ${
+                        tradingClosed || loading || orderEmpty || Number(slippage) < 0
+                          ? 'bg-slate-700 text-slate-500 cursor-not-allowed'
+                          : 'bg-gradient-to-r from-blue-500 to-cyan-500 hover:from-blue-600 hover:to-cyan-600 shadow-lg shadow-blue-500/50'
+                      }`}
+                    >
+                      {loading ? 'Processing...' : `Execute ${tradeType === 'multi' ? 'Multi-Leg' : tradeType === 'sell' ? 'Sell' : 'Buy'} Order`}
+                    </button>
+                  </div>
+                </fieldset>
               </div>
 
               {/* Price History Chart */}
@@ -470,8 +1340,8 @@ const LSLMSRApp = () => {
                         <Line
                           key={idx}
                           type="monotone"
-                          dataKey={`Outcome ${idx + 1}`}
-                          stroke={outcomeColors[idx]}
+                          dataKey={outcomeLabel(idx)}
+                          stroke={outcomeColor(idx)}
                           strokeWidth={2}
                           dot={false}
                         />
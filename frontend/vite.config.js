@@ -1,10 +1,15 @@
-import { defineConfig } from 'vite'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
 import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
   server: {
     port: 5173,
-    open: true
+    open: true,
+    // lslmsr-sdk is linked from ../sdk, outside the project root; serve that and
+    // nothing else beyond the default workspace root
+    fs: {
+      allow: [searchForWorkspaceRoot(process.cwd()), '../sdk']
+    }
   }
 })
\ No newline at end of file
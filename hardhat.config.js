@@ -14,7 +14,12 @@ module.exports = {
   },
   networks: {
     hardhat: {
-      chainId: 31337
+      chainId: 31337,
+      accounts: {
+        // Every test deployment funds a market from the first account; the default
+        // 10,000 ETH runs out over the full suite
+        accountsBalance: "1000000000000000000000000"
+      }
     },
     sepolia: {
       url: process.env.SEPOLIA_RPC_URL || "https://rpc.sepolia.org",
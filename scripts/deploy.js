@@ -5,23 +5,91 @@ async function main() {
   console.log("🚀 Deploying LS-LMSR Market...\n");
 
   // Deployment parameters
-  const NUM_OUTCOMES = 2; // Binary market (Yes/No)
+  const NUM_OUTCOMES = 2; // Binary market (Yes/No); must match OUTCOME_LABELS
   const B0 = ethers.parseEther("0.01"); // 0.1 base liquidity
   const ALPHA = ethers.parseEther("0.01"); // 0.01 sensitivity parameter
+  // PRICING_MODE=proportional sets b = alpha * sum(q) (Othman et al.) instead of growing b with volume
+  const PRICING_MODES = ["volume", "proportional"];
+  const PRICING_MODE = PRICING_MODES.indexOf(process.env.PRICING_MODE || "volume");
+  if (PRICING_MODE === -1) throw new Error(`PRICING_MODE must be one of ${PRICING_MODES.join(", ")}`);
+  // Volume-scaled b only: B_MAX caps it (unset = uncapped) and VOLUME_HALF_LIFE (seconds) lets
+  // the volume driving it decay, so b follows recent activity (unset = all volume counts forever)
+  const LIQUIDITY = {
+    pricingMode: PRICING_MODE,
+    bMax: process.env.B_MAX ? ethers.parseEther(process.env.B_MAX) : 0n,
+    volumeHalfLife: Number(process.env.VOLUME_HALF_LIFE || 0)
+  };
+  const QUESTION = process.env.MARKET_QUESTION || "Will ETH close above $4,000 this month?";
+  // Trading closes at CLOSE_TIME (unix seconds), 30 days from now by default
+  const CLOSE_TIME = Number(process.env.CLOSE_TIME || Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60);
+  // Oracle reporting the outcome (see contracts/resolvers); unset = the deployer resolves
+  const RESOLVER = process.env.RESOLVER_ADDRESS || ethers.ZeroAddress;
+  // Market collateral: the ERC-20 at COLLATERAL_TOKEN (e.g. a stablecoin), unset = native ETH.
+  // Amounts below are in whole units of the collateral whatever the token's decimals.
+  const COLLATERAL_TOKEN = process.env.COLLATERAL_TOKEN || ethers.ZeroAddress;
+  // Proposed outcomes can be disputed for DISPUTE_PERIOD seconds by posting DISPUTE_BOND collateral;
+  // disputes are settled by ARBITRATOR_ADDRESS (unset = the owner)
+  const RESOLUTION = {
+    resolver: RESOLVER,
+    arbitrator: process.env.ARBITRATOR_ADDRESS || ethers.ZeroAddress,
+    disputePeriod: Number(process.env.DISPUTE_PERIOD || 24 * 60 * 60),
+    disputeBond: ethers.parseEther(process.env.DISPUTE_BOND || "0.01")
+  };
+  // Trades pay FEE_BPS basis points on top of their cost, withdrawable by FEE_RECIPIENT
+  // (unset = the owner)
+  const FEES = {
+    feeBps: Number(process.env.FEE_BPS || 0),
+    feeRecipient: process.env.FEE_RECIPIENT || ethers.ZeroAddress
+  };
+  // SCALAR_RANGE="lower,upper" creates a scalar market on a number in that range instead,
+  // traded as Long/Short and resolved by reporting the value
+  const SCALAR_RANGE = process.env.SCALAR_RANGE
+    ? process.env.SCALAR_RANGE.split(",").map((bound) => BigInt(bound.trim()))
+    : null;
+  const OUTCOME_LABELS = (process.env.OUTCOME_LABELS || (SCALAR_RANGE ? "Long,Short" : "Yes,No"))
+    .split(",")
+    .map((label) => label.trim());
+  const CATEGORY = process.env.MARKET_CATEGORY || "Crypto";
+  const RESOLUTION_SOURCE = process.env.RESOLUTION_SOURCE || "https://www.coingecko.com/en/coins/ethereum";
+  const METADATA = {
+    question: QUESTION,
+    outcomeLabels: OUTCOME_LABELS,
+    category: CATEGORY,
+    resolutionSource: RESOLUTION_SOURCE
+  };
 
-  console.log("Constructor parameters:");
-  console.log(`  Number of outcomes: ${NUM_OUTCOMES}`);
-  console.log(`  b0: ${ethers.formatEther(B0)} (base liquidity)`);
-  console.log(`  alpha: ${ethers.formatEther(ALPHA)} (sensitivity parameter)`);
-  console.log("");
+  // Reuse an existing factory if FACTORY_ADDRESS is set, otherwise deploy one, linking the
+  // templates to the LMSRPricing library at PRICING_LIBRARY_ADDRESS or a new one
+  const EXISTING_FACTORY = process.env.FACTORY_ADDRESS;
+  // A new factory mints shares on OUTCOME_TOKEN_ADDRESS, or on a new OutcomeToken
+  // whose metadata URI is OUTCOME_TOKEN_URI
+  const EXISTING_OUTCOME_TOKEN = process.env.OUTCOME_TOKEN_ADDRESS;
+  const OUTCOME_TOKEN_URI = process.env.OUTCOME_TOKEN_URI || "";
+  const EXISTING_PRICING_LIBRARY = process.env.PRICING_LIBRARY_ADDRESS;
 
-  // Calculate required initial funding: b0 * ln(n)
-  const lnN = Math.log(NUM_OUTCOMES);
-  const initialCostInEth = Number(ethers.formatEther(B0)) * lnN;
-  const initialFunding = ethers.parseEther(initialCostInEth.toFixed(18));
+  const collateralToken = COLLATERAL_TOKEN === ethers.ZeroAddress
+    ? null
+    : await ethers.getContractAt("IERC20Metadata", COLLATERAL_TOKEN);
+  const SYMBOL = collateralToken ? await collateralToken.symbol() : "ETH";
 
-  console.log(`  Required initial funding: ${ethers.formatEther(initialFunding)} ETH`);
-  console.log(`  Formula: b0 * ln(n) = ${ethers.formatEther(B0)} * ln(${NUM_OUTCOMES}) = ${ethers.formatEther(B0)} * ${lnN.toFixed(6)}`);
+  console.log("Market parameters:");
+  console.log(`  Question: ${QUESTION}`);
+  console.log(`  Number of outcomes: ${NUM_OUTCOMES} (${OUTCOME_LABELS.join(" / ")})`);
+  if (SCALAR_RANGE) {
+    console.log(`  Scalar range: ${SCALAR_RANGE[0]} - ${SCALAR_RANGE[1]}`);
+  }
+  console.log(`  Category: ${CATEGORY}`);
+  console.log(`  Closes: ${new Date(CLOSE_TIME * 1000).toISOString()}`);
+  console.log(`  Resolution source: ${RESOLUTION_SOURCE}`);
+  console.log(`  Collateral: ${collateralToken ? `${SYMBOL} (${COLLATERAL_TOKEN})` : "ETH"}`);
+  console.log(`  Resolver: ${RESOLVER === ethers.ZeroAddress ? "owner" : RESOLVER}`);
+  console.log(`  Dispute period: ${RESOLUTION.disputePeriod}s, bond ${ethers.formatEther(RESOLUTION.disputeBond)} ${SYMBOL}`);
+  console.log(`  Trading fee: ${FEES.feeBps / 100}% to ${FEES.feeRecipient === ethers.ZeroAddress ? "owner" : FEES.feeRecipient}`);
+  console.log(`  b0: ${ethers.formatEther(B0)} (base liquidity)`);
+  console.log(`  alpha: ${ethers.formatEther(ALPHA)} (sensitivity parameter)`);
+  console.log(`  Pricing: ${PRICING_MODE === 1 ? "b = alpha * sum(q)" : "b = b0 * exp(alpha * volume)"}`);
+  if (LIQUIDITY.bMax > 0n) console.log(`  bMax: ${ethers.formatEther(LIQUIDITY.bMax)}`);
+  if (LIQUIDITY.volumeHalfLife > 0) console.log(`  Volume half-life: ${LIQUIDITY.volumeHalfLife}s`);
   console.log("");
 
   // Get deployer account
@@ -30,34 +98,114 @@ async function main() {
   
   const balance = await ethers.provider.getBalance(deployer.address);
   console.log(`Account balance: ${ethers.formatEther(balance)} ETH`);
+  console.log("");
+
+  // Deploy or attach to the factory
+  let factory;
+  let pricingLibraryAddress = EXISTING_PRICING_LIBRARY;
+  if (EXISTING_FACTORY) {
+    console.log(`Using existing MarketFactory at ${EXISTING_FACTORY}`);
+    factory = await ethers.getContractAt("MarketFactory", EXISTING_FACTORY);
+  } else {
+    let outcomeTokenAddress = EXISTING_OUTCOME_TOKEN;
+    if (!outcomeTokenAddress) {
+      console.log("Deploying OutcomeToken contract...");
+      const outcomeToken = await (await ethers.getContractFactory("OutcomeToken")).deploy(OUTCOME_TOKEN_URI);
+      await outcomeToken.waitForDeployment();
+      outcomeTokenAddress = await outcomeToken.getAddress();
+    }
+
+    if (!pricingLibraryAddress) {
+      console.log("Deploying LMSRPricing library...");
+      const pricing = await (await ethers.getContractFactory("LMSRPricing")).deploy();
+      await pricing.waitForDeployment();
+      pricingLibraryAddress = await pricing.getAddress();
+    }
+    console.log(`  LMSRPricing library: ${pricingLibraryAddress}`);
+    const libraries = { LMSRPricing: pricingLibraryAddress };
+
+    // Locked clone templates: zero outcomes (or a zero upper bound) and no funding
+    console.log("Deploying market templates...");
+    const templateArgs = require("./template-args.js");
+    const scalarTemplateArgs = require("./scalar-template-args.js");
+    const template = await (await ethers.getContractFactory("LSLMSRMarket", { libraries }))
+      .deploy(outcomeTokenAddress, ...templateArgs.slice(1));
+    const scalarTemplate = await (await ethers.getContractFactory("ScalarMarket", { libraries }))
+      .deploy(outcomeTokenAddress, ...scalarTemplateArgs.slice(1));
+    await Promise.all([template.waitForDeployment(), scalarTemplate.waitForDeployment()]);
+
+    console.log("Deploying MarketFactory contract...");
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    factory = await MarketFactory.deploy(await template.getAddress(), await scalarTemplate.getAddress());
+    await factory.waitForDeployment();
+    console.log("✅ MarketFactory deployed to:", await factory.getAddress());
+  }
+  const factoryAddress = await factory.getAddress();
+  const implementationAddress = await factory.implementation();
+  const scalarImplementationAddress = await factory.scalarImplementation();
+  const outcomeTokenAddress = await factory.outcomeToken();
+  console.log(`  Outcome token (ERC-1155): ${outcomeTokenAddress}`);
+  console.log(`  Market template: ${implementationAddress}`);
+  console.log(`  Scalar market template: ${scalarImplementationAddress}`);
+  console.log("");
+
+  // Required initial funding: b0 * ln(n), computed with the contract's own ln
+  const initialFunding = await factory.requiredFunding(NUM_OUTCOMES, B0);
+
+  console.log(`  Required initial funding: ${ethers.formatEther(initialFunding)} ${SYMBOL}`);
+  console.log(`  Formula: b0 * ln(n) = ${ethers.formatEther(B0)} * ln(${NUM_OUTCOMES})`);
+  console.log("");
+
+  // Token markets pull the funding through an allowance, in the token's own decimals
+  // (rounded up); ETH markets take it as the transaction value
+  let fundingBalance = balance;
+  let fundingAmount = initialFunding;
+  if (collateralToken) {
+    const scale = 10n ** (18n - (await collateralToken.decimals()));
+    fundingBalance = (await collateralToken.balanceOf(deployer.address)) * scale;
+    fundingAmount = (initialFunding + scale - 1n) / scale;
+  }
   
-  if (balance < initialFunding) {
+  if (fundingBalance < initialFunding) {
     console.error("❌ Insufficient balance for deployment!");
-    console.error(`   Need: ${ethers.formatEther(initialFunding)} ETH`);
-    console.error(`   Have: ${ethers.formatEther(balance)} ETH`);
+    console.error(`   Need: ${ethers.formatEther(initialFunding)} ${SYMBOL}`);
+    console.error(`   Have: ${ethers.formatEther(fundingBalance)} ${SYMBOL}`);
     console.error("");
-    console.error("Get testnet ETH from:");
+    console.error(`Get testnet ${SYMBOL} from:`);
     console.error("   Sepolia: https://sepoliafaucet.com/");
     console.error("   Base Sepolia: https://bridge.base.org/");
     process.exit(1);
   }
-   console.log(`   Need: ${ethers.formatEther(initialFunding)} ETH`);
-    console.log(`   Have: ${ethers.formatEther(balance)} ETH`);
+  console.log(`   Need: ${ethers.formatEther(initialFunding)} ${SYMBOL}`);
+  console.log(`   Have: ${ethers.formatEther(fundingBalance)} ${SYMBOL}`);
 
-  // Deploy contract
-  console.log("Deploying LSLMSRMarket contract...");
-  const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket");
-  
-  const market = await LSLMSRMarket.deploy(NUM_OUTCOMES, B0, ALPHA, {
-    value: initialFunding
-  });
+  if (collateralToken) {
+    console.log(`Approving the factory to pull ${ethers.formatEther(initialFunding)} ${SYMBOL}...`);
+    await (await collateralToken.approve(factoryAddress, fundingAmount)).wait();
+  }
+  const value = collateralToken ? 0n : initialFunding;
+
+  // Create market through the factory
+  console.log(`Creating ${SCALAR_RANGE ? "ScalarMarket" : "LSLMSRMarket"} clone...`);
+  const createTx = SCALAR_RANGE
+    ? await factory.createScalarMarket(SCALAR_RANGE[0], SCALAR_RANGE[1], B0, ALPHA, LIQUIDITY, CLOSE_TIME, COLLATERAL_TOKEN, FEES, RESOLUTION, METADATA, {
+        value
+      })
+    : await factory.createMarket(NUM_OUTCOMES, B0, ALPHA, LIQUIDITY, CLOSE_TIME, COLLATERAL_TOKEN, FEES, RESOLUTION, METADATA, {
+        value
+      });
 
-  console.log("Waiting for deployment...");
-  await market.waitForDeployment();
-  const marketAddress = await market.getAddress();
+  console.log("Waiting for confirmation...");
+  const createReceipt = await createTx.wait();
+  const createdEvent = createReceipt.logs
+    .map((log) => factory.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "MarketCreated");
+  const marketAddress = createdEvent.args.market;
+  const market = await ethers.getContractAt("LSLMSRMarket", marketAddress);
 
   console.log("");
-  console.log("✅ LSLMSRMarket deployed to:", marketAddress);
+  console.log(`✅ ${SCALAR_RANGE ? "ScalarMarket" : "LSLMSRMarket"} created at:`, marketAddress);
+  console.log(`   Market #${createdEvent.args.index} of factory ${factoryAddress}`);
   console.log("");
 
   // Get market info
@@ -68,7 +216,7 @@ async function main() {
   console.log(`  Alpha (α): ${ethers.formatEther(marketInfo[2])}`);
   console.log(`  Current b: ${ethers.formatEther(marketInfo[3])}`);
   console.log(`  Total Volume (Q): ${ethers.formatEther(marketInfo[4])}`);
-  console.log(`  Collateral: ${ethers.formatEther(marketInfo[5])} ETH`);
+  console.log(`  Collateral: ${ethers.formatEther(marketInfo[5])} ${SYMBOL}`);
   console.log(`  Resolved: ${marketInfo[6]}`);
   console.log("");
 
@@ -76,7 +224,7 @@ async function main() {
   console.log("📈 Initial Quantities:");
   for (let i = 0; i < NUM_OUTCOMES; i++) {
     const qty = await market.quantities(i);
-    console.log(`  Outcome ${i + 1}: ${ethers.formatEther(qty)} shares`);
+    console.log(`  ${OUTCOME_LABELS[i]}: ${ethers.formatEther(qty)} shares`);
   }
   console.log("");
 
@@ -87,7 +235,7 @@ async function main() {
   for (let i = 0; i < prices.length; i++) {
     const price = Number(ethers.formatEther(prices[i]));
     priceSum += price;
-    console.log(`  Outcome ${i + 1}: ${price.toFixed(6)} (${(price * 100).toFixed(2)}%)`);
+    console.log(`  ${OUTCOME_LABELS[i]}: ${price.toFixed(6)} (${(price * 100).toFixed(2)}%)`);
   }
   console.log(`  Price sum: ${priceSum.toFixed(6)} (should be ~1.0)`);
   console.log("");
@@ -98,9 +246,11 @@ async function main() {
   const tradeResult = await market.getTradeCost(0, sharesToBuy);
   const buyCost = tradeResult[0];
   const newPrices = tradeResult[1];
+  const buyFee = tradeResult[2];
   
   console.log(`  Buying ${ethers.formatEther(sharesToBuy)} shares of Outcome 1:`);
-  console.log(`    Cost: ${ethers.formatEther(buyCost)} ETH`);
+  console.log(`    Cost: ${ethers.formatEther(buyCost)} ${SYMBOL}`);
+  console.log(`    Fee: ${ethers.formatEther(buyFee)} ${SYMBOL}`);
   console.log(`    Average price per share: $${(Number(ethers.formatEther(buyCost)) / 10).toFixed(6)}`);
   console.log(`    Price impact: ${(((Number(ethers.formatEther(newPrices[0])) - Number(ethers.formatEther(prices[0]))) / Number(ethers.formatEther(prices[0]))) * 100).toFixed(2)}%`);
   console.log("");
@@ -127,14 +277,35 @@ async function main() {
   const fs = require('fs');
   const deploymentInfo = {
     network: hre.network.name,
+    factoryAddress,
+    implementationAddress,
+    scalarImplementationAddress,
+    outcomeTokenAddress,
+    pricingLibraryAddress,
     contractAddress: marketAddress,
     deployer: deployer.address,
     blockNumber: await ethers.provider.getBlockNumber(),
     timestamp: new Date().toISOString(),
     parameters: {
+      question: QUESTION,
+      outcomeLabels: OUTCOME_LABELS,
+      category: CATEGORY,
+      resolutionSource: RESOLUTION_SOURCE,
+      closeTime: CLOSE_TIME,
+      collateralToken: COLLATERAL_TOKEN,
+      resolver: RESOLVER,
+      arbitrator: RESOLUTION.arbitrator,
+      disputePeriod: RESOLUTION.disputePeriod,
+      disputeBond: ethers.formatEther(RESOLUTION.disputeBond),
+      feeBps: FEES.feeBps,
+      feeRecipient: FEES.feeRecipient,
       numOutcomes: NUM_OUTCOMES,
+      scalarRange: SCALAR_RANGE && SCALAR_RANGE.map(String),
       b0: ethers.formatEther(B0),
       alpha: ethers.formatEther(ALPHA),
+      pricingMode: PRICING_MODES[PRICING_MODE],
+      bMax: ethers.formatEther(LIQUIDITY.bMax),
+      volumeHalfLife: LIQUIDITY.volumeHalfLife,
       initialFunding: ethers.formatEther(initialFunding)
     },
     initialState: {
@@ -158,14 +329,30 @@ async function main() {
   console.log(`💾 Deployment info saved to: ${filename}`);
   console.log("");
 
+  // List every market the factory has created
+  const marketCount = await factory.marketCount();
+  console.log(`🗂️  Factory Markets (${marketCount}):`);
+  const PAGE_SIZE = 50n;
+  for (let offset = 0n; offset < marketCount; offset += PAGE_SIZE) {
+    const page = await factory.getMarkets(offset, PAGE_SIZE);
+    for (let i = 0; i < page.length; i++) {
+      const record = await factory.getMarketRecord(page[i]);
+      console.log(`  #${offset + BigInt(i)} ${page[i]} - ${record.question}`);
+    }
+  }
+  console.log("");
+
   // Verification instructions
   if (hre.network.name !== "localhost" && hre.network.name !== "hardhat") {
-    console.log("🔍 Verify Contract on Block Explorer:");
-    console.log(`npx hardhat verify --network ${hre.network.name} \\`);
-    console.log(`  ${marketAddress} \\`);
-    console.log(`  ${NUM_OUTCOMES} \\`);
-    console.log(`  "${B0.toString()}" \\`);
-    console.log(`  "${ALPHA.toString()}"`);
+    console.log("🔍 Verify Contracts on Block Explorer:");
+    console.log(`npx hardhat verify --network ${hre.network.name} ${factoryAddress} ${implementationAddress} ${scalarImplementationAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${outcomeTokenAddress} "${OUTCOME_TOKEN_URI}"`);
+    if (pricingLibraryAddress) {
+      console.log(`npx hardhat verify --network ${hre.network.name} ${pricingLibraryAddress}`);
+    }
+    console.log(`OUTCOME_TOKEN_ADDRESS=${outcomeTokenAddress} npx hardhat verify --network ${hre.network.name} --constructor-args scripts/template-args.js ${implementationAddress}`);
+    console.log(`OUTCOME_TOKEN_ADDRESS=${outcomeTokenAddress} npx hardhat verify --network ${hre.network.name} --constructor-args scripts/scalar-template-args.js ${scalarImplementationAddress}`);
+    console.log("   (Markets are minimal proxies of the template; explorers link them automatically)");
     console.log("");
   }
 
@@ -174,12 +361,15 @@ async function main() {
   console.log("📌 IMPORTANT - Next Steps:");
   console.log("");
   console.log("1. 🔗 Update Frontend Configuration:");
-  console.log("   Edit frontend/src/App.jsx and update:");
-  console.log(`   const CONTRACT_ADDRESS = "${marketAddress}";`);
+  console.log("   Edit frontend/src/config.js and update:");
+  console.log(`   export const FACTORY_ADDRESS = "${factoryAddress}";`);
+  console.log(`   export const CONTRACT_ADDRESS = "${marketAddress}";`);
   console.log("");
   console.log("2. 🧪 Test the Contract:");
-  console.log(`   npx hardhat run scripts/interact.js --network ${hre.network.name}`);
-  console.log("   (Don't forget to update CONTRACT_ADDRESS in interact.js too!)");
+  console.log(`   MARKET_ADDRESS=${marketAddress} npx hardhat run scripts/interact.js --network ${hre.network.name}`);
+  console.log("");
+  console.log("   Create more markets on the same factory with:");
+  console.log(`   FACTORY_ADDRESS=${factoryAddress} npx hardhat run scripts/deploy.js --network ${hre.network.name}`);
   console.log("");
   console.log("3. 🎨 Start the Frontend:");
   console.log("   cd frontend");
@@ -207,6 +397,7 @@ async function main() {
   console.log("");
 
   return {
+    factory: factoryAddress,
     address: marketAddress,
     deployer: deployer.address,
     network: hre.network.name,
@@ -219,6 +410,7 @@ main()
   .then((result) => {
     console.log("🎉 Deployment succeeded!");
     console.log("");
+    console.log("Factory Address:", result.factory);
     console.log("Contract Address:", result.address);
     console.log("Network:", result.network);
     console.log("");
@@ -1,10 +1,28 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
 
-// Replace with your deployed contract address
-const CONTRACT_ADDRESS = "0x631bd842064962E084cDc6Db0D47679e4C19982C";
+// Target any market with MARKET_ADDRESS, or replace the default below
+const CONTRACT_ADDRESS = process.env.MARKET_ADDRESS || "0x631bd842064962E084cDc6Db0D47679e4C19982C";
+
+// Set FACTORY_ADDRESS to list the markets a MarketFactory has created
+const FACTORY_ADDRESS = process.env.FACTORY_ADDRESS;
 
 async function main() {
+  // The SDK is an ES module
+  const sdk = await import("../sdk/src/index.js");
+
+  if (FACTORY_ADDRESS) {
+    const factory = await ethers.getContractAt("MarketFactory", FACTORY_ADDRESS);
+    const count = await factory.marketCount();
+    console.log(`🗂️  Markets created by factory ${FACTORY_ADDRESS} (${count}):`);
+    const markets = await factory.getMarkets(0, count);
+    for (let i = 0; i < markets.length; i++) {
+      const record = await factory.getMarketRecord(markets[i]);
+      console.log(`  #${i} ${markets[i]} - ${record.question}${record.scalar ? " (scalar)" : ""}`);
+    }
+    console.log("");
+  }
+
   console.log("🔗 Connecting to LS-LMSR Market Contract...\n");
 
   // Get contract instance
@@ -18,25 +36,75 @@ async function main() {
   // Get market information
   console.log("📊 Market Information:");
   const marketInfo = await market.getMarketInfo();
+  const numOutcomes = Number(marketInfo[0]);
+  const metadata = await market.getMetadata();
+  const label = (i) => metadata.outcomeLabels[i] || `Outcome ${i + 1}`;
+  const MARKET_STATES = ["Open", "Closed", "Proposed", "Disputed", "Resolved", "Cancelled"];
+  const closeTime = Number(await market.closeTime());
+  console.log(`  Question: ${metadata.question}`);
+  console.log(`  Category: ${metadata.category}`);
+  console.log(`  Resolution Source: ${metadata.resolutionSource}`);
+  console.log(`  State: ${MARKET_STATES[Number(await market.getState())]}`);
+  console.log(`  Closes: ${new Date(closeTime * 1000).toISOString()}`);
+  const resolver = await market.resolver();
+  console.log(`  Resolver: ${resolver === ethers.ZeroAddress ? "owner" : resolver}`);
   console.log(`  Number of Outcomes: ${marketInfo[0]}`);
+  // Scalar markets report a value in their range; categorical markets revert on lowerBound()
+  const scalar = await ethers.getContractAt("ScalarMarket", CONTRACT_ADDRESS);
+  const scalarRange = await Promise.all([scalar.lowerBound(), scalar.upperBound()]).catch(() => null);
+  if (scalarRange) {
+    console.log(`  Scalar Range: ${scalarRange[0]} - ${scalarRange[1]}`);
+  }
   console.log(`  Base Liquidity (b0): ${ethers.formatEther(marketInfo[1])}`);
   console.log(`  Alpha (α): ${ethers.formatEther(marketInfo[2])}`);
+  // LMSRPricing.PricingMode: 0 = VolumeScaled, 1 = Proportional
+  const proportional = Number(await market.pricingMode()) === 1;
+  console.log(`  Pricing: ${proportional ? "b = α × Σq (proportional)" : "b = b0 × exp(α × Q) (volume-scaled)"}`);
   console.log(`  Current b: ${ethers.formatEther(marketInfo[3])}`);
-  console.log(`  Total Volume (Q): ${ethers.formatEther(marketInfo[4])}`);
-  console.log(`  Collateral: ${ethers.formatEther(marketInfo[5])} ETH`);
+  // Zero = uncapped / never decays
+  const bMax = Number(ethers.formatEther(marketInfo[8]));
+  const halfLife = Number(marketInfo[9]);
+  if (bMax > 0) console.log(`  Cap (bMax): ${bMax}`);
+  if (halfLife > 0) {
+    console.log(`  Volume Half-Life: ${halfLife}s`);
+    console.log(`  Recent Volume (Q): ${ethers.formatEther(marketInfo[10])}`);
+    console.log(`  Total Volume: ${ethers.formatEther(marketInfo[4])}`);
+  } else {
+    console.log(`  Total Volume (Q): ${ethers.formatEther(marketInfo[4])}`);
+  }
+  // Amounts are 18-decimal units of the collateral, whatever the token's decimals
+  const collateralToken = await market.collateralToken();
+  const symbol = collateralToken === ethers.ZeroAddress
+    ? "ETH"
+    : await (await ethers.getContractAt("IERC20Metadata", collateralToken)).symbol();
+  console.log(`  Collateral Token: ${collateralToken === ethers.ZeroAddress ? "ETH" : `${symbol} (${collateralToken})`}`);
+  console.log(`  Collateral: ${ethers.formatEther(marketInfo[5])} ${symbol}`);
+  const [feeBps, feeRecipient, accruedFees] = await Promise.all([
+    market.feeBps(), market.feeRecipient(), market.accruedFees()
+  ]);
+  console.log(`  Trading Fee: ${Number(feeBps) / 100}% to ${feeRecipient === ethers.ZeroAddress ? "owner" : feeRecipient}`);
+  console.log(`  Accrued Fees: ${ethers.formatEther(accruedFees)} ${symbol}`);
+  const [creatorShares, totalLpShares, myLpShares, myLpFees] = await Promise.all([
+    market.creatorShares(), market.totalLpShares(), market.lpShares(signer.address), market.pendingLpFees(signer.address)
+  ]);
+  console.log(`  LP Shares: ${ethers.formatEther(creatorShares)} creator + ${ethers.formatEther(totalLpShares)} deposited`);
+  console.log(`  Your LP Shares: ${ethers.formatEther(myLpShares)} (${ethers.formatEther(myLpFees)} ${symbol} fees to claim)`);
   console.log(`  Market Resolved: ${marketInfo[6]}`);
   if (marketInfo[6]) {
-    console.log(`  Winning Outcome: ${marketInfo[7]}`);
+    if (scalarRange) {
+      const longPayout = await scalar.longPayout(marketInfo[7]);
+      console.log(`  Resolved Value: ${marketInfo[7]} (${label(0)} pays ${ethers.formatEther(longPayout)} ${symbol} per share)`);
+    } else {
+      console.log(`  Winning Outcome: ${marketInfo[7]}`);
+    }
   }
   console.log("");
 
-  const numOutcomes = Number(marketInfo[0]);
-
   // Get current quantities
   console.log("📈 Current Quantities:");
   for (let i = 0; i < numOutcomes; i++) {
     const qty = await market.quantities(i);
-    console.log(`  Outcome ${i + 1}: ${ethers.formatEther(qty)} shares`);
+    console.log(`  ${label(i)}: ${ethers.formatEther(qty)} shares`);
   }
   console.log("");
 
@@ -47,7 +115,7 @@ async function main() {
   prices.forEach((price, idx) => {
     const priceValue = Number(ethers.formatEther(price));
     totalPrice += priceValue;
-    console.log(`  Outcome ${idx + 1}: ${priceValue.toFixed(6)} (${(priceValue * 100).toFixed(2)}%)`);
+    console.log(`  ${label(idx)}: ${priceValue.toFixed(6)} (${(priceValue * 100).toFixed(2)}%)`);
   });
   console.log(`  Sum of prices: ${totalPrice.toFixed(6)} (should be ~1.0)`);
   console.log("");
@@ -57,17 +125,20 @@ async function main() {
   const sharesToBuy = ethers.parseEther("10");
   const outcomeToBuy = 0;
   
-  console.log(`  Buying ${ethers.formatEther(sharesToBuy)} shares of Outcome ${outcomeToBuy + 1}`);
+  console.log(`  Buying ${ethers.formatEther(sharesToBuy)} shares of ${label(outcomeToBuy)}`);
   const buyResult = await market.getTradeCost(outcomeToBuy, sharesToBuy);
   const buyCost = buyResult[0];
   const newPricesAfterBuy = buyResult[1];
+  const buyFee = buyResult[2];
   
-  console.log(`  Cost: ${ethers.formatEther(buyCost)} ETH`);
+  console.log(`  Cost: ${ethers.formatEther(buyCost)} ${symbol} + ${ethers.formatEther(buyFee)} ${symbol} fee`);
   console.log(`  Average price per share: ${(Number(ethers.formatEther(buyCost)) / 10).toFixed(6)}`);
+  const buyQuote = await market.quoteTrade(outcomeToBuy, sharesToBuy);
+  console.log(`  Priced at b = ${ethers.formatEther(buyQuote.b)}: C(q) = ${ethers.formatEther(buyQuote.costBefore)}, C(q') = ${ethers.formatEther(buyQuote.costAfter)}`);
   console.log(`  New prices after trade:`);
   newPricesAfterBuy.forEach((price, idx) => {
     const priceValue = Number(ethers.formatEther(price));
-    console.log(`    Outcome ${idx + 1}: ${priceValue.toFixed(6)} (${(priceValue * 100).toFixed(2)}%)`);
+    console.log(`    ${label(idx)}: ${priceValue.toFixed(6)} (${(priceValue * 100).toFixed(2)}%)`);
   });
   console.log("");
 
@@ -76,8 +147,9 @@ async function main() {
   console.log("💸 Example 2: Buying Shares");
   console.log(`  Sending transaction to buy ${ethers.formatEther(sharesToBuy)} shares...`);
   
+  // Token markets pull the cost instead: approve the market for it first
   const buyTx = await market.trade(outcomeToBuy, sharesToBuy, { 
-    value: buyCost,
+    value: collateralToken === ethers.ZeroAddress ? buyCost + buyFee : 0n,
     gasLimit: 500000 
   });
   
@@ -91,7 +163,7 @@ async function main() {
 
   // Check updated user shares
   const userShares = await market.getUserBalance(signer.address, outcomeToBuy);
-  console.log(`  Your shares in Outcome ${outcomeToBuy + 1}: ${ethers.formatEther(userShares)}`);
+  console.log(`  Your shares in ${label(outcomeToBuy)}: ${ethers.formatEther(userShares)}`);
   console.log("");
 
   // Check updated prices
@@ -99,7 +171,7 @@ async function main() {
   console.log("  Updated Prices:");
   updatedPrices.forEach((price, idx) => {
     const priceValue = Number(ethers.formatEther(price));
-    console.log(`    Outcome ${idx + 1}: ${priceValue.toFixed(6)} (${(priceValue * 100).toFixed(2)}%)`);
+    console.log(`    ${label(idx)}: ${priceValue.toFixed(6)} (${(priceValue * 100).toFixed(2)}%)`);
   });
   console.log("");
 
@@ -107,7 +179,7 @@ async function main() {
   const updatedInfo = await market.getMarketInfo();
   console.log(`  Updated Total Volume: ${ethers.formatEther(updatedInfo[4])}`);
   console.log(`  Updated Current b: ${ethers.formatEther(updatedInfo[3])}`);
-  console.log(`  Updated Collateral: ${ethers.formatEther(updatedInfo[5])} ETH`);
+  console.log(`  Updated Collateral: ${ethers.formatEther(updatedInfo[5])} ${symbol}`);
   console.log("");
   */
 
@@ -120,7 +192,7 @@ async function main() {
     if (allUserBalances[i] > 0) {
       hasShares = true;
       const value = Number(ethers.formatEther(allUserBalances[i])) * Number(ethers.formatEther(prices[i]));
-      console.log(`    Outcome ${i + 1}: ${ethers.formatEther(allUserBalances[i])} shares (~${value.toFixed(6)})`);
+      console.log(`    ${label(i)}: ${ethers.formatEther(allUserBalances[i])} shares (~${value.toFixed(6)})`);
     }
   }
   if (!hasShares) {
@@ -137,9 +209,9 @@ async function main() {
     
     console.log(`  Selling ${ethers.formatEther(sharesToSell)} shares of Outcome 1`);
     const sellResult = await market.getTradeCost(0, -BigInt(sharesToSell));
-    const sellPayout = -sellResult[0]; // Negate because cost is negative for sells
+    const sellPayout = -sellResult[0] - sellResult[2]; // Cost is negative for sells; the fee comes out of it
     
-    console.log(`  Payout: ${ethers.formatEther(sellPayout)} ETH`);
+    console.log(`  Payout: ${ethers.formatEther(sellPayout)} ${symbol}`);
     console.log(`  Average price per share: ${(Number(ethers.formatEther(sellPayout)) / Number(ethers.formatEther(sharesToSell))).toFixed(6)}`);
     console.log("");
   }
@@ -167,33 +239,40 @@ async function main() {
   */
 
   // Example 6: Liquidity sensitivity demonstration
-  console.log("📊 Example 6: Liquidity Sensitivity (b = b0 × exp(α × Q))");
+  console.log(`📊 Example 6: Liquidity Sensitivity (${proportional ? "b = α × Σq" : "b = b0 × exp(α × Q)"})`);
   const b0 = Number(ethers.formatEther(marketInfo[1]));
   const alpha = Number(ethers.formatEther(marketInfo[2]));
-  const Q = Number(ethers.formatEther(marketInfo[4]));
+  // The volume b follows: all of it, or what is left after decay
+  const Q = Number(ethers.formatEther(marketInfo[10]));
   const currentB = Number(ethers.formatEther(marketInfo[3]));
+  const quantities = await Promise.all([...Array(Number(marketInfo[0])).keys()].map((i) => market.quantities(i)));
+  const totalQ = quantities.reduce((sum, q) => sum + Number(ethers.formatEther(q)), 0);
   
   console.log(`  b0 (base): ${b0.toFixed(2)}`);
   console.log(`  α (alpha): ${alpha.toFixed(6)}`);
-  console.log(`  Q (volume): ${Q.toFixed(2)}`);
+  console.log(proportional ? `  Σq (outstanding): ${totalQ.toFixed(2)}` : `  Q (volume): ${Q.toFixed(2)}`);
   console.log(`  Current b: ${currentB.toFixed(2)}`);
   
-  const expectedB = b0 * Math.exp(alpha * Q);
+  const uncappedB = b0 * Math.exp(alpha * Q);
+  const expectedB = proportional ? alpha * totalQ : bMax > 0 ? Math.min(uncappedB, bMax) : uncappedB;
   console.log(`  Expected b (formula): ${expectedB.toFixed(2)}`);
   console.log(`  Match: ${Math.abs(currentB - expectedB) < 0.01 ? '✅' : '❌'}`);
+  // The SDK repeats the contract's fixed-point arithmetic, so it agrees to the wei
+  const state = await sdk.readMarket(market);
+  const sdkB = sdk.getB(state);
+  console.log(`  SDK b (exact): ${ethers.formatEther(sdkB)} ${sdkB === marketInfo[3] ? '✅' : '❌'}`);
   console.log("");
 
   // Example 7: Price impact analysis
   console.log("📉 Example 7: Price Impact Analysis");
   const testSizes = [1, 5, 10, 20, 50, 100];
   
-  console.log(`  Price impact for buying Outcome 1:`);
+  console.log(`  Price impact for buying Outcome 1 (quoted locally by the SDK):`);
   const currentPrice0 = Number(ethers.formatEther(prices[0]));
   
   for (const size of testSizes) {
     const shares = ethers.parseEther(size.toString());
-    const result = await market.getTradeCost(0, shares);
-    const cost = result[0];
+    const { cost } = sdk.quoteTrade(state, 0, shares);
     const avgPrice = Number(ethers.formatEther(cost)) / size;
     const priceImpact = ((avgPrice - currentPrice0) / currentPrice0) * 100;
     
@@ -203,20 +282,20 @@ async function main() {
 
   // Example 8: Simulate market making scenario
   console.log("🎲 Example 8: Market Making Simulation");
-  console.log("  What if someone buys 50 shares of Outcome 1?");
+  console.log(`  What if someone buys 50 shares of ${label(0)}?`);
   
   const largeTrade = ethers.parseEther("50");
   const largeTradeResult = await market.getTradeCost(0, largeTrade);
   const largeCost = largeTradeResult[0];
   const pricesAfterLarge = largeTradeResult[1];
   
-  console.log(`    Trade cost: ${ethers.formatEther(largeCost)} ETH`);
+  console.log(`    Trade cost: ${ethers.formatEther(largeCost)} ${symbol}`);
   console.log(`    Average price: ${(Number(ethers.formatEther(largeCost)) / 50).toFixed(6)}`);
   console.log(`    New market prices:`);
   pricesAfterLarge.forEach((price, idx) => {
     const priceValue = Number(ethers.formatEther(price));
     const priceDiff = priceValue - Number(ethers.formatEther(prices[idx]));
-    console.log(`      Outcome ${idx + 1}: ${priceValue.toFixed(6)} (${priceDiff >= 0 ? '+' : ''}${(priceDiff * 100).toFixed(2)}%)`);
+    console.log(`      ${label(idx)}: ${priceValue.toFixed(6)} (${priceDiff >= 0 ? '+' : ''}${(priceDiff * 100).toFixed(2)}%)`);
   });
   console.log("");
 
@@ -224,28 +303,42 @@ async function main() {
   console.log("🏆 Example 9: Market Resolution Status");
   if (marketInfo[6]) {
     console.log(`  ✅ Market is RESOLVED`);
-    console.log(`  Winning outcome: Outcome ${Number(marketInfo[7]) + 1}`);
+    console.log(`  Winning outcome: ${label(Number(marketInfo[7]))}`);
     
     const userWinningShares = await market.getUserBalance(signer.address, marketInfo[7]);
     if (userWinningShares > 0) {
       console.log(`  You have ${ethers.formatEther(userWinningShares)} winning shares!`);
-      console.log(`  Potential payout: ${ethers.formatEther(userWinningShares)} ETH`);
+      console.log(`  Potential payout: ${ethers.formatEther(userWinningShares)} ${symbol}`);
       console.log(`  Call claimWinnings() to receive your payout`);
     } else {
       console.log(`  You don't have shares in the winning outcome`);
     }
+  } else if (await market.proposed()) {
+    const deadline = Number(await market.disputeDeadline());
+    console.log(`  ⏳ ${label(Number(await market.proposedOutcome()))} has been PROPOSED`);
+    if ((await market.disputer()) !== ethers.ZeroAddress) {
+      console.log(`  The proposal is disputed and awaits settleDispute(outcome) by the arbitrator`);
+    } else {
+      console.log(`  Disputable until ${new Date(deadline * 1000).toISOString()} with dispute() and a bond of ${ethers.formatEther(await market.disputeBond())} ${symbol}`);
+      console.log(`  Afterwards anyone can call finalizeResolution() to open claims`);
+    }
   } else {
     console.log(`  ⏳ Market is NOT yet resolved`);
-    console.log(`  Only the owner can resolve the market by calling resolveMarket(winningOutcome)`);
+    console.log(`  After closeTime an outcome is proposed with resolveMarket(winningOutcome) (owner) or resolve() (resolver)`);
   }
   console.log("");
 
   // Example 10: Mathematical verification
   console.log("🔬 Example 10: LS-LMSR Formula Verification");
-  console.log("  Verifying: b = b0 × exp(α × Q)");
+  console.log(`  Verifying: ${proportional ? "b = α × Σq" : "b = b0 × exp(α × Q)"}`);
   console.log(`  Left side (contract):  b = ${currentB.toFixed(6)}`);
-  console.log(`  Right side (formula):  b0 × exp(α × Q) = ${b0.toFixed(2)} × exp(${alpha.toFixed(6)} × ${Q.toFixed(2)})`);
-  console.log(`                        = ${b0.toFixed(2)} × ${Math.exp(alpha * Q).toFixed(6)}`);
+  if (proportional) {
+    console.log(`  Right side (formula):  α × Σq = ${alpha.toFixed(6)} × ${totalQ.toFixed(2)}`);
+  } else {
+    console.log(`  Right side (formula):  b0 × exp(α × Q) = ${b0.toFixed(2)} × exp(${alpha.toFixed(6)} × ${Q.toFixed(2)})`);
+    console.log(`                        = ${b0.toFixed(2)} × ${Math.exp(alpha * Q).toFixed(6)}`);
+    if (bMax > 0) console.log(`                        capped at bMax = ${bMax.toFixed(2)}`);
+  }
   console.log(`                        = ${expectedB.toFixed(6)}`);
   console.log(`  Verification: ${Math.abs(currentB - expectedB) < 1 ? '✅ PASS' : '❌ FAIL'}`);
   console.log("");
@@ -256,17 +349,41 @@ async function main() {
   console.log("  Trading:");
   console.log("    - trade(outcome, delta) [delta positive = buy, negative = sell]");
   console.log("    - getTradeCost(outcome, delta) [view function]");
+  console.log("    - quoteTrade(outcome, delta) / quoteTradeMany(deltas) [b, C(q) and C(q') behind the cost]");
+  console.log("    - tradeMany(deltas) / getTradeCostMany(deltas) [every outcome's delta in one atomic trade]");
+  console.log("    - buyWithPermit(outcome, shares, maxCost, deadline, v, r, s) [token markets, EIP-2612 permit]");
+  console.log("    - buyWithBudget(outcome, budget, minShares, deadline) [payable budget in ETH markets]");
+  console.log("    - mintCompleteSet(amount) / redeemCompleteSet(amount) [one share of every outcome per unit of collateral; not in proportional markets]");
   console.log("");
   console.log("  Market Management:");
-  console.log("    - resolveMarket(winningOutcome) [owner only]");
+  console.log("    - resolveMarket(winningOutcome) [owner proposes, markets without a resolver, after closeTime]");
+  console.log("    - resolve() [anyone proposes the resolver's outcome, after closeTime]");
+  console.log("    - dispute() [payable disputeBond, before disputeDeadline]");
+  console.log("    - settleDispute(winningOutcome) [arbitrator only]");
+  console.log("    - finalizeResolution() [anyone, after an undisputed dispute period]");
   console.log("    - claimWinnings() [after resolution]");
+  console.log("    - cancelMarket() [owner only, refunds shares at current prices]");
+  console.log("    - claimRefund() [after cancellation]");
+  console.log("    - pause() / unpause() [guardian, or owner if unset; claims and refunds stay open]");
+  console.log("    - transferOwnership(newOwner) / acceptOwnership() [two-step handover]");
+  console.log("    - withdrawFees() [fee recipient, or owner if none is set]");
+  console.log("    - setFeeRecipient(address) [owner only]");
+  console.log("    - addLiquidity(amount) [payable in ETH markets, while open; raises b0 without moving prices]");
+  console.log("    - claimLpFees() [LPs, any time]");
+  console.log("    - withdrawLiquidity() [LPs and owner, after resolution or cancellation]");
+  console.log("    - transferLpShares(to, shares)");
   console.log("");
   console.log("  View Functions:");
   console.log("    - getPrices()");
   console.log("    - getB()");
+  console.log("    - getCost() [cost function C(q) at the current b]");
   console.log("    - getUserBalance(address, outcome)");
   console.log("    - getAllUserBalances(address)");
+  console.log("    - tokenId(outcome) [ERC-1155 id of the outcome's shares on outcomeToken()]");
   console.log("    - getMarketInfo()");
+  console.log("    - getMetadata()");
+  console.log("    - getState() [Open, Closed, Proposed, Disputed, Resolved, Cancelled]");
+  console.log("    - maxLoss() / isSolvent() [worst-case payout, and whether collateral covers it]");
   console.log("");
   
   console.log("✨ Interaction examples completed!");
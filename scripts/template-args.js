@@ -0,0 +1,20 @@
+// Constructor arguments of the locked LSLMSRMarket template deployed by MarketFactory,
+// for `npx hardhat verify --constructor-args scripts/template-args.js <implementation>`
+// (run with OUTCOME_TOKEN_ADDRESS set to the factory's outcomeToken)
+module.exports = [
+  process.env.OUTCOME_TOKEN_ADDRESS || "0x0000000000000000000000000000000000000000", // outcomeToken
+  0, // numOutcomes (0 = clone template)
+  0, // b0
+  0, // alpha
+  [0, 0, 0], // liquidityConfig: pricingMode (VolumeScaled), bMax, volumeHalfLife
+  0, // closeTime
+  "0x0000000000000000000000000000000000000000", // collateralToken (templates use ETH)
+  [0, "0x0000000000000000000000000000000000000000"], // fees: feeBps, feeRecipient
+  [ // resolution: resolver, arbitrator, disputePeriod, disputeBond
+    "0x0000000000000000000000000000000000000000",
+    "0x0000000000000000000000000000000000000000",
+    0,
+    0
+  ],
+  ["", [], "", ""] // metadata: question, outcomeLabels, category, resolutionSource
+];
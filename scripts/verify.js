@@ -1,12 +1,13 @@
 const hre = require("hardhat");
 
-// Replace with your deployed contract address
-const CONTRACT_ADDRESS = "0x631bd842064962E084cDc6Db0D47679e4C19982C";
+// Address of the factory's LSLMSRMarket template (`implementationAddress` in ./deployments)
+const CONTRACT_ADDRESS = process.env.IMPLEMENTATION_ADDRESS || "0x631bd842064962E084cDc6Db0D47679e4C19982C";
 
-// Constructor arguments used during deployment
-const NUM_OUTCOMES = 2;
-const B0 = hre.ethers.parseEther("0.01");  // 0.01 ETH
-const ALPHA = hre.ethers.parseEther("0.01");  // 0.01
+// Constructor arguments of the template; markets are clones and need no verification.
+// Set OUTCOME_TOKEN_ADDRESS to the template's outcomeToken (`outcomeTokenAddress` in ./deployments)
+// The linked LMSRPricing library (`pricingLibraryAddress`) is detected from the bytecode
+// but must be verified on its own first
+const TEMPLATE_ARGS = require("./template-args");
 
 async function main() {
   console.log("🔍 Verifying LSLMSRMarket contract...\n");
@@ -14,9 +15,7 @@ async function main() {
   console.log("Contract Address:", CONTRACT_ADDRESS);
   console.log("Network:", hre.network.name);
   console.log("\nConstructor Arguments:");
-  console.log("  numOutcomes:", NUM_OUTCOMES);
-  console.log("  b0:", B0.toString(), `(${hre.ethers.formatEther(B0)} ETH)`);
-  console.log("  alpha:", ALPHA.toString(), `(${hre.ethers.formatEther(ALPHA)})`);
+  console.log("  ", JSON.stringify(TEMPLATE_ARGS));
   console.log("");
 
   try {
@@ -24,11 +23,7 @@ async function main() {
     
     await hre.run("verify:verify", {
       address: CONTRACT_ADDRESS,
-      constructorArguments: [
-        NUM_OUTCOMES,
-        B0,
-        ALPHA
-      ],
+      constructorArguments: TEMPLATE_ARGS,
       // Use API v2
       apiKey: process.env.ETHERSCAN_API_KEY,
     });
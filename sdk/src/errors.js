@@ -0,0 +1,12 @@
+/**
+ * Thrown wherever the contracts revert, named after the custom error they revert with
+ * (`InsufficientShares`, `ExpInputTooBig`, ...), so callers can branch on `error.reason`
+ * the same way they would on a decoded revert.
+ */
+export class PricingError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'PricingError';
+    this.reason = reason;
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * LS-LMSR pricing off-chain. Every function reproduces the integer the LSLMSRMarket view
+ * of the same name returns for the same state, so quotes need no RPC round trip and can
+ * be diffed against the contracts exactly.
+ *
+ * Amounts are BigInt and scaled by 1e18, like the contracts'. A market's state is
+ *   { quantities, b0, alpha, bMax, volume, mode, feeBps }
+ * where `volume` is what b follows (getMarketInfo's current volume, already decayed if
+ * the market decays it) and `mode` a PricingMode; `readMarket` loads it from a deployed
+ * market. Wherever the contract would revert, a PricingError named after its custom
+ * error is thrown instead.
+ */
+import * as pricing from './pricing.js';
+
+export { UNIT, MAX_EXP_INPUT, EXP_NEG_CUTOFF, ln, lnSigned, exp, expNeg } from './math.js';
+export { PricingError } from './errors.js';
+export { PricingMode, initialFunding, decayVolume, seed } from './pricing.js';
+
+// Fees are charged in basis points of a trade's cost
+export const BPS = 10_000n;
+
+// Fills in what an uncapped, undecayed, fee-free volume-scaled market leaves out
+const withDefaults = (market) => ({
+  alpha: 0n,
+  bMax: 0n,
+  volume: 0n,
+  mode: pricing.PricingMode.VOLUME_SCALED,
+  feeBps: 0n,
+  ...market
+});
+
+// The market's `_feeOn`: fee on the absolute cost, rounded down
+const feeOn = (market, cost) => ((cost < 0n ? -cost : cost) * BigInt(market.feeBps)) / BPS;
+
+/**
+ * Current liquidity parameter b (`getB`)
+ */
+export function getB(market) {
+  market = withDefaults(market);
+  return pricing.bOf(market.quantities, market);
+}
+
+/**
+ * Cost function C(q) at the current b (`getCost`)
+ */
+export function computeC(market) {
+  market = withDefaults(market);
+  return pricing.costAt(market.quantities, market);
+}
+
+/**
+ * Every outcome's price (`getPrices`)
+ */
+export function getPrices(market) {
+  market = withDefaults(market);
+  return pricing.prices(market.quantities, market);
+}
+
+/**
+ * Quote buying (delta > 0) or selling (delta < 0) shares of `outcome` (`quoteTrade`)
+ * @returns {{ b, bAfter, costBefore, costAfter, cost, fee, newPrices }}
+ */
+export function quoteTrade(market, outcome, delta) {
+  market = withDefaults(market);
+  const quote = pricing.quote(market.quantities, market, outcome, delta);
+  return { ...quote, fee: feeOn(market, quote.cost) };
+}
+
+/**
+ * Quote moving every outcome by its entry in `deltas` at once (`quoteTradeMany`)
+ */
+export function quoteTradeMany(market, deltas) {
+  market = withDefaults(market);
+  const quote = pricing.quoteMany(market.quantities, market, deltas);
+  return { ...quote, fee: feeOn(market, quote.cost) };
+}
+
+/**
+ * Shares of `outcome` a budget buys, with the fee set aside out of it (`quoteBuyWithBudget`)
+ * @returns {{ shares, cost, fee }} `cost + fee` never exceeds `budget`
+ */
+export function quoteBudget(market, outcome, budget) {
+  market = withDefaults(market);
+  const feeBps = BigInt(market.feeBps);
+  const { shares, cost } = pricing.sharesForBudget(market.quantities, market, outcome, (budget * BPS) / (BPS + feeBps));
+  return { shares, cost, fee: feeOn(market, cost) };
+}
+
+/**
+ * Trade that moves `outcome` to `targetPrice`, and what it costs (`quoteTradeToPrice`)
+ * @returns {{ delta, cost, fee }} all zero if the price is already there
+ */
+export function quoteToPrice(market, outcome, targetPrice) {
+  market = withDefaults(market);
+  const delta = pricing.deltaForPrice(market.quantities, market, outcome, targetPrice);
+  if (delta === 0n) return { delta, cost: 0n, fee: 0n };
+
+  const { cost, fee } = quoteTrade(market, outcome, delta);
+  return { delta, cost, fee };
+}
+
+/**
+ * Reads the state the functions above price against from a deployed market, through any
+ * ethers-style contract bound to the LSLMSRMarket ABI. Decaying volume keeps shrinking
+ * after the read, so reload before relying on quotes in such a market.
+ */
+export async function readMarket(contract) {
+  const info = await contract.getMarketInfo();
+  const [mode, feeBps] = await Promise.all([contract.pricingMode(), contract.feeBps()]);
+  const quantities = await Promise.all(
+    Array.from({ length: Number(info[0]) }, (_, i) => contract.quantities(i))
+  );
+  return {
+    quantities,
+    b0: info[1],
+    alpha: info[2],
+    bMax: info[8],
+    volume: info[10],
+    mode: Number(mode),
+    feeBps: BigInt(feeBps)
+  };
+}
@@ -0,0 +1,111 @@
+// Port of LMSRMath over PRBMath 60.18 fixed point. Every operation, rounding step and
+// constant is the one the contracts execute, so results match them to the wei rather than
+// approximately; BigInt division truncates toward zero like Solidity's.
+import { PricingError } from './errors.js';
+
+export const UNIT = 10n ** 18n;
+const UNIT_SQUARED = UNIT * UNIT;
+const HALF_UNIT = UNIT / 2n;
+const DOUBLE_UNIT = 2n * UNIT;
+const LOG2_E = 1_442695040888963407n;
+
+// Largest input whose exponential fits in 60.18 fixed point (PRBMath's bound)
+export const MAX_EXP_INPUT = 133_084258667509499440n;
+
+// exp(-x) rounds to zero at 18 decimals beyond this
+export const EXP_NEG_CUTOFF = 41_446531673892822322n;
+
+// 2^-x is truncated to zero below this (SD59x18's EXP2_MIN_THRESHOLD, negated)
+const EXP2_NEG_CUTOFF = 59_794705707972522261n;
+
+const INT256_MAX = (1n << 255n) - 1n;
+
+// sqrt(2^(2^-(64 - i))) in 64.64 fixed point for bit i = 63..0 of the fraction, as in Common.exp2
+const EXP2_FACTORS = [
+  0x16A09E667F3BCC909n, 0x1306FE0A31B7152DFn, 0x1172B83C7D517ADCEn, 0x10B5586CF9890F62An,
+  0x1059B0D31585743AEn, 0x102C9A3E778060EE7n, 0x10163DA9FB33356D8n, 0x100B1AFA5ABCBED61n,
+  0x10058C86DA1C09EA2n, 0x1002C605E2E8CEC50n, 0x100162F3904051FA1n, 0x1000B175EFFDC76BAn,
+  0x100058BA01FB9F96Dn, 0x10002C5CC37DA9492n, 0x1000162E525EE0547n, 0x10000B17255775C04n,
+  0x1000058B91B5BC9AEn, 0x100002C5C89D5EC6Dn, 0x10000162E43F4F831n, 0x100000B1721BCFC9An,
+  0x10000058B90CF1E6En, 0x1000002C5C863B73Fn, 0x100000162E430E5A2n, 0x1000000B172183551n,
+  0x100000058B90C0B49n, 0x10000002C5C8601CCn, 0x1000000162E42FFF0n, 0x10000000B17217FBBn,
+  0x1000000058B90BFCEn, 0x100000002C5C85FE3n, 0x10000000162E42FF1n, 0x100000000B17217F8n,
+  0x10000000058B90BFCn, 0x1000000002C5C85FEn, 0x100000000162E42FFn, 0x1000000000B17217Fn,
+  0x100000000058B90C0n, 0x10000000002C5C860n, 0x1000000000162E430n, 0x10000000000B17218n,
+  0x1000000000058B90Cn, 0x100000000002C5C86n, 0x10000000000162E43n, 0x100000000000B1721n,
+  0x10000000000058B91n, 0x1000000000002C5C8n, 0x100000000000162E4n, 0x1000000000000B172n,
+  0x100000000000058B9n, 0x10000000000002C5Dn, 0x1000000000000162En, 0x10000000000000B17n,
+  0x1000000000000058Cn, 0x100000000000002C6n, 0x10000000000000163n, 0x100000000000000B1n,
+  0x10000000000000059n, 0x1000000000000002Cn, 0x10000000000000016n, 0x1000000000000000Bn,
+  0x10000000000000006n, 0x10000000000000003n, 0x10000000000000001n, 0x10000000000000001n
+];
+
+// Index of the most significant set bit; zero for zero
+const msb = (x) => (x === 0n ? 0n : BigInt(x.toString(2).length - 1));
+
+// Common.exp2: 2^x for x in 192.64 fixed point, returned in 60.18
+function exp2Fixed(x) {
+  let result = 0x800000000000000000000000000000000000000000000000n;
+  for (let i = 0; i < 64; i++) {
+    if (x & (1n << BigInt(63 - i))) result = (result * EXP2_FACTORS[i]) >> 64n;
+  }
+  result *= UNIT;
+  return result >> (191n - (x >> 64n));
+}
+
+// 2^x for 0 <= x < 192e18
+const exp2 = (x) => exp2Fixed((x << 64n) / UNIT);
+
+// log2(x) for x >= 1e18, by repeated squaring of the mantissa
+function log2(x) {
+  const n = msb(x / UNIT);
+  let result = n * UNIT;
+  let y = x >> n;
+  if (y === UNIT) return result;
+
+  for (let delta = HALF_UNIT; delta > 0n; delta >>= 1n) {
+    y = (y * y) / UNIT;
+    if (y >= DOUBLE_UNIT) {
+      result += delta;
+      y >>= 1n;
+    }
+  }
+  return result;
+}
+
+/**
+ * ln(x) for x >= 1
+ */
+export function ln(x) {
+  if (x < UNIT) throw new PricingError('LnInputTooSmall');
+  return (log2(x) * UNIT) / LOG2_E;
+}
+
+/**
+ * ln(x) for 0 < x <= INT256_MAX, negative below 1
+ */
+export function lnSigned(x) {
+  if (x <= 0n) throw new PricingError('LnInputTooSmall');
+  if (x > INT256_MAX) throw new PricingError('LnInputTooLarge');
+  if (x >= UNIT) return (log2(x) * UNIT) / LOG2_E;
+  return (-log2(UNIT_SQUARED / x) * UNIT) / LOG2_E;
+}
+
+/**
+ * e^x for x <= MAX_EXP_INPUT
+ */
+export function exp(x) {
+  if (x > MAX_EXP_INPUT) throw new PricingError('ExpInputTooBig');
+  return exp2((x * LOG2_E) / UNIT);
+}
+
+/**
+ * e^-x, which is zero at 18 decimals from EXP_NEG_CUTOFF on
+ */
+export function expNeg(x) {
+  if (x > EXP_NEG_CUTOFF) return 0n;
+  // SD59x18 exp of -x: 2^-(x * log2(e)), inverted from the positive power
+  const power = (x * LOG2_E) / UNIT;
+  if (power > EXP2_NEG_CUTOFF) return 0n;
+  return UNIT_SQUARED / exp2(power);
+}
@@ -0,0 +1,340 @@
+// Port of the LMSRPricing library over a plain quantity array. Function for function it
+// follows contracts/libraries/LMSRPricing.sol, including the order of every multiplication
+// and division, so each result is the integer the contract returns.
+import { PricingError } from './errors.js';
+import { UNIT, MAX_EXP_INPUT, ln, lnSigned, exp, expNeg } from './math.js';
+
+// LMSRPricing.PricingMode
+export const PricingMode = Object.freeze({
+  VOLUME_SCALED: 0,                    // b = b0 * exp(alpha * volume)
+  PROPORTIONAL: 1                      // b = alpha * sum(q), Othman et al.
+});
+
+// `skip` value for `expCache` that keeps every outcome
+const NO_SKIP = -1;
+// Below this an updated sum has lost too many digits to the cached terms' rounding
+const MIN_CACHED_SUM = 10n ** 12n;
+// Bound on the bracketing steps of the proportional-mode solvers
+const MAX_DOUBLINGS = 96;
+// ln(2), for half-lives
+const LN2 = 693147180559945309n;
+// Where an uncapped volume-scaled b stops growing, the largest cap a market can store
+const UNCAPPED_B_MAX = 2n ** 128n - 1n;
+
+const abs = (x) => (x < 0n ? -x : x);
+
+/**
+ * Collateral that covers the worst-case loss of a fresh market: C(0) = b0 * ln(n)
+ */
+export function initialFunding(numOutcomes, b0) {
+  return (b0 * ln(BigInt(numOutcomes) * UNIT)) / UNIT;
+}
+
+/**
+ * `volume` traded `elapsed` seconds ago, halved every `halfLife` seconds
+ */
+export function decayVolume(volume, elapsed, halfLife) {
+  return (volume * expNeg((LN2 * BigInt(elapsed)) / BigInt(halfLife))) / UNIT;
+}
+
+/**
+ * Quantity every outcome of a proportional market starts from, so that C(q0) equals
+ * `initialFunding`
+ */
+export function seed(numOutcomes, b0, alpha) {
+  if (alpha === 0n) throw new PricingError('InvalidAlpha');
+
+  const n = BigInt(numOutcomes);
+  const lnN = ln(n * UNIT);
+  return (b0 * lnN) / (UNIT + (alpha * n * lnN) / UNIT);
+}
+
+/**
+ * Current liquidity parameter under either rule
+ */
+export function bOf(quantities, liquidity) {
+  if (liquidity.mode === PricingMode.PROPORTIONAL) {
+    const total = quantities.reduce((sum, q) => sum + q, 0n);
+    return (liquidity.alpha * total) / UNIT;
+  }
+  return bAt(liquidity, liquidity.volume);
+}
+
+/**
+ * Cost function C(q) = b * ln(sum_j exp(q_j / b)) at the current b
+ */
+export function costAt(quantities, liquidity) {
+  return costOf(expCache(quantities, bOf(quantities, liquidity), NO_SKIP));
+}
+
+/**
+ * Prices of every outcome; they sum to 1e18 up to rounding with a volume-scaled b, and to
+ * slightly more with a proportional one
+ */
+export function prices(quantities, liquidity) {
+  return pricesOf(quantities, expCache(quantities, bOf(quantities, liquidity), NO_SKIP), liquidity);
+}
+
+/**
+ * Prices moving `outcome` by `delta`: C(q') - C(q) with both terms, fee left zero
+ */
+export function quote(quantities, liquidity, outcome, delta) {
+  if (outcome < 0 || outcome >= quantities.length) throw new PricingError('InvalidOutcome');
+  if (delta === 0n) throw new PricingError('InvalidDelta');
+
+  if (liquidity.mode !== PricingMode.PROPORTIONAL) {
+    const b = bAt(liquidity, liquidity.volume);
+    return quoteFromCache(quantities, expCache(quantities, b, NO_SKIP), outcome, delta);
+  }
+
+  const newQ = [...quantities];
+  newQ[outcome] = moved(newQ[outcome], delta);
+  return quoteBetween(quantities, newQ, liquidity);
+}
+
+/**
+ * Prices moving every outcome by its entry in `deltas`, as the difference of two full passes
+ */
+export function quoteMany(quantities, liquidity, deltas) {
+  if (deltas.length !== quantities.length) throw new PricingError('InvalidDelta');
+  if (deltas.every((delta) => delta === 0n)) throw new PricingError('InvalidDelta');
+
+  const newQ = quantities.map((q, i) => moved(q, deltas[i]));
+  return quoteBetween(quantities, newQ, liquidity);
+}
+
+/**
+ * Largest buy of `outcome` whose cost fits in `budget`, by the closed form trimmed for
+ * rounding with a volume-scaled b and by bisection with a proportional one
+ * @returns {{ shares: bigint, cost: bigint }}
+ */
+export function sharesForBudget(quantities, liquidity, outcome, budget) {
+  if (outcome < 0 || outcome >= quantities.length) throw new PricingError('InvalidOutcome');
+  if (budget === 0n) throw new PricingError('InsufficientPayment');
+  if (liquidity.mode === PricingMode.PROPORTIONAL) return proportionalSharesForBudget(quantities, liquidity, outcome, budget);
+
+  const b = bAt(liquidity, liquidity.volume);
+  const cache = expCache(quantities, b, NO_SKIP);
+  const price = (cache.exps[outcome] * UNIT) / cache.sum;
+  if (price === 0n) throw new PricingError('PriceTooLow');
+
+  // delta = X + b * ln(exp(-X / b) + (1 - exp(-X / b)) / p), which no budget overflows
+  const decay = expNeg((budget * UNIT) / b);
+  let shares = budget + (b * ln(decay + ((UNIT - decay) * UNIT) / price)) / UNIT;
+
+  for (let i = 0; i < 4; i++) {
+    if (shares === 0n) throw new PricingError('InsufficientPayment');
+    const cost = quoteFromCache(quantities, cache, outcome, shares).cost;
+    if (cost <= budget) return { shares, cost };
+
+    const excess = ((cost - budget) * UNIT) / price + 1n;
+    shares = excess < shares ? shares - excess : 0n;
+  }
+  throw new PricingError('InsufficientPayment');
+}
+
+/**
+ * Trade after which the price of `outcome` equals `targetPrice`, zero if already there
+ */
+export function deltaForPrice(quantities, liquidity, outcome, targetPrice) {
+  if (outcome < 0 || outcome >= quantities.length) throw new PricingError('InvalidOutcome');
+  if (targetPrice === 0n || targetPrice >= UNIT) throw new PricingError('InvalidTargetPrice');
+  if (liquidity.mode === PricingMode.PROPORTIONAL) return proportionalDeltaForPrice(quantities, liquidity, outcome, targetPrice);
+
+  // logit(t) = ln(t / (1 - t))
+  const logitT = lnSigned((targetPrice * UNIT) / (UNIT - targetPrice));
+  const q = quantities[outcome];
+
+  // g(delta) = q_i'(delta) - q_i - delta; the first step from 0 is the fixed-b answer
+  let prev = 0n;
+  let gPrev = targetQuantity(quantities, liquidity, outcome, logitT, 0n) - q;
+  let delta = gPrev;
+
+  for (let i = 0; i < 16; i++) {
+    const g = targetQuantity(quantities, liquidity, outcome, logitT, delta) - q - delta;
+    if (g === 0n || g === gPrev) break;
+
+    const next = delta - (g * (delta - prev)) / (g - gPrev);
+    prev = delta;
+    gPrev = g;
+    delta = next;
+
+    if (abs(delta - prev) < 10n ** 9n) break;
+  }
+
+  const residual = targetQuantity(quantities, liquidity, outcome, logitT, delta) - q - delta;
+  if (abs(residual) > 10n ** 9n) throw new PricingError('TargetPriceUnreachable');
+  return delta;
+}
+
+// Volume-scaled b = min(b0 * exp(alpha * volume), bMax), saturating wherever exp would overflow
+function bAt(liquidity, volume) {
+  const k = (liquidity.alpha * volume) / UNIT;
+
+  let bMax = liquidity.bMax ?? 0n;
+  if (bMax === 0n) bMax = liquidity.b0 > UNCAPPED_B_MAX ? liquidity.b0 : UNCAPPED_B_MAX;
+  if (k > MAX_EXP_INPUT) return bMax;
+
+  const expK = exp(k);
+  if (expK >= (bMax * UNIT) / liquidity.b0) return bMax;
+  return (liquidity.b0 * expK) / UNIT;
+}
+
+function proportionalSharesForBudget(quantities, liquidity, outcome, budget) {
+  const qi = quantities[outcome];
+  const costBefore = costOf(expCache(quantities, bOf(quantities, liquidity), NO_SKIP));
+
+  let shares = 0n;
+  let hi = budget;
+  for (let i = 0; costWith(quantities, outcome, qi + hi, liquidity) - costBefore <= budget; i++) {
+    if (i === MAX_DOUBLINGS) throw new PricingError('InsufficientPayment');
+    shares = hi;
+    hi *= 2n;
+  }
+  while (hi - shares > 1n + shares / 10n ** 12n) {
+    const mid = (shares + hi) / 2n;
+    if (costWith(quantities, outcome, qi + mid, liquidity) - costBefore <= budget) shares = mid;
+    else hi = mid;
+  }
+
+  if (shares === 0n) throw new PricingError('InsufficientPayment');
+  return { shares, cost: costWith(quantities, outcome, qi + shares, liquidity) - costBefore };
+}
+
+function proportionalDeltaForPrice(quantities, liquidity, outcome, targetPrice) {
+  const qi = quantities[outcome];
+  if (priceWith(quantities, outcome, 0n, liquidity) > targetPrice) throw new PricingError('TargetPriceUnreachable');
+
+  let lo = 0n;
+  let hi = qi > UNIT ? qi : UNIT;
+  for (let i = 0; priceWith(quantities, outcome, hi, liquidity) < targetPrice; i++) {
+    if (i === MAX_DOUBLINGS) throw new PricingError('TargetPriceUnreachable');
+    lo = hi;
+    hi *= 2n;
+  }
+  while (hi - lo > 10n ** 9n) {
+    const mid = (lo + hi) / 2n;
+    if (priceWith(quantities, outcome, mid, liquidity) < targetPrice) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2n - qi;
+}
+
+// Quantity of `outcome` at which its price is the target, with b evaluated after trading `delta`
+function targetQuantity(quantities, liquidity, outcome, logitT, delta) {
+  const b = bAt(liquidity, liquidity.volume + abs(delta));
+
+  const others = expCache(quantities, b, outcome);
+  const lnOthers = others.maxQ + (b * ln(others.sum)) / UNIT;
+  return lnOthers + (b * logitT) / UNIT;
+}
+
+// exp((q_j - maxQ) / b) for every outcome, one `exp` per distinct quantity
+function expCache(quantities, b, skip) {
+  const cache = { b, maxQ: 0n, sum: 0n, exps: quantities.map(() => 0n) };
+
+  quantities.forEach((q, i) => {
+    if (i !== skip && q > cache.maxQ) cache.maxQ = q;
+  });
+
+  let lastQ = cache.maxQ;
+  let lastExp = UNIT;
+  quantities.forEach((q, i) => {
+    if (i === skip) return;
+    if (q !== lastQ) {
+      lastExp = relExp(cache.maxQ - q, b);
+      lastQ = q;
+    }
+    cache.exps[i] = lastExp;
+    cache.sum += lastExp;
+  });
+  return cache;
+}
+
+// A single-outcome trade as an incremental update of the cached sum
+function quoteFromCache(quantities, cache, outcome, delta) {
+  const newQi = moved(quantities[outcome], delta);
+
+  let shift = UNIT;
+  let newExp = UNIT;
+  let newMaxQ = cache.maxQ;
+  if (newQi > cache.maxQ) {
+    shift = relExp(newQi - cache.maxQ, cache.b);
+    newMaxQ = newQi;
+  } else if (newQi < cache.maxQ) {
+    newExp = relExp(cache.maxQ - newQi, cache.b);
+  }
+
+  const newSum = ((cache.sum - cache.exps[outcome]) * shift) / UNIT + newExp;
+  if (newSum < MIN_CACHED_SUM) {
+    const newQ = [...quantities];
+    newQ[outcome] = newQi;
+    const next = expCache(newQ, cache.b, NO_SKIP);
+    return quoteOf(cache, next, pricesFromCache(next));
+  }
+
+  const costBefore = costOf(cache);
+  const costAfter = newMaxQ + (cache.b * lnSigned(newSum)) / UNIT;
+  return {
+    b: cache.b,
+    bAfter: cache.b,
+    costBefore,
+    costAfter,
+    cost: costAfter - costBefore,
+    fee: 0n,
+    newPrices: cache.exps.map((e, i) => ((i === outcome ? newExp : (e * shift) / UNIT) * UNIT) / newSum)
+  };
+}
+
+// Full passes over the quantities before and after, each at its own b
+function quoteBetween(q, newQ, liquidity) {
+  const next = expCache(newQ, bOf(newQ, liquidity), NO_SKIP);
+  return quoteOf(expCache(q, bOf(q, liquidity), NO_SKIP), next, pricesOf(newQ, next, liquidity));
+}
+
+function quoteOf(current, next, newPrices) {
+  const costBefore = costOf(current);
+  const costAfter = costOf(next);
+  return { b: current.b, bAfter: next.b, costBefore, costAfter, cost: costAfter - costBefore, fee: 0n, newPrices };
+}
+
+function moved(quantity, delta) {
+  if (delta >= 0n) return quantity + delta;
+  if (quantity < -delta) throw new PricingError('InsufficientShares');
+  return quantity + delta;
+}
+
+function costWith(quantities, outcome, quantity, liquidity) {
+  const q = [...quantities];
+  q[outcome] = quantity;
+  return costAt(q, liquidity);
+}
+
+function priceWith(quantities, outcome, quantity, liquidity) {
+  const q = [...quantities];
+  q[outcome] = quantity;
+  return prices(q, liquidity)[outcome];
+}
+
+// Softmax prices, plus the spread a proportional b adds to every outcome
+function pricesOf(q, cache, liquidity) {
+  const result = pricesFromCache(cache);
+  if (liquidity.mode !== PricingMode.PROPORTIONAL) return result;
+
+  let total = 0n;
+  let weighted = 0n;
+  q.forEach((quantity, j) => {
+    total += quantity;
+    weighted += quantity * cache.exps[j];
+  });
+  const spread = (liquidity.alpha * ln(cache.sum)) / UNIT + ((cache.maxQ - weighted / cache.sum) * UNIT) / total;
+  return result.map((price) => price + spread);
+}
+
+// C(q) = maxQ + b * ln(sum)
+const costOf = (cache) => cache.maxQ + (cache.b * ln(cache.sum)) / UNIT;
+
+// exp(-gap / b), scaled by 1e18
+const relExp = (gap, b) => expNeg((gap * UNIT) / b);
+
+const pricesFromCache = (cache) => cache.exps.map((e) => (e * UNIT) / cache.sum);
@@ -0,0 +1,379 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ERC-20 Collateral", function () {
+  let factory;
+  let outcomeToken;
+  let libraries;
+  let usdc;
+  let market;
+  let owner;
+  let user1;
+  let user2;
+  let closeTime;
+
+  const B0 = ethers.parseEther("100");
+  const ALPHA = ethers.parseEther("0.01");
+  // Volume-scaled b with no cap and no decay
+  const VOLUME_SCALED = { pricingMode: 0, bMax: 0, volumeHalfLife: 0 };
+  const ONE_DAY = 24 * 60 * 60;
+
+  // 18-decimal market amounts per USDC unit
+  const SCALE = 10n ** 12n;
+  const USDC = 10n ** 6n;
+
+  const OWNER_RESOLVED = {
+    resolver: ethers.ZeroAddress,
+    arbitrator: ethers.ZeroAddress,
+    disputePeriod: ONE_DAY,
+    disputeBond: ethers.parseEther("5")
+  };
+
+  const fees = (feeBps = 0) => ({
+    feeBps,
+    feeRecipient: ethers.ZeroAddress
+  });
+
+  const marketMetadata = (question) => ({
+    question,
+    outcomeLabels: ["Yes", "No"],
+    category: "Test",
+    resolutionSource: ""
+  });
+
+  // Token units a market collects for an 18-decimal amount, rounded up
+  const units = (amount) => (amount + SCALE - 1n) / SCALE;
+
+  async function createMarket(feeBps = 0) {
+    const tx = await factory.createMarket(2, B0, ALPHA, VOLUME_SCALED, closeTime, usdc, fees(feeBps), OWNER_RESOLVED, marketMetadata("Q"));
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => factory.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "MarketCreated");
+    return ethers.getContractAt("LSLMSRMarket", event.args.market);
+  }
+
+  async function signPermit(signer, spender, value, deadline) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const signature = await signer.signTypedData(
+      { name: await usdc.name(), version: "1", chainId, verifyingContract: await usdc.getAddress() },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      },
+      { owner: signer.address, spender, value, nonce: await usdc.nonces(signer.address), deadline }
+    );
+    return ethers.Signature.from(signature);
+  }
+
+  // Markets link the pricing library, deployed once per file
+  before(async function () {
+    const pricing = await (await ethers.getContractFactory("LMSRPricing")).deploy();
+    libraries = { LMSRPricing: await pricing.getAddress() };
+  });
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    outcomeToken = await (await ethers.getContractFactory("OutcomeToken")).deploy("");
+    usdc = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 6);
+    closeTime = (await time.latest()) + 7 * ONE_DAY;
+
+    const template = await (await ethers.getContractFactory("LSLMSRMarket", { libraries }))
+      .deploy(outcomeToken, 0, 0, 0, VOLUME_SCALED, 0, ethers.ZeroAddress, fees(), OWNER_RESOLVED, marketMetadata(""));
+    const scalarTemplate = await (await ethers.getContractFactory("ScalarMarket", { libraries }))
+      .deploy(outcomeToken, 0, 0, 0, 0, VOLUME_SCALED, 0, ethers.ZeroAddress, fees(), OWNER_RESOLVED, marketMetadata(""));
+    factory = await (await ethers.getContractFactory("MarketFactory"))
+      .deploy(await template.getAddress(), await scalarTemplate.getAddress());
+
+    for (const signer of [owner, user1, user2]) {
+      await usdc.mint(signer.address, 1_000_000n * USDC);
+    }
+    await usdc.approve(factory, ethers.MaxUint256);
+
+    market = await createMarket();
+    for (const signer of [owner, user1, user2]) {
+      await usdc.connect(signer).approve(market, ethers.MaxUint256);
+    }
+  });
+
+  describe("Funding", function () {
+    it("Should pull the initial funding from the creator in token units", async function () {
+      const funding = await factory.requiredFunding(2, B0);
+      const balanceBefore = await usdc.balanceOf(owner.address);
+
+      const created = await createMarket();
+
+      expect(await created.collateralToken()).to.equal(await usdc.getAddress());
+      expect(await created.collateralScale()).to.equal(SCALE);
+      expect(await created.collateral()).to.equal(funding);
+      expect(await usdc.balanceOf(created)).to.equal(units(funding));
+      expect(await usdc.balanceOf(owner.address)).to.equal(balanceBefore - units(funding));
+      expect(await usdc.balanceOf(factory)).to.equal(0);
+      expect(await usdc.allowance(factory, created)).to.equal(0);
+    });
+
+    it("Should refund ETH sent to create a token market", async function () {
+      const balanceBefore = await ethers.provider.getBalance(owner.address);
+
+      const tx = await factory.createMarket(2, B0, ALPHA, VOLUME_SCALED, closeTime, usdc, fees(), OWNER_RESOLVED, marketMetadata("Q"), {
+        value: ethers.parseEther("1")
+      });
+      const receipt = await tx.wait();
+
+      expect(await ethers.provider.getBalance(owner.address)).to.equal(
+        balanceBefore - receipt.gasUsed * receipt.gasPrice
+      );
+    });
+
+    it("Should pull a directly deployed market's funding from the deployer", async function () {
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+      const funding = await market.initialFunding(2, B0);
+      const predicted = ethers.getCreateAddress({ from: owner.address, nonce: (await owner.getNonce()) + 1 });
+      await usdc.approve(predicted, units(funding));
+
+      const deployed = await LSLMSRMarket.deploy(outcomeToken, 2, B0, ALPHA, VOLUME_SCALED, closeTime, usdc, fees(), OWNER_RESOLVED, marketMetadata("Q"));
+
+      expect(await deployed.getAddress()).to.equal(predicted);
+      expect(await usdc.balanceOf(deployed)).to.equal(units(funding));
+    });
+
+    it("Should reject tokens with more than 18 decimals", async function () {
+      const wide = await (await ethers.getContractFactory("MockERC20")).deploy("Wide", "WIDE", 24);
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+
+      await expect(
+        factory.createMarket(2, B0, ALPHA, VOLUME_SCALED, closeTime, wide, fees(), OWNER_RESOLVED, marketMetadata("Q"))
+      ).to.be.revertedWithCustomError(factory, "InvalidCollateral");
+      await expect(
+        LSLMSRMarket.deploy(outcomeToken, 2, B0, ALPHA, VOLUME_SCALED, closeTime, wide, fees(), OWNER_RESOLVED, marketMetadata("Q"))
+      ).to.be.revertedWithCustomError(market, "InvalidCollateral");
+    });
+
+    it("Should use 18-decimal tokens without scaling", async function () {
+      const dai = await (await ethers.getContractFactory("MockERC20")).deploy("Dai", "DAI", 18);
+      await dai.mint(owner.address, ethers.parseEther("1000"));
+      await dai.approve(factory, ethers.MaxUint256);
+
+      const tx = await factory.createMarket(2, B0, ALPHA, VOLUME_SCALED, closeTime, dai, fees(), OWNER_RESOLVED, marketMetadata("Q"));
+      const receipt = await tx.wait();
+      const created = receipt.logs
+        .map((log) => factory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "MarketCreated").args.market;
+
+      expect(await (await ethers.getContractAt("LSLMSRMarket", created)).collateralScale()).to.equal(1);
+      expect(await dai.balanceOf(created)).to.equal(await factory.requiredFunding(2, B0));
+    });
+  });
+
+  describe("Trading", function () {
+    it("Should charge buys in token units, rounded up", async function () {
+      const feeMarket = await createMarket(100);
+      await usdc.connect(user1).approve(feeMarket, ethers.MaxUint256);
+      const shares = ethers.parseEther("10");
+      const [cost, , fee] = await feeMarket.getTradeCost(0, shares);
+      const balanceBefore = await usdc.balanceOf(user1.address);
+
+      await feeMarket.connect(user1).trade(0, shares);
+
+      expect(await usdc.balanceOf(user1.address)).to.equal(balanceBefore - units(cost + fee));
+      expect(await outcomeToken.balanceOf(user1.address, await feeMarket.tokenId(0))).to.equal(shares);
+    });
+
+    it("Should pay sells in token units, rounded down", async function () {
+      const shares = ethers.parseEther("10");
+      await market.connect(user1).trade(0, shares);
+      const [cost] = await market.getTradeCost(0, -shares);
+      const balanceBefore = await usdc.balanceOf(user1.address);
+
+      await market.connect(user1).sell(0, shares, 0, closeTime);
+
+      expect(await usdc.balanceOf(user1.address)).to.equal(balanceBefore + -cost / SCALE);
+    });
+
+    it("Should reject a buy without an allowance", async function () {
+      await usdc.connect(user1).approve(market, 0);
+
+      await expect(
+        market.connect(user1).trade(0, ethers.parseEther("10"))
+      ).to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
+    });
+
+    it("Should reject ETH sent to a token market", async function () {
+      const shares = ethers.parseEther("10");
+
+      await expect(
+        market.connect(user1).trade(0, shares, { value: 1 })
+      ).to.be.revertedWithCustomError(market, "InvalidPayment");
+
+      await market.connect(user1).trade(0, shares);
+      await expect(
+        market.connect(user1).sell(0, shares, 0, closeTime, { value: 1 })
+      ).to.be.revertedWithCustomError(market, "InvalidPayment");
+      await expect(
+        market.connect(user1).addLiquidity(ethers.parseEther("10"), { value: 1 })
+      ).to.be.revertedWithCustomError(market, "InvalidDeposit");
+    });
+
+    it("Should only pull what a budget buy spends", async function () {
+      const budget = ethers.parseEther("25");
+      const [shares, cost, fee] = await market.quoteBuyWithBudget(0, budget);
+      const balanceBefore = await usdc.balanceOf(user1.address);
+
+      await market.connect(user1).buyWithBudget(0, budget, shares, closeTime);
+
+      expect(await usdc.balanceOf(user1.address)).to.equal(balanceBefore - units(cost + fee));
+      expect(units(cost + fee)).to.be.at.most(units(budget));
+    });
+  });
+
+  describe("Complete Sets", function () {
+    it("Should mint and redeem sets in token units", async function () {
+      const amount = ethers.parseEther("10");
+      const balanceBefore = await usdc.balanceOf(user1.address);
+
+      await market.connect(user1).mintCompleteSet(amount);
+      expect(await usdc.balanceOf(user1.address)).to.equal(balanceBefore - 10n * USDC);
+      expect(await market.getAllUserBalances(user1.address)).to.deep.equal([amount, amount]);
+
+      await market.connect(user1).redeemCompleteSet(amount);
+      expect(await usdc.balanceOf(user1.address)).to.equal(balanceBefore);
+    });
+
+    it("Should reject ETH sent to mint a set", async function () {
+      const amount = ethers.parseEther("10");
+
+      await expect(
+        market.connect(user1).mintCompleteSet(amount, { value: amount })
+      ).to.be.revertedWithCustomError(market, "InvalidPayment");
+    });
+  });
+
+  describe("Permit", function () {
+    it("Should buy with a permit in one transaction", async function () {
+      await usdc.connect(user1).approve(market, 0);
+      const shares = ethers.parseEther("10");
+      const [cost] = await market.getTradeCost(0, shares);
+      const maxCost = (cost * 101n) / 100n;
+      const deadline = closeTime;
+      const { v, r, s } = await signPermit(user1, await market.getAddress(), units(maxCost), deadline);
+      const balanceBefore = await usdc.balanceOf(user1.address);
+
+      await market.connect(user1).buyWithPermit(0, shares, maxCost, deadline, v, r, s);
+
+      expect(await outcomeToken.balanceOf(user1.address, await market.tokenId(0))).to.equal(shares);
+      expect(await usdc.balanceOf(user1.address)).to.equal(balanceBefore - units(cost));
+      expect(await usdc.allowance(user1.address, market)).to.equal(units(maxCost) - units(cost));
+    });
+
+    it("Should still buy when the permit was front-run", async function () {
+      await usdc.connect(user1).approve(market, 0);
+      const shares = ethers.parseEther("10");
+      const [cost] = await market.getTradeCost(0, shares);
+      const { v, r, s } = await signPermit(user1, await market.getAddress(), units(cost), closeTime);
+
+      // Someone submits the signed permit first, consuming its nonce
+      await usdc.connect(user2).permit(user1.address, market, units(cost), closeTime, v, r, s);
+
+      await expect(
+        market.connect(user1).buyWithPermit(0, shares, cost, closeTime, v, r, s)
+      ).to.emit(market, "SharesTransferred").withArgs(user1.address, 0, shares);
+    });
+
+    it("Should reject a buy whose permit does not cover the cost", async function () {
+      await usdc.connect(user1).approve(market, 0);
+      const shares = ethers.parseEther("10");
+      const [cost] = await market.getTradeCost(0, shares);
+      const { v, r, s } = await signPermit(user1, await market.getAddress(), units(cost) - 1n, closeTime);
+
+      await expect(
+        market.connect(user1).buyWithPermit(0, shares, cost, closeTime, v, r, s)
+      ).to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Payouts", function () {
+    beforeEach(async function () {
+      await market.connect(user1).trade(0, ethers.parseEther("10"));
+      await market.connect(user2).trade(1, ethers.parseEther("7"));
+      await time.increaseTo(closeTime);
+    });
+
+    it("Should pay one token per winning share", async function () {
+      await market.resolveMarket(0);
+      await time.increase(ONE_DAY);
+      await market.finalizeResolution();
+      const balanceBefore = await usdc.balanceOf(user1.address);
+
+      await market.connect(user1).claimWinnings();
+
+      expect(await usdc.balanceOf(user1.address)).to.equal(balanceBefore + 10n * USDC);
+    });
+
+    it("Should refund cancelled markets in tokens", async function () {
+      await market.cancelMarket();
+      const refundPrice = await market.refundPrices(1);
+      const balanceBefore = await usdc.balanceOf(user2.address);
+
+      await market.connect(user2).claimRefund();
+
+      const refund = (ethers.parseEther("7") * refundPrice) / ethers.parseEther("1");
+      expect(await usdc.balanceOf(user2.address)).to.be.closeTo(balanceBefore + refund / SCALE, 1);
+    });
+
+    it("Should take and return dispute bonds in tokens", async function () {
+      await market.resolveMarket(0);
+      const balanceBefore = await usdc.balanceOf(user2.address);
+
+      await market.connect(user2).dispute();
+      expect(await usdc.balanceOf(user2.address)).to.equal(balanceBefore - 5n * USDC);
+
+      await market.settleDispute(1);
+      expect(await usdc.balanceOf(user2.address)).to.equal(balanceBefore);
+    });
+
+    it("Should hold enough tokens for every payout", async function () {
+      await market.resolveMarket(0);
+      await time.increase(ONE_DAY);
+      await market.finalizeResolution();
+
+      await market.connect(user1).claimWinnings();
+      await market.withdrawLiquidity();
+
+      expect(await usdc.balanceOf(market)).to.be.lessThan(10n);
+    });
+  });
+
+  describe("Liquidity and Fees", function () {
+    it("Should take LP deposits and pay withdrawals in tokens", async function () {
+      const amount = ethers.parseEther("50");
+      const balanceBefore = await usdc.balanceOf(user1.address);
+
+      await market.connect(user1).addLiquidity(amount);
+      expect(await usdc.balanceOf(user1.address)).to.equal(balanceBefore - 50n * USDC);
+
+      await time.increaseTo(closeTime);
+      await market.cancelMarket();
+      await market.connect(user1).withdrawLiquidity();
+
+      expect(await usdc.balanceOf(user1.address)).to.be.closeTo(balanceBefore, 1);
+    });
+
+    it("Should withdraw accrued fees in tokens", async function () {
+      const feeMarket = await createMarket(200);
+      await usdc.connect(user1).approve(feeMarket, ethers.MaxUint256);
+      await feeMarket.connect(user1).trade(0, ethers.parseEther("20"));
+      const accrued = await feeMarket.accruedFees();
+      const balanceBefore = await usdc.balanceOf(owner.address);
+
+      await feeMarket.withdrawFees();
+
+      expect(await usdc.balanceOf(owner.address)).to.equal(balanceBefore + accrued / SCALE);
+    });
+  });
+});
@@ -1,25 +1,87 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ETH } = require("./helpers");
 
 describe("LSLMSRMarket", function () {
   let market;
+  let outcomeToken;
+  let libraries;
   let owner;
   let user1;
   let user2;
+  let closeTime;
   
   const NUM_OUTCOMES = 2;
   const B0 = ethers.parseEther("100");
   const ALPHA = ethers.parseEther("0.01"); // 0.01 sensitivity
+  // LMSRPricing.PricingMode
+  const VOLUME_SCALED = 0;
+  const PROPORTIONAL = 1;
+  const ONE_WEEK = 7 * 24 * 60 * 60;
+  const ONE_DAY = 24 * 60 * 60;
+  const DISPUTE_BOND = ethers.parseEther("1");
   
-  // Calculate initial funding: b0 * ln(n)
-  const lnN = Math.log(NUM_OUTCOMES);
-  const INITIAL_FUNDING = ethers.parseEther((100 * lnN).toFixed(18));
+  // Calculate initial funding: b0 * ln(n), matching the contract's fixed-point ln
+  // exactly. PRBMath computes ln(x) = log2(x) / log2(e), and log2 is exact at powers
+  // of two, so ln(2^k) = k * 1e36 / LOG2_E
+  const LOG2_E = 1442695040888963407n;
+  const ln = (n) => (BigInt(Math.log2(n)) * 10n ** 36n) / LOG2_E;
+  const initialFunding = (b0, n) => (b0 * ln(n)) / ethers.parseEther("1");
+  const INITIAL_FUNDING = initialFunding(B0, NUM_OUTCOMES);
+  
+  const marketMetadata = (n, overrides = {}) => ({
+    question: "Will it rain tomorrow?",
+    outcomeLabels: ["Yes", "No", "Maybe", "Unclear", "Other"].slice(0, n),
+    category: "Weather",
+    resolutionSource: "https://weather.example/report",
+    ...overrides
+  });
+  
+  // Owner-resolved by default, with a one-day dispute period
+  const resolution = (overrides = {}) => ({
+    resolver: ethers.ZeroAddress,
+    arbitrator: ethers.ZeroAddress,
+    disputePeriod: ONE_DAY,
+    disputeBond: DISPUTE_BOND,
+    ...overrides
+  });
+  
+  // Volume-scaled b with no cap and no decay by default
+  const liquidity = (overrides = {}) => ({
+    pricingMode: VOLUME_SCALED,
+    bMax: 0,
+    volumeHalfLife: 0,
+    ...overrides
+  });
+  
+  // No trading fee by default
+  const fees = (overrides = {}) => ({
+    feeBps: 0,
+    feeRecipient: ethers.ZeroAddress,
+    ...overrides
+  });
+  
+  // Propose an outcome as owner and finalize it once the dispute period has passed
+  async function resolveAndFinalize(target, outcome) {
+    await target.resolveMarket(outcome);
+    await time.increase(ONE_DAY);
+    await target.finalizeResolution();
+  }
+
+  // Markets link the pricing library, deployed once per file
+  before(async function () {
+    const pricing = await (await ethers.getContractFactory("LMSRPricing")).deploy();
+    libraries = { LMSRPricing: await pricing.getAddress() };
+  });
 
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
+    outcomeToken = await (await ethers.getContractFactory("OutcomeToken")).deploy("");
+    closeTime = (await time.latest()) + ONE_WEEK;
     
-    const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket");
-    market = await LSLMSRMarket.deploy(NUM_OUTCOMES, B0, ALPHA, {
+    const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+    market = await LSLMSRMarket.deploy(outcomeToken, NUM_OUTCOMES, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(NUM_OUTCOMES), {
       value: INITIAL_FUNDING
     });
     await market.waitForDeployment();
@@ -44,24 +106,77 @@ describe("LSLMSRMarket", function () {
     });
 
     it("Should reject invalid number of outcomes", async function () {
-      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket");
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
       
       await expect(
-        LSLMSRMarket.deploy(1, B0, ALPHA, { value: INITIAL_FUNDING })
+        LSLMSRMarket.deploy(outcomeToken, 1, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(1), { value: INITIAL_FUNDING })
       ).to.be.revertedWithCustomError(market, "InvalidNumOutcomes");
       
       await expect(
-        LSLMSRMarket.deploy(6, B0, ALPHA, { value: INITIAL_FUNDING })
+        LSLMSRMarket.deploy(outcomeToken, 65, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(65), { value: INITIAL_FUNDING })
       ).to.be.revertedWithCustomError(market, "InvalidNumOutcomes");
     });
 
     it("Should reject invalid initial funding", async function () {
-      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket");
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
       
       await expect(
-        LSLMSRMarket.deploy(2, B0, ALPHA, { value: ethers.parseEther("1") })
+        LSLMSRMarket.deploy(outcomeToken, 2, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(2), { value: ethers.parseEther("1") })
       ).to.be.revertedWithCustomError(market, "InvalidInitialFunding");
     });
+
+    it("Should reject disputes without a bond", async function () {
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+      
+      await expect(
+        LSLMSRMarket.deploy(outcomeToken, 2, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution({ disputeBond: 0 }), marketMetadata(2), { value: INITIAL_FUNDING })
+      ).to.be.revertedWithCustomError(market, "InvalidDisputeBond");
+      
+      // Without a dispute period there is nothing to bond
+      await LSLMSRMarket.deploy(outcomeToken, 2, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution({ disputePeriod: 0, disputeBond: 0 }), marketMetadata(2), { value: INITIAL_FUNDING });
+    });
+
+    it("Should leave headroom under the contract size limit", async function () {
+      // EIP-170 caps deployed code at 24,576 bytes
+      const size = (await ethers.provider.getCode(market)).length / 2 - 1;
+      expect(size).to.be.at.most(24576 - 512);
+    });
+
+    it("Should reject a zero base liquidity", async function () {
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+      
+      await expect(
+        LSLMSRMarket.deploy(outcomeToken, 2, 0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(2))
+      ).to.be.revertedWithCustomError(market, "InvalidLiquidity");
+    });
+  });
+
+  describe("Metadata", function () {
+    it("Should store the question, labels, category and resolution source", async function () {
+      const metadata = await market.getMetadata();
+      
+      expect(metadata.question).to.equal("Will it rain tomorrow?");
+      expect(metadata.outcomeLabels).to.deep.equal(["Yes", "No"]);
+      expect(metadata.category).to.equal("Weather");
+      expect(metadata.resolutionSource).to.equal("https://weather.example/report");
+    });
+
+    it("Should allow unlabeled outcomes", async function () {
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+      const unlabeled = await LSLMSRMarket.deploy(outcomeToken, 3, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(3, { outcomeLabels: [] }), {
+        value: await market.initialFunding(3, B0)
+      });
+      
+      expect((await unlabeled.getMetadata()).outcomeLabels).to.deep.equal([]);
+    });
+
+    it("Should reject a label count that does not match the outcomes", async function () {
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+      
+      await expect(
+        LSLMSRMarket.deploy(outcomeToken, 2, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(3), { value: INITIAL_FUNDING })
+      ).to.be.revertedWithCustomError(market, "InvalidOutcomeLabels");
+    });
   });
 
   describe("Liquidity Parameter (b)", function () {
@@ -83,6 +198,328 @@ describe("LSLMSRMarket", function () {
     });
   });
 
+  describe("Proportional Liquidity", function () {
+    const PROP_ALPHA = ethers.parseEther("0.05");
+    let prop;
+    
+    async function deployProportional(n = NUM_OUTCOMES, alpha = PROP_ALPHA) {
+      return (await ethers.getContractFactory("LSLMSRMarket", { libraries })).deploy(
+        outcomeToken, n, B0, alpha, liquidity({ pricingMode: PROPORTIONAL }), closeTime, ETH, fees(), resolution(), marketMetadata(n),
+        { value: initialFunding(B0, n) }
+      );
+    }
+    
+    async function buy(signer, outcome, shares) {
+      const [cost] = await prop.getTradeCost(outcome, shares);
+      return prop.connect(signer).trade(outcome, shares, { value: cost });
+    }
+    
+    // p_i = alpha * ln(sum exp(q / b)) + (sum_j q_j * (exp(q_i / b) - exp(q_j / b))) / (sum q * sum exp(q / b))
+    async function expectedPrices(target) {
+      const alpha = Number(ethers.formatEther(await target.alpha()));
+      const n = Number(await target.numOutcomes());
+      const q = [];
+      for (let i = 0; i < n; i++) {
+        q.push(Number(ethers.formatEther(await target.quantities(i))));
+      }
+      const total = q.reduce((sum, x) => sum + x, 0);
+      const b = alpha * total;
+      const exps = q.map((x) => Math.exp(x / b));
+      const sumExp = exps.reduce((sum, x) => sum + x, 0);
+      return exps.map((e, i) =>
+        alpha * Math.log(sumExp) + q.reduce((sum, qj, j) => sum + qj * (e - exps[j]), 0) / (total * sumExp)
+      );
+    }
+    
+    beforeEach(async function () {
+      prop = await deployProportional();
+    });
+    
+    it("Should be chosen at construction", async function () {
+      expect(await market.pricingMode()).to.equal(VOLUME_SCALED);
+      expect(await prop.pricingMode()).to.equal(PROPORTIONAL);
+    });
+    
+    it("Should require a non-zero alpha", async function () {
+      await expect(deployProportional(NUM_OUTCOMES, 0n)).to.be.revertedWithCustomError(market, "InvalidAlpha");
+    });
+    
+    it("Should take the same funding, seeding quantities so that C(q) = b0 * ln(n)", async function () {
+      expect(await prop.collateral()).to.equal(INITIAL_FUNDING);
+      expect(await prop.getCost()).to.be.closeTo(INITIAL_FUNDING, 1000n);
+      
+      // Every outcome starts at x = b0 * ln(n) / (1 + alpha * n * ln(n)), with b = alpha * n * x
+      const x = (100 * Math.log(2)) / (1 + 0.05 * 2 * Math.log(2));
+      expect(Number(ethers.formatEther(await prop.quantities(0)))).to.be.closeTo(x, 1e-9);
+      expect(Number(ethers.formatEther(await prop.getB()))).to.be.closeTo(0.05 * 2 * x, 1e-9);
+    });
+    
+    it("Should set b to alpha times the outstanding quantity", async function () {
+      await buy(user1, 0, ethers.parseEther("25"));
+      const total = (await prop.quantities(0)) + (await prop.quantities(1));
+      expect(await prop.getB()).to.equal((PROP_ALPHA * total) / ethers.parseEther("1"));
+      
+      const bBefore = await prop.getB();
+      await prop.connect(user1).sell(0, ethers.parseEther("10"), 0, closeTime);
+      expect(await prop.getB()).to.be.lessThan(bBefore);
+    });
+    
+    it("Should price outcomes by the adjusted formula, summing to slightly more than 1", async function () {
+      await buy(user1, 0, ethers.parseEther("40"));
+      await buy(user2, 1, ethers.parseEther("15"));
+      
+      const prices = await prop.getPrices();
+      const expected = await expectedPrices(prop);
+      for (let i = 0; i < prices.length; i++) {
+        expect(Number(ethers.formatEther(prices[i]))).to.be.closeTo(expected[i], 1e-9);
+      }
+      
+      // The spread is at most alpha * n * ln(n)
+      const sum = prices.reduce((total, price) => total + price, 0n);
+      expect(sum).to.be.greaterThan(ethers.parseEther("1"));
+      expect(Number(ethers.formatEther(sum))).to.be.at.most(1 + 0.05 * 2 * Math.log(2));
+    });
+    
+    it("Should bound the spread in a multi-outcome market", async function () {
+      prop = await deployProportional(4);
+      await buy(user1, 3, ethers.parseEther("60"));
+      
+      const prices = await prop.getPrices();
+      const expected = await expectedPrices(prop);
+      for (let i = 0; i < prices.length; i++) {
+        expect(Number(ethers.formatEther(prices[i]))).to.be.closeTo(expected[i], 1e-9);
+      }
+      const sum = Number(ethers.formatEther(prices.reduce((total, price) => total + price, 0n)));
+      expect(sum).to.be.greaterThan(1);
+      expect(sum).to.be.at.most(1 + 0.05 * 4 * Math.log(4));
+    });
+    
+    it("Should keep the pool equal to C(q) whatever path trades take", async function () {
+      await buy(user1, 0, ethers.parseEther("30"));
+      await prop.connect(user1).sell(0, ethers.parseEther("12"), 0, closeTime);
+      const [cost] = await prop.getTradeCostMany([ethers.parseEther("-5"), ethers.parseEther("20")]);
+      await prop.connect(user1).tradeMany([ethers.parseEther("-5"), ethers.parseEther("20")], cost, 0, closeTime, { value: cost });
+      
+      expect(await prop.collateral()).to.be.closeTo(await prop.getCost(), 1000n);
+      expect(await prop.isSolvent()).to.equal(true);
+      
+      // Selling everything back returns the pool to its opening cost
+      const held = await prop.getAllUserBalances(user1.address);
+      await prop.connect(user1).tradeMany(held.map((shares) => -shares), 0, 0, closeTime);
+      expect(await prop.collateral()).to.be.closeTo(INITIAL_FUNDING, 1000n);
+    });
+    
+    it("Should buy with a budget and trade to a target price", async function () {
+      const deadline = (await time.latest()) + 600;
+      const budget = ethers.parseEther("5");
+      const [shares, cost] = await prop.quoteBuyWithBudget(0, budget);
+      expect(cost).to.be.lte(budget);
+      expect(cost).to.be.closeTo(budget, ethers.parseEther("0.000001"));
+      expect((await prop.getTradeCost(0, shares))[0]).to.equal(cost);
+      await prop.connect(user1).buyWithBudget(0, budget, shares, deadline, { value: budget });
+      
+      const target = ethers.parseEther("0.8");
+      const [delta, targetCost] = await prop.quoteTradeToPrice(1, target);
+      await prop.connect(user2).tradeToPrice(1, target, targetCost, 0, deadline, { value: targetCost });
+      expect((await prop.getPrices())[1]).to.be.closeTo(target, ethers.parseEther("0.000001"));
+      expect(await prop.getUserBalance(user2.address, 1)).to.equal(delta);
+    });
+    
+    it("Should not reach a target below the price at zero quantity", async function () {
+      // With the other three outcomes level, selling outcome 0 out entirely leaves it near alpha * ln(3)
+      prop = await deployProportional(4);
+      await expect(
+        prop.quoteTradeToPrice(0, ethers.parseEther("0.01"))
+      ).to.be.revertedWithCustomError(prop, "TargetPriceUnreachable");
+    });
+    
+    it("Should not mint or redeem complete sets", async function () {
+      const amount = ethers.parseEther("1");
+      await expect(
+        prop.connect(user1).mintCompleteSet(amount, { value: amount })
+      ).to.be.revertedWithCustomError(prop, "UnsupportedPricingMode");
+      await expect(
+        prop.connect(user1).redeemCompleteSet(amount)
+      ).to.be.revertedWithCustomError(prop, "UnsupportedPricingMode");
+    });
+    
+    it("Should take liquidity deposits without moving prices", async function () {
+      await buy(user1, 0, ethers.parseEther("30"));
+      const pricesBefore = await prop.getPrices();
+      const deposit = (await prop.collateral()) / 2n;
+      
+      await prop.connect(user2).addLiquidity(deposit, { value: deposit });
+      const prices = await prop.getPrices();
+      for (let i = 0; i < prices.length; i++) {
+        expect(prices[i]).to.be.closeTo(pricesBefore[i], 1000n);
+      }
+      expect(await prop.collateral()).to.be.closeTo(await prop.getCost(), 1000n);
+    });
+  });
+
+  describe("Liquidity Cap and Decay", function () {
+    const CAP = ethers.parseEther("150");
+    let pricing;
+    
+    async function deployGrowth(config, alpha = ALPHA) {
+      return (await ethers.getContractFactory("LSLMSRMarket", { libraries })).deploy(
+        outcomeToken, NUM_OUTCOMES, B0, alpha, liquidity(config), closeTime, ETH, fees(), resolution(), marketMetadata(NUM_OUTCOMES),
+        { value: INITIAL_FUNDING }
+      );
+    }
+    
+    async function buy(target, signer, outcome, shares) {
+      const [cost] = await target.getTradeCost(outcome, shares);
+      const receipt = await (await target.connect(signer).trade(outcome, shares, { value: cost })).wait();
+      return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+    }
+    
+    // b0 * exp(alpha * volume), alpha = 0.01
+    const expectedB = (volume) => 100 * Math.exp(0.01 * volume);
+    
+    before(async function () {
+      pricing = await ethers.getContractAt("LMSRPricing", libraries.LMSRPricing);
+    });
+    
+    it("Should report the cap, half-life and current volume in getMarketInfo", async function () {
+      const capped = await deployGrowth({ bMax: CAP, volumeHalfLife: ONE_DAY });
+      let info = await capped.getMarketInfo();
+      expect(info._bMax).to.equal(CAP);
+      expect(info._volumeHalfLife).to.equal(ONE_DAY);
+      expect(info._currentVolume).to.equal(0);
+      
+      // Without a half-life the current volume is all of it
+      await buy(market, user1, 0, ethers.parseEther("10"));
+      info = await market.getMarketInfo();
+      expect(info._bMax).to.equal(0);
+      expect(info._volumeHalfLife).to.equal(0);
+      expect(info._currentVolume).to.equal(info._totalVolume);
+    });
+    
+    it("Should reject a cap below b0", async function () {
+      await expect(deployGrowth({ bMax: B0 - 1n })).to.be.revertedWithCustomError(market, "InvalidGrowth");
+      await deployGrowth({ bMax: B0 });
+    });
+    
+    it("Should reject a cap or half-life on a proportional b", async function () {
+      await expect(
+        deployGrowth({ pricingMode: PROPORTIONAL, bMax: CAP }, ethers.parseEther("0.05"))
+      ).to.be.revertedWithCustomError(market, "InvalidGrowth");
+      await expect(
+        deployGrowth({ pricingMode: PROPORTIONAL, volumeHalfLife: ONE_DAY }, ethers.parseEther("0.05"))
+      ).to.be.revertedWithCustomError(market, "InvalidGrowth");
+    });
+    
+    it("Should grow b up to bMax and no further", async function () {
+      const capped = await deployGrowth({ bMax: CAP });
+      
+      await buy(capped, user1, 0, ethers.parseEther("30"));
+      expect(Number(ethers.formatEther(await capped.getB()))).to.be.closeTo(expectedB(30), 1e-9);
+      
+      // exp(0.6) * 100 is past the cap of 150
+      await buy(capped, user1, 1, ethers.parseEther("30"));
+      expect(await capped.getB()).to.equal(CAP);
+      await buy(capped, user2, 0, ethers.parseEther("50"));
+      expect(await capped.getB()).to.equal(CAP);
+      
+      // Trades at the cap are priced like a fixed-b market
+      const [cost] = await capped.getTradeCost(1, ethers.parseEther("1"));
+      const quote = await capped.quoteTrade(1, ethers.parseEther("1"));
+      expect(quote.b).to.equal(CAP);
+      expect(cost).to.equal(quote.cost);
+    });
+    
+    it("Should keep trading at bMax where exp would overflow", async function () {
+      const alpha = ethers.parseEther("1");
+      const capped = await deployGrowth({ bMax: CAP }, alpha);
+      
+      // One trade takes alpha * volume to 140, past the largest input exp accepts
+      await buy(capped, user1, 0, ethers.parseEther("140"));
+      
+      expect(await capped.getB()).to.equal(CAP);
+      await capped.connect(user1).sell(0, ethers.parseEther("70"), 0, closeTime);
+      await buy(capped, user2, 1, ethers.parseEther("10"));
+      const prices = await capped.getPrices();
+      expect(prices[0] + prices[1]).to.be.closeTo(ethers.parseEther("1"), 10n);
+      expect(await capped.isSolvent()).to.equal(true);
+    });
+    
+    it("Should saturate an uncapped b instead of freezing the market", async function () {
+      const uncapped = await deployGrowth({}, ethers.parseEther("1"));
+      
+      // Wash trading takes alpha * volume to 140, past the largest input exp accepts
+      await buy(uncapped, user1, 0, ethers.parseEther("70"));
+      await uncapped.connect(user1).sell(0, ethers.parseEther("70"), 0, closeTime);
+      expect(await uncapped.getB()).to.equal((1n << 128n) - 1n);
+      
+      // Trading goes on at the saturated b, and cancellation refunds at its prices
+      await buy(uncapped, user2, 1, ethers.parseEther("10"));
+      await uncapped.connect(user2).sell(1, ethers.parseEther("4"), 0, closeTime);
+      const prices = await uncapped.getPrices();
+      expect(prices[0] + prices[1]).to.be.closeTo(ethers.parseEther("1"), 10n);
+      
+      const collateral = await uncapped.collateral();
+      await expect(uncapped.cancelMarket()).to.emit(uncapped, "MarketCancelled").withArgs([...prices]);
+      const refund = (ethers.parseEther("6") * prices[1]) / ethers.parseEther("1");
+      await expect(uncapped.connect(user2).claimRefund()).to.changeEtherBalance(user2, refund);
+      expect(refund).to.be.lessThanOrEqual(collateral);
+    });
+    
+    it("Should let b relax towards b0 as volume decays", async function () {
+      const decaying = await deployGrowth({ volumeHalfLife: ONE_DAY });
+      const shares = ethers.parseEther("30");
+      const tradedAt = await buy(decaying, user1, 0, shares);
+      expect((await decaying.getMarketInfo())._currentVolume).to.equal(shares);
+      
+      // Half the volume is left after one half-life, as decayVolume computes it
+      await time.increase(ONE_DAY);
+      const info = await decaying.getMarketInfo();
+      const elapsed = (await time.latest()) - tradedAt;
+      expect(info._currentVolume).to.equal(await pricing.decayVolume(shares, elapsed, ONE_DAY));
+      expect(Number(ethers.formatEther(info._currentVolume))).to.be.closeTo(15, 1e-3);
+      expect(Number(ethers.formatEther(info._currentB))).to.be.closeTo(expectedB(15), 1e-2);
+      expect(info._totalVolume).to.equal(shares);
+      
+      // Long after trading stops b is back at b0
+      await time.increase(100 * ONE_DAY);
+      expect((await decaying.getMarketInfo())._currentVolume).to.equal(0);
+      expect(await decaying.getB()).to.equal(B0);
+    });
+    
+    it("Should add new volume on top of what is left after decay", async function () {
+      const decaying = await deployGrowth({ volumeHalfLife: ONE_DAY });
+      const first = ethers.parseEther("30");
+      const second = ethers.parseEther("10");
+      const firstAt = await buy(decaying, user1, 0, first);
+      
+      await time.increase(2 * ONE_DAY);
+      const secondAt = await buy(decaying, user2, 1, second);
+      
+      const left = await pricing.decayVolume(first, secondAt - firstAt, ONE_DAY);
+      const info = await decaying.getMarketInfo();
+      expect(info._currentVolume).to.equal(left + second);
+      expect(info._totalVolume).to.equal(first + second);
+      expect(Number(ethers.formatEther(info._currentB))).to.be.closeTo(expectedB(17.5), 1e-2);
+    });
+    
+    it("Should scale bMax with liquidity deposits", async function () {
+      const capped = await deployGrowth({ bMax: CAP });
+      await buy(capped, user1, 0, ethers.parseEther("60"));
+      expect(await capped.getB()).to.equal(CAP);
+      const pricesBefore = await capped.getPrices();
+      
+      // Doubling the pool doubles b0, the cap and so b itself
+      const deposit = await capped.collateral();
+      await capped.connect(user2).addLiquidity(deposit, { value: deposit });
+      expect((await capped.getMarketInfo())._bMax).to.equal(CAP * 2n);
+      expect(await capped.getB()).to.equal(CAP * 2n);
+      const prices = await capped.getPrices();
+      for (let i = 0; i < prices.length; i++) {
+        expect(prices[i]).to.be.closeTo(pricesBefore[i], 1000n);
+      }
+    });
+  });
+
   describe("Price Calculation", function () {
     it("Should start with equal prices for all outcomes", async function () {
       const prices = await market.getPrices();
@@ -178,7 +615,7 @@ describe("LSLMSRMarket", function () {
     });
 
     it("Should increase collateral", async function () {
-      const infooBefore = await market.getMarketInfo();
+      const infoBefore = await market.getMarketInfo();
       const collateralBefore = infoBefore[5];
       
       const sharesToBuy = ethers.parseEther("10");
@@ -191,6 +628,16 @@ describe("LSLMSRMarket", function () {
       
       expect(collateralAfter).to.be.greaterThan(collateralBefore);
     });
+
+    it("Should increase price with more purchases", async function () {
+      const sharesToBuy = ethers.parseEther("10");
+      const priceBefore = (await market.getPrices())[0];
+      
+      const result = await market.getTradeCost(0, sharesToBuy);
+      await market.connect(user1).trade(0, sharesToBuy, { value: result[0] });
+      
+      expect((await market.getPrices())[0]).to.be.greaterThan(priceBefore);
+    });
   });
 
   describe("Trading - Selling Shares", function () {
@@ -223,6 +670,14 @@ describe("LSLMSRMarket", function () {
       ).to.be.revertedWithCustomError(market, "InsufficientShares");
     });
 
+    it("Should reject selling shares held by another user", async function () {
+      const delta = -ethers.parseEther("5");
+      
+      await expect(
+        market.connect(user2).trade(0, delta)
+      ).to.be.revertedWithCustomError(market, "InsufficientShares");
+    });
+
     it("Should transfer payout correctly", async function () {
       const sharesToSell = ethers.parseEther("10");
       const delta = -BigInt(sharesToSell);
@@ -240,635 +695,763 @@ describe("LSLMSRMarket", function () {
       
       expect(actualIncrease).to.be.closeTo(payout, ethers.parseEther("0.01"));
     });
+
+    it("Should decrease price when selling", async function () {
+      const priceBefore = (await market.getPrices())[0];
+      
+      await market.connect(user1).trade(0, -ethers.parseEther("5"));
+      
+      expect((await market.getPrices())[0]).to.be.lessThan(priceBefore);
+    });
   });
 
-  describe("Market Resolution", function () {
+  describe("Slippage Protection", function () {
+    let deadline;
+
     beforeEach(async function () {
-      // Set up market with trades
-      const result0 = await market.getTradeCost(0, ethers.parseEther("10"));
-      await market.connect(user1).trade(0, ethers.parseEther("10"), { value: result0[0] });
+      deadline = (await time.latest()) + 600;
+    });
+
+    it("Should buy when cost is within maxCost", async function () {
+      const shares = ethers.parseEther("10");
+      const result = await market.getTradeCost(0, shares);
       
-      const result1 = await market.getTradeCost(1, ethers.parseEther("5"));
-      await market.connect(user2).trade(1, ethers.parseEther("5"), { value: result1[0] });
+      await expect(
+        market.connect(user1).buy(0, shares, result[0], deadline, { value: result[0] })
+      ).to.emit(market, "SharesTransferred")
+        .withArgs(user1.address, 0, shares);
     });
 
-    it("Should allow owner to resolve market", async function () {
-      const winningOutcome = 0;
+    it("Should reject buys whose cost moved above maxCost", async function () {
+      const shares = ethers.parseEther("10");
+      const quote = await market.getTradeCost(0, shares);
       
-      await expect(market.resolveMarket(winningOutcome))
-        .to.emit(market, "MarketResolved")
-        .withArgs(winningOutcome);
+      // Someone else moves the price between quote and execution
+      const front = await market.getTradeCost(0, shares);
+      await market.connect(user2).trade(0, shares, { value: front[0] });
       
-      const marketInfo = await market.getMarketInfo();
-      expect(marketInfo[6]).to.equal(true); // Resolved
-      expect(marketInfo[7]).to.equal(winningOutcome);
+      await expect(
+        market.connect(user1).buy(0, shares, quote[0], deadline, { value: quote[0] * 2n })
+      ).to.be.revertedWithCustomError(market, "MaxCostExceeded");
     });
 
-    it("Should reject resolution from non-owner", async function () {
+    it("Should reject sells whose payout moved below minPayout", async function () {
+      const shares = ethers.parseEther("10");
+      const buyResult = await market.getTradeCost(0, shares);
+      await market.connect(user1).trade(0, shares, { value: buyResult[0] });
+      
+      const quote = await market.getTradeCost(0, -shares);
+      const minPayout = -quote[0];
+      
+      // Price drops before the sell lands
+      const front = await market.getTradeCost(1, ethers.parseEther("20"));
+      await market.connect(user2).trade(1, ethers.parseEther("20"), { value: front[0] });
+      
       await expect(
-        market.connect(user1).resolveMarket(0)
-      ).to.be.revertedWithCustomError(market, "OnlyOwner");
+        market.connect(user1).sell(0, shares, minPayout, deadline)
+      ).to.be.revertedWithCustomError(market, "MinPayoutNotMet");
+      
+      await expect(
+        market.connect(user1).sell(0, shares, minPayout / 2n, deadline)
+      ).to.emit(market, "SharesTransferred")
+        .withArgs(user1.address, 0, -shares);
     });
 
-    it("Should prevent trading after resolution", async function () {
-      await market.resolveMarket(0);
+    it("Should reject orders past their deadline", async function () {
+      const shares = ethers.parseEther("10");
+      const result = await market.getTradeCost(0, shares);
       
-      const result = await market.getTradeCost(0, ethers.parseEther("5"));
+      await time.increaseTo(deadline + 1);
       
       await expect(
-        market.connect(user1).trade(0, ethers.parseEther("5"), { value: result[0] })
-      ).to.be.revertedWithCustomError(market, "MarketAlreadyResolved");
+        market.connect(user1).buy(0, shares, result[0], deadline, { value: result[0] })
+      ).to.be.revertedWithCustomError(market, "DeadlineExpired");
+      
+      await expect(
+        market.connect(user1).sell(0, shares, 0, deadline)
+      ).to.be.revertedWithCustomError(market, "DeadlineExpired");
     });
+  });
 
-    it("Should allow claiming winnings", async function () {
-      await market.resolveMarket(0);
+  describe("Budget Buys", function () {
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 600;
+    });
+
+    it("Should quote the shares a budget buys at fixed b", async function () {
+      const budget = ethers.parseEther("5");
+      const [shares, cost] = await market.quoteBuyWithBudget(0, budget);
       
-      const userShares = await market.getUserBalance(user1.address, 0);
-      const balanceBefore = await ethers.provider.getBalance(user1.address);
+      // delta = b * ln(1 + (exp(X / b) - 1) / p) with b = 100, p = 0.5
+      const expected = 100 * Math.log(1 + (Math.exp(5 / 100) - 1) / 0.5);
+      expect(Number(ethers.formatEther(shares))).to.be.closeTo(expected, 1e-6);
       
-      const tx = await market.connect(user1).claimWinnings();
+      expect(cost).to.be.lte(budget);
+      expect(cost).to.be.closeTo(budget, ethers.parseEther("0.000001"));
+      
+      const check = await market.getTradeCost(0, shares);
+      expect(check[0]).to.equal(cost);
+    });
+
+    it("Should spend the budget and refund only dust", async function () {
+      const budget = ethers.parseEther("5");
+      const [shares, cost] = await market.quoteBuyWithBudget(0, budget);
+      
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+      const tx = await market.connect(user1).buyWithBudget(0, budget, shares, deadline, { value: budget });
       const receipt = await tx.wait();
       const gasUsed = receipt.gasUsed * receipt.gasPrice;
-      
       const balanceAfter = await ethers.provider.getBalance(user1.address);
-      const actualPayout = balanceAfter - balanceBefore + gasUsed;
       
-      expect(actualPayout).to.be.closeTo(userShares, ethers.parseEther("0.01"));
+      expect(balanceBefore - balanceAfter - gasUsed).to.equal(cost);
+      expect(await market.getUserBalance(user1.address, 0)).to.equal(shares);
     });
-  });
 
-  describe("Volume Tracking", function () {
-    it("Should track cumulative volume correctly", async function () {
-      const infoBefore = await market.getMarketInfo();
-      expect(infoBefore[4]).to.equal(0); // totalVolume starts at 0
+    it("Should account for b grown by earlier volume", async function () {
+      const warmup = await market.getTradeCost(1, ethers.parseEther("30"));
+      await market.connect(user2).trade(1, ethers.parseEther("30"), { value: warmup[0] });
       
-      // Buy 10 shares
-      const shares1 = ethers.parseEther("10");
-      const result1 = await market.getTradeCost(0, shares1);
-      await market.connect(user1).trade(0, shares1, { value: result1[0] });
+      const budget = ethers.parseEther("3");
+      const [shares, cost] = await market.quoteBuyWithBudget(0, budget);
       
-      let infoAfter = await market.getMarketInfo();
-      expect(infoAfter[4]).to.equal(shares1);
+      expect(cost).to.be.lte(budget);
+      expect(cost).to.be.closeTo(budget, ethers.parseEther("0.000001"));
       
-      // Sell 5 shares (volume should increase by 5, not decrease)
-      const shares2 = ethers.parseEther("5");
-      const delta = -BigInt(shares2);
-      await market.connect(user1).trade(0, delta);
+      await market.connect(user1).buyWithBudget(0, budget, shares, deadline, { value: budget });
+      expect(await market.getUserBalance(user1.address, 0)).to.equal(shares);
+    });
+
+    it("Should reject when fewer than minShares are bought", async function () {
+      const budget = ethers.parseEther("5");
+      const [shares] = await market.quoteBuyWithBudget(0, budget);
       
-      infoAfter = await market.getMarketInfo();
-      expect(infoAfter[4]).to.equal(shares1 + shares2); // 10 + 5 = 15
+      await expect(
+        market.connect(user1).buyWithBudget(0, budget, shares + 1n, deadline, { value: budget })
+      ).to.be.revertedWithCustomError(market, "MinSharesNotMet");
     });
 
-    it("Should increase b as volume increases", async function () {
-      const b0Value = await market.getB();
+    it("Should reject an empty budget", async function () {
+      await expect(
+        market.connect(user1).buyWithBudget(0, 0, 0, deadline, { value: 0 })
+      ).to.be.revertedWithCustomError(market, "InsufficientPayment");
+    });
+
+    it("Should reject a long shot whose price rounds to zero", async function () {
+      // Fixed b = 1: 50 shares ahead puts the other outcome near exp(-50), below 1 wei
+      const b0 = ethers.parseEther("1");
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+      const shallow = await LSLMSRMarket.deploy(outcomeToken, NUM_OUTCOMES, b0, 0, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(NUM_OUTCOMES), {
+        value: initialFunding(b0, NUM_OUTCOMES)
+      });
+      const lead = ethers.parseEther("50");
+      const result = await shallow.getTradeCost(0, lead);
+      await shallow.connect(user2).trade(0, lead, { value: result[0] });
+      expect((await shallow.getPrices())[1]).to.equal(0);
       
-      // Execute multiple trades to increase volume
-      for (let i = 0; i < 3; i++) {
-        const outcome = i % NUM_OUTCOMES;
-        const shares = ethers.parseEther("10");
-        const result = await market.getTradeCost(outcome, shares);
-        await market.connect(user1).trade(outcome, shares, { value: result[0] });
+      const budget = ethers.parseEther("1");
+      await expect(shallow.quoteBuyWithBudget(1, budget)).to.be.revertedWithCustomError(shallow, "PriceTooLow");
+      await expect(
+        shallow.connect(user1).buyWithBudget(1, budget, 0, deadline, { value: budget })
+      ).to.be.revertedWithCustomError(shallow, "PriceTooLow");
+    });
+
+    it("Should spend budgets far above b", async function () {
+      // With b = 1, exp(budget / b) alone would overflow past a budget of about 133
+      const b0 = ethers.parseEther("1");
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+      const shallow = await LSLMSRMarket.deploy(outcomeToken, NUM_OUTCOMES, b0, 0, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(NUM_OUTCOMES), {
+        value: initialFunding(b0, NUM_OUTCOMES)
+      });
+
+      for (const budget of ["100", "120", "140", "10000"].map((x) => ethers.parseEther(x))) {
+        const [shares, cost] = await shallow.quoteBuyWithBudget(0, budget);
+        // At a price of 1/2, budget X buys X + b * ln(2) shares as exp(-X / b) vanishes
+        expect(shares).to.be.closeTo(budget + (b0 * 693147180559945309n) / ethers.parseEther("1"), 1000n);
+        expect(cost).to.be.lessThanOrEqual(budget);
+        expect(cost).to.be.closeTo(budget, 1000n);
       }
-      
-      const bAfter = await market.getB();
-      expect(bAfter).to.be.greaterThan(b0Value);
+
+      const budget = ethers.parseEther("140");
+      const [shares] = await shallow.quoteBuyWithBudget(0, budget);
+      await expect(
+        shallow.connect(user1).buyWithBudget(0, budget, shares, deadline, { value: budget })
+      ).to.emit(shallow, "SharesTransferred").withArgs(user1.address, 0, shares);
     });
   });
 
-  describe("Multi-outcome Market", function () {
-    let multiMarket;
-    const MULTI_OUTCOMES = 4;
-    const multiLnN = Math.log(MULTI_OUTCOMES);
-    const MULTI_FUNDING = ethers.parseEther((100 * multiLnN).toFixed(18));
+  describe("Trade to Target Price", function () {
+    let deadline;
 
     beforeEach(async function () {
-      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket");
-      multiMarket = await LSLMSRMarket.deploy(MULTI_OUTCOMES, B0, ALPHA, {
-        value: MULTI_FUNDING
-      });
-      await multiMarket.waitForDeployment();
+      deadline = (await time.latest()) + 600;
     });
 
-    it("Should initialize with 4 outcomes", async function () {
-      const marketInfo = await multiMarket.getMarketInfo();
-      expect(marketInfo[0]).to.equal(MULTI_OUTCOMES);
+    it("Should quote the delta and cost to reach a target price", async function () {
+      const target = ethers.parseEther("0.57");
+      const [delta, cost] = await market.quoteTradeToPrice(0, target);
+      
+      const check = await market.getTradeCost(0, delta);
+      expect(cost).to.equal(check[0]);
+      
+      // b grows with the trade's own volume, so more shares are needed than the
+      // fixed-b answer b * (logit(t) - logit(p)) with b = 100, p = 0.5
+      const fixedB = 100 * Math.log(0.57 / 0.43);
+      expect(Number(ethers.formatEther(delta))).to.be.greaterThan(fixedB);
+      
+      await market.connect(user1).trade(0, delta, { value: cost });
+      const prices = await market.getPrices();
+      expect(prices[0]).to.be.closeTo(target, ethers.parseEther("0.000001"));
     });
 
-    it("Should have equal initial prices", async function () {
-      const prices = await multiMarket.getPrices();
-      const expectedPrice = ethers.parseEther("1") / BigInt(MULTI_OUTCOMES);
+    it("Should move a price to the target in a multi-outcome market", async function () {
+      const multiMarket = await (await ethers.getContractFactory("LSLMSRMarket", { libraries }))
+        .deploy(outcomeToken, 4, B0, ethers.parseEther("0.001"), liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(4), { value: initialFunding(B0, 4) });
+      const target = ethers.parseEther("0.65");
       
-      for (let i = 0; i < MULTI_OUTCOMES; i++) {
-        expect(prices[i]).to.be.closeTo(expectedPrice, ethers.parseEther("0.01"));
-      }
+      const [, cost] = await multiMarket.quoteTradeToPrice(2, target);
+      await multiMarket.connect(user1).tradeToPrice(2, target, cost, 0, deadline, { value: cost });
+      
+      const prices = await multiMarket.getPrices();
+      expect(prices[2]).to.be.closeTo(target, ethers.parseEther("0.000001"));
     });
 
-    it("Should maintain price invariant with multiple outcomes", async function () {
-      // Buy shares in different outcomes
-      for (let i = 0; i < 3; i++) {
-        const shares = ethers.parseEther(String((i + 1) * 5));
-        const result = await multiMarket.getTradeCost(i, shares);
-        await multiMarket.connect(user1).trade(i, shares, { value: result[0] });
-      }
+    it("Should sell down to a lower target", async function () {
+      const shares = ethers.parseEther("40");
+      const result = await market.getTradeCost(0, shares);
+      await market.connect(user1).trade(0, shares, { value: result[0] });
       
-      const prices = await multiMarket.getPrices();
-      let sum = BigInt(0);
+      const target = ethers.parseEther("0.55");
+      const [delta, cost] = await market.quoteTradeToPrice(0, target);
+      expect(delta).to.be.lessThan(0);
+      expect(cost).to.be.lessThan(0);
       
-      for (let i = 0; i < MULTI_OUTCOMES; i++) {
-        sum += prices[i];
-      }
+      await market.connect(user1).tradeToPrice(0, target, 0, -cost, deadline);
       
-      expect(sum).to.be.closeTo(ethers.parseEther("1"), ethers.parseEther("0.001"));
+      const prices = await market.getPrices();
+      expect(prices[0]).to.be.closeTo(target, ethers.parseEther("0.000001"));
     });
-  });
 
-  describe("Cost Function", function () {
-    it("Should calculate correct trade costs", async function () {
-      const shares = ethers.parseEther("10");
+    it("Should bound the payout of a sell down to a target", async function () {
+      const shares = ethers.parseEther("40");
       const result = await market.getTradeCost(0, shares);
-      const cost = result[0];
-      
-      // Cost should be positive for buying
-      expect(cost).to.be.greaterThan(0);
+      await market.connect(user1).trade(0, shares, { value: result[0] });
       
-      // Cost should be reasonable (between 0 and shares)
-      expect(cost).to.be.lessThan(shares);
+      const target = ethers.parseEther("0.55");
+      const [, cost] = await market.quoteTradeToPrice(0, target);
+      await expect(
+        market.connect(user1).tradeToPrice(0, target, 0, -cost + 1n, deadline)
+      ).to.be.revertedWithCustomError(market, "MinPayoutNotMet");
     });
 
-    it("Should show negative cost (payout) for selling", async function () {
-      // First buy shares
-      const buyShares = ethers.parseEther("20");
-      const buyResult = await market.getTradeCost(0, buyShares);
-      await market.connect(user1).trade(0, buyShares, { value: buyResult[0] });
-      
-      // Then calculate sell cost
-      const sellShares = ethers.parseEther("10");
-      const delta = -BigInt(sellShares);
-      const sellResult = await market.getTradeCost(0, delta);
-      const cost = sellResult[0];
+    it("Should trade nothing when the price is already at the target", async function () {
+      const target = (await market.getPrices())[0];
+      const [delta, cost, fee] = await market.quoteTradeToPrice(0, target);
+      expect([delta, cost, fee]).to.deep.equal([0n, 0n, 0n]);
       
-      // Cost should be negative for selling (represents payout)
-      expect(cost).to.be.lessThan(0);
+      const value = ethers.parseEther("1");
+      expect(await market.connect(user1).tradeToPrice.staticCall(0, target, value, 0, deadline, { value })).to.equal(0n);
+      await expect(market.connect(user1).tradeToPrice(0, target, value, 0, deadline, { value }))
+        .to.changeEtherBalance(user1, 0);
+      expect(await market.getUserBalance(user1.address, 0)).to.equal(0n);
     });
-  });
 
-  describe("Gas Optimization", function () {
-    it("Should have reasonable gas costs for buying", async function () {
-      const sharesToBuy = ethers.parseEther("10");
-      const result = await market.getTradeCost(0, sharesToBuy);
-      
-      const tx = await market.connect(user1).trade(0, sharesToBuy, { value: result[0] });
-      const receipt = await tx.wait();
-      
-      console.log(`      Gas used for buying shares: ${receipt.gasUsed.toString()}`);
-      
-      // Should be reasonable (depends on complexity)
-      expect(receipt.gasUsed).to.be.lessThan(600000);
+    it("Should reject targets that outrun the growth of b", async function () {
+      // A single buy can raise logit(p) by at most 1 / (e * alpha * b) = 0.37 here
+      await expect(
+        market.quoteTradeToPrice(0, ethers.parseEther("0.65"))
+      ).to.be.revertedWithCustomError(market, "TargetPriceUnreachable");
     });
 
-    it("Should have reasonable gas costs for selling", async function () {
-      // First buy shares
-      const sharesToBuy = ethers.parseEther("20");
-      const buyResult = await market.getTradeCost(0, sharesToBuy);
-      await market.connect(user1).trade(0, sharesToBuy, { value: buyResult[0] });
-      
-      // Then sell
-      const sharesToSell = ethers.parseEther("10");
-      const delta = -BigInt(sharesToSell);
-      const tx = await market.connect(user1).trade(0, delta);
-      const receipt = await tx.wait();
+    it("Should reject when the cost exceeds maxCost", async function () {
+      const target = ethers.parseEther("0.57");
+      const [, cost] = await market.quoteTradeToPrice(0, target);
       
-      console.log(`      Gas used for selling shares: ${receipt.gasUsed.toString()}`);
+      await expect(
+        market.connect(user1).tradeToPrice(0, target, cost - 1n, 0, deadline, { value: cost })
+      ).to.be.revertedWithCustomError(market, "MaxCostExceeded");
+    });
+
+    it("Should reject targets outside (0, 1)", async function () {
+      await expect(
+        market.quoteTradeToPrice(0, 0)
+      ).to.be.revertedWithCustomError(market, "InvalidTargetPrice");
       
-      expect(receipt.gasUsed).to.be.lessThan(500000);
+      await expect(
+        market.quoteTradeToPrice(0, ethers.parseEther("1"))
+      ).to.be.revertedWithCustomError(market, "InvalidTargetPrice");
     });
   });
 
-  describe("Edge Cases", function () {
-    it("Should reject zero delta trades", async function () {
-      await expect(
-        market.connect(user1).trade(0, 0, { value: 0 })
-      ).to.be.revertedWithCustomError(market, "InvalidDelta");
+  describe("Trading Fees", function () {
+    const FEE_BPS = 200n; // 2%
+    let feeMarket;
+    let deadline;
+
+    beforeEach(async function () {
+      feeMarket = await (await ethers.getContractFactory("LSLMSRMarket", { libraries })).deploy(
+        outcomeToken, NUM_OUTCOMES, B0, ALPHA, liquidity(), closeTime,
+        ETH, fees({ feeBps: FEE_BPS, feeRecipient: user2.address }), resolution(), marketMetadata(NUM_OUTCOMES),
+        { value: INITIAL_FUNDING }
+      );
+      deadline = (await time.latest()) + 600;
     });
 
-    it("Should reject invalid outcome", async function () {
-      const shares = ethers.parseEther("10");
+    it("Should reject a fee above MAX_FEE_BPS", async function () {
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
       
       await expect(
-        market.getTradeCost(NUM_OUTCOMES, shares)
-      ).to.be.revertedWithCustomError(market, "InvalidOutcome");
+        LSLMSRMarket.deploy(outcomeToken, 2, B0, ALPHA, liquidity(), closeTime, ETH, fees({ feeBps: 1001 }), resolution(), marketMetadata(2), { value: INITIAL_FUNDING })
+      ).to.be.revertedWithCustomError(market, "InvalidFee");
     });
 
-    it("Should handle very small trades", async function () {
-      const tinyShares = ethers.parseEther("0.001");
-      const result = await market.getTradeCost(0, tinyShares);
+    it("Should quote the fee separately from the cost", async function () {
+      const shares = ethers.parseEther("10");
+      const [cost, newPrices, fee] = await feeMarket.getTradeCost(0, shares);
+      const [plainCost] = await market.getTradeCost(0, shares);
       
-      await expect(
-        market.connect(user1).trade(0, tinyShares, { value: result[0] })
-      ).to.not.be.reverted;
+      expect(cost).to.equal(plainCost);
+      expect(fee).to.equal((cost * FEE_BPS) / 10000n);
+      expect(newPrices[0]).to.be.greaterThan(ethers.parseEther("0.5"));
+      expect((await market.getTradeCost(0, shares))[2]).to.equal(0);
     });
 
-    it("Should handle large trades", async function () {
-      const largeShares = ethers.parseEther("100");
-      const result = await market.getTradeCost(0, largeShares);
+    it("Should charge buyers the fee on top and accrue it apart from collateral", async function () {
+      const shares = ethers.parseEther("10");
+      const [cost, , fee] = await feeMarket.getTradeCost(0, shares);
+      const collateralBefore = await feeMarket.collateral();
       
       await expect(
-        market.connect(user1).trade(0, largeShares, { value: result[0] })
-      ).to.not.be.reverted;
+        feeMarket.connect(user1).trade(0, shares, { value: cost })
+      ).to.be.revertedWithCustomError(feeMarket, "InsufficientPayment");
+      
+      const tx = await feeMarket.connect(user1).trade(0, shares, { value: cost + fee + 1000n });
+      await expect(tx).to.changeEtherBalance(user1, -(cost + fee));
+      
+      expect(await feeMarket.collateral()).to.equal(collateralBefore + cost);
+      expect(await feeMarket.accruedFees()).to.equal(fee);
+      expect(await ethers.provider.getBalance(await feeMarket.getAddress())).to.equal(collateralBefore + cost + fee);
     });
 
-    it("Should maintain accuracy with repeated trades", async function () {
-      // Execute multiple trades
-      for (let i = 0; i < 5; i++) {
-        const outcome = i % NUM_OUTCOMES;
-        const shares = ethers.parseEther(String(i + 1));
-        const result = await market.getTradeCost(outcome, shares);
-        await market.connect(user1).trade(outcome, shares, { value: result[0] });
-      }
-      
-      // Prices should still sum to 1
-      const prices = await market.getPrices();
-      let sum = BigInt(0);
+    it("Should take the fee out of sell payouts", async function () {
+      const shares = ethers.parseEther("10");
+      const [buyCost, , buyFee] = await feeMarket.getTradeCost(0, shares);
+      await feeMarket.connect(user1).trade(0, shares, { value: buyCost + buyFee });
       
-      for (let i = 0; i < NUM_OUTCOMES; i++) {
-        sum += prices[i];
-      }
+      const [sellCost, , sellFee] = await feeMarket.getTradeCost(0, -shares);
+      expect(sellFee).to.equal((-sellCost * FEE_BPS) / 10000n);
       
-      expect(sum).to.be.closeTo(ethers.parseEther("1"), ethers.parseEther("0.01"));
+      const tx = await feeMarket.connect(user1).trade(0, -shares);
+      await expect(tx).to.changeEtherBalance(user1, -sellCost - sellFee);
+      expect(await feeMarket.accruedFees()).to.equal(buyFee + sellFee);
     });
-  });
 
-  describe("Mathematical Correctness", function () {
-    it("Should implement LS-LMSR formula correctly", async function () {
-      // Get initial state
-      const infoBefore = await market.getMarketInfo();
-      const b0Value = Number(ethers.formatEther(infoBefore[1]));
-      const alphaValue = Number(ethers.formatEther(infoBefore[2]));
-      
-      // Execute trades to create volume
+    it("Should include the fee in slippage limits", async function () {
       const shares = ethers.parseEther("10");
-      const result = await market.getTradeCost(0, shares);
-      await market.connect(user1).trade(0, shares, { value: result[0] });
+      const [cost, , fee] = await feeMarket.getTradeCost(0, shares);
       
-      // Check b = b0 * exp(alpha * Q)
-      const infoAfter = await market.getMarketInfo();
-      const Q = Number(ethers.formatEther(infoAfter[4]));
-      const actualB = Number(ethers.formatEther(infoAfter[3]));
-      const expectedB = b0Value * Math.exp(alphaValue * Q);
+      await expect(
+        feeMarket.connect(user1).buy(0, shares, cost, deadline, { value: cost + fee })
+      ).to.be.revertedWithCustomError(feeMarket, "MaxCostExceeded");
+      await feeMarket.connect(user1).buy(0, shares, cost + fee, deadline, { value: cost + fee });
       
-      // Allow for small rounding errors
-      const tolerance = expectedB * 0.01; // 1% tolerance
-      expect(Math.abs(actualB - expectedB)).to.be.lessThan(tolerance);
+      const [sellCost, , sellFee] = await feeMarket.getTradeCost(0, -shares);
+      await expect(
+        feeMarket.connect(user1).sell(0, shares, -sellCost, deadline)
+      ).to.be.revertedWithCustomError(feeMarket, "MinPayoutNotMet");
+      await feeMarket.connect(user1).sell(0, shares, -sellCost - sellFee, deadline);
     });
 
-    it("Should have prices that reflect share quantities", async function () {
-      // Buy different amounts for different outcomes
-      const shares0 = ethers.parseEther("20");
-      const result0 = await market.getTradeCost(0, shares0);
-      await market.connect(user1).trade(0, shares0, { value: result0[0] });
+    it("Should fit the fee within a budget buy", async function () {
+      const budget = ethers.parseEther("5");
+      const [shares, cost, fee] = await feeMarket.quoteBuyWithBudget(0, budget);
       
-      const shares1 = ethers.parseEther("5");
-      const result1 = await market.getTradeCost(1, shares1);
-      await market.connect(user2).trade(1, shares1, { value: result1[0] });
+      expect(fee).to.equal((cost * FEE_BPS) / 10000n);
+      expect(cost + fee).to.be.lte(budget);
+      expect(cost + fee).to.be.closeTo(budget, ethers.parseEther("0.000001"));
       
-      const prices = await market.getPrices();
+      const tx = await feeMarket.connect(user1).buyWithBudget(0, budget, shares, deadline, { value: budget });
+      await expect(tx).to.changeEtherBalance(user1, -(cost + fee));
+      expect(await feeMarket.accruedFees()).to.equal(fee);
+    });
+
+    it("Should quote the fee for a trade to a target price", async function () {
+      const [delta, cost, fee] = await feeMarket.quoteTradeToPrice(0, ethers.parseEther("0.57"));
       
-      // Outcome 0 should have higher price because it has more shares
-      expect(prices[0]).to.be.greaterThan(prices[1]);
+      expect(fee).to.equal((cost * FEE_BPS) / 10000n);
+      await expect(
+        feeMarket.connect(user1).tradeToPrice(0, ethers.parseEther("0.57"), cost + fee, 0, deadline, { value: cost + fee })
+      ).to.emit(feeMarket, "SharesTransferred")
+        .withArgs(user1.address, 0, delta);
     });
-  });
 
-  describe("User Balance Tracking", function () {
-    it("Should track individual user balances", async function () {
+    it("Should let only the fee recipient withdraw accrued fees", async function () {
       const shares = ethers.parseEther("10");
-      const result = await market.getTradeCost(0, shares);
+      const [cost, , fee] = await feeMarket.getTradeCost(0, shares);
+      await feeMarket.connect(user1).trade(0, shares, { value: cost + fee });
       
-      await market.connect(user1).trade(0, shares, { value: result[0] });
+      await expect(
+        feeMarket.connect(owner).withdrawFees()
+      ).to.be.revertedWithCustomError(feeMarket, "OnlyFeeRecipient");
       
-      const balance = await market.getUserBalance(user1.address, 0);
-      expect(balance).to.equal(shares);
+      const tx = await feeMarket.connect(user2).withdrawFees();
+      await expect(tx).to.emit(feeMarket, "FeesWithdrawn").withArgs(user2.address, fee);
+      await expect(tx).to.changeEtherBalance(user2, fee);
       
-      // Other outcome should be 0
-      const balance1 = await market.getUserBalance(user1.address, 1);
-      expect(balance1).to.equal(0);
+      expect(await feeMarket.accruedFees()).to.equal(0);
+      await expect(
+        feeMarket.connect(user2).withdrawFees()
+      ).to.be.revertedWithCustomError(feeMarket, "NoFeesAccrued");
     });
 
-    it("Should return all user balances", async function () {
-      // Buy shares in both outcomes
-      const shares0 = ethers.parseEther("10");
-      const result0 = await market.getTradeCost(0, shares0);
-      await market.connect(user1).trade(0, shares0, { value: result0[0] });
+    it("Should let the owner redirect fees, defaulting to itself", async function () {
+      await expect(
+        feeMarket.connect(user1).setFeeRecipient(user1.address)
+      ).to.be.revertedWithCustomError(feeMarket, "OnlyOwner");
       
-      const shares1 = ethers.parseEther("5");
-      const result1 = await market.getTradeCost(1, shares1);
-      await market.connect(user1).trade(1, shares1, { value: result1[0] });
+      await expect(feeMarket.setFeeRecipient(ethers.ZeroAddress))
+        .to.emit(feeMarket, "FeeRecipientUpdated")
+        .withArgs(ethers.ZeroAddress);
       
-      const balances = await market.getAllUserBalances(user1.address);
+      const shares = ethers.parseEther("10");
+      const [cost, , fee] = await feeMarket.getTradeCost(0, shares);
+      await feeMarket.connect(user1).trade(0, shares, { value: cost + fee });
       
-      expect(balances[0]).to.equal(shares0);
-      expect(balances[1]).to.equal(shares1);
+      await expect(
+        feeMarket.connect(user2).withdrawFees()
+      ).to.be.revertedWithCustomError(feeMarket, "OnlyFeeRecipient");
+      await expect(feeMarket.withdrawFees())
+        .to.emit(feeMarket, "FeesWithdrawn")
+        .withArgs(owner.address, fee);
     });
 
-    it("Should track balances for multiple users", async function () {
-      const shares = ethers.parseEther("10");
-      const result = await market.getTradeCost(0, shares);
-      
-      await market.connect(user1).trade(0, shares, { value: result[0] });
-      await market.connect(user2).trade(0, shares, { value: result[0] });
+    it("Should keep fees withdrawable after winners are paid", async function () {
+      const shares = ethers.parseEther("40");
+      const [cost, , fee] = await feeMarket.getTradeCost(0, shares);
+      await feeMarket.connect(user1).trade(0, shares, { value: cost + fee });
       
-      const balance1 = await market.getUserBalance(user1.address, 0);
-      const balance2 = await market.getUserBalance(user2.address, 0);
+      await time.increaseTo(closeTime);
+      await resolveAndFinalize(feeMarket, 0);
+      await feeMarket.connect(user1).claimWinnings();
       
-      expect(balance1).to.equal(shares);
-      expect(balance2).to.equal(shares);
+      await expect(feeMarket.connect(user2).withdrawFees()).to.changeEtherBalance(user2, fee);
     });
   });
-});const { expect } = require("chai");
-const { ethers } = require("hardhat");
 
-describe("LSLMSRMarket", function () {
-  let market;
-  let owner;
-  let user1;
-  let user2;
-  
-  const NUM_OUTCOMES = 2;
-  const B0 = ethers.parseEther("100");
-  const ALPHA = 50; // 0.5
-  const INITIAL_LIQUIDITY = ethers.parseEther("10");
+  describe("Liquidity Providers", function () {
+    const ONE = ethers.parseEther("1");
 
-  beforeEach(async function () {
-    [owner, user1, user2] = await ethers.getSigners();
-    
-    const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket");
-    market = await LSLMSRMarket.deploy(NUM_OUTCOMES, B0, ALPHA);
-    await market.waitForDeployment();
-    
-    // Add initial liquidity
-    await market.addLiquidity({ value: INITIAL_LIQUIDITY });
-  });
+    async function buy(target, signer, outcome, shares) {
+      const [cost, , fee] = await target.getTradeCost(outcome, shares);
+      await target.connect(signer).trade(outcome, shares, { value: cost + fee });
+    }
 
-  describe("Deployment", function () {
-    it("Should deploy with correct parameters", async function () {
-      const marketInfo = await market.getMarketInfo();
+    it("Should scale b by the deposit's share of the pool without moving prices", async function () {
+      await buy(market, user1, 0, ethers.parseEther("30"));
       
-      expect(marketInfo[0]).to.equal(NUM_OUTCOMES);
-      expect(marketInfo[1]).to.equal(B0);
-      expect(marketInfo[2]).to.equal(ALPHA);
-      expect(marketInfo[4]).to.equal(INITIAL_LIQUIDITY);
-      expect(marketInfo[5]).to.equal(false); // Not resolved
-    });
-
-    it("Should initialize with zero quantities", async function () {
-      const quantities = await market.getAllQuantities();
+      const pool = await market.collateral();
+      const deposit = pool / 2n; // k = 1.5
+      const pricesBefore = await market.getPrices();
+      const bBefore = await market.getB();
+      const qBefore = await market.quantities(0);
+      // Priced against what the pool keeps once the 30 shares held are paid
+      const expectedShares = (deposit * (await market.creatorShares())) / (pool - ethers.parseEther("30"));
+      
+      await expect(market.connect(user2).addLiquidity(deposit, { value: deposit }))
+        .to.emit(market, "LiquidityAdded")
+        .withArgs(user2.address, deposit, expectedShares);
+      
+      const newPool = pool + deposit;
+      expect(await market.collateral()).to.equal(newPool);
+      expect(await market.b0()).to.equal((B0 * newPool) / pool);
+      expect(await market.quantities(0)).to.equal((qBefore * newPool) / pool);
+      expect(await market.getB()).to.be.closeTo((bBefore * newPool) / pool, 10n);
+      expect(await market.lpShares(user2.address)).to.equal(expectedShares);
       
+      // Outstanding shares are what traders hold, unaffected by the scaling
+      expect(await market.outstandingShares(0)).to.equal(ethers.parseEther("30"));
+      expect(await market.maxLoss()).to.equal(ethers.parseEther("30"));
+      expect(await market.isSolvent()).to.equal(true);
+      
+      const pricesAfter = await market.getPrices();
       for (let i = 0; i < NUM_OUTCOMES; i++) {
-        expect(quantities[i]).to.equal(0);
+        expect(pricesAfter[i]).to.be.closeTo(pricesBefore[i], 10n);
       }
     });
 
-    it("Should reject invalid number of outcomes", async function () {
-      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket");
+    it("Should make the market k times deeper", async function () {
+      await buy(market, user1, 1, ethers.parseEther("20"));
       
-      await expect(
-        LSLMSRMarket.deploy(1, B0, ALPHA)
-      ).to.be.revertedWith("Invalid number of outcomes");
+      const shares = ethers.parseEther("10");
+      const [costBefore] = await market.getTradeCost(0, shares);
       
-      await expect(
-        LSLMSRMarket.deploy(6, B0, ALPHA)
-      ).to.be.revertedWith("Invalid number of outcomes");
-    });
-
-    it("Should reject invalid alpha", async function () {
-      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket");
+      // Doubling the pool doubles b, so twice the shares cost twice as much
+      const pool = await market.collateral();
+      await market.connect(user2).addLiquidity(pool, { value: pool });
+      const [costAfter] = await market.getTradeCost(0, shares * 2n);
       
-      await expect(
-        LSLMSRMarket.deploy(2, B0, 101)
-      ).to.be.revertedWith("Alpha must be <= 100");
+      expect(costAfter).to.be.closeTo(costBefore * 2n, 1000n);
     });
-  });
 
-  describe("Liquidity Management", function () {
-    it("Should allow adding liquidity", async function () {
-      const additionalLiquidity = ethers.parseEther("5");
+    it("Should mint shares in proportion to the pool's net value", async function () {
+      const pool = await market.collateral();
+      await market.connect(user1).addLiquidity(pool, { value: pool });
+      await buy(market, owner, 0, ethers.parseEther("10"));
       
-      await expect(market.addLiquidity({ value: additionalLiquidity }))
-        .to.emit(market, "LiquidityAdded")
-        .withArgs(additionalLiquidity);
+      // user2's deposit is a third of the net value, so a quarter of all LP shares after it
+      const total = (await market.creatorShares()) + (await market.totalLpShares());
+      const netValue = (await market.collateral()) - (await market.maxLoss());
+      const deposit = netValue / 3n;
+      await market.connect(user2).addLiquidity(deposit, { value: deposit });
       
-      const marketInfo = await market.getMarketInfo();
-      expect(marketInfo[4]).to.equal(INITIAL_LIQUIDITY + additionalLiquidity);
+      const shares = await market.lpShares(user2.address);
+      expect(shares).to.equal((deposit * total) / netValue);
+      expect(shares * 4n).to.be.closeTo(total + shares, 10n);
     });
 
-    it("Should calculate current b with liquidity", async function () {
-      const currentB = await market.getCurrentB();
-      
-      // b = b0 * (1 + alpha * L)
-      // With 10 ETH liquidity and alpha = 0.5
-      // Expected: 100 * (1 + 0.5 * 10) = 100 * 6 = 600 ETH
-      const expectedB = B0 + (B0 * INITIAL_LIQUIDITY * BigInt(ALPHA)) / ethers.parseEther("100");
-      
-      expect(currentB).to.be.closeTo(expectedB, ethers.parseEther("1"));
-    });
-  });
+    describe("Deposits after trades", function () {
+      const HELD = ethers.parseEther("300");
+      let deposit;
+      let ownerValue;
 
-  describe("Price Calculation", function () {
-    it("Should start with equal prices for all outcomes", async function () {
-      const prices = await market.getAllPrices();
-      
-      const expectedPrice = ethers.parseEther("1") / BigInt(NUM_OUTCOMES);
-      
-      for (let i = 0; i < NUM_OUTCOMES; i++) {
-        expect(prices[i]).to.be.closeTo(expectedPrice, ethers.parseEther("0.01"));
-      }
+      beforeEach(async function () {
+        await buy(market, user1, 0, HELD);
+        
+        // Doubles the pool, most of which the 300 shares held are owed if outcome 0 wins
+        deposit = await market.collateral();
+        ownerValue = deposit - HELD;
+        await market.connect(user2).addLiquidity(deposit, { value: deposit });
+        await time.increaseTo(closeTime);
+      });
+
+      it("Should return the deposit in full when the traders' outcome wins", async function () {
+        await resolveAndFinalize(market, 0);
+        
+        // Up to rounding of the share price
+        const exactly = (value) => (change) => change - value < 1000n && value - change < 1000n;
+        await expect(market.connect(user2).withdrawLiquidity()).to.changeEtherBalance(user2, exactly(deposit));
+        await expect(market.withdrawLiquidity()).to.changeEtherBalance(owner, exactly(ownerValue));
+        await expect(market.connect(user1).claimWinnings()).to.changeEtherBalance(user1, HELD);
+      });
+
+      it("Should split the larger residual pro rata when another outcome wins", async function () {
+        await resolveAndFinalize(market, 1);
+        
+        // Nothing is owed, so both get their worst-case value back and more
+        const residual = await market.collateral();
+        const total = (await market.creatorShares()) + (await market.totalLpShares());
+        const lpPart = (residual * (await market.lpShares(user2.address))) / total;
+        expect(lpPart).to.be.gt(deposit);
+        
+        await expect(market.connect(user2).withdrawLiquidity()).to.changeEtherBalance(user2, lpPart);
+        expect(await market.collateral()).to.be.gt(ownerValue);
+        await market.withdrawLiquidity();
+        expect(await ethers.provider.getBalance(await market.getAddress())).to.be.lt(10n);
+      });
     });
 
-    it("Should have prices that sum to 1", async function () {
-      const prices = await market.getAllPrices();
+    it("Should only accept deposits while trading is open", async function () {
+      await expect(
+        market.connect(user1).addLiquidity(0, { value: 0 })
+      ).to.be.revertedWithCustomError(market, "InvalidDeposit");
       
-      let sum = BigInt(0);
-      for (let i = 0; i < NUM_OUTCOMES; i++) {
-        sum += prices[i];
-      }
+      await time.increaseTo(closeTime);
+      await expect(
+        market.connect(user1).addLiquidity(ONE, { value: ONE })
+      ).to.be.revertedWithCustomError(market, "MarketClosed");
       
-      expect(sum).to.be.closeTo(ethers.parseEther("1"), ethers.parseEther("0.001"));
+      await resolveAndFinalize(market, 0);
+      await expect(
+        market.connect(user1).addLiquidity(ONE, { value: ONE })
+      ).to.be.revertedWithCustomError(market, "MarketAlreadyResolved");
     });
 
-    it("Should update prices after buying shares", async function () {
-      const sharesToBuy = ethers.parseEther("10");
-      const cost = await market.calculateBuyCost(0, sharesToBuy);
-      
-      await market.connect(user1).buyShares(0, sharesToBuy, { value: cost });
-      
-      const prices = await market.getAllPrices();
-      
-      // Price of outcome 0 should increase
-      expect(prices[0]).to.be.greaterThan(ethers.parseEther("0.5"));
-      
-      // Prices should still sum to 1
-      let sum = BigInt(0);
-      for (let i = 0; i < NUM_OUTCOMES; i++) {
-        sum += prices[i];
-      }
-      expect(sum).to.be.closeTo(ethers.parseEther("1"), ethers.parseEther("0.001"));
-    });
-  });
+    describe("Fee income", function () {
+      let feeMarket;
 
-  describe("Buying Shares", function () {
-    it("Should allow buying shares with correct payment", async function () {
-      const sharesToBuy = ethers.parseEther("5");
-      const cost = await market.calculateBuyCost(0, sharesToBuy);
-      
-      await expect(
-        market.connect(user1).buyShares(0, sharesToBuy, { value: cost })
-      ).to.emit(market, "SharesPurchased")
-        .withArgs(user1.address, 0, sharesToBuy, cost);
-      
-      const userShares = await market.getUserShares(user1.address, 0);
-      expect(userShares).to.equal(sharesToBuy);
-    });
+      beforeEach(async function () {
+        feeMarket = await (await ethers.getContractFactory("LSLMSRMarket", { libraries })).deploy(
+          outcomeToken, NUM_OUTCOMES, B0, ALPHA, liquidity(), closeTime, ETH, fees({ feeBps: 200 }), resolution(), marketMetadata(NUM_OUTCOMES),
+          { value: INITIAL_FUNDING }
+        );
+        // Matching the creator's funding gives user2 half of all LP shares
+        await feeMarket.connect(user2).addLiquidity(INITIAL_FUNDING, { value: INITIAL_FUNDING });
+      });
 
-    it("Should reject insufficient payment", async function () {
-      const sharesToBuy = ethers.parseEther("5");
-      const cost = await market.calculateBuyCost(0, sharesToBuy);
-      const insufficientPayment = cost - ethers.parseEther("0.1");
-      
-      await expect(
-        market.connect(user1).buyShares(0, sharesToBuy, { value: insufficientPayment })
-      ).to.be.revertedWithCustomError(market, "InsufficientPayment");
-    });
+      it("Should split fees pro rata between depositors and the fee recipient", async function () {
+        const [cost, , fee] = await feeMarket.getTradeCost(0, ethers.parseEther("10"));
+        await feeMarket.connect(user1).trade(0, ethers.parseEther("10"), { value: cost + fee });
+        
+        const lpCut = await feeMarket.pendingLpFees(user2.address);
+        // Per-share accounting rounds down by up to 1 wei per 1e18 LP shares
+        expect(lpCut).to.be.closeTo(fee / 2n, 100n);
+        expect((await feeMarket.accruedFees()) + lpCut).to.be.closeTo(fee, 100n);
+        
+        const tx = await feeMarket.connect(user2).claimLpFees();
+        await expect(tx).to.emit(feeMarket, "LpFeesClaimed").withArgs(user2.address, lpCut);
+        await expect(tx).to.changeEtherBalance(user2, lpCut);
+        
+        await expect(
+          feeMarket.connect(user2).claimLpFees()
+        ).to.be.revertedWithCustomError(feeMarket, "NoFeesAccrued");
+      });
 
-    it("Should refund excess payment", async function () {
-      const sharesToBuy = ethers.parseEther("5");
-      const cost = await market.calculateBuyCost(0, sharesToBuy);
-      const excessPayment = cost + ethers.parseEther("1");
-      
-      const balanceBefore = await ethers.provider.getBalance(user1.address);
-      
-      const tx = await market.connect(user1).buyShares(0, sharesToBuy, { value: excessPayment });
-      const receipt = await tx.wait();
-      const gasUsed = receipt.gasUsed * receipt.gasPrice;
-      
-      const balanceAfter = await ethers.provider.getBalance(user1.address);
-      
-      // Balance should decrease by cost + gas, not by excessPayment + gas
-      const expectedDecrease = cost + gasUsed;
-      const actualDecrease = balanceBefore - balanceAfter;
-      
-      expect(actualDecrease).to.be.closeTo(expectedDecrease, ethers.parseEther("0.01"));
-    });
+      it("Should not pay depositors fees from before their deposit", async function () {
+        await buy(feeMarket, user1, 0, ethers.parseEther("10"));
+        const earned = await feeMarket.pendingLpFees(user2.address);
+        
+        const pool = await feeMarket.collateral();
+        await feeMarket.connect(user1).addLiquidity(pool, { value: pool });
+        expect(await feeMarket.pendingLpFees(user1.address)).to.equal(0);
+        expect(await feeMarket.pendingLpFees(user2.address)).to.equal(earned);
+      });
 
-    it("Should reject invalid outcome", async function () {
-      const sharesToBuy = ethers.parseEther("5");
-      
-      await expect(
-        market.connect(user1).buyShares(NUM_OUTCOMES, sharesToBuy, { value: ethers.parseEther("1") })
-      ).to.be.revertedWithCustomError(market, "InvalidOutcome");
+      it("Should move fee income with transferred LP shares", async function () {
+        await buy(feeMarket, owner, 0, ethers.parseEther("10"));
+        const earned = await feeMarket.pendingLpFees(user2.address);
+        
+        const half = (await feeMarket.lpShares(user2.address)) / 2n;
+        await expect(feeMarket.connect(user2).transferLpShares(user1.address, half))
+          .to.emit(feeMarket, "LpSharesTransferred")
+          .withArgs(user2.address, user1.address, half);
+        
+        await buy(feeMarket, owner, 1, ethers.parseEther("10"));
+        const later = (await feeMarket.pendingLpFees(user2.address)) - earned;
+        expect(await feeMarket.pendingLpFees(user1.address)).to.be.closeTo(later, 100n);
+        
+        await expect(
+          feeMarket.connect(user1).transferLpShares(user2.address, half + 1n)
+        ).to.be.revertedWithCustomError(feeMarket, "InsufficientShares");
+      });
     });
 
-    it("Should update quantities correctly", async function () {
-      const sharesToBuy = ethers.parseEther("10");
-      const cost = await market.calculateBuyCost(0, sharesToBuy);
-      
-      await market.connect(user1).buyShares(0, sharesToBuy, { value: cost });
-      
-      const quantities = await market.getAllQuantities();
-      expect(quantities[0]).to.equal(sharesToBuy);
-    });
+    describe("Withdrawal", function () {
+      beforeEach(async function () {
+        await market.connect(user2).addLiquidity(INITIAL_FUNDING, { value: INITIAL_FUNDING });
+        await buy(market, user1, 0, ethers.parseEther("40"));
+        await buy(market, user1, 1, ethers.parseEther("15"));
+      });
 
-    it("Should increase price with more purchases", async function () {
-      const sharesToBuy = ethers.parseEther("10");
-      
-      const priceBefore = await market.getPrice(0);
-      
-      const cost = await market.calculateBuyCost(0, sharesToBuy);
-      await market.connect(user1).buyShares(0, sharesToBuy, { value: cost });
-      
-      const priceAfter = await market.getPrice(0);
-      
-      expect(priceAfter).to.be.greaterThan(priceBefore);
+      it("Should lock liquidity until the market is settled", async function () {
+        await expect(
+          market.connect(user2).withdrawLiquidity()
+        ).to.be.revertedWithCustomError(market, "LiquidityLocked");
+      });
+
+      it("Should split what winners are not owed between LPs and the owner", async function () {
+        await time.increaseTo(closeTime);
+        await resolveAndFinalize(market, 0);
+        
+        const residual = (await market.collateral()) - ethers.parseEther("40");
+        const lpShares = await market.lpShares(user2.address);
+        const total = lpShares + (await market.creatorShares());
+        
+        const tx = await market.connect(user2).withdrawLiquidity();
+        await expect(tx).to.emit(market, "LiquidityRemoved")
+          .withArgs(user2.address, lpShares, (residual * lpShares) / total);
+        await expect(tx).to.changeEtherBalance(user2, (residual * lpShares) / total);
+        
+        await expect(
+          market.connect(user2).withdrawLiquidity()
+        ).to.be.revertedWithCustomError(market, "NoLiquidity");
+        await expect(
+          market.connect(user1).withdrawLiquidity()
+        ).to.be.revertedWithCustomError(market, "NoLiquidity");
+        
+        await market.connect(owner).withdrawLiquidity();
+        await expect(market.connect(user1).claimWinnings()).to.changeEtherBalance(user1, ethers.parseEther("40"));
+        
+        // Only rounding dust is left
+        expect(await ethers.provider.getBalance(await market.getAddress())).to.be.lt(10n);
+      });
+
+      it("Should return LP capital after cancellation", async function () {
+        await market.cancelMarket();
+        
+        await market.connect(user2).withdrawLiquidity();
+        await market.connect(owner).withdrawLiquidity();
+        await market.connect(user1).claimRefund();
+        
+        expect(await ethers.provider.getBalance(await market.getAddress())).to.be.lt(10n);
+      });
     });
   });
 
-  describe("Selling Shares", function () {
-    beforeEach(async function () {
-      // Buy shares first
-      const sharesToBuy = ethers.parseEther("20");
-      const cost = await market.calculateBuyCost(0, sharesToBuy);
-      await market.connect(user1).buyShares(0, sharesToBuy, { value: cost });
+  describe("Market Lifecycle", function () {
+    it("Should start Open and store the close time", async function () {
+      expect(await market.closeTime()).to.equal(closeTime);
+      expect(await market.getState()).to.equal(0); // Open
     });
 
-    it("Should allow selling shares", async function () {
-      const sharesToSell = ethers.parseEther("10");
-      const payout = await market.calculateSellPayout(0, sharesToSell);
+    it("Should reject a close time that is not in the future", async function () {
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
       
       await expect(
-        market.connect(user1).sellShares(0, sharesToSell)
-      ).to.emit(market, "SharesSold")
-        .withArgs(user1.address, 0, sharesToSell, payout);
-      
-      const userShares = await market.getUserShares(user1.address, 0);
-      expect(userShares).to.equal(ethers.parseEther("10"));
+        LSLMSRMarket.deploy(outcomeToken, 2, B0, ALPHA, liquidity(), await time.latest(), ETH, fees(), resolution(), marketMetadata(2), { value: INITIAL_FUNDING })
+      ).to.be.revertedWithCustomError(market, "InvalidCloseTime");
     });
 
-    it("Should reject selling more shares than owned", async function () {
-      const sharesToSell = ethers.parseEther("100");
+    it("Should close trading at the close time", async function () {
+      const shares = ethers.parseEther("10");
+      const result = await market.getTradeCost(0, shares);
+      await market.connect(user1).trade(0, shares, { value: result[0] });
       
+      await time.increaseTo(closeTime);
+      
+      expect(await market.getState()).to.equal(1); // Closed
       await expect(
-        market.connect(user1).sellShares(0, sharesToSell)
-      ).to.be.revertedWithCustomError(market, "InsufficientShares");
+        market.connect(user1).trade(0, shares, { value: result[0] })
+      ).to.be.revertedWithCustomError(market, "MarketClosed");
+      await expect(
+        market.connect(user1).sell(0, shares, 0, closeTime + ONE_WEEK)
+      ).to.be.revertedWithCustomError(market, "MarketClosed");
     });
 
-    it("Should transfer payout correctly", async function () {
-      const sharesToSell = ethers.parseEther("10");
-      const payout = await market.calculateSellPayout(0, sharesToSell);
-      
-      const balanceBefore = await ethers.provider.getBalance(user1.address);
-      
-      const tx = await market.connect(user1).sellShares(0, sharesToSell);
-      const receipt = await tx.wait();
-      const gasUsed = receipt.gasUsed * receipt.gasPrice;
-      
-      const balanceAfter = await ethers.provider.getBalance(user1.address);
-      
-      const expectedIncrease = payout - gasUsed;
-      const actualIncrease = balanceAfter - balanceBefore;
-      
-      expect(actualIncrease).to.be.closeTo(expectedIncrease, ethers.parseEther("0.01"));
+    it("Should not allow resolution before the close time", async function () {
+      await expect(
+        market.resolveMarket(0)
+      ).to.be.revertedWithCustomError(market, "MarketNotClosed");
     });
 
-    it("Should decrease price when selling", async function () {
-      const priceBefore = await market.getPrice(0);
-      
-      const sharesToSell = ethers.parseEther("5");
-      await market.connect(user1).sellShares(0, sharesToSell);
-      
-      const priceAfter = await market.getPrice(0);
+    it("Should move through Proposed to Resolved", async function () {
+      await time.increaseTo(closeTime);
+      await market.resolveMarket(1);
+      expect(await market.getState()).to.equal(2); // Proposed
       
-      expect(priceAfter).to.be.lessThan(priceBefore);
+      await time.increase(ONE_DAY);
+      await market.finalizeResolution();
+      expect(await market.getState()).to.equal(4); // Resolved
     });
   });
 
   describe("Market Resolution", function () {
     beforeEach(async function () {
       // Set up market with trades
-      const cost0 = await market.calculateBuyCost(0, ethers.parseEther("10"));
-      await market.connect(user1).buyShares(0, ethers.parseEther("10"), { value: cost0 });
+      const result0 = await market.getTradeCost(0, ethers.parseEther("10"));
+      await market.connect(user1).trade(0, ethers.parseEther("10"), { value: result0[0] });
+      
+      const result1 = await market.getTradeCost(1, ethers.parseEther("5"));
+      await market.connect(user2).trade(1, ethers.parseEther("5"), { value: result1[0] });
       
-      const cost1 = await market.calculateBuyCost(1, ethers.parseEther("5"));
-      await market.connect(user2).buyShares(1, ethers.parseEther("5"), { value: cost1 });
+      await time.increaseTo(closeTime);
     });
 
     it("Should allow owner to resolve market", async function () {
       const winningOutcome = 0;
       
       await expect(market.resolveMarket(winningOutcome))
-        .to.emit(market, "MarketResolved")
+        .to.emit(market, "ResolutionProposed")
+        .withArgs(winningOutcome, (await time.latest()) + 1 + ONE_DAY);
+      
+      await time.increase(ONE_DAY);
+      await expect(market.finalizeResolution())
+        .to.emit(market, "ResolutionFinalized")
         .withArgs(winningOutcome);
       
       const marketInfo = await market.getMarketInfo();
-      expect(marketInfo[5]).to.equal(true); // Resolved
-      expect(marketInfo[6]).to.equal(winningOutcome);
+      expect(marketInfo[6]).to.equal(true); // Resolved
+      expect(marketInfo[7]).to.equal(winningOutcome);
     });
 
     it("Should reject resolution from non-owner", async function () {
@@ -877,27 +1460,20 @@ describe("LSLMSRMarket", function () {
       ).to.be.revertedWithCustomError(market, "OnlyOwner");
     });
 
-    it("Should reject invalid winning outcome", async function () {
-      await expect(
-        market.resolveMarket(NUM_OUTCOMES)
-      ).to.be.revertedWithCustomError(market, "InvalidOutcome");
-    });
-
     it("Should prevent trading after resolution", async function () {
-      await market.resolveMarket(0);
+      await resolveAndFinalize(market, 0);
       
-      const sharesToBuy = ethers.parseEther("5");
-      const cost = await market.calculateBuyCost(0, sharesToBuy);
+      const result = await market.getTradeCost(0, ethers.parseEther("5"));
       
       await expect(
-        market.connect(user1).buyShares(0, sharesToBuy, { value: cost })
+        market.connect(user1).trade(0, ethers.parseEther("5"), { value: result[0] })
       ).to.be.revertedWithCustomError(market, "MarketAlreadyResolved");
     });
 
     it("Should allow claiming winnings", async function () {
-      await market.resolveMarket(0);
+      await resolveAndFinalize(market, 0);
       
-      const userShares = await market.getUserShares(user1.address, 0);
+      const userShares = await market.getUserBalance(user1.address, 0);
       const balanceBefore = await ethers.provider.getBalance(user1.address);
       
       const tx = await market.connect(user1).claimWinnings();
@@ -905,142 +1481,1335 @@ describe("LSLMSRMarket", function () {
       const gasUsed = receipt.gasUsed * receipt.gasPrice;
       
       const balanceAfter = await ethers.provider.getBalance(user1.address);
-      
-      // User should receive 1 ETH per winning share
-      const expectedPayout = userShares;
       const actualPayout = balanceAfter - balanceBefore + gasUsed;
       
-      expect(actualPayout).to.be.closeTo(expectedPayout, ethers.parseEther("0.01"));
+      expect(actualPayout).to.be.closeTo(userShares, ethers.parseEther("0.01"));
+    });
+
+    it("Should reject invalid winning outcome", async function () {
+      await expect(
+        market.resolveMarket(NUM_OUTCOMES)
+      ).to.be.revertedWithCustomError(market, "InvalidOutcome");
     });
 
     it("Should prevent claiming if not resolved", async function () {
       await expect(
         market.connect(user1).claimWinnings()
-      ).to.be.revertedWithCustomError(market, "MarketNotResolved");
+      ).to.be.revertedWithCustomError(market, "NotResolved");
     });
 
     it("Should prevent claiming with no shares", async function () {
-      await market.resolveMarket(1); // User1 has shares in outcome 0
+      await resolveAndFinalize(market, 1); // User1 has shares in outcome 0
       
       await expect(
         market.connect(user1).claimWinnings()
-      ).to.be.revertedWith("No shares to claim");
+      ).to.be.revertedWithCustomError(market, "InsufficientShares");
     });
   });
 
-  describe("Multi-outcome Market", function () {
-    let multiMarket;
-    const MULTI_OUTCOMES = 4;
-
+  describe("Resolution Disputes", function () {
     beforeEach(async function () {
-      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket");
-      multiMarket = await LSLMSRMarket.deploy(MULTI_OUTCOMES, B0, ALPHA);
-      await multiMarket.waitForDeployment();
-      await multiMarket.addLiquidity({ value: INITIAL_LIQUIDITY });
+      const result = await market.getTradeCost(0, ethers.parseEther("10"));
+      await market.connect(user1).trade(0, ethers.parseEther("10"), { value: result[0] });
+      
+      await time.increaseTo(closeTime);
     });
 
-    it("Should initialize with 4 outcomes", async function () {
-      const marketInfo = await multiMarket.getMarketInfo();
-      expect(marketInfo[0]).to.equal(MULTI_OUTCOMES);
+    it("Should keep claims closed while a proposal can be disputed", async function () {
+      await market.resolveMarket(0);
+      
+      await expect(
+        market.connect(user1).claimWinnings()
+      ).to.be.revertedWithCustomError(market, "NotResolved");
+      await expect(
+        market.finalizeResolution()
+      ).to.be.revertedWithCustomError(market, "DisputePeriodActive");
+      await expect(
+        market.resolveMarket(1)
+      ).to.be.revertedWithCustomError(market, "ResolutionAlreadyProposed");
     });
 
-    it("Should have equal initial prices", async function () {
-      const prices = await multiMarket.getAllPrices();
-      const expectedPrice = ethers.parseEther("1") / BigInt(MULTI_OUTCOMES);
+    it("Should accept a bonded dispute within the dispute period", async function () {
+      await market.resolveMarket(0);
       
-      for (let i = 0; i < MULTI_OUTCOMES; i++) {
-        expect(prices[i]).to.be.closeTo(expectedPrice, ethers.parseEther("0.01"));
-      }
+      await expect(market.connect(user2).dispute({ value: DISPUTE_BOND }))
+        .to.emit(market, "ResolutionDisputed")
+        .withArgs(user2.address, 0);
+      expect(await market.getState()).to.equal(3); // Disputed
+      
+      await time.increase(ONE_DAY);
+      await expect(
+        market.finalizeResolution()
+      ).to.be.revertedWithCustomError(market, "AlreadyDisputed");
     });
 
-    it("Should maintain price invariant with multiple outcomes", async function () {
-      // Buy shares in different outcomes
-      for (let i = 0; i < 3; i++) {
-        const shares = ethers.parseEther(String((i + 1) * 5));
-        const cost = await multiMarket.calculateBuyCost(i, shares);
-        await multiMarket.connect(user1).buyShares(i, shares, { value: cost });
-      }
+    it("Should reject invalid disputes", async function () {
+      await expect(
+        market.connect(user2).dispute({ value: DISPUTE_BOND })
+      ).to.be.revertedWithCustomError(market, "NoProposedResolution");
       
-      const prices = await multiMarket.getAllPrices();
-      let sum = BigInt(0);
+      await market.resolveMarket(0);
+      await expect(
+        market.connect(user2).dispute({ value: DISPUTE_BOND - 1n })
+      ).to.be.revertedWithCustomError(market, "InvalidDisputeBond");
       
-      for (let i = 0; i < MULTI_OUTCOMES; i++) {
-        sum += prices[i];
-      }
+      await market.connect(user2).dispute({ value: DISPUTE_BOND });
+      await expect(
+        market.connect(user1).dispute({ value: DISPUTE_BOND })
+      ).to.be.revertedWithCustomError(market, "AlreadyDisputed");
+    });
+
+    it("Should reject disputes after the dispute period", async function () {
+      await market.resolveMarket(0);
+      await time.increase(ONE_DAY);
       
-      expect(sum).to.be.closeTo(ethers.parseEther("1"), ethers.parseEther("0.001"));
+      await expect(
+        market.connect(user2).dispute({ value: DISPUTE_BOND })
+      ).to.be.revertedWithCustomError(market, "DisputePeriodOver");
     });
-  });
 
-  describe("Gas Optimization", function () {
-    it("Should have reasonable gas costs for buying", async function () {
-      const sharesToBuy = ethers.parseEther("10");
-      const cost = await market.calculateBuyCost(0, sharesToBuy);
+    it("Should return the bond when the arbitrator overturns the proposal", async function () {
+      await market.resolveMarket(0);
+      await market.connect(user2).dispute({ value: DISPUTE_BOND });
       
-      const tx = await market.connect(user1).buyShares(0, sharesToBuy, { value: cost });
-      const receipt = await tx.wait();
+      const tx = market.settleDispute(1);
+      await expect(tx).to.emit(market, "ResolutionFinalized").withArgs(1);
+      await expect(tx).to.changeEtherBalance(user2, DISPUTE_BOND);
+      expect(await market.winningOutcome()).to.equal(1);
+      expect(await market.getState()).to.equal(4); // Resolved
+    });
+
+    it("Should add the bond to the pool when the proposal is upheld", async function () {
+      await market.resolveMarket(0);
+      await market.connect(user2).dispute({ value: DISPUTE_BOND });
+      const collateralBefore = await market.collateral();
       
-      console.log(`      Gas used for buying shares: ${receipt.gasUsed.toString()}`);
+      await market.settleDispute(0);
       
-      // Should be less than 200k gas
-      expect(receipt.gasUsed).to.be.lessThan(200000);
+      expect(await market.collateral()).to.equal(collateralBefore + DISPUTE_BOND);
+      await expect(market.connect(user1).claimWinnings()).to.not.be.reverted;
     });
 
-    it("Should have reasonable gas costs for selling", async function () {
-      // First buy shares
-      const sharesToBuy = ethers.parseEther("20");
-      const buyCost = await market.calculateBuyCost(0, sharesToBuy);
-      await market.connect(user1).buyShares(0, sharesToBuy, { value: buyCost });
+    it("Should only let the arbitrator settle disputes", async function () {
+      const arbitrated = await (await ethers.getContractFactory("LSLMSRMarket", { libraries })).deploy(
+        outcomeToken, NUM_OUTCOMES, B0, ALPHA, liquidity(), (await time.latest()) + ONE_DAY,
+        ETH, fees(), resolution({ arbitrator: user1.address }), marketMetadata(NUM_OUTCOMES),
+        { value: INITIAL_FUNDING }
+      );
+      await time.increase(ONE_DAY);
+      await arbitrated.resolveMarket(0);
       
-      // Then sell
-      const sharesToSell = ethers.parseEther("10");
-      const tx = await market.connect(user1).sellShares(0, sharesToSell);
-      const receipt = await tx.wait();
+      await expect(
+        arbitrated.connect(user1).settleDispute(1)
+      ).to.be.revertedWithCustomError(arbitrated, "NotDisputed");
+      await arbitrated.connect(user2).dispute({ value: DISPUTE_BOND });
       
-      console.log(`      Gas used for selling shares: ${receipt.gasUsed.toString()}`);
+      await expect(
+        arbitrated.settleDispute(1)
+      ).to.be.revertedWithCustomError(arbitrated, "OnlyArbitrator");
+      await expect(arbitrated.connect(user1).settleDispute(1))
+        .to.emit(arbitrated, "ResolutionFinalized")
+        .withArgs(1);
+    });
+
+    it("Should refund a pending dispute bond on cancellation", async function () {
+      await market.resolveMarket(0);
+      await market.connect(user2).dispute({ value: DISPUTE_BOND });
       
-      // Should be less than 150k gas
-      expect(receipt.gasUsed).to.be.lessThan(150000);
+      await expect(market.cancelMarket()).to.changeEtherBalance(user2, DISPUTE_BOND);
+      await expect(
+        market.settleDispute(0)
+      ).to.be.revertedWithCustomError(market, "MarketAlreadyCancelled");
     });
   });
 
-  describe("Edge Cases", function () {
-    it("Should handle very small trades", async function () {
-      const tinyShares = ethers.parseEther("0.001");
-      const cost = await market.calculateBuyCost(0, tinyShares);
+  describe("Oracle Resolution", function () {
+    let resolver;
+    let oracleMarket;
+
+    beforeEach(async function () {
+      resolver = await (await ethers.getContractFactory("MockResolver")).deploy();
+      oracleMarket = await (await ethers.getContractFactory("LSLMSRMarket", { libraries })).deploy(
+        outcomeToken, NUM_OUTCOMES, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution({ resolver: await resolver.getAddress() }), marketMetadata(NUM_OUTCOMES),
+        { value: INITIAL_FUNDING }
+      );
+      
+      const result = await oracleMarket.getTradeCost(1, ethers.parseEther("10"));
+      await oracleMarket.connect(user1).trade(1, ethers.parseEther("10"), { value: result[0] });
+    });
+
+    it("Should resolve with the reported outcome, callable by anyone", async function () {
+      await resolver.setOutcome(await oracleMarket.getAddress(), 1);
+      await time.increaseTo(closeTime);
+      
+      await expect(oracleMarket.connect(user2).resolve())
+        .to.emit(oracleMarket, "ResolutionProposed");
+      expect(await oracleMarket.proposedOutcome()).to.equal(1);
+      
+      await time.increase(ONE_DAY);
+      await oracleMarket.connect(user2).finalizeResolution();
+      expect(await oracleMarket.winningOutcome()).to.equal(1);
+      
+      await expect(oracleMarket.connect(user1).claimWinnings()).to.not.be.reverted;
+    });
+
+    it("Should wait for the resolver to report", async function () {
+      await time.increaseTo(closeTime);
       
       await expect(
-        market.connect(user1).buyShares(0, tinyShares, { value: cost })
-      ).to.not.be.reverted;
+        oracleMarket.resolve()
+      ).to.be.revertedWithCustomError(oracleMarket, "OutcomeNotReported");
     });
 
-    it("Should handle large trades", async function () {
-      const largeShares = ethers.parseEther("1000");
-      const cost = await market.calculateBuyCost(0, largeShares);
+    it("Should not resolve before the close time", async function () {
+      await resolver.setOutcome(await oracleMarket.getAddress(), 0);
       
       await expect(
-        market.connect(user1).buyShares(0, largeShares, { value: cost })
-      ).to.not.be.reverted;
+        oracleMarket.resolve()
+      ).to.be.revertedWithCustomError(oracleMarket, "MarketNotClosed");
     });
 
-    it("Should maintain accuracy with repeated trades", async function () {
-      // Execute multiple trades
-      for (let i = 0; i < 10; i++) {
-        const outcome = i % NUM_OUTCOMES;
-        const shares = ethers.parseEther(String(i + 1));
-        const cost = await market.calculateBuyCost(outcome, shares);
-        await market.connect(user1).buyShares(outcome, shares, { value: cost });
-      }
+    it("Should reject an out-of-range reported outcome", async function () {
+      await resolver.setOutcome(await oracleMarket.getAddress(), NUM_OUTCOMES);
+      await time.increaseTo(closeTime);
       
-      // Prices should still sum to 1
-      const prices = await market.getAllPrices();
-      let sum = BigInt(0);
+      await expect(
+        oracleMarket.resolve()
+      ).to.be.revertedWithCustomError(oracleMarket, "InvalidOutcome");
+    });
+
+    it("Should not let the owner bypass the resolver", async function () {
+      await time.increaseTo(closeTime);
       
-      for (let i = 0; i < NUM_OUTCOMES; i++) {
-        sum += prices[i];
+      await expect(
+        oracleMarket.resolveMarket(0)
+      ).to.be.revertedWithCustomError(oracleMarket, "OnlyResolver");
+    });
+
+    it("Should require a resolver for resolve()", async function () {
+      await time.increaseTo(closeTime);
+      
+      await expect(
+        market.resolve()
+      ).to.be.revertedWithCustomError(market, "NoResolver");
+    });
+  });
+
+  describe("Market Cancellation", function () {
+    // Lets every signer holding shares claim, and returns the total paid out
+    async function claimAllRefunds(target, signers) {
+      let total = 0n;
+      for (const signer of signers) {
+        const balances = await target.getAllUserBalances(signer.address);
+        if (balances.every((b) => b === 0n)) continue;
+        
+        const tx = await target.connect(signer).claimRefund();
+        const receipt = await tx.wait();
+        const event = receipt.logs
+          .map((log) => target.interface.parseLog(log))
+          .find((parsed) => parsed && parsed.name === "RefundClaimed");
+        total += event.args.amount;
       }
+      return total;
+    }
+
+    beforeEach(async function () {
+      const result0 = await market.getTradeCost(0, ethers.parseEther("10"));
+      await market.connect(user1).trade(0, ethers.parseEther("10"), { value: result0[0] });
       
-      expect(sum).to.be.closeTo(ethers.parseEther("1"), ethers.parseEther("0.01"));
+      const result1 = await market.getTradeCost(1, ethers.parseEther("5"));
+      await market.connect(user2).trade(1, ethers.parseEther("5"), { value: result1[0] });
+    });
+
+    it("Should allow owner to cancel at the current prices", async function () {
+      const prices = await market.getPrices();
+      
+      await expect(market.cancelMarket())
+        .to.emit(market, "MarketCancelled")
+        .withArgs([...prices]);
+      
+      expect(await market.cancelled()).to.equal(true);
+      expect(await market.getState()).to.equal(5); // Cancelled
+      expect(await market.refundPrices(0)).to.equal(prices[0]);
+      expect(await market.refundPrices(1)).to.equal(prices[1]);
+    });
+
+    it("Should reject cancellation from non-owner", async function () {
+      await expect(
+        market.connect(user1).cancelMarket()
+      ).to.be.revertedWithCustomError(market, "OnlyOwner");
+    });
+
+    it("Should stop trading and resolution once cancelled", async function () {
+      await market.cancelMarket();
+      
+      const result = await market.getTradeCost(0, ethers.parseEther("5"));
+      await expect(
+        market.connect(user1).trade(0, ethers.parseEther("5"), { value: result[0] })
+      ).to.be.revertedWithCustomError(market, "MarketAlreadyCancelled");
+      
+      await time.increaseTo(closeTime);
+      await expect(
+        market.resolveMarket(0)
+      ).to.be.revertedWithCustomError(market, "MarketAlreadyCancelled");
+      await expect(
+        market.cancelMarket()
+      ).to.be.revertedWithCustomError(market, "MarketAlreadyCancelled");
+    });
+
+    it("Should not cancel a resolved market", async function () {
+      await time.increaseTo(closeTime);
+      await resolveAndFinalize(market, 0);
+      
+      await expect(
+        market.cancelMarket()
+      ).to.be.revertedWithCustomError(market, "MarketAlreadyResolved");
+    });
+
+    it("Should refund each holder at the cancellation prices", async function () {
+      await time.increaseTo(closeTime);
+      await market.cancelMarket();
+      
+      const shares = await market.getUserBalance(user1.address, 0);
+      const expected = (shares * (await market.refundPrices(0))) / ethers.parseEther("1");
+      
+      await expect(market.connect(user1).claimRefund())
+        .to.emit(market, "RefundClaimed")
+        .withArgs(user1.address, expected);
+      expect(await market.getUserBalance(user1.address, 0)).to.equal(0);
+    });
+
+    it("Should reject refunds before cancellation and double claims", async function () {
+      await expect(
+        market.connect(user1).claimRefund()
+      ).to.be.revertedWithCustomError(market, "NotCancelled");
+      
+      await market.cancelMarket();
+      await market.connect(user1).claimRefund();
+      
+      await expect(
+        market.connect(user1).claimRefund()
+      ).to.be.revertedWithCustomError(market, "InsufficientShares");
+    });
+
+    it("Should never refund more than the pool collateral", async function () {
+      const signers = (await ethers.getSigners()).slice(1, 6);
+      for (let i = 0; i < 12; i++) {
+        const trader = signers[i % signers.length];
+        const outcome = (i * 7) % NUM_OUTCOMES;
+        const shares = ethers.parseEther(String(5 + ((i * 13) % 40)));
+        const held = await market.getUserBalance(trader.address, outcome);
+        
+        if (i % 3 === 2 && held > 0n) {
+          await market.connect(trader).sell(outcome, held / 2n, 0, closeTime);
+        } else {
+          const result = await market.getTradeCost(outcome, shares);
+          await market.connect(trader).trade(outcome, shares, { value: result[0] });
+        }
+      }
+      
+      const collateral = await market.collateral();
+      await market.cancelMarket();
+      const refunded = await claimAllRefunds(market, [user1, user2, ...signers]);
+      
+      expect(refunded).to.be.greaterThan(0n);
+      expect(refunded).to.be.lessThanOrEqual(collateral);
+    });
+
+    it("Should never owe refunds beyond the pool", async function () {
+      // With fast-growing b, buying both sides then selling part of one would leave
+      // sum(price * outstanding shares) above the collateral collected; the solvency
+      // invariant refuses that sell, so cancellation refunds at full prices
+      const smallB0 = ethers.parseEther("10");
+      const fastB = await (await ethers.getContractFactory("LSLMSRMarket", { libraries })).deploy(
+        outcomeToken, 2, smallB0, ethers.parseEther("0.002"), liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(2),
+        { value: await market.initialFunding(2, smallB0) }
+      );
+      
+      let result = await fastB.getTradeCost(1, ethers.parseEther("250"));
+      await fastB.connect(user1).trade(1, ethers.parseEther("250"), { value: result[0] });
+      result = await fastB.getTradeCost(0, ethers.parseEther("250"));
+      await fastB.connect(user2).trade(0, ethers.parseEther("250"), { value: result[0] });
+      await expect(
+        fastB.connect(user2).sell(0, ethers.parseEther("125"), 0, closeTime)
+      ).to.be.revertedWithCustomError(fastB, "Insolvent");
+      
+      const prices = await fastB.getPrices();
+      const collateral = await fastB.collateral();
+      await fastB.cancelMarket();
+      expect(await fastB.refundPrices(0)).to.equal(prices[0]);
+      expect(await fastB.refundPrices(1)).to.equal(prices[1]);
+      
+      const refunded = await claimAllRefunds(fastB, [user1, user2]);
+      expect(refunded).to.be.lessThanOrEqual(collateral);
+    });
+
+    it("Should scale refunds down pro rata when prices owe more than the pool", async function () {
+      // The fast-b position the solvency invariant now refuses: both sides bought, then
+      // half of one sold, leaving sum(price * outstanding shares) above the pool
+      const harness = await (await ethers.getContractFactory("PricingHarness", { libraries })).deploy();
+      const held = [ethers.parseEther("125"), ethers.parseEther("250")];
+      await harness.setState(held, held);
+      const fastB = {
+        b0: ethers.parseEther("10"),
+        alpha: ethers.parseEther("0.002"),
+        bMax: 0,
+        volume: ethers.parseEther("625"),
+        mode: VOLUME_SCALED
+      };
+
+      const prices = await harness.cancel.staticCall(fastB, ethers.MaxUint256 / ethers.parseEther("1"));
+      const owed = (prices[0] * held[0] + prices[1] * held[1]) / ethers.parseEther("1");
+      const pool = owed / 2n;
+
+      const scaled = await harness.cancel.staticCall(fastB, pool);
+      expect(scaled[0]).to.be.lessThan(prices[0]);
+      expect(scaled[1]).to.be.lessThan(prices[1]);
+      expect(scaled[0] * prices[1]).to.be.closeTo(scaled[1] * prices[0], prices[0] + prices[1]);
+
+      const refunded = (scaled[0] * held[0] + scaled[1] * held[1]) / ethers.parseEther("1");
+      expect(refunded).to.be.lessThanOrEqual(pool);
+      expect(refunded).to.be.closeTo(pool, ethers.parseEther("0.000001"));
+    });
+  });
+
+  describe("Cancellation Fallback", function () {
+    it("Should refund evenly where prices cannot be read", async function () {
+      const harness = await (await ethers.getContractFactory("PricingHarness", { libraries })).deploy();
+      const held = [ethers.parseEther("30"), ethers.parseEther("10"), 0n];
+      await harness.setState(held, held);
+      
+      const third = ethers.parseEther("1") / 3n;
+      expect(await harness.cancelUnpriced.staticCall(ethers.parseEther("100"))).to.deep.equal([third, third, third]);
+      
+      // Still scaled down pro rata should the even split owe more than the pool
+      const scaled = await harness.cancelUnpriced.staticCall(ethers.parseEther("10"));
+      expect(scaled[0]).to.equal(scaled[1]);
+      expect(scaled[0] * 40n).to.be.lessThanOrEqual(ethers.parseEther("10") * ethers.parseEther("1"));
+    });
+    
+    it("Should not fall back to an even split for want of gas", async function () {
+      const many = await (await ethers.getContractFactory("LSLMSRMarket", { libraries })).deploy(
+        outcomeToken, 64, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(0, { outcomeLabels: [] }),
+        { value: await market.initialFunding(64, B0) }
+      );
+      
+      // Enough for the cancellation itself but not for pricing 64 outcomes inside it
+      await expect(many.cancelMarket({ gasLimit: 90_000 })).to.be.revertedWithCustomError(many, "InsufficientGas");
+      expect(await many.cancelled()).to.equal(false);
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    const shares = ethers.parseEther("10");
+    
+    async function buy(signer, outcome, amount) {
+      const [cost] = await market.getTradeCost(outcome, amount);
+      return market.connect(signer).trade(outcome, amount, { value: cost });
+    }
+    
+    it("Should let the owner pause and unpause while no guardian is set", async function () {
+      await expect(market.pause()).to.emit(market, "Paused").withArgs(owner.address);
+      expect(await market.paused()).to.equal(true);
+      
+      await expect(market.unpause()).to.emit(market, "Unpaused").withArgs(owner.address);
+      expect(await market.paused()).to.equal(false);
+    });
+    
+    it("Should hand the switch to the guardian", async function () {
+      await expect(market.setGuardian(user2.address))
+        .to.emit(market, "GuardianUpdated")
+        .withArgs(user2.address);
+      
+      await expect(market.pause()).to.be.revertedWithCustomError(market, "OnlyGuardian");
+      await market.connect(user2).pause();
+      await expect(
+        market.connect(user1).unpause()
+      ).to.be.revertedWithCustomError(market, "OnlyGuardian");
+      await market.connect(user2).unpause();
+      
+      await expect(
+        market.connect(user2).setGuardian(user1.address)
+      ).to.be.revertedWithCustomError(market, "OnlyOwner");
+    });
+    
+    it("Should reject pausing twice or unpausing a live market", async function () {
+      await expect(market.unpause()).to.be.revertedWithCustomError(market, "NotPaused");
+      await market.pause();
+      await expect(market.pause()).to.be.revertedWithCustomError(market, "MarketPaused");
+    });
+    
+    it("Should block every way into a position while paused", async function () {
+      await buy(user1, 0, shares);
+      await market.pause();
+      const deadline = closeTime;
+      
+      await expect(
+        market.connect(user1).trade(0, shares, { value: shares })
+      ).to.be.revertedWithCustomError(market, "MarketPaused");
+      await expect(
+        market.connect(user1).sell(0, shares, 0, deadline)
+      ).to.be.revertedWithCustomError(market, "MarketPaused");
+      await expect(
+        market.connect(user1).buyWithBudget(0, shares, 0, deadline, { value: shares })
+      ).to.be.revertedWithCustomError(market, "MarketPaused");
+      await expect(
+        market.connect(user1).tradeMany([shares, 0], shares, 0, deadline, { value: shares })
+      ).to.be.revertedWithCustomError(market, "MarketPaused");
+      await expect(
+        market.connect(user1).mintCompleteSet(shares, { value: shares })
+      ).to.be.revertedWithCustomError(market, "MarketPaused");
+      await expect(
+        market.connect(user1).addLiquidity(shares, { value: shares })
+      ).to.be.revertedWithCustomError(market, "MarketPaused");
+      
+      await market.unpause();
+      await market.connect(user1).sell(0, shares, 0, deadline);
+    });
+    
+    it("Should never block claims", async function () {
+      await buy(user1, 0, shares);
+      await time.increaseTo(closeTime);
+      await market.pause();
+      
+      await resolveAndFinalize(market, 0);
+      await expect(market.connect(user1).claimWinnings()).to.changeEtherBalance(user1, shares);
+      await market.withdrawLiquidity();
+    });
+    
+    it("Should never block refunds or redeeming complete sets", async function () {
+      await market.connect(user1).mintCompleteSet(shares, { value: shares });
+      await buy(user2, 1, shares);
+      await market.pause();
+      
+      await expect(market.connect(user1).redeemCompleteSet(shares / 2n)).to.changeEtherBalance(user1, shares / 2n);
+      
+      await market.cancelMarket();
+      await market.connect(user1).claimRefund();
+      await market.connect(user2).claimRefund();
+      await market.withdrawLiquidity();
+    });
+  });
+
+  describe("Ownership", function () {
+    it("Should transfer ownership in two steps", async function () {
+      await expect(market.transferOwnership(user1.address))
+        .to.emit(market, "OwnershipTransferStarted")
+        .withArgs(owner.address, user1.address);
+      expect(await market.owner()).to.equal(owner.address);
+      expect(await market.pendingOwner()).to.equal(user1.address);
+      
+      await expect(market.connect(user1).acceptOwnership())
+        .to.emit(market, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+      expect(await market.owner()).to.equal(user1.address);
+      expect(await market.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+    
+    it("Should only let the pending owner accept", async function () {
+      await market.transferOwnership(user1.address);
+      
+      await expect(
+        market.connect(user2).acceptOwnership()
+      ).to.be.revertedWithCustomError(market, "OnlyPendingOwner");
+      await expect(
+        market.connect(user1).transferOwnership(user2.address)
+      ).to.be.revertedWithCustomError(market, "OnlyOwner");
+    });
+    
+    it("Should cancel a pending transfer", async function () {
+      await market.transferOwnership(user1.address);
+      await market.transferOwnership(ethers.ZeroAddress);
+      
+      await expect(
+        market.connect(user1).acceptOwnership()
+      ).to.be.revertedWithCustomError(market, "OnlyPendingOwner");
+    });
+    
+    it("Should hand every owner role to the new owner", async function () {
+      await market.transferOwnership(user1.address);
+      await market.connect(user1).acceptOwnership();
+      
+      await expect(market.pause()).to.be.revertedWithCustomError(market, "OnlyGuardian");
+      await market.connect(user1).pause();
+      await market.connect(user1).unpause();
+      
+      await time.increaseTo(closeTime);
+      await expect(market.resolveMarket(0)).to.be.revertedWithCustomError(market, "OnlyOwner");
+      await resolveAndFinalize(market.connect(user1), 0);
+      
+      // The creator's LP shares follow ownership
+      await expect(market.withdrawLiquidity()).to.be.revertedWithCustomError(market, "NoLiquidity");
+      await expect(market.connect(user1).withdrawLiquidity()).to.changeEtherBalance(user1, INITIAL_FUNDING);
+    });
+  });
+
+  describe("Volume Tracking", function () {
+    it("Should track cumulative volume correctly", async function () {
+      const infoBefore = await market.getMarketInfo();
+      expect(infoBefore[4]).to.equal(0); // totalVolume starts at 0
+      
+      // Buy 10 shares
+      const shares1 = ethers.parseEther("10");
+      const result1 = await market.getTradeCost(0, shares1);
+      await market.connect(user1).trade(0, shares1, { value: result1[0] });
+      
+      let infoAfter = await market.getMarketInfo();
+      expect(infoAfter[4]).to.equal(shares1);
+      
+      // Sell 5 shares (volume should increase by 5, not decrease)
+      const shares2 = ethers.parseEther("5");
+      const delta = -BigInt(shares2);
+      await market.connect(user1).trade(0, delta);
+      
+      infoAfter = await market.getMarketInfo();
+      expect(infoAfter[4]).to.equal(shares1 + shares2); // 10 + 5 = 15
+    });
+
+    it("Should increase b as volume increases", async function () {
+      const b0Value = await market.getB();
+      
+      // Execute multiple trades to increase volume
+      for (let i = 0; i < 3; i++) {
+        const outcome = i % NUM_OUTCOMES;
+        const shares = ethers.parseEther("10");
+        const result = await market.getTradeCost(outcome, shares);
+        await market.connect(user1).trade(outcome, shares, { value: result[0] });
+      }
+      
+      const bAfter = await market.getB();
+      expect(bAfter).to.be.greaterThan(b0Value);
+    });
+  });
+
+  describe("Multi-outcome Market", function () {
+    let multiMarket;
+    const MULTI_OUTCOMES = 4;
+    const MULTI_FUNDING = initialFunding(B0, MULTI_OUTCOMES);
+
+    beforeEach(async function () {
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+      multiMarket = await LSLMSRMarket.deploy(outcomeToken, MULTI_OUTCOMES, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(MULTI_OUTCOMES), {
+        value: MULTI_FUNDING
+      });
+      await multiMarket.waitForDeployment();
+    });
+
+    it("Should initialize with 4 outcomes", async function () {
+      const marketInfo = await multiMarket.getMarketInfo();
+      expect(marketInfo[0]).to.equal(MULTI_OUTCOMES);
+    });
+
+    it("Should have equal initial prices", async function () {
+      const prices = await multiMarket.getPrices();
+      const expectedPrice = ethers.parseEther("1") / BigInt(MULTI_OUTCOMES);
+      
+      for (let i = 0; i < MULTI_OUTCOMES; i++) {
+        expect(prices[i]).to.be.closeTo(expectedPrice, ethers.parseEther("0.01"));
+      }
+    });
+
+    it("Should maintain price invariant with multiple outcomes", async function () {
+      // Buy shares in different outcomes
+      for (let i = 0; i < 3; i++) {
+        const shares = ethers.parseEther(String((i + 1) * 5));
+        const result = await multiMarket.getTradeCost(i, shares);
+        await multiMarket.connect(user1).trade(i, shares, { value: result[0] });
+      }
+      
+      const prices = await multiMarket.getPrices();
+      let sum = BigInt(0);
+      
+      for (let i = 0; i < MULTI_OUTCOMES; i++) {
+        sum += prices[i];
+      }
+      
+      expect(sum).to.be.closeTo(ethers.parseEther("1"), ethers.parseEther("0.001"));
+    });
+  });
+
+  describe("Multi-Leg Trades", function () {
+    let multiMarket;
+    const MULTI_OUTCOMES = 4;
+    const shares = ethers.parseEther("10");
+    
+    beforeEach(async function () {
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+      multiMarket = await LSLMSRMarket.deploy(outcomeToken, MULTI_OUTCOMES, B0, ALPHA, liquidity(), closeTime, ETH, fees(), resolution(), marketMetadata(MULTI_OUTCOMES), {
+        value: initialFunding(B0, MULTI_OUTCOMES)
+      });
+      
+      const [cost] = await multiMarket.getTradeCost(1, shares);
+      await multiMarket.connect(user1).trade(1, shares, { value: cost });
+    });
+    
+    it("Should quote a single leg like getTradeCost", async function () {
+      const [cost, newPrices, fee] = await multiMarket.getTradeCost(2, shares);
+      const [costMany, newPricesMany, feeMany] = await multiMarket.getTradeCostMany([0, 0, shares, 0]);
+      
+      expect(costMany).to.be.closeTo(cost, 10n);
+      expect(feeMany).to.equal(fee);
+      for (let i = 0; i < MULTI_OUTCOMES; i++) {
+        expect(newPricesMany[i]).to.be.closeTo(newPrices[i], 10n);
+      }
+    });
+    
+    it("Should sell one outcome and buy another in one transaction", async function () {
+      const deltas = [0, -shares / 2n, shares, 0];
+      const [cost, newPrices] = await multiMarket.getTradeCostMany(deltas);
+      const collateralBefore = await multiMarket.collateral();
+      const volumeBefore = await multiMarket.totalVolume();
+      
+      await expect(multiMarket.connect(user1).tradeMany(deltas, cost, 0, closeTime, { value: cost }))
+        .to.emit(multiMarket, "SharesTransferred").withArgs(user1.address, 1, -shares / 2n)
+        .and.to.emit(multiMarket, "SharesTransferred").withArgs(user1.address, 2, shares);
+      
+      expect(await multiMarket.getAllUserBalances(user1.address)).to.deep.equal([0n, shares / 2n, shares, 0n]);
+      expect(await multiMarket.quantities(1)).to.equal(shares / 2n);
+      expect(await multiMarket.quantities(2)).to.equal(shares);
+      expect(await multiMarket.collateral()).to.equal(collateralBefore + cost);
+      expect(await multiMarket.totalVolume()).to.equal(volumeBefore + shares + shares / 2n);
+      expect(newPrices[2]).to.be.greaterThan(newPrices[1]);
+    });
+    
+    it("Should price the whole vector at the pre-trade b", async function () {
+      // Raising every quantity by x raises C(q) by exactly x at a fixed b
+      const [cost] = await multiMarket.getTradeCostMany([shares, shares, shares, shares]);
+      expect(cost).to.be.closeTo(shares, 10n);
+      
+      // Legged out, every trade after the first is priced at a larger b
+      const bBefore = await multiMarket.getB();
+      await multiMarket.connect(user2).tradeMany([shares, 0, shares, 0], ethers.parseEther("20"), 0, closeTime, { value: ethers.parseEther("20") });
+      expect(await multiMarket.getB()).to.be.greaterThan(bBefore);
+    });
+    
+    it("Should pay out a net sell", async function () {
+      const deltas = [ethers.parseEther("1"), -shares, 0, 0];
+      const [cost] = await multiMarket.getTradeCostMany(deltas);
+      expect(cost).to.be.lessThan(0n);
+      
+      await expect(multiMarket.connect(user1).tradeMany(deltas, 0, -cost, closeTime))
+        .to.changeEtherBalance(user1, -cost);
+    });
+    
+    it("Should refund ETH sent above the net cost", async function () {
+      const deltas = [shares, 0, 0, shares];
+      const [cost] = await multiMarket.getTradeCostMany(deltas);
+      
+      await expect(multiMarket.connect(user2).tradeMany(deltas, cost, 0, closeTime, { value: cost + ethers.parseEther("1") }))
+        .to.changeEtherBalance(user2, -cost);
+    });
+    
+    it("Should charge one fee on the net cost", async function () {
+      const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+      const feeMarket = await LSLMSRMarket.deploy(outcomeToken, MULTI_OUTCOMES, B0, ALPHA, liquidity(), closeTime, ETH, fees({ feeBps: 200 }), resolution(), marketMetadata(MULTI_OUTCOMES), {
+        value: initialFunding(B0, MULTI_OUTCOMES)
+      });
+      const deltas = [shares, shares * 2n, 0, 0];
+      const [cost, , fee] = await feeMarket.getTradeCostMany(deltas);
+      expect(fee).to.equal((cost * 200n) / 10000n);
+      
+      await feeMarket.connect(user1).tradeMany(deltas, cost + fee, 0, closeTime, { value: cost + fee });
+      expect(await feeMarket.accruedFees()).to.equal(fee);
+    });
+    
+    it("Should reject malformed and unfunded orders", async function () {
+      await expect(
+        multiMarket.connect(user1).tradeMany([shares, 0, 0], 0, 0, closeTime)
+      ).to.be.revertedWithCustomError(multiMarket, "InvalidDelta");
+      await expect(
+        multiMarket.connect(user1).tradeMany([0, 0, 0, 0], 0, 0, closeTime)
+      ).to.be.revertedWithCustomError(multiMarket, "InvalidDelta");
+      await expect(
+        multiMarket.connect(user2).tradeMany([0, -shares, shares, 0], shares, 0, closeTime, { value: shares })
+      ).to.be.revertedWithCustomError(multiMarket, "InsufficientShares");
+      
+      const [cost] = await multiMarket.getTradeCostMany([shares, 0, shares, 0]);
+      await expect(
+        multiMarket.connect(user2).tradeMany([shares, 0, shares, 0], cost, 0, closeTime, { value: cost - 1n })
+      ).to.be.revertedWithCustomError(multiMarket, "InsufficientPayment");
+    });
+    
+    it("Should reject orders whose price moved beyond maxCost or minPayout", async function () {
+      const buyLegs = [shares, 0, 0, shares];
+      const [buyCost] = await multiMarket.getTradeCostMany(buyLegs);
+      const sellLegs = [0, -shares / 2n, 0, 0];
+      const [sellCost] = await multiMarket.getTradeCostMany(sellLegs);
+
+      // Someone else moves the prices between quote and execution
+      await multiMarket.connect(user2).tradeMany([shares, 0, shares, shares], shares * 3n, 0, closeTime, { value: shares * 3n });
+
+      await expect(
+        multiMarket.connect(user1).tradeMany(buyLegs, buyCost, 0, closeTime, { value: buyCost * 2n })
+      ).to.be.revertedWithCustomError(multiMarket, "MaxCostExceeded");
+      await expect(
+        multiMarket.connect(user1).tradeMany(sellLegs, 0, -sellCost, closeTime)
+      ).to.be.revertedWithCustomError(multiMarket, "MinPayoutNotMet");
+
+      // A net buy never meets a positive minPayout
+      await expect(
+        multiMarket.connect(user1).tradeMany(buyLegs, buyCost * 2n, 1, closeTime, { value: buyCost * 2n })
+      ).to.be.revertedWithCustomError(multiMarket, "MinPayoutNotMet");
+
+      await expect(
+        multiMarket.connect(user1).tradeMany(sellLegs, 0, -sellCost / 2n, closeTime)
+      ).to.emit(multiMarket, "SharesTransferred")
+        .withArgs(user1.address, 1, -shares / 2n);
+    });
+
+    it("Should reject orders past their deadline", async function () {
+      const deadline = (await time.latest()) + 600;
+      await time.increaseTo(deadline + 1);
+
+      await expect(
+        multiMarket.connect(user1).tradeMany([shares, 0, 0, 0], shares, 0, deadline, { value: shares })
+      ).to.be.revertedWithCustomError(multiMarket, "DeadlineExpired");
+    });
+
+    it("Should close with the rest of trading", async function () {
+      await time.increaseTo(closeTime);
+
+      await expect(
+        multiMarket.connect(user1).tradeMany([shares, 0, 0, 0], shares, 0, ethers.MaxUint256, { value: shares })
+      ).to.be.revertedWithCustomError(multiMarket, "MarketClosed");
+    });
+  });
+
+  describe("Cost Function", function () {
+    it("Should calculate correct trade costs", async function () {
+      const shares = ethers.parseEther("10");
+      const result = await market.getTradeCost(0, shares);
+      const cost = result[0];
+      
+      // Cost should be positive for buying
+      expect(cost).to.be.greaterThan(0);
+      
+      // Cost should be reasonable (between 0 and shares)
+      expect(cost).to.be.lessThan(shares);
+    });
+
+    it("Should show negative cost (payout) for selling", async function () {
+      // First buy shares
+      const buyShares = ethers.parseEther("20");
+      const buyResult = await market.getTradeCost(0, buyShares);
+      await market.connect(user1).trade(0, buyShares, { value: buyResult[0] });
+      
+      // Then calculate sell cost
+      const sellShares = ethers.parseEther("10");
+      const delta = -BigInt(sellShares);
+      const sellResult = await market.getTradeCost(0, delta);
+      const cost = sellResult[0];
+      
+      // Cost should be negative for selling (represents payout)
+      expect(cost).to.be.lessThan(0);
+    });
+
+    it("Should quote both cost-function terms at the pre-trade b", async function () {
+      const shares = ethers.parseEther("10");
+      const quote = await market.quoteTrade(0, shares);
+      
+      expect(quote.b).to.equal(await market.getB());
+      expect(quote.costBefore).to.equal(await market.getCost());
+      expect(quote.cost).to.equal(quote.costAfter - quote.costBefore);
+      
+      const [cost, newPrices, fee] = await market.getTradeCost(0, shares);
+      expect(quote.cost).to.equal(cost);
+      expect(quote.fee).to.equal(fee);
+      expect(quote.newPrices).to.deep.equal(newPrices);
+    });
+
+    it("Should start at C(0) = b0 * ln(n)", async function () {
+      expect(await market.getCost()).to.equal(INITIAL_FUNDING);
+    });
+
+    it("Should move collateral by exactly the quoted cost", async function () {
+      const feeMarket = await (await ethers.getContractFactory("LSLMSRMarket", { libraries })).deploy(
+        outcomeToken, NUM_OUTCOMES, B0, ALPHA, liquidity(), closeTime, ETH, fees({ feeBps: 100 }), resolution(), marketMetadata(NUM_OUTCOMES),
+        { value: INITIAL_FUNDING }
+      );
+      const shares = ethers.parseEther("30");
+      
+      let quote = await feeMarket.quoteTrade(1, shares);
+      let collateral = await feeMarket.collateral();
+      await feeMarket.connect(user1).trade(1, shares, { value: quote.cost + quote.fee });
+      expect(await feeMarket.collateral()).to.equal(collateral + quote.cost);
+      expect(await feeMarket.accruedFees()).to.equal(quote.fee);
+      
+      quote = await feeMarket.quoteTrade(1, -shares / 2n);
+      collateral = await feeMarket.collateral();
+      await feeMarket.connect(user1).sell(1, shares / 2n, 0, closeTime);
+      expect(await feeMarket.collateral()).to.equal(collateral + quote.cost);
+    });
+
+    it("Should price later trades at the b the volume has moved to", async function () {
+      const shares = ethers.parseEther("50");
+      const quote = await market.quoteTrade(0, shares);
+      await market.connect(user1).trade(0, shares, { value: quote.cost });
+      
+      // C rises with b, so at the new b the pool holds less than C(q)
+      const b = await market.getB();
+      expect(b).to.be.greaterThan(quote.b);
+      expect(await market.getCost()).to.be.greaterThan(quote.costAfter);
+      expect(await market.getCost()).to.be.greaterThan(await market.collateral());
+      
+      const next = await market.quoteTrade(1, shares);
+      expect(next.b).to.equal(b);
+      expect(next.costBefore).to.equal(await market.getCost());
+    });
+
+    it("Should quote multi-leg trades the same way", async function () {
+      await market.connect(user1).trade(0, ethers.parseEther("20"), { value: ethers.parseEther("20") });
+      const deltas = [-ethers.parseEther("10"), ethers.parseEther("15")];
+      const quote = await market.quoteTradeMany(deltas);
+      
+      expect(quote.b).to.equal(await market.getB());
+      expect(quote.costBefore).to.equal(await market.getCost());
+      expect(quote.cost).to.equal(quote.costAfter - quote.costBefore);
+      
+      const [cost, newPrices, fee] = await market.getTradeCostMany(deltas);
+      expect(quote.cost).to.equal(cost);
+      expect(quote.fee).to.equal(fee);
+      expect(quote.newPrices).to.deep.equal(newPrices);
+    });
+  });
+
+  describe("Gas Optimization", function () {
+    it("Should have reasonable gas costs for buying", async function () {
+      const sharesToBuy = ethers.parseEther("10");
+      const result = await market.getTradeCost(0, sharesToBuy);
+      
+      const tx = await market.connect(user1).trade(0, sharesToBuy, { value: result[0] });
+      const receipt = await tx.wait();
+      
+      console.log(`      Gas used for buying shares: ${receipt.gasUsed.toString()}`);
+      
+      // Should be reasonable (depends on complexity)
+      expect(receipt.gasUsed).to.be.lessThan(600000);
+    });
+
+    it("Should have reasonable gas costs for selling", async function () {
+      // First buy shares
+      const sharesToBuy = ethers.parseEther("20");
+      const buyResult = await market.getTradeCost(0, sharesToBuy);
+      await market.connect(user1).trade(0, sharesToBuy, { value: buyResult[0] });
+      
+      // Then sell
+      const sharesToSell = ethers.parseEther("10");
+      const delta = -BigInt(sharesToSell);
+      const tx = await market.connect(user1).trade(0, delta);
+      const receipt = await tx.wait();
+      
+      console.log(`      Gas used for selling shares: ${receipt.gasUsed.toString()}`);
+      
+      expect(receipt.gasUsed).to.be.lessThan(500000);
+    });
+  });
+
+  describe("Edge Cases", function () {
+    it("Should reject zero delta trades", async function () {
+      await expect(
+        market.connect(user1).trade(0, 0, { value: 0 })
+      ).to.be.revertedWithCustomError(market, "InvalidDelta");
+    });
+
+    it("Should reject invalid outcome", async function () {
+      const shares = ethers.parseEther("10");
+      
+      await expect(
+        market.getTradeCost(NUM_OUTCOMES, shares)
+      ).to.be.revertedWithCustomError(market, "InvalidOutcome");
+    });
+
+    it("Should handle very small trades", async function () {
+      const tinyShares = ethers.parseEther("0.001");
+      const result = await market.getTradeCost(0, tinyShares);
+      
+      await expect(
+        market.connect(user1).trade(0, tinyShares, { value: result[0] })
+      ).to.not.be.reverted;
+    });
+
+    it("Should handle large trades", async function () {
+      const largeShares = ethers.parseEther("100");
+      const result = await market.getTradeCost(0, largeShares);
+      
+      await expect(
+        market.connect(user1).trade(0, largeShares, { value: result[0] })
+      ).to.not.be.reverted;
+    });
+
+    it("Should maintain accuracy with repeated trades", async function () {
+      // Execute multiple trades
+      for (let i = 0; i < 5; i++) {
+        const outcome = i % NUM_OUTCOMES;
+        const shares = ethers.parseEther(String(i + 1));
+        const result = await market.getTradeCost(outcome, shares);
+        await market.connect(user1).trade(outcome, shares, { value: result[0] });
+      }
+      
+      // Prices should still sum to 1
+      const prices = await market.getPrices();
+      let sum = BigInt(0);
+      
+      for (let i = 0; i < NUM_OUTCOMES; i++) {
+        sum += prices[i];
+      }
+      
+      expect(sum).to.be.closeTo(ethers.parseEther("1"), ethers.parseEther("0.01"));
+    });
+  });
+
+  describe("Mathematical Correctness", function () {
+    it("Should implement LS-LMSR formula correctly", async function () {
+      // Get initial state
+      const infoBefore = await market.getMarketInfo();
+      const b0Value = Number(ethers.formatEther(infoBefore[1]));
+      const alphaValue = Number(ethers.formatEther(infoBefore[2]));
+      
+      // Execute trades to create volume
+      const shares = ethers.parseEther("10");
+      const result = await market.getTradeCost(0, shares);
+      await market.connect(user1).trade(0, shares, { value: result[0] });
+      
+      // Check b = b0 * exp(alpha * Q)
+      const infoAfter = await market.getMarketInfo();
+      const Q = Number(ethers.formatEther(infoAfter[4]));
+      const actualB = Number(ethers.formatEther(infoAfter[3]));
+      const expectedB = b0Value * Math.exp(alphaValue * Q);
+      
+      // Allow for small rounding errors
+      const tolerance = expectedB * 0.01; // 1% tolerance
+      expect(Math.abs(actualB - expectedB)).to.be.lessThan(tolerance);
+    });
+
+    it("Should have prices that reflect share quantities", async function () {
+      // Buy different amounts for different outcomes
+      const shares0 = ethers.parseEther("20");
+      const result0 = await market.getTradeCost(0, shares0);
+      await market.connect(user1).trade(0, shares0, { value: result0[0] });
+      
+      const shares1 = ethers.parseEther("5");
+      const result1 = await market.getTradeCost(1, shares1);
+      await market.connect(user2).trade(1, shares1, { value: result1[0] });
+      
+      const prices = await market.getPrices();
+      
+      // Outcome 0 should have higher price because it has more shares
+      expect(prices[0]).to.be.greaterThan(prices[1]);
+    });
+  });
+
+  describe("User Balance Tracking", function () {
+    it("Should track individual user balances", async function () {
+      const shares = ethers.parseEther("10");
+      const result = await market.getTradeCost(0, shares);
+      
+      await market.connect(user1).trade(0, shares, { value: result[0] });
+      
+      const balance = await market.getUserBalance(user1.address, 0);
+      expect(balance).to.equal(shares);
+      
+      // Other outcome should be 0
+      const balance1 = await market.getUserBalance(user1.address, 1);
+      expect(balance1).to.equal(0);
+    });
+
+    it("Should return all user balances", async function () {
+      // Buy shares in both outcomes
+      const shares0 = ethers.parseEther("10");
+      const result0 = await market.getTradeCost(0, shares0);
+      await market.connect(user1).trade(0, shares0, { value: result0[0] });
+      
+      const shares1 = ethers.parseEther("5");
+      const result1 = await market.getTradeCost(1, shares1);
+      await market.connect(user1).trade(1, shares1, { value: result1[0] });
+      
+      const balances = await market.getAllUserBalances(user1.address);
+      
+      expect(balances[0]).to.equal(shares0);
+      expect(balances[1]).to.equal(shares1);
+    });
+
+    it("Should track balances for multiple users", async function () {
+      const shares = ethers.parseEther("10");
+      const result = await market.getTradeCost(0, shares);
+      
+      await market.connect(user1).trade(0, shares, { value: result[0] });
+      
+      // Price moved after user1's buy, so re-quote for user2
+      const result2 = await market.getTradeCost(0, shares);
+      await market.connect(user2).trade(0, shares, { value: result2[0] });
+      
+      const balance1 = await market.getUserBalance(user1.address, 0);
+      const balance2 = await market.getUserBalance(user2.address, 0);
+      
+      expect(balance1).to.equal(shares);
+      expect(balance2).to.equal(shares);
+    });
+  });
+
+  describe("Outcome Tokens", function () {
+    const shares = ethers.parseEther("10");
+    
+    async function buy(signer, outcome, amount) {
+      const [cost] = await market.getTradeCost(outcome, amount);
+      return market.connect(signer).trade(outcome, amount, { value: cost });
+    }
+    
+    it("Should pack the market address above the outcome index", async function () {
+      const marketAddress = await market.getAddress();
+      const id = await market.tokenId(1);
+      
+      expect(id).to.equal((BigInt(marketAddress) << 96n) | 1n);
+      expect(await outcomeToken.tokenId(marketAddress, 1)).to.equal(id);
+      expect(await outcomeToken.marketOf(id)).to.equal(marketAddress);
+      await expect(
+        outcomeToken.tokenId(marketAddress, 1n << 96n)
+      ).to.be.revertedWithCustomError(outcomeToken, "InvalidOutcome");
+    });
+    
+    it("Should mint tokens on buys and burn them on sells", async function () {
+      const id = await market.tokenId(0);
+      
+      await expect(buy(user1, 0, shares))
+        .to.emit(outcomeToken, "TransferSingle")
+        .withArgs(await market.getAddress(), ethers.ZeroAddress, user1.address, id, shares);
+      expect(await outcomeToken.balanceOf(user1.address, id)).to.equal(shares);
+      
+      await expect(market.connect(user1).trade(0, -shares))
+        .to.emit(outcomeToken, "TransferSingle")
+        .withArgs(await market.getAddress(), user1.address, ethers.ZeroAddress, id, shares);
+      expect(await outcomeToken.balanceOf(user1.address, id)).to.equal(0);
+    });
+    
+    it("Should report balances with one balanceOfBatch call", async function () {
+      await buy(user1, 0, shares);
+      await buy(user1, 1, shares / 2n);
+      
+      const ids = [await market.tokenId(0), await market.tokenId(1)];
+      const batch = await outcomeToken.balanceOfBatch([user1.address, user1.address], ids);
+      expect(await market.getAllUserBalances(user1.address)).to.deep.equal(batch);
+      expect(batch).to.deep.equal([shares, shares / 2n]);
+    });
+    
+    it("Should let the holder of transferred tokens sell them", async function () {
+      await buy(user1, 0, shares);
+      await outcomeToken.connect(user1).safeTransferFrom(user1.address, user2.address, await market.tokenId(0), shares, "0x");
+      
+      await expect(
+        market.connect(user1).trade(0, -shares)
+      ).to.be.revertedWithCustomError(market, "InsufficientShares");
+      await market.connect(user2).trade(0, -shares);
+      expect(await market.getUserBalance(user2.address, 0)).to.equal(0);
+    });
+    
+    it("Should let an approved operator move tokens", async function () {
+      await buy(user1, 0, shares);
+      await outcomeToken.connect(user1).setApprovalForAll(owner.address, true);
+      await outcomeToken.safeTransferFrom(user1.address, user2.address, await market.tokenId(0), shares, "0x");
+      
+      expect(await market.getUserBalance(user2.address, 0)).to.equal(shares);
+    });
+    
+    it("Should pay winnings to the current holder and burn the tokens", async function () {
+      await buy(user1, 0, shares);
+      await outcomeToken.connect(user1).safeTransferFrom(user1.address, user2.address, await market.tokenId(0), shares, "0x");
+      
+      await time.increaseTo(closeTime);
+      await resolveAndFinalize(market, 0);
+      
+      await expect(
+        market.connect(user1).claimWinnings()
+      ).to.be.revertedWithCustomError(market, "InsufficientShares");
+      await expect(market.connect(user2).claimWinnings())
+        .to.changeEtherBalance(user2, shares);
+      expect(await market.getUserBalance(user2.address, 0)).to.equal(0);
+    });
+    
+    it("Should burn every outcome's tokens on refund", async function () {
+      await buy(user1, 0, shares);
+      await buy(user1, 1, shares);
+      await market.cancelMarket();
+      
+      await market.connect(user1).claimRefund();
+      expect(await market.getAllUserBalances(user1.address)).to.deep.equal([0n, 0n]);
+    });
+    
+    it("Should confine direct mints to the caller's own ids", async function () {
+      await outcomeToken.connect(user1).mint(user1.address, 0, shares);
+      
+      expect(await market.getUserBalance(user1.address, 0)).to.equal(0);
+      expect(await outcomeToken.balanceOf(user1.address, await outcomeToken.tokenId(user1.address, 0))).to.equal(shares);
+      await expect(
+        market.connect(user1).trade(0, -shares)
+      ).to.be.revertedWithCustomError(market, "InsufficientShares");
+    });
+  });
+
+  describe("Complete Sets", function () {
+    const amount = ethers.parseEther("10");
+    
+    async function buy(signer, outcome, shares) {
+      const [cost] = await market.getTradeCost(outcome, shares);
+      return market.connect(signer).trade(outcome, shares, { value: cost });
+    }
+    
+    // What the pool holds beyond each outcome's outstanding shares
+    async function surplus(target) {
+      const collateral = await target.collateral();
+      const n = Number(await target.numOutcomes());
+      const margins = [];
+      for (let i = 0; i < n; i++) {
+        margins.push(collateral - (await target.outstandingShares(i)));
+      }
+      return margins;
+    }
+    
+    it("Should mint one share of every outcome per unit of collateral", async function () {
+      const collateralBefore = await market.collateral();
+      
+      await expect(market.connect(user1).mintCompleteSet(amount, { value: amount }))
+        .to.emit(market, "CompleteSetsMinted")
+        .withArgs(user1.address, amount)
+        .and.to.emit(outcomeToken, "TransferBatch")
+        .withArgs(await market.getAddress(), ethers.ZeroAddress, user1.address, [await market.tokenId(0), await market.tokenId(1)], [amount, amount]);
+      
+      expect(await market.getAllUserBalances(user1.address)).to.deep.equal([amount, amount]);
+      expect(await market.collateral()).to.equal(collateralBefore + amount);
+      expect(await ethers.provider.getBalance(await market.getAddress())).to.equal(collateralBefore + amount);
+    });
+    
+    it("Should bypass the cost function", async function () {
+      await buy(user2, 0, ethers.parseEther("30"));
+      const pricesBefore = await market.getPrices();
+      const bBefore = await market.getB();
+      const volumeBefore = await market.totalVolume();
+      
+      await market.connect(user1).mintCompleteSet(amount, { value: amount });
+      
+      const prices = await market.getPrices();
+      expect(prices[0]).to.be.closeTo(pricesBefore[0], 10n);
+      expect(prices[1]).to.be.closeTo(pricesBefore[1], 10n);
+      expect(await market.getB()).to.equal(bBefore);
+      expect(await market.totalVolume()).to.equal(volumeBefore);
+    });
+    
+    it("Should require exactly the set's collateral", async function () {
+      await expect(
+        market.connect(user1).mintCompleteSet(amount, { value: amount - 1n })
+      ).to.be.revertedWithCustomError(market, "InvalidPayment");
+      await expect(
+        market.connect(user1).mintCompleteSet(amount, { value: amount + 1n })
+      ).to.be.revertedWithCustomError(market, "InvalidPayment");
+      await expect(
+        market.connect(user1).mintCompleteSet(0)
+      ).to.be.revertedWithCustomError(market, "InvalidAmount");
+    });
+    
+    it("Should redeem a set for one unit of collateral", async function () {
+      await market.connect(user1).mintCompleteSet(amount, { value: amount });
+      const collateralBefore = await market.collateral();
+      
+      const tx = market.connect(user1).redeemCompleteSet(amount / 2n);
+      
+      await expect(tx).to.emit(market, "CompleteSetsRedeemed").withArgs(user1.address, amount / 2n);
+      await expect(tx).to.changeEtherBalance(user1, amount / 2n);
+      
+      expect(await market.getAllUserBalances(user1.address)).to.deep.equal([amount / 2n, amount / 2n]);
+      expect(await market.collateral()).to.equal(collateralBefore - amount / 2n);
+    });
+    
+    it("Should redeem sets assembled through trades", async function () {
+      await buy(user1, 0, amount);
+      await buy(user1, 1, amount);
+      
+      await expect(market.connect(user1).redeemCompleteSet(amount))
+        .to.changeEtherBalance(user1, amount);
+      expect(await market.getAllUserBalances(user1.address)).to.deep.equal([0n, 0n]);
+    });
+    
+    it("Should reject redeeming an incomplete set", async function () {
+      await buy(user1, 0, amount);
+      
+      await expect(
+        market.connect(user1).redeemCompleteSet(amount)
+      ).to.be.revertedWithCustomError(market, "InsufficientShares");
+      await expect(
+        market.connect(user1).redeemCompleteSet(0)
+      ).to.be.revertedWithCustomError(market, "InvalidAmount");
+    });
+    
+    it("Should let arbitrageurs sell part of a minted set into the pool", async function () {
+      await buy(user2, 0, ethers.parseEther("50"));
+      const priceBefore = (await market.getPrices())[0];
+      
+      await market.connect(user1).mintCompleteSet(amount, { value: amount });
+      await market.connect(user1).trade(0, -amount);
+      
+      expect((await market.getPrices())[0]).to.be.lessThan(priceBefore);
+      expect(await market.getAllUserBalances(user1.address)).to.deep.equal([0n, amount]);
+    });
+    
+    it("Should preserve collateral solvency", async function () {
+      await buy(user2, 0, ethers.parseEther("40"));
+      await buy(user2, 1, ethers.parseEther("15"));
+      const before = await surplus(market);
+      
+      await market.connect(user1).mintCompleteSet(amount, { value: amount });
+      expect(await surplus(market)).to.deep.equal(before);
+      
+      await market.connect(user1).redeemCompleteSet(amount / 4n);
+      expect(await surplus(market)).to.deep.equal(before);
+      
+      // Trades still move the pool by their cost, which keeps it solvent
+      await buy(user1, 0, amount);
+      await market.connect(user1).redeemCompleteSet(amount - amount / 4n);
+      for (const margin of await surplus(market)) {
+        expect(margin).to.be.greaterThan(0n);
+      }
+    });
+    
+    it("Should pay every winner and LP from the pool after resolution", async function () {
+      await market.connect(user1).mintCompleteSet(amount, { value: amount });
+      await buy(user2, 0, ethers.parseEther("40"));
+      await market.connect(user1).trade(1, -amount / 2n);
+      
+      await time.increaseTo(closeTime);
+      await resolveAndFinalize(market, 0);
+      
+      await expect(
+        market.connect(user1).mintCompleteSet(amount, { value: amount })
+      ).to.be.revertedWithCustomError(market, "MarketAlreadyResolved");
+      await expect(
+        market.connect(user1).redeemCompleteSet(amount / 2n)
+      ).to.be.revertedWithCustomError(market, "MarketAlreadyResolved");
+      
+      await expect(market.connect(user1).claimWinnings()).to.changeEtherBalance(user1, amount);
+      await expect(market.connect(user2).claimWinnings()).to.changeEtherBalance(user2, ethers.parseEther("40"));
+      await market.withdrawLiquidity();
+      
+      expect(await ethers.provider.getBalance(await market.getAddress())).to.equal(0);
+    });
+    
+    it("Should cover every refund after cancellation", async function () {
+      await buy(user2, 1, ethers.parseEther("25"));
+      await market.connect(user1).mintCompleteSet(amount, { value: amount });
+      await market.cancelMarket();
+      
+      await expect(
+        market.connect(user1).mintCompleteSet(amount, { value: amount })
+      ).to.be.revertedWithCustomError(market, "MarketAlreadyCancelled");
+      
+      // A set refunds at prices summing to 1, less rounding
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+      const receipt = await (await market.connect(user1).claimRefund()).wait();
+      expect(await ethers.provider.getBalance(user1.address)).to.be.closeTo(
+        balanceBefore - receipt.gasUsed * receipt.gasPrice + amount, 10n
+      );
+      await market.connect(user2).claimRefund();
+      await market.withdrawLiquidity();
+      
+      expect(await ethers.provider.getBalance(await market.getAddress())).to.be.lessThan(10n);
     });
   });
-});
\ No newline at end of file
+});
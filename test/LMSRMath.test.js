@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("LMSRMath", function () {
+  let math;
+
+  const ONE = 10n ** 18n;
+
+  // 50-digit fixed-point reference implementations
+  const P = 10n ** 50n;
+  const TO_P = 10n ** 32n;
+
+  // atanh(z) = z + z^3/3 + z^5/5 + ..., for |z| well below 1
+  const atanh = (z) => {
+    let sum = 0n;
+    let power = z;
+    const z2 = (z * z) / P;
+    for (let k = 1n; power !== 0n; k += 2n) {
+      sum += power / k;
+      power = (power * z2) / P;
+    }
+    return sum;
+  };
+
+  const LN2 = 2n * atanh(P / 3n);
+
+  // ln(x) for x > 0 scaled by 1e18, returned scaled by 1e50
+  const lnRef = (x) => {
+    let m = x * TO_P;
+    let k = 0n;
+    while (m >= 2n * P) { m /= 2n; k++; }
+    while (m < P) { m *= 2n; k--; }
+    // Halving loses the low bits of m; redo the reduction exactly as a ratio
+    const exact = k >= 0n ? [x * TO_P, P << k] : [(x * TO_P) << -k, P];
+    const z = ((exact[0] - exact[1]) * P) / (exact[0] + exact[1]);
+    return k * LN2 + 2n * atanh(z);
+  };
+
+  // e^x for x scaled by 1e18 (either sign), returned scaled by 1e50
+  const expRef = (x) => {
+    const xp = x * TO_P;
+    const k = xp >= 0n ? xp / LN2 : -((-xp) / LN2) - 1n;
+    const r = xp - k * LN2;
+    let sum = 0n;
+    let term = P;
+    for (let i = 1n; term !== 0n; i++) {
+      sum += term;
+      term = (term * r) / (P * i);
+    }
+    return k >= 0n ? sum << k : sum >> -k;
+  };
+
+  // Error of a 1e18-scaled result against a 1e50-scaled reference, in units of 1e-18
+  const ulps = (actual, reference) => {
+    const diff = BigInt(actual) * TO_P - reference;
+    return Number(diff < 0n ? -diff : diff) / Number(TO_P);
+  };
+
+  // Relative error against a 1e50-scaled reference
+  const relative = (actual, reference) => {
+    const diff = BigInt(actual) * TO_P - reference;
+    return Number((diff < 0n ? -diff : diff) * 10n ** 30n / reference) / 1e30;
+  };
+
+  // Deterministic spread of inputs: log-uniform between bounds, plus the bounds themselves
+  const logSpaced = (lo, hi, count) => {
+    const inputs = [lo, hi];
+    const logLo = Math.log(Number(lo));
+    const logHi = Math.log(Number(hi));
+    let seed = 12345;
+    for (let i = 0; i < count; i++) {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      const value = BigInt(Math.floor(Math.exp(logLo + ((logHi - logLo) * seed) / 2147483648)).toLocaleString("fullwide", { useGrouping: false }));
+      inputs.push(value < lo ? lo : value > hi ? hi : value);
+    }
+    return inputs;
+  };
+
+  const linSpaced = (lo, hi, count) => {
+    const inputs = [lo, hi];
+    let seed = 67890;
+    for (let i = 0; i < count; i++) {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      inputs.push(lo + ((hi - lo) * BigInt(seed)) / 2147483648n);
+    }
+    return inputs;
+  };
+
+  before(async function () {
+    const MathHarness = await ethers.getContractFactory("MathHarness");
+    math = await MathHarness.deploy();
+  });
+
+  describe("ln", function () {
+    it("Should be within 3e-17 of the reference from 1 to the largest input", async function () {
+      for (const x of logSpaced(ONE, ethers.MaxUint256, 200)) {
+        expect(ulps(await math.ln(x), lnRef(x))).to.be.lt(30, `ln(${x})`);
+      }
+    });
+
+    it("Should match known values", async function () {
+      expect(await math.ln(ONE)).to.equal(0);
+      expect(ulps(await math.ln(2n * ONE), LN2)).to.be.lt(1);
+      expect(ulps(await math.ln(64n * ONE), 6n * LN2)).to.be.lt(30);
+    });
+
+    it("Should reject inputs below 1", async function () {
+      await expect(math.ln(ONE - 1n)).to.be.revertedWithCustomError(math, "LnInputTooSmall");
+      await expect(math.ln(0)).to.be.revertedWithCustomError(math, "LnInputTooSmall");
+    });
+  });
+
+  describe("lnSigned", function () {
+    it("Should be within 3e-17 of the reference below 1", async function () {
+      for (const x of logSpaced(1n, ONE, 200)) {
+        expect(ulps(await math.lnSigned(x), lnRef(x))).to.be.lt(30, `lnSigned(${x})`);
+      }
+    });
+
+    it("Should agree with ln from 1 up", async function () {
+      for (const x of logSpaced(ONE, 10n ** 40n, 50)) {
+        expect(await math.lnSigned(x)).to.equal(await math.ln(x));
+      }
+    });
+
+    it("Should be negative below 1 and reject zero", async function () {
+      expect(ulps(-(await math.lnSigned(ONE / 2n)), LN2)).to.be.lt(30);
+      expect(await math.lnSigned(1n)).to.be.lt(-41n * ONE);
+      await expect(math.lnSigned(0)).to.be.revertedWithCustomError(math, "LnInputTooSmall");
+    });
+
+    it("Should reject inputs beyond int256", async function () {
+      expect(await math.lnSigned(ethers.MaxInt256)).to.equal(await math.ln(ethers.MaxInt256));
+      await expect(math.lnSigned(ethers.MaxInt256 + 1n)).to.be.revertedWithCustomError(math, "LnInputTooLarge");
+      await expect(math.lnSigned(ethers.MaxUint256)).to.be.revertedWithCustomError(math, "LnInputTooLarge");
+    });
+  });
+
+  describe("exp", function () {
+    const MAX_EXP_INPUT = 133084258667509499440n;
+
+    it("Should be within 1e-16 relative error up to the largest input", async function () {
+      for (const x of linSpaced(0n, MAX_EXP_INPUT, 200)) {
+        expect(relative(await math.exp(x), expRef(x))).to.be.lt(1e-16, `exp(${x})`);
+      }
+    });
+
+    it("Should be within 1e-17 of the reference below 2", async function () {
+      for (const x of linSpaced(0n, 2n * ONE, 100)) {
+        expect(ulps(await math.exp(x), expRef(x))).to.be.lt(10, `exp(${x})`);
+      }
+    });
+
+    it("Should reject inputs whose result does not fit", async function () {
+      expect(await math.exp(0)).to.equal(ONE);
+      await math.exp(MAX_EXP_INPUT);
+      await expect(math.exp(MAX_EXP_INPUT + 1n)).to.be.revertedWithCustomError(math, "ExpInputTooBig");
+    });
+  });
+
+  describe("expNeg", function () {
+    const EXP_NEG_CUTOFF = 41446531673892822322n;
+
+    it("Should be within 1e-18 of the reference down to the cutoff", async function () {
+      for (const x of linSpaced(0n, EXP_NEG_CUTOFF, 200)) {
+        expect(ulps(await math.expNeg(x), expRef(-x))).to.be.lte(1, `expNeg(${x})`);
+      }
+    });
+
+    it("Should round to zero past the cutoff", async function () {
+      expect(await math.expNeg(0)).to.equal(ONE);
+      expect(await math.expNeg(EXP_NEG_CUTOFF + 1n)).to.equal(0);
+      expect(await math.expNeg(ethers.MaxUint256)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ETH, resolution } = require("./helpers");
+
+describe("LSLMSRMarket (many outcomes)", function () {
+  let market;
+  let outcomeToken;
+  let libraries;
+  let owner;
+  let user1;
+  let user2;
+
+  // Small enough that b stays comparable to the spread of quantities below
+  const B0 = ethers.parseEther("10");
+  const ALPHA = ethers.parseEther("0.0005");
+  // Volume-scaled b with no cap and no decay
+  const VOLUME_SCALED = { pricingMode: 0, bMax: 0, volumeHalfLife: 0 };
+  const ONE_WEEK = 7 * 24 * 60 * 60;
+
+  // Gas ceilings for a single trade once every outcome holds a distinct quantity,
+  // the worst case for the cached exponential pass (no runs of equal terms to reuse),
+  // including the ERC-1155 mint or burn
+  const GAS_BUDGETS = { 10: 200_000, 32: 365_000, 64: 600_000 };
+
+  const fees = {
+    feeBps: 0,
+    feeRecipient: ethers.ZeroAddress
+  };
+
+  const toNumber = (wei) => Number(ethers.formatEther(wei));
+
+  // C(q') - C(q) = b * ln(1 + p_i * (exp(delta / b) - 1)) in floating point, for checking the contract
+  const referenceCost = (quantities, b, outcome, delta) => {
+    const maxQ = Math.max(...quantities);
+    const exps = quantities.map((q) => Math.exp((q - maxQ) / b));
+    const price = exps[outcome] / exps.reduce((sum, e) => sum + e, 0);
+    return b * Math.log1p(price * Math.expm1(delta / b));
+  };
+
+  async function deployMarket(n) {
+    const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+    const metadata = { question: `Which of ${n}?`, outcomeLabels: [], category: "Test", resolutionSource: "" };
+    // A locked template, only used for its initialFunding
+    const funding = await LSLMSRMarket.deploy(outcomeToken, 0, 0, 0, VOLUME_SCALED, 0, ETH, fees, resolution, metadata)
+      .then((template) => template.initialFunding(n, B0));
+    return LSLMSRMarket.deploy(
+      outcomeToken, n, B0, ALPHA, VOLUME_SCALED, (await time.latest()) + ONE_WEEK, ETH, fees, resolution, metadata,
+      { value: funding }
+    );
+  }
+
+  async function trade(signer, outcome, delta) {
+    const [cost] = await market.getTradeCost(outcome, delta);
+    const value = cost > 0n ? cost : 0n;
+    return (await market.connect(signer).trade(outcome, delta, { value })).wait();
+  }
+
+  // Markets link the pricing library, deployed once per file
+  before(async function () {
+    const pricing = await (await ethers.getContractFactory("LMSRPricing")).deploy();
+    libraries = { LMSRPricing: await pricing.getAddress() };
+  });
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    outcomeToken = await (await ethers.getContractFactory("OutcomeToken")).deploy("");
+  });
+
+  it("Should accept up to MAX_OUTCOMES outcomes", async function () {
+    market = await deployMarket(10);
+    expect(await market.MAX_OUTCOMES()).to.equal(64);
+
+    market = await deployMarket(64);
+    expect(await market.numOutcomes()).to.equal(64);
+    expect(await market.getPrices()).to.have.lengthOf(64);
+  });
+
+  it("Should price a leader selling far below every other outcome", async function () {
+    market = await deployMarket(10);
+    await trade(user1, 0, ethers.parseEther("400"));
+
+    // The other outcomes' terms have all but rounded away, so this is priced by a fresh pass.
+    // C(0) - C(400, 0, ...) = b * ln(10) - (400 + b * ln(1 + 9 * exp(-400 / b)))
+    const b = toNumber(await market.getB());
+    const expected = b * Math.log(10) - 400 - b * Math.log1p(9 * Math.exp(-400 / b));
+
+    const [cost, newPrices] = await market.getTradeCost(0, -ethers.parseEther("400"));
+    expect(toNumber(cost)).to.be.closeTo(expected, Math.abs(expected) * 1e-12);
+    expect(newPrices).to.deep.equal(Array(10).fill(ethers.parseEther("0.1")));
+
+    await trade(user1, 0, -ethers.parseEther("400"));
+    expect(await market.getUserBalance(user1.address, 0)).to.equal(0);
+  });
+
+  for (const n of [10, 32, 64]) {
+    describe(`${n} outcomes`, function () {
+      beforeEach(async function () {
+        market = await deployMarket(n);
+
+        // Give every outcome a distinct quantity: outcome i holds i + 1 shares
+        for (let i = 0; i < n; i++) {
+          await trade(user2, i, ethers.parseEther(String(i + 1)));
+        }
+      });
+
+      it("Should keep prices normalized and ordered by quantity", async function () {
+        const prices = await market.getPrices();
+        const sum = prices.reduce((acc, p) => acc + p, 0n);
+
+        expect(sum).to.be.closeTo(ethers.parseEther("1"), BigInt(n));
+        for (let i = 1; i < n; i++) {
+          expect(prices[i]).to.be.gt(prices[i - 1]);
+        }
+      });
+
+      it("Should price trades by the cost function", async function () {
+        const quantities = [];
+        for (let i = 0; i < n; i++) {
+          quantities.push(toNumber(await market.quantities(i)));
+        }
+        const b = toNumber(await market.getB());
+
+        for (const [outcome, shares] of [[0, 5], [n - 1, 5], [n - 1, -n], [Math.floor(n / 2), -3]]) {
+          const expected = referenceCost(quantities, b, outcome, shares);
+
+          const [cost] = await market.getTradeCost(outcome, ethers.parseEther(String(shares)));
+          expect(toNumber(cost)).to.be.closeTo(expected, Math.abs(expected) * 1e-12);
+        }
+      });
+
+      it("Should buy within the gas budget", async function () {
+        const receipt = await trade(user1, 0, ethers.parseEther("10"));
+        expect(receipt.gasUsed).to.be.lte(GAS_BUDGETS[n]);
+      });
+
+      it("Should sell within the gas budget", async function () {
+        const receipt = await trade(user2, 0, -ethers.parseEther("1"));
+        expect(receipt.gasUsed).to.be.lte(GAS_BUDGETS[n]);
+      });
+
+      it("Should sell the leading outcome within the gas budget", async function () {
+        // Selling the leader moves the reference quantity, forcing a second pass
+        const receipt = await trade(user2, n - 1, -ethers.parseEther(String(n)));
+        expect(receipt.gasUsed).to.be.lte(GAS_BUDGETS[n]);
+        expect(await market.quantities(n - 1)).to.equal(0);
+      });
+    });
+  }
+});
@@ -0,0 +1,358 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ETH } = require("./helpers");
+
+describe("MarketFactory", function () {
+  let factory;
+  let outcomeToken;
+  let libraries;
+  let owner;
+  let user1;
+  let user2;
+  let closeTime;
+
+  const B0 = ethers.parseEther("100");
+  const ALPHA = ethers.parseEther("0.01");
+  // LMSRPricing.PricingMode
+  const PROPORTIONAL = 1;
+  // Volume-scaled b with no cap and no decay
+  const VOLUME_SCALED = { pricingMode: 0, bMax: 0, volumeHalfLife: 0 };
+  
+  const OWNER_RESOLVED = {
+    resolver: ethers.ZeroAddress,
+    arbitrator: ethers.ZeroAddress,
+    disputePeriod: 24 * 60 * 60,
+    disputeBond: ethers.parseEther("1")
+  };
+  
+  const NO_FEES = {
+    feeBps: 0,
+    feeRecipient: ethers.ZeroAddress
+  };
+
+  const marketMetadata = (question, n = 2) => ({
+    question,
+    outcomeLabels: ["Yes", "No", "Maybe"].slice(0, n),
+    category: "Test",
+    resolutionSource: ""
+  });
+
+  async function createMarket(signer, numOutcomes, question) {
+    const funding = await factory.requiredFunding(numOutcomes, B0);
+    const tx = await factory.connect(signer).createMarket(numOutcomes, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata(question, numOutcomes), { value: funding });
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => factory.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "MarketCreated");
+    return ethers.getContractAt("LSLMSRMarket", event.args.market);
+  }
+
+  // Markets link the pricing library, deployed once per file
+  before(async function () {
+    const pricing = await (await ethers.getContractFactory("LMSRPricing")).deploy();
+    libraries = { LMSRPricing: await pricing.getAddress() };
+  });
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    outcomeToken = await (await ethers.getContractFactory("OutcomeToken")).deploy("");
+    closeTime = (await time.latest()) + 7 * 24 * 60 * 60;
+
+    const template = await (await ethers.getContractFactory("LSLMSRMarket", { libraries }))
+      .deploy(outcomeToken, 0, 0, 0, VOLUME_SCALED, 0, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata(""));
+    const scalarTemplate = await (await ethers.getContractFactory("ScalarMarket", { libraries }))
+      .deploy(outcomeToken, 0, 0, 0, 0, VOLUME_SCALED, 0, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata(""));
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    factory = await MarketFactory.deploy(await template.getAddress(), await scalarTemplate.getAddress());
+    await factory.waitForDeployment();
+  });
+
+  describe("Template", function () {
+    it("Should deploy a locked template", async function () {
+      const template = await ethers.getContractAt("LSLMSRMarket", await factory.implementation());
+
+      expect(await template.initialized()).to.equal(true);
+      await expect(
+        template.initialize(user1.address, 2, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Q"))
+      ).to.be.revertedWithCustomError(template, "AlreadyInitialized");
+    });
+
+    it("Should deploy a locked scalar template", async function () {
+      const template = await ethers.getContractAt("ScalarMarket", await factory.scalarImplementation());
+
+      expect(await template.initialized()).to.equal(true);
+      await expect(
+        template.initializeScalar(user1.address, 0, 100, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Q"))
+      ).to.be.revertedWithCustomError(template, "AlreadyInitialized");
+    });
+
+    it("Should reject templates that are not locked", async function () {
+      const MarketFactory = await ethers.getContractFactory("MarketFactory");
+      const live = await createMarket(user1, 2, "Q");
+
+      await expect(
+        MarketFactory.deploy(await live.getAddress(), await factory.scalarImplementation())
+      ).to.be.revertedWithCustomError(factory, "InvalidTemplate");
+      await expect(
+        MarketFactory.deploy(await factory.implementation(), user1.address)
+      ).to.be.revertedWithCustomError(factory, "InvalidTemplate");
+    });
+
+    it("Should require both templates to share an outcome token", async function () {
+      const MarketFactory = await ethers.getContractFactory("MarketFactory");
+      const otherToken = await (await ethers.getContractFactory("OutcomeToken")).deploy("");
+      const scalarTemplate = await (await ethers.getContractFactory("ScalarMarket", { libraries }))
+        .deploy(otherToken, 0, 0, 0, 0, VOLUME_SCALED, 0, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata(""));
+
+      expect(await factory.outcomeToken()).to.equal(await outcomeToken.getAddress());
+      await expect(
+        MarketFactory.deploy(await factory.implementation(), await scalarTemplate.getAddress())
+      ).to.be.revertedWithCustomError(factory, "InvalidTemplate");
+    });
+
+    it("Should report the exact b0 * ln(n) funding", async function () {
+      // ln is exact at powers of two: ln(2^k) = k * 1e36 / LOG2_E
+      const LOG2_E = 1442695040888963407n;
+      const ONE = ethers.parseEther("1");
+      expect(await factory.requiredFunding(2, B0)).to.equal((B0 * ((ONE * ONE) / LOG2_E)) / ONE);
+      expect(await factory.requiredFunding(4, B0)).to.equal((B0 * ((2n * ONE * ONE) / LOG2_E)) / ONE);
+    });
+  });
+
+  describe("Market Creation", function () {
+    it("Should create an initialized, funded clone owned by the creator", async function () {
+      const market = await createMarket(user1, 3, "Who wins?");
+      const funding = await factory.requiredFunding(3, B0);
+
+      const info = await market.getMarketInfo();
+      expect(info[0]).to.equal(3);
+      expect(info[1]).to.equal(B0);
+      expect(info[2]).to.equal(ALPHA);
+      expect(info[5]).to.equal(funding);
+      expect(await market.closeTime()).to.equal(closeTime);
+      expect(await market.owner()).to.equal(user1.address);
+      expect(await ethers.provider.getBalance(await market.getAddress())).to.equal(funding);
+    });
+
+    it("Should emit MarketCreated", async function () {
+      const funding = await factory.requiredFunding(2, B0);
+
+      await expect(
+        factory.connect(user1).createMarket(2, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Will it rain?"), { value: funding })
+      ).to.emit(factory, "MarketCreated");
+    });
+
+    it("Should pass metadata through to the market", async function () {
+      const market = await createMarket(user1, 3, "Who wins?");
+      const metadata = await market.getMetadata();
+
+      expect(metadata.question).to.equal("Who wins?");
+      expect(metadata.outcomeLabels).to.deep.equal(["Yes", "No", "Maybe"]);
+      expect(metadata.category).to.equal("Test");
+    });
+
+    it("Should set the market's resolver", async function () {
+      const resolver = await (await ethers.getContractFactory("MockResolver")).deploy();
+      const funding = await factory.requiredFunding(2, B0);
+      const tx = await factory.connect(user1).createMarket(
+        2, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES,
+        { ...OWNER_RESOLVED, resolver: await resolver.getAddress() },
+        marketMetadata("Q"),
+        { value: funding }
+      );
+      const event = (await tx.wait()).logs
+        .map((log) => factory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "MarketCreated");
+      const market = await ethers.getContractAt("LSLMSRMarket", event.args.market);
+
+      expect(await market.resolver()).to.equal(await resolver.getAddress());
+    });
+
+    it("Should set the market's trading fee", async function () {
+      const funding = await factory.requiredFunding(2, B0);
+      const tx = await factory.connect(user1).createMarket(
+        2, B0, ALPHA, VOLUME_SCALED, closeTime, ETH,
+        { feeBps: 150, feeRecipient: user2.address },
+        OWNER_RESOLVED,
+        marketMetadata("Q"),
+        { value: funding }
+      );
+      const event = (await tx.wait()).logs
+        .map((log) => factory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "MarketCreated");
+      const market = await ethers.getContractAt("LSLMSRMarket", event.args.market);
+
+      expect(await market.feeBps()).to.equal(150);
+      expect(await market.feeRecipient()).to.equal(user2.address);
+    });
+
+    it("Should create markets with a proportional b on the same funding", async function () {
+      const funding = await factory.requiredFunding(3, B0);
+      const tx = await factory.connect(user1).createMarket(
+        3, B0, ALPHA, { ...VOLUME_SCALED, pricingMode: PROPORTIONAL }, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Q", 3), { value: funding }
+      );
+      const event = (await tx.wait()).logs
+        .map((log) => factory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "MarketCreated");
+      const market = await ethers.getContractAt("LSLMSRMarket", event.args.market);
+
+      expect(await market.pricingMode()).to.equal(PROPORTIONAL);
+      expect(await market.collateral()).to.equal(funding);
+      expect(await market.getCost()).to.be.closeTo(funding, 1000n);
+      expect(await market.getB()).to.equal((ALPHA * 3n * (await market.quantities(0))) / ethers.parseEther("1"));
+    });
+
+    it("Should create markets with a capped b on decaying volume", async function () {
+      const funding = await factory.requiredFunding(2, B0);
+      const bMax = B0 * 2n;
+      const tx = await factory.connect(user1).createMarket(
+        2, B0, ALPHA, { ...VOLUME_SCALED, bMax, volumeHalfLife: 3600 }, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Q"), { value: funding }
+      );
+      const event = (await tx.wait()).logs
+        .map((log) => factory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "MarketCreated");
+      const market = await ethers.getContractAt("LSLMSRMarket", event.args.market);
+
+      const info = await market.getMarketInfo();
+      expect(info._bMax).to.equal(bMax);
+      expect(info._volumeHalfLife).to.equal(3600);
+      expect(info._currentVolume).to.equal(0);
+    });
+
+    it("Should refund funding above the required amount", async function () {
+      const funding = await factory.requiredFunding(2, B0);
+      const excess = ethers.parseEther("1");
+
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+      const tx = await factory.connect(user1).createMarket(2, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Q"), { value: funding + excess });
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed * receipt.gasPrice;
+      const balanceAfter = await ethers.provider.getBalance(user1.address);
+
+      expect(balanceBefore - balanceAfter - gasUsed).to.equal(funding);
+    });
+
+    it("Should reject insufficient funding", async function () {
+      const funding = await factory.requiredFunding(2, B0);
+
+      await expect(
+        factory.connect(user1).createMarket(2, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Q"), { value: funding - 1n })
+      ).to.be.revertedWithCustomError(factory, "InsufficientFunding");
+    });
+
+    it("Should reject invalid number of outcomes", async function () {
+      const template = await ethers.getContractAt("LSLMSRMarket", await factory.implementation());
+
+      await expect(
+        factory.createMarket(65, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Q"), { value: ethers.parseEther("1000") })
+      ).to.be.revertedWithCustomError(template, "InvalidNumOutcomes");
+    });
+
+    it("Should reject a zero base liquidity", async function () {
+      const template = await ethers.getContractAt("LSLMSRMarket", await factory.implementation());
+
+      await expect(
+        factory.createMarket(2, 0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Q"))
+      ).to.be.revertedWithCustomError(template, "InvalidLiquidity");
+    });
+
+    it("Should create a scalar market", async function () {
+      const funding = await factory.requiredFunding(2, B0);
+      const tx = await factory.connect(user1).createScalarMarket(
+        1000, 5000, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED,
+        { ...marketMetadata("ETH price?"), outcomeLabels: ["Long", "Short"] },
+        { value: funding }
+      );
+      const event = (await tx.wait()).logs
+        .map((log) => factory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "MarketCreated");
+      const market = await ethers.getContractAt("ScalarMarket", event.args.market);
+
+      expect(event.args.numOutcomes).to.equal(2);
+      expect(await market.lowerBound()).to.equal(1000);
+      expect(await market.upperBound()).to.equal(5000);
+      expect(await market.owner()).to.equal(user1.address);
+      expect((await factory.getMarketRecord(event.args.market)).scalar).to.equal(true);
+      await expect(
+        market.initialize(user2.address, 2, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Q"))
+      ).to.be.revertedWithCustomError(market, "AlreadyInitialized");
+    });
+
+    it("Should reject a scalar market with an invalid range", async function () {
+      const template = await ethers.getContractAt("ScalarMarket", await factory.scalarImplementation());
+      const funding = await factory.requiredFunding(2, B0);
+
+      await expect(
+        factory.createScalarMarket(5000, 1000, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Q"), { value: funding })
+      ).to.be.revertedWithCustomError(template, "InvalidBounds");
+    });
+
+    it("Should not allow a created market to be re-initialized", async function () {
+      const market = await createMarket(user1, 2, "Q");
+
+      await expect(
+        market.connect(user2).initialize(user2.address, 2, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, NO_FEES, OWNER_RESOLVED, marketMetadata("Q"))
+      ).to.be.revertedWithCustomError(market, "AlreadyInitialized");
+    });
+
+    it("Should create independently tradeable markets", async function () {
+      const marketA = await createMarket(user1, 2, "A");
+      const marketB = await createMarket(user1, 2, "B");
+
+      const shares = ethers.parseEther("10");
+      const result = await marketA.getTradeCost(0, shares);
+      await marketA.connect(user2).trade(0, shares, { value: result[0] });
+
+      expect(await marketA.getUserBalance(user2.address, 0)).to.equal(shares);
+      expect(await marketB.getUserBalance(user2.address, 0)).to.equal(0);
+      expect(await marketB.totalVolume()).to.equal(0);
+      // Clones mint on the template's token, each under its own ids
+      expect(await marketA.outcomeToken()).to.equal(await outcomeToken.getAddress());
+      expect(await marketA.tokenId(0)).to.not.equal(await marketB.tokenId(0));
+    });
+  });
+
+  describe("Enumeration", function () {
+    let created;
+
+    beforeEach(async function () {
+      created = [];
+      for (let i = 0; i < 5; i++) {
+        const signer = i % 2 === 0 ? user1 : user2;
+        const market = await createMarket(signer, 2, `Question ${i}`);
+        created.push(await market.getAddress());
+      }
+    });
+
+    it("Should count markets", async function () {
+      expect(await factory.marketCount()).to.equal(5);
+    });
+
+    it("Should list markets by creator", async function () {
+      expect(await factory.marketsByCreator(user1.address)).to.deep.equal([created[0], created[2], created[4]]);
+      expect(await factory.marketsByCreator(user2.address)).to.deep.equal([created[1], created[3]]);
+      expect(await factory.marketsByCreator(owner.address)).to.deep.equal([]);
+    });
+
+    it("Should paginate markets in creation order", async function () {
+      expect(await factory.getMarkets(0, 2)).to.deep.equal(created.slice(0, 2));
+      expect(await factory.getMarkets(2, 2)).to.deep.equal(created.slice(2, 4));
+      expect(await factory.getMarkets(4, 2)).to.deep.equal(created.slice(4));
+      expect(await factory.getMarkets(5, 2)).to.deep.equal([]);
+    });
+
+    it("Should store question metadata", async function () {
+      const record = await factory.getMarketRecord(created[3]);
+
+      expect(record.creator).to.equal(user2.address);
+      expect(record.question).to.equal("Question 3");
+      expect(record.scalar).to.equal(false);
+      expect(await factory.isMarket(created[3])).to.equal(true);
+      expect(await factory.isMarket(user1.address)).to.equal(false);
+      await expect(
+        factory.getMarketRecord(user1.address)
+      ).to.be.revertedWithCustomError(factory, "UnknownMarket");
+    });
+  });
+});
@@ -0,0 +1,246 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ETH } = require("./helpers");
+
+describe("Resolvers", function () {
+  let outcomeToken;
+  let libraries;
+  let owner;
+  let signer1;
+  let signer2;
+  let signer3;
+  let outsider;
+  let closeTime;
+
+  const B0 = ethers.parseEther("100");
+  const ALPHA = ethers.parseEther("0.01");
+  // Volume-scaled b with no cap and no decay
+  const VOLUME_SCALED = { pricingMode: 0, bMax: 0, volumeHalfLife: 0 };
+  const ONE_DAY = 24 * 60 * 60;
+  // b0 * ln(4), exact since ln(2^k) = k * 1e36 / LOG2_E
+  const FUNDING = (B0 * 1386294361119890619n) / ethers.parseEther("1");
+
+  const marketMetadata = {
+    question: "Who wins?",
+    outcomeLabels: ["A", "B", "C", "D"],
+    category: "Test",
+    resolutionSource: ""
+  };
+
+  const fees = {
+    feeBps: 0,
+    feeRecipient: ethers.ZeroAddress
+  };
+
+  async function deployMarket(resolver) {
+    const LSLMSRMarket = await ethers.getContractFactory("LSLMSRMarket", { libraries });
+    const resolution = {
+      resolver: await resolver.getAddress(),
+      arbitrator: ethers.ZeroAddress,
+      disputePeriod: 0,
+      disputeBond: 0
+    };
+    return LSLMSRMarket.deploy(outcomeToken, 4, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, fees, resolution, marketMetadata, {
+      value: FUNDING
+    });
+  }
+
+  // Markets link the pricing library, deployed once per file
+  before(async function () {
+    const pricing = await (await ethers.getContractFactory("LMSRPricing")).deploy();
+    libraries = { LMSRPricing: await pricing.getAddress() };
+  });
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, outsider] = await ethers.getSigners();
+    outcomeToken = await (await ethers.getContractFactory("OutcomeToken")).deploy("");
+    closeTime = (await time.latest()) + ONE_DAY;
+  });
+
+  describe("MultisigResolver", function () {
+    let resolver;
+    let market;
+    let marketAddress;
+
+    beforeEach(async function () {
+      const MultisigResolver = await ethers.getContractFactory("MultisigResolver");
+      resolver = await MultisigResolver.deploy([signer1.address, signer2.address, signer3.address], 2);
+      market = await deployMarket(resolver);
+      marketAddress = await market.getAddress();
+    });
+
+    it("Should validate the committee", async function () {
+      const MultisigResolver = await ethers.getContractFactory("MultisigResolver");
+
+      await expect(
+        MultisigResolver.deploy([signer1.address], 2)
+      ).to.be.revertedWithCustomError(resolver, "InvalidThreshold");
+      await expect(
+        MultisigResolver.deploy([signer1.address], 0)
+      ).to.be.revertedWithCustomError(resolver, "InvalidThreshold");
+      await expect(
+        MultisigResolver.deploy([signer1.address, signer1.address], 1)
+      ).to.be.revertedWithCustomError(resolver, "InvalidSigner");
+      expect(await resolver.getSigners()).to.deep.equal([signer1.address, signer2.address, signer3.address]);
+    });
+
+    it("Should resolve once an outcome reaches the threshold", async function () {
+      await expect(resolver.connect(signer1).vote(marketAddress, 2))
+        .to.emit(resolver, "VoteCast")
+        .withArgs(marketAddress, signer1.address, 2);
+      expect((await resolver.getOutcome(marketAddress))[0]).to.equal(false);
+
+      await expect(resolver.connect(signer2).vote(marketAddress, 2))
+        .to.emit(resolver, "OutcomeResolved")
+        .withArgs(marketAddress, 2);
+      expect(await resolver.getOutcome(marketAddress)).to.deep.equal([true, 2n]);
+
+      await time.increaseTo(closeTime);
+      await market.resolve();
+      expect(await market.proposedOutcome()).to.equal(2);
+    });
+
+    it("Should not resolve on split votes", async function () {
+      await resolver.connect(signer1).vote(marketAddress, 0);
+      await resolver.connect(signer2).vote(marketAddress, 1);
+
+      expect((await resolver.getOutcome(marketAddress))[0]).to.equal(false);
+      await time.increaseTo(closeTime);
+      await expect(
+        market.resolve()
+      ).to.be.revertedWithCustomError(market, "OutcomeNotReported");
+    });
+
+    it("Should reject outsiders, double votes and late votes", async function () {
+      await expect(
+        resolver.connect(outsider).vote(marketAddress, 0)
+      ).to.be.revertedWithCustomError(resolver, "NotSigner");
+
+      await resolver.connect(signer1).vote(marketAddress, 0);
+      await expect(
+        resolver.connect(signer1).vote(marketAddress, 0)
+      ).to.be.revertedWithCustomError(resolver, "AlreadyVoted");
+
+      await resolver.connect(signer2).vote(marketAddress, 0);
+      await expect(
+        resolver.connect(signer3).vote(marketAddress, 1)
+      ).to.be.revertedWithCustomError(resolver, "AlreadyResolved");
+    });
+  });
+
+  describe("OptimisticResolver", function () {
+    const BOND = ethers.parseEther("1");
+    const WINDOW = 2 * ONE_DAY;
+    let arbitrator;
+    let resolver;
+    let market;
+    let marketAddress;
+
+    beforeEach(async function () {
+      arbitrator = signer3;
+      const OptimisticResolver = await ethers.getContractFactory("OptimisticResolver");
+      resolver = await OptimisticResolver.deploy(BOND, WINDOW, arbitrator.address);
+      market = await deployMarket(resolver);
+      marketAddress = await market.getAddress();
+    });
+
+    it("Should require the exact bond and a single proposal", async function () {
+      await expect(
+        resolver.connect(signer1).propose(marketAddress, 0, { value: BOND - 1n })
+      ).to.be.revertedWithCustomError(resolver, "InvalidBond");
+
+      await expect(resolver.connect(signer1).propose(marketAddress, 0, { value: BOND }))
+        .to.emit(resolver, "OutcomeProposed")
+        .withArgs(marketAddress, signer1.address, 0);
+
+      await expect(
+        resolver.connect(signer2).propose(marketAddress, 1, { value: BOND })
+      ).to.be.revertedWithCustomError(resolver, "AlreadyProposed");
+    });
+
+    it("Should finalize an unchallenged proposal after the window", async function () {
+      await resolver.connect(signer1).propose(marketAddress, 1, { value: BOND });
+      expect((await resolver.getOutcome(marketAddress))[0]).to.equal(false);
+      await expect(
+        resolver.settle(marketAddress)
+      ).to.be.revertedWithCustomError(resolver, "ChallengeWindowOpen");
+
+      await time.increase(WINDOW);
+      expect(await resolver.getOutcome(marketAddress)).to.deep.equal([true, 1n]);
+
+      await market.resolve();
+      expect(await market.proposedOutcome()).to.equal(1);
+    });
+
+    it("Should return the bond of an unchallenged proposer", async function () {
+      await resolver.connect(signer1).propose(marketAddress, 1, { value: BOND });
+      await time.increase(WINDOW);
+
+      await expect(resolver.connect(outsider).settle(marketAddress))
+        .to.changeEtherBalance(signer1, BOND);
+      await expect(
+        resolver.settle(marketAddress)
+      ).to.be.revertedWithCustomError(resolver, "AlreadySettled");
+    });
+
+    it("Should hold a challenged proposal until arbitration", async function () {
+      await resolver.connect(signer1).propose(marketAddress, 1, { value: BOND });
+      await expect(resolver.connect(signer2).challenge(marketAddress, { value: BOND }))
+        .to.emit(resolver, "ProposalChallenged")
+        .withArgs(marketAddress, signer2.address);
+
+      await time.increase(WINDOW);
+      expect((await resolver.getOutcome(marketAddress))[0]).to.equal(false);
+      await expect(
+        resolver.settle(marketAddress)
+      ).to.be.revertedWithCustomError(resolver, "AlreadyChallenged");
+      await expect(
+        resolver.connect(signer1).arbitrate(marketAddress, 1)
+      ).to.be.revertedWithCustomError(resolver, "OnlyArbitrator");
+    });
+
+    it("Should pay both bonds to the challenger when the proposal was wrong", async function () {
+      await resolver.connect(signer1).propose(marketAddress, 1, { value: BOND });
+      await resolver.connect(signer2).challenge(marketAddress, { value: BOND });
+
+      await expect(resolver.connect(arbitrator).arbitrate(marketAddress, 0))
+        .to.changeEtherBalance(signer2, 2n * BOND);
+      expect(await resolver.getOutcome(marketAddress)).to.deep.equal([true, 0n]);
+
+      await time.increaseTo(closeTime);
+      await market.resolve();
+      expect(await market.proposedOutcome()).to.equal(0);
+    });
+
+    it("Should pay both bonds to the proposer when the challenge was wrong", async function () {
+      await resolver.connect(signer1).propose(marketAddress, 1, { value: BOND });
+      await resolver.connect(signer2).challenge(marketAddress, { value: BOND });
+
+      await expect(resolver.connect(arbitrator).arbitrate(marketAddress, 1))
+        .to.changeEtherBalance(signer1, 2n * BOND);
+      await expect(
+        resolver.connect(arbitrator).arbitrate(marketAddress, 0)
+      ).to.be.revertedWithCustomError(resolver, "AlreadySettled");
+    });
+
+    it("Should reject late or repeated challenges", async function () {
+      await expect(
+        resolver.connect(signer2).challenge(marketAddress, { value: BOND })
+      ).to.be.revertedWithCustomError(resolver, "NoProposal");
+
+      await resolver.connect(signer1).propose(marketAddress, 1, { value: BOND });
+      await resolver.connect(signer2).challenge(marketAddress, { value: BOND });
+      await expect(
+        resolver.connect(outsider).challenge(marketAddress, { value: BOND })
+      ).to.be.revertedWithCustomError(resolver, "AlreadyChallenged");
+
+      const other = await deployMarket(resolver);
+      await resolver.connect(signer1).propose(await other.getAddress(), 0, { value: BOND });
+      await time.increase(WINDOW);
+      await expect(
+        resolver.connect(signer2).challenge(await other.getAddress(), { value: BOND })
+      ).to.be.revertedWithCustomError(resolver, "ChallengeWindowClosed");
+    });
+  });
+});
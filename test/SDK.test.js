@@ -0,0 +1,271 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { SCENARIOS, random, fraction, deployMarket, attempt } = require("./helpers");
+
+// The off-chain SDK against the contracts it mirrors: for the same state every quote must
+// be the same integer, or fail with the same custom error, as the market's view
+describe("SDK", function () {
+  let sdk;
+  let math;
+  let pricing;
+  let libraries;
+  let traders;
+
+  const ONE = 10n ** 18n;
+  const STEPS = 12;
+
+  // Log-uniform between bounds, plus the bounds themselves
+  const logSpaced = (lo, hi, count) => {
+    const rand = random(12345);
+    const inputs = [lo, hi];
+    const logLo = Math.log(Number(lo));
+    const logHi = Math.log(Number(hi));
+    for (let i = 0; i < count; i++) {
+      const value = BigInt(Math.floor(Math.exp(logLo + (logHi - logLo) * rand())).toLocaleString("fullwide", { useGrouping: false }));
+      inputs.push(value < lo ? lo : value > hi ? hi : value);
+    }
+    return inputs;
+  };
+
+  // A Quote struct as the plain object the SDK returns
+  const plain = (quote) => ({
+    b: quote.b,
+    bAfter: quote.bAfter,
+    costBefore: quote.costBefore,
+    costAfter: quote.costAfter,
+    cost: quote.cost,
+    fee: quote.fee,
+    newPrices: [...quote.newPrices]
+  });
+
+  // The same value from both sides, or both failing with the same custom error
+  async function expectSame(contract, onChain, offChain, context) {
+    let expected;
+    try {
+      expected = { value: await onChain() };
+    } catch (error) {
+      const reason = error.data ? contract.interface.parseError(error.data)?.name : undefined;
+      if (!reason) throw error;
+      expected = { reason };
+    }
+
+    let actual;
+    try {
+      actual = { value: offChain() };
+    } catch (error) {
+      if (!(error instanceof sdk.PricingError)) throw error;
+      actual = { reason: error.reason };
+    }
+    expect(actual).to.deep.equal(expected, context);
+  }
+
+  before(async function () {
+    sdk = await import("../sdk/src/index.js");
+    math = await (await ethers.getContractFactory("MathHarness")).deploy();
+    pricing = await (await ethers.getContractFactory("LMSRPricing")).deploy();
+    libraries = { LMSRPricing: await pricing.getAddress() };
+    traders = (await ethers.getSigners()).slice(1, 4);
+  });
+
+  describe("Math", function () {
+    it("Should match LMSRMath's ln and lnSigned exactly", async function () {
+      for (const x of logSpaced(ONE, ethers.MaxUint256, 60)) {
+        expect(sdk.ln(x)).to.equal(await math.ln(x), `ln(${x})`);
+      }
+      for (const x of logSpaced(1n, 10n ** 40n, 60)) {
+        expect(sdk.lnSigned(x)).to.equal(await math.lnSigned(x), `lnSigned(${x})`);
+      }
+    });
+
+    it("Should match LMSRMath's exp and expNeg exactly", async function () {
+      for (const x of [0n, ...logSpaced(1n, sdk.MAX_EXP_INPUT, 60)]) {
+        expect(sdk.exp(x)).to.equal(await math.exp(x), `exp(${x})`);
+      }
+      for (const x of [0n, ...logSpaced(1n, sdk.EXP_NEG_CUTOFF + ONE, 60)]) {
+        expect(sdk.expNeg(x)).to.equal(await math.expNeg(x), `expNeg(${x})`);
+      }
+    });
+
+    it("Should fail where LMSRMath reverts", async function () {
+      expect(() => sdk.ln(ONE - 1n)).to.throw(sdk.PricingError, "LnInputTooSmall");
+      expect(() => sdk.lnSigned(0n)).to.throw(sdk.PricingError, "LnInputTooSmall");
+      expect(() => sdk.lnSigned(2n ** 255n)).to.throw(sdk.PricingError, "LnInputTooLarge");
+      expect(() => sdk.exp(sdk.MAX_EXP_INPUT + 1n)).to.throw(sdk.PricingError, "ExpInputTooBig");
+    });
+  });
+
+  describe("Market Setup", function () {
+    it("Should compute the initial funding and proportional seed exactly", async function () {
+      for (const numOutcomes of [2, 3, 7, 64]) {
+        for (const b0 of logSpaced(ONE / 1000n, 10n ** 24n, 5)) {
+          expect(sdk.initialFunding(numOutcomes, b0)).to.equal(await pricing.initialFunding(numOutcomes, b0));
+        }
+      }
+
+      const { market, b0 } = await deployMarket(SCENARIOS.find((scenario) => scenario.proportional), libraries);
+      expect(sdk.seed(3, b0, ethers.parseEther("0.05"))).to.equal(await market.quantities(0));
+    });
+
+    it("Should decay volume exactly like the library", async function () {
+      const rand = random(7);
+      for (let i = 0; i < 20; i++) {
+        const volume = fraction(rand, 10n ** 24n);
+        const elapsed = Math.floor(rand() * 30 * 24 * 60 * 60);
+        const halfLife = 1 + Math.floor(rand() * 7 * 24 * 60 * 60);
+        expect(sdk.decayVolume(volume, elapsed, halfLife)).to.equal(await pricing.decayVolume(volume, elapsed, halfLife));
+      }
+    });
+
+    it("Should read a deployed market's state", async function () {
+      const { market, b0 } = await deployMarket(SCENARIOS[1], libraries);
+      const state = await sdk.readMarket(market);
+
+      expect(state.quantities).to.deep.equal([0n, 0n, 0n]);
+      expect(state.b0).to.equal(b0);
+      expect(state.mode).to.equal(sdk.PricingMode.VOLUME_SCALED);
+      expect(state.feeBps).to.equal(100n);
+      expect(sdk.getB(state)).to.equal(b0);
+      expect(sdk.computeC(state)).to.equal(await market.getCost());
+    });
+  });
+
+  for (const scenario of SCENARIOS) {
+    describe(scenario.name, function () {
+      it("Should reproduce every quote after random trades", async function () {
+        const { market, b0 } = await deployMarket(scenario, libraries);
+        const rand = random(scenario.numOutcomes * 101 + scenario.feeBps);
+
+        for (let step = 0; step < STEPS; step++) {
+          const state = await sdk.readMarket(market);
+          const trader = traders[Math.floor(rand() * traders.length)];
+          const balances = await market.getAllUserBalances(trader.address);
+          const outcome = Math.floor(rand() * scenario.numOutcomes);
+          const at = `step ${step}`;
+
+          expect(sdk.getB(state)).to.equal(await market.getB(), at);
+          expect(sdk.computeC(state)).to.equal(await market.getCost(), at);
+          expect(sdk.getPrices(state)).to.deep.equal([...(await market.getPrices())], at);
+
+          const buy = fraction(rand, b0 * 3n);
+          await expectSame(market, async () => plain(await market.quoteTrade(outcome, buy)), () => sdk.quoteTrade(state, outcome, buy), at);
+
+          // Sells up to somewhat more than the pool holds, to cover InsufficientShares too
+          const sell = -fraction(rand, state.quantities[outcome] + b0 / 10n);
+          await expectSame(market, async () => plain(await market.quoteTrade(outcome, sell)), () => sdk.quoteTrade(state, outcome, sell), at);
+
+          const deltas = state.quantities.map((quantity) => {
+            const pick = rand();
+            if (pick < 0.3 && quantity > 0n) return -fraction(rand, quantity);
+            if (pick < 0.7) return fraction(rand, b0);
+            return 0n;
+          });
+          await expectSame(market, async () => plain(await market.quoteTradeMany(deltas)), () => sdk.quoteTradeMany(state, deltas), at);
+
+          // Half the budgets reach far above b, where exp(budget / b) alone would overflow
+          const budget = fraction(rand, rand() < 0.5 ? b0 * 2n : b0 * 200n);
+          await expectSame(
+            market,
+            async () => {
+              const [shares, cost, fee] = await market.quoteBuyWithBudget(outcome, budget);
+              return { shares, cost, fee };
+            },
+            () => sdk.quoteBudget(state, outcome, budget),
+            at
+          );
+
+          const target = ethers.parseUnits(String(1 + Math.floor(rand() * 98)), 16);
+          await expectSame(
+            market,
+            async () => {
+              const [delta, cost, fee] = await market.quoteTradeToPrice(outcome, target);
+              return { delta, cost, fee };
+            },
+            () => sdk.quoteToPrice(state, outcome, target),
+            at
+          );
+
+          // Trade on, selling when the trader holds shares of the outcome
+          if (balances[outcome] > 0n && rand() < 0.4) {
+            const shares = fraction(rand, balances[outcome]);
+            await attempt(market, () => market.connect(trader).sell(outcome, shares, 0, ethers.MaxUint256));
+          } else {
+            const quote = sdk.quoteTrade(state, outcome, buy);
+            // Decaying volume can shrink b before the trade lands; the excess is refunded
+            const value = quote.cost + quote.fee;
+            await attempt(market, () =>
+              market.connect(trader).trade(outcome, buy, { value: scenario.halfLife ? value + value / 100n : value })
+            );
+          }
+          if (scenario.halfLife) await time.increase(Math.floor(rand() * scenario.halfLife));
+        }
+      });
+    });
+  }
+
+  it("Should reject a budget buy of a long shot priced at zero like the market", async function () {
+    const { market } = await deployMarket({ name: "long shot", numOutcomes: 2, b0: "1", alpha: "0", feeBps: 0 }, libraries);
+    const [trader] = traders;
+    const lead = ethers.parseEther("50");
+    const quote = sdk.quoteTrade(await sdk.readMarket(market), 0, lead);
+    await market.connect(trader).trade(0, lead, { value: quote.cost });
+
+    const state = await sdk.readMarket(market);
+    const budget = ethers.parseEther("1");
+    expect(() => sdk.quoteBudget(state, 1, budget)).to.throw(sdk.PricingError, "PriceTooLow");
+    await expectSame(
+      market,
+      async () => [...(await market.quoteBuyWithBudget(1, budget))],
+      () => sdk.quoteBudget(state, 1, budget)
+    );
+  });
+
+  it("Should quote budgets far above b like the market", async function () {
+    const { market, b0 } = await deployMarket({ name: "deep budgets", numOutcomes: 3, b0: "1", alpha: "0", feeBps: 0 }, libraries);
+    const state = await sdk.readMarket(market);
+
+    for (const multiple of [100n, 120n, 140n, 10_000n]) {
+      const budget = b0 * multiple;
+      await expectSame(
+        market,
+        async () => {
+          const [shares, cost, fee] = await market.quoteBuyWithBudget(0, budget);
+          return { shares, cost, fee };
+        },
+        () => sdk.quoteBudget(state, 0, budget),
+        `${multiple} b`
+      );
+      expect(sdk.quoteBudget(state, 0, budget).cost).to.be.at.most(budget);
+    }
+  });
+
+  it("Should saturate an uncapped b like the market", async function () {
+    const { market } = await deployMarket({ name: "saturated", numOutcomes: 2, b0: "1", alpha: "1", feeBps: 0 }, libraries);
+    const [trader] = traders;
+    const shares = ethers.parseEther("70");
+    const quote = sdk.quoteTrade(await sdk.readMarket(market), 0, shares);
+    await market.connect(trader).trade(0, shares, { value: quote.cost });
+    await market.connect(trader).sell(0, shares, 0, ethers.MaxUint256);
+
+    const state = await sdk.readMarket(market);
+    expect(sdk.getB(state)).to.equal(await market.getB());
+    expect(sdk.getB(state)).to.equal((1n << 128n) - 1n);
+    expect(sdk.getPrices(state)).to.deep.equal([...(await market.getPrices())]);
+    const delta = ethers.parseEther("10");
+    await expectSame(market, async () => plain(await market.quoteTrade(1, delta)), () => sdk.quoteTrade(state, 1, delta));
+  });
+
+  it("Should charge exactly the quoted cost and fee", async function () {
+    const { market } = await deployMarket(SCENARIOS[1], libraries);
+    const [trader] = traders;
+    const shares = ethers.parseEther("30");
+
+    const quote = sdk.quoteTrade(await sdk.readMarket(market), 2, shares);
+    await expect(market.connect(trader).trade(2, shares, { value: quote.cost + quote.fee }))
+      .to.changeEtherBalance(trader, -(quote.cost + quote.fee));
+
+    const sale = sdk.quoteTrade(await sdk.readMarket(market), 2, -shares / 2n);
+    await expect(market.connect(trader).sell(2, shares / 2n, 0, ethers.MaxUint256))
+      .to.changeEtherBalance(trader, -sale.cost - sale.fee);
+  });
+});
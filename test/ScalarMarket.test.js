@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ETH, resolution } = require("./helpers");
+
+describe("ScalarMarket", function () {
+  let market;
+  let outcomeToken;
+  let libraries;
+  let owner;
+  let user1;
+  let user2;
+  let closeTime;
+
+  const LONG = 0;
+  const SHORT = 1;
+  const LOWER = 1000n;
+  const UPPER = 5000n;
+  const B0 = ethers.parseEther("100");
+  const ALPHA = ethers.parseEther("0.01");
+  // Volume-scaled b with no cap and no decay
+  const VOLUME_SCALED = { pricingMode: 0, bMax: 0, volumeHalfLife: 0 };
+  const ONE_WEEK = 7 * 24 * 60 * 60;
+  // b0 * ln(2), matching the contract's fixed-point ln exactly
+  const FUNDING = (B0 * 693147180559945309n) / ethers.parseEther("1");
+
+  const marketMetadata = {
+    question: "ETH price in USD at year end?",
+    outcomeLabels: ["Long", "Short"],
+    category: "Crypto",
+    resolutionSource: "https://prices.example/eth"
+  };
+
+  const fees = {
+    feeBps: 0,
+    feeRecipient: ethers.ZeroAddress
+  };
+
+  async function buy(signer, outcome, shares) {
+    const [cost] = await market.getTradeCost(outcome, shares);
+    await market.connect(signer).trade(outcome, shares, { value: cost });
+  }
+
+  async function resolveTo(value) {
+    await time.increaseTo(closeTime);
+    await market.resolveMarket(value);
+    await market.finalizeResolution();
+  }
+
+  // Markets link the pricing library, deployed once per file
+  before(async function () {
+    const pricing = await (await ethers.getContractFactory("LMSRPricing")).deploy();
+    libraries = { LMSRPricing: await pricing.getAddress() };
+  });
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    outcomeToken = await (await ethers.getContractFactory("OutcomeToken")).deploy("");
+    closeTime = (await time.latest()) + ONE_WEEK;
+
+    const ScalarMarket = await ethers.getContractFactory("ScalarMarket", { libraries });
+    market = await ScalarMarket.deploy(outcomeToken, LOWER, UPPER, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, fees, resolution, marketMetadata, {
+      value: FUNDING
+    });
+    await market.waitForDeployment();
+  });
+
+  describe("Deployment", function () {
+    it("Should deploy a two-outcome market over the range", async function () {
+      const info = await market.getMarketInfo();
+
+      expect(info[0]).to.equal(2);
+      expect(await market.lowerBound()).to.equal(LOWER);
+      expect(await market.upperBound()).to.equal(UPPER);
+      expect(await market.owner()).to.equal(owner.address);
+      expect(await market.getPrices()).to.deep.equal([ethers.parseEther("0.5"), ethers.parseEther("0.5")]);
+    });
+
+    it("Should reject an empty or inverted range", async function () {
+      const ScalarMarket = await ethers.getContractFactory("ScalarMarket", { libraries });
+
+      await expect(
+        ScalarMarket.deploy(outcomeToken, UPPER, UPPER, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, fees, resolution, marketMetadata, { value: FUNDING })
+      ).to.be.revertedWithCustomError(market, "InvalidBounds");
+
+      await expect(
+        ScalarMarket.deploy(outcomeToken, UPPER, LOWER, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, fees, resolution, marketMetadata, { value: FUNDING })
+      ).to.be.revertedWithCustomError(market, "InvalidBounds");
+    });
+
+    it("Should deploy a locked template when the upper bound is zero", async function () {
+      const ScalarMarket = await ethers.getContractFactory("ScalarMarket", { libraries });
+      const template = await ScalarMarket.deploy(outcomeToken, 0, 0, 0, 0, VOLUME_SCALED, 0, ETH, fees, resolution, marketMetadata);
+
+      expect(await template.initialized()).to.equal(true);
+      await expect(
+        template.initializeScalar(user1.address, LOWER, UPPER, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, fees, resolution, marketMetadata, { value: FUNDING })
+      ).to.be.revertedWithCustomError(template, "AlreadyInitialized");
+    });
+
+    it("Should leave headroom under the contract size limit", async function () {
+      // EIP-170 caps deployed code at 24,576 bytes; this is the larger of the two markets
+      const size = (await ethers.provider.getCode(market)).length / 2 - 1;
+      expect(size).to.be.at.most(24576 - 512);
+    });
+  });
+
+  describe("Trading", function () {
+    it("Should price Long as the market's expected position in the range", async function () {
+      await buy(user1, LONG, ethers.parseEther("50"));
+
+      const prices = await market.getPrices();
+      expect(prices[LONG]).to.be.gt(ethers.parseEther("0.5"));
+      expect(prices[LONG] + prices[SHORT]).to.be.closeTo(ethers.parseEther("1"), 10n);
+    });
+  });
+
+  describe("Resolution", function () {
+    it("Should report the Long payout fraction for a value", async function () {
+      expect(await market.longPayout(LOWER)).to.equal(0);
+      expect(await market.longPayout(2000n)).to.equal(ethers.parseEther("0.25"));
+      expect(await market.longPayout(UPPER)).to.equal(ethers.parseEther("1"));
+      expect(await market.longPayout(0n)).to.equal(0);
+      expect(await market.longPayout(10000n)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should pay Long and Short proportionally to the resolved value", async function () {
+      const shares = ethers.parseEther("40");
+      await buy(user1, LONG, shares);
+      await buy(user2, SHORT, shares);
+
+      await resolveTo(2000n);
+      expect(await market.winningOutcome()).to.equal(2000n);
+
+      await expect(market.connect(user1).claimWinnings()).to.changeEtherBalance(user1, ethers.parseEther("10"));
+      await expect(market.connect(user2).claimWinnings()).to.changeEtherBalance(user2, ethers.parseEther("30"));
+    });
+
+    it("Should clamp values outside the range", async function () {
+      const shares = ethers.parseEther("10");
+      await buy(user1, LONG, shares);
+      await buy(user2, SHORT, shares);
+
+      await time.increaseTo(closeTime);
+      await expect(market.resolveMarket(9000n))
+        .to.emit(market, "ResolutionProposed")
+        .withArgs(UPPER, await time.latest() + 1);
+      await market.finalizeResolution();
+
+      await expect(market.connect(user1).claimWinnings()).to.changeEtherBalance(user1, shares);
+      await expect(
+        market.connect(user2).claimWinnings()
+      ).to.be.revertedWithCustomError(market, "InsufficientShares");
+    });
+
+    it("Should pay a full Long/Short pair exactly one unit per share", async function () {
+      const shares = ethers.parseEther("15");
+      await buy(user1, LONG, shares);
+      await buy(user1, SHORT, shares);
+
+      await resolveTo(3217n);
+
+      await expect(market.connect(user1).claimWinnings()).to.changeEtherBalance(user1, shares);
+    });
+
+    it("Should pay a minted Long/Short set exactly one unit per share", async function () {
+      const shares = ethers.parseEther("15");
+      await market.connect(user1).mintCompleteSet(shares, { value: shares });
+
+      await resolveTo(1234n);
+
+      await expect(market.connect(user1).claimWinnings()).to.changeEtherBalance(user1, shares);
+    });
+
+    it("Should clear both sides after claiming", async function () {
+      await buy(user1, LONG, ethers.parseEther("5"));
+      await buy(user1, SHORT, ethers.parseEther("5"));
+      await resolveTo(4000n);
+
+      await market.connect(user1).claimWinnings();
+
+      expect(await market.getAllUserBalances(user1.address)).to.deep.equal([0n, 0n]);
+      await expect(
+        market.connect(user1).claimWinnings()
+      ).to.be.revertedWithCustomError(market, "InsufficientShares");
+    });
+
+    it("Should leave LPs what Long and Short holders are not owed", async function () {
+      await market.connect(user2).addLiquidity(FUNDING, { value: FUNDING });
+      await buy(user1, LONG, ethers.parseEther("40"));
+      await buy(user1, SHORT, ethers.parseEther("10"));
+
+      // 2000 pays Long 1/4 and Short 3/4: 40 / 4 + 10 * 3 / 4 = 17.5
+      await resolveTo(2000n);
+      const residual = (await market.collateral()) - ethers.parseEther("17.5");
+
+      await expect(market.connect(user2).withdrawLiquidity()).to.changeEtherBalance(user2, residual / 2n);
+      await market.withdrawLiquidity();
+      await expect(market.connect(user1).claimWinnings()).to.changeEtherBalance(user1, ethers.parseEther("17.5"));
+      expect(await ethers.provider.getBalance(await market.getAddress())).to.be.lt(10n);
+    });
+
+    it("Should clamp an arbitrator's ruling into the range", async function () {
+      const ScalarMarket = await ethers.getContractFactory("ScalarMarket", { libraries });
+      const bond = ethers.parseEther("1");
+      market = await ScalarMarket.deploy(
+        outcomeToken, LOWER, UPPER, B0, ALPHA, VOLUME_SCALED, closeTime, ETH, fees,
+        { ...resolution, disputePeriod: ONE_WEEK, disputeBond: bond },
+        marketMetadata,
+        { value: FUNDING }
+      );
+
+      await time.increaseTo(closeTime);
+      await market.resolveMarket(2000n);
+      await market.connect(user1).dispute({ value: bond });
+      await market.settleDispute(0n);
+
+      expect(await market.winningOutcome()).to.equal(LOWER);
+      expect(await market.longPayout(await market.winningOutcome())).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { SCENARIOS, random, fraction, deployMarket, attempt } = require("./helpers");
+
+// Property-based checks that the pool can always pay out: random sequences of buys,
+// sells, multi-leg trades, complete sets and LP deposits, after which every outcome
+// (or a cancellation) is settled in turn and every holder claims in full
+describe("Solvency", function () {
+  let libraries;
+  let owner;
+  let traders;
+
+  const STEPS = 40;
+  const SEEDS = [1, 2, 3];
+
+  // Decaying volume can shrink b, and so raise a buy's cost, between the quote and the
+  // block the trade lands in; those markets are sent 1% over the quote, the rest refunded
+  const withSlack = (scenario, amount) => (scenario.halfLife ? amount + amount / 100n : amount);
+
+  before(async function () {
+    const pricing = await (await ethers.getContractFactory("LMSRPricing")).deploy();
+    libraries = { LMSRPricing: await pricing.getAddress() };
+    [owner, ...traders] = (await ethers.getSigners()).slice(0, 5);
+  });
+
+  async function randomStep(market, rand, scenario, b0) {
+    const trader = traders[Math.floor(rand() * traders.length)];
+    const balances = await market.getAllUserBalances(trader.address);
+    const size = fraction(rand, b0 * 3n);
+    const outcome = Math.floor(rand() * scenario.numOutcomes);
+    const action = rand();
+
+    if (action < 0.35 || balances.every((balance) => balance === 0n)) {
+      const [cost, , fee] = await market.getTradeCost(outcome, size);
+      return attempt(market, () => market.connect(trader).trade(outcome, size, { value: withSlack(scenario, cost + fee) }));
+    }
+    if (action < 0.6) {
+      const held = balances.findIndex((balance, i) => balance > 0n && (i === outcome || rand() < 0.5));
+      const sellOutcome = held === -1 ? balances.findIndex((balance) => balance > 0n) : held;
+      const shares = fraction(rand, balances[sellOutcome]);
+      return attempt(market, () => market.connect(trader).sell(sellOutcome, shares, 0, ethers.MaxUint256));
+    }
+    if (action < 0.8) {
+      const deltas = balances.map((balance) => {
+        const pick = rand();
+        if (pick < 0.3 && balance > 0n) return -fraction(rand, balance);
+        if (pick < 0.7) return fraction(rand, b0);
+        return 0n;
+      });
+      if (deltas.every((delta) => delta === 0n)) deltas[outcome] = size;
+      const [cost, , fee] = await market.getTradeCostMany(deltas);
+      const value = cost + BigInt(fee) > 0n ? withSlack(scenario, cost + BigInt(fee)) : 0n;
+      return attempt(market, () => market.connect(trader).tradeMany(deltas, value, 0, ethers.MaxUint256, { value }));
+    }
+    // Complete sets are unavailable under a proportional b, so those steps deposit liquidity
+    const completeSets = !scenario.proportional;
+    if (action < 0.9 && completeSets) {
+      const amount = fraction(rand, b0);
+      await (await market.connect(trader).mintCompleteSet(amount, { value: amount })).wait();
+      return true;
+    }
+    if (action < 0.95 && completeSets) {
+      const sets = balances.reduce((min, balance) => (balance < min ? balance : min));
+      if (sets === 0n) return true;
+      await (await market.connect(trader).redeemCompleteSet(fraction(rand, sets))).wait();
+      return true;
+    }
+    const deposit = fraction(rand, b0);
+    await (await market.connect(trader).addLiquidity(deposit, { value: deposit })).wait();
+    return true;
+  }
+
+  async function expectSolvent(market, numOutcomes) {
+    const collateral = await market.collateral();
+    let maxQuantity = 0n;
+    for (let i = 0; i < numOutcomes; i++) {
+      const quantity = await market.quantities(i);
+      if (quantity > maxQuantity) maxQuantity = quantity;
+
+      // Outstanding shares are exactly what traders hold, and never more than q
+      let held = 0n;
+      for (const trader of traders) {
+        held += await market.getUserBalance(trader.address, i);
+      }
+      expect(await market.outstandingShares(i)).to.equal(held);
+      expect(quantity).to.be.gte(held);
+    }
+
+    expect(collateral).to.be.gte(maxQuantity);
+    expect(collateral).to.be.gte(await market.maxLoss());
+    expect(await market.isSolvent()).to.equal(true);
+
+    const balance = await ethers.provider.getBalance(market);
+    expect(balance).to.be.gte(collateral + (await market.accruedFees()));
+  }
+
+  // Every holder claims, and the pool pays each winning share (or refund) in full
+  async function settleAndClaimAll(market, settle, claim) {
+    const snapshot = await takeSnapshot();
+    await settle();
+
+    for (const trader of traders) {
+      await claim(trader, await market.getAllUserBalances(trader.address));
+    }
+    await market.withdrawLiquidity();
+    for (const trader of traders) {
+      if ((await market.lpShares(trader.address)) > 0n) await market.connect(trader).withdrawLiquidity();
+    }
+
+    // Only fees, plus dust from rounding in the pool's favour, are left behind
+    const balance = await ethers.provider.getBalance(market);
+    expect(balance).to.be.gte(await market.accruedFees());
+    await snapshot.restore();
+  }
+
+  // 40 steps of 64-outcome trades take minutes; the SDK suite covers that market
+  for (const scenario of SCENARIOS.filter(({ numOutcomes }) => numOutcomes <= 5)) {
+    describe(scenario.name, function () {
+      for (const seed of SEEDS) {
+        it(`Should pay every winner in full after random trades (seed ${seed})`, async function () {
+          const { market, closeTime, b0 } = await deployMarket(scenario, libraries);
+          const rand = random(seed);
+
+          let refused = 0;
+          for (let step = 0; step < STEPS; step++) {
+            if (!(await randomStep(market, rand, scenario, b0))) refused++;
+            await expectSolvent(market, scenario.numOutcomes);
+            // Let decaying volume shrink b between trades
+            if (scenario.halfLife) await time.increase(Math.floor(rand() * scenario.halfLife));
+          }
+          expect(refused).to.be.lessThan(STEPS);
+
+          await time.increaseTo(closeTime);
+          const outcomes = scenario.scalar ? [0, 37, 100] : [...Array(scenario.numOutcomes).keys()];
+          for (const outcome of outcomes) {
+            await settleAndClaimAll(
+              market,
+              async () => {
+                await market.resolveMarket(outcome);
+                await market.finalizeResolution();
+              },
+              async (trader, balances) => {
+                const owed = scenario.scalar
+                  ? (balances[0] * BigInt(outcome) + balances[1] * BigInt(100 - outcome)) / 100n
+                  : balances[outcome];
+                if (owed === 0n) return;
+                await expect(market.connect(trader).claimWinnings()).to.changeEtherBalance(trader, owed);
+              }
+            );
+          }
+
+          await settleAndClaimAll(
+            market,
+            () => market.cancelMarket(),
+            async (trader, balances) => {
+              let owed = 0n;
+              for (let i = 0; i < balances.length; i++) {
+                owed += balances[i] * (await market.refundPrices(i));
+              }
+              owed /= ethers.parseEther("1");
+              if (owed === 0n) return;
+              await expect(market.connect(trader).claimRefund()).to.changeEtherBalance(trader, owed);
+            }
+          );
+        });
+      }
+    });
+  }
+});
@@ -0,0 +1,87 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Fixtures shared by the test files: the randomized suites' generator and market scenarios
+
+// Native ETH collateral
+const ETH = ethers.ZeroAddress;
+
+const ONE_WEEK = 7 * 24 * 60 * 60;
+
+// LMSRPricing.PricingMode
+const VOLUME_SCALED = 0;
+const PROPORTIONAL = 1;
+
+// Fast-growing b is where collateral drifts furthest below C(q) at the current b
+const SCENARIOS = [
+  { name: "2 outcomes, fast-growing b", numOutcomes: 2, b0: "10", alpha: "0.002", feeBps: 0 },
+  { name: "3 outcomes with fees", numOutcomes: 3, b0: "50", alpha: "0.0005", feeBps: 100 },
+  { name: "5 outcomes, fixed b", numOutcomes: 5, b0: "20", alpha: "0", feeBps: 30 },
+  { name: "scalar, fast-growing b", numOutcomes: 2, b0: "10", alpha: "0.002", feeBps: 50, scalar: true },
+  { name: "3 outcomes, proportional b", numOutcomes: 3, b0: "20", alpha: "0.05", feeBps: 50, proportional: true },
+  {
+    name: "3 outcomes, capped b on decaying volume",
+    numOutcomes: 3, b0: "10", alpha: "0.002", feeBps: 0, bMax: "15", halfLife: 60 * 60
+  },
+  { name: "64 outcomes", numOutcomes: 64, b0: "100", alpha: "0.0001", feeBps: 0 }
+];
+
+// Owner-resolved with no dispute period, so proposals can be finalized right away
+const resolution = {
+  resolver: ethers.ZeroAddress,
+  arbitrator: ethers.ZeroAddress,
+  disputePeriod: 0,
+  disputeBond: 0
+};
+
+// Deterministic uniform [0, 1), the same generator as the LMSRMath sampling
+const random = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+// Up to `max` wei, at least 1
+const fraction = (rand, max) => {
+  const part = (max * BigInt(Math.floor(rand() * 1e6))) / 1_000_000n;
+  return part > 0n ? part : 1n;
+};
+
+// A fresh ETH market for `scenario`, on its own outcome token, closing in a week
+async function deployMarket(scenario, libraries) {
+  const outcomeToken = await (await ethers.getContractFactory("OutcomeToken")).deploy("");
+  const closeTime = (await time.latest()) + ONE_WEEK;
+  const b0 = ethers.parseEther(scenario.b0);
+  const alpha = ethers.parseEther(scenario.alpha);
+  const fees = { feeBps: scenario.feeBps, feeRecipient: ethers.ZeroAddress };
+  const metadata = { question: scenario.name, outcomeLabels: [], category: "Test", resolutionSource: "" };
+  const liquidity = {
+    pricingMode: scenario.proportional ? PROPORTIONAL : VOLUME_SCALED,
+    bMax: scenario.bMax ? ethers.parseEther(scenario.bMax) : 0n,
+    volumeHalfLife: scenario.halfLife || 0
+  };
+  const pricing = await ethers.getContractAt("LMSRPricing", libraries.LMSRPricing);
+  const value = await pricing.initialFunding(scenario.numOutcomes, b0);
+
+  const market = scenario.scalar
+    ? await (await ethers.getContractFactory("ScalarMarket", { libraries })).deploy(
+        outcomeToken, 0, 100, b0, alpha, liquidity, closeTime, ETH, fees, resolution, metadata, { value }
+      )
+    : await (await ethers.getContractFactory("LSLMSRMarket", { libraries })).deploy(
+        outcomeToken, scenario.numOutcomes, b0, alpha, liquidity, closeTime, ETH, fees, resolution, metadata, { value }
+      );
+  return { market, outcomeToken, closeTime, b0 };
+}
+
+// Sends the transaction, tolerating only the solvency invariant refusing it
+async function attempt(market, send) {
+  try {
+    await (await send()).wait();
+    return true;
+  } catch (error) {
+    const reason = error.data ? market.interface.parseError(error.data)?.name : undefined;
+    if (reason !== "Insolvent") throw error;
+    return false;
+  }
+}
+
+module.exports = { ETH, SCENARIOS, resolution, random, fraction, deployMarket, attempt };